@@ -0,0 +1,241 @@
+/**
+ * CSV Reader and Writer
+ *
+ * Reads and writes CSV the way RFC 4180 describes it, which is also what
+ * spreadsheet programs produce:
+ *
+ *   title,description
+ *   "Halo, Combat Evolved","Says ""Finish the fight""
+ *   on the back of the box"
+ *
+ * - Values containing the delimiter, quotes or line breaks are wrapped in
+ *   double quotes, and quotes inside them are doubled
+ * - A quoted value can span several lines
+ * - Lines can end in \n, \r\n or \r
+ * - A UTF-8 byte order mark (added by Excel) at the start is ignored
+ * - The delimiter can be a comma, semicolon (common in Europe, where the comma
+ *   is the decimal separator) or tab; it is detected from the header row
+ *
+ * For junior developers:
+ * - This file has no database access; it only works with strings, so it is easy to test
+ * - Problems are reported with a line and column (both starting at 1) so the
+ *   user can find them in a text editor
+ * - Spreadsheets run values starting with = + - @ as formulas. The writer puts
+ *   a ' in front of such text so opening an export can never run anything
+ *   ("formula injection"); the reader takes it off again
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Values starting with one of these are formulas to a spreadsheet
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// A ' added by escapeFormula, followed by the character it protects
+const ESCAPED_FORMULA_PATTERN = /^'[=+\-@\t\r]/;
+
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * Work out which delimiter a CSV file uses by counting them in the first row
+ * (quoted text is skipped, so a comma inside a quoted title doesn't count)
+ * @param {string} text - CSV text
+ * @returns {string} - ",", ";" or "\t" (a comma if the row has none of them)
+ */
+function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+    for (const char of text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    // Ties go to the earlier delimiter in DELIMITERS (so plain files stay comma-separated)
+    let best = DELIMITERS[0];
+    for (const delimiter of DELIMITERS) {
+        if (counts.get(delimiter) > counts.get(best)) {
+            best = delimiter;
+        }
+    }
+    return best;
+}
+
+/**
+ * Parse CSV text into rows of values
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter } (detected when left out)
+ * @returns {Object} - {
+ *     rows: [{ line, values }] (line is where the row starts; blank lines are skipped),
+ *     delimiter: the delimiter used,
+ *     errors: [{ message, line, column }]
+ *   }
+ */
+function parseCSV(text, options = {}) {
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const rows = [];
+    const errors = [];
+
+    let i = text.startsWith(BYTE_ORDER_MARK) ? 1 : 0;
+    let line = 1;
+    let column = 1;
+
+    let values = [];
+    let value = '';
+    let rowLine = 1;
+    let quoted = false;         // Inside a quoted value
+    let quoteStart = null;      // { line, column } of the opening quote
+    let afterQuote = false;     // Just after a quoted value's closing quote
+
+    const endValue = () => {
+        values.push(value);
+        value = '';
+        afterQuote = false;
+    };
+    const endRow = () => {
+        endValue();
+        // A blank line reads as one empty value; it isn't a row
+        if (values.length > 1 || values[0] !== '') {
+            rows.push({ line: rowLine, values });
+        }
+        values = [];
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i += 2;
+                column += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+                afterQuote = true;
+            } else if (char === '\r' || char === '\n') {
+                // Line breaks inside quotes are part of the value (\r\n is kept as is)
+                value += char;
+                if (char === '\n' || text[i + 1] !== '\n') {
+                    line++;
+                    column = 0;
+                }
+            } else {
+                value += char;
+            }
+            i++;
+            column++;
+            continue;
+        }
+
+        if (char === delimiter) {
+            endValue();
+        } else if (char === '\r' || char === '\n') {
+            endRow();
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            line++;
+            column = 0;
+            rowLine = line;
+        } else if (char === '"' && value === '' && !afterQuote) {
+            quoted = true;
+            quoteStart = { line, column };
+        } else {
+            if (afterQuote) {
+                // e.g. "Halo" 2 - keep the text, but the file is probably malformed
+                errors.push({ message: `Unexpected "${char}" after a closing quote (expected "${delimiter === '\t' ? '\\t' : delimiter}" or the end of the line)`, line, column });
+                afterQuote = false;
+            }
+            // A quote in the middle of a plain value (like 12" Single) is kept as is
+            value += char;
+        }
+        i++;
+        column++;
+    }
+
+    if (quoted) {
+        errors.push({ message: 'Quoted value is never closed', line: quoteStart.line, column: quoteStart.column });
+    }
+    if (value !== '' || values.length > 0 || afterQuote) {
+        endRow();
+    }
+
+    return { rows, delimiter, errors };
+}
+
+/**
+ * Protect text that a spreadsheet would run as a formula
+ * @param {string} text - Value to write
+ * @returns {string} - The text, with a ' in front if it starts with = + - @ tab or \r
+ */
+function escapeFormula(text) {
+    return FORMULA_PATTERN.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo escapeFormula on a value read from a CSV file
+ * @param {string} text - Value as read
+ * @returns {string} - The original text
+ */
+function unescapeFormula(text) {
+    return ESCAPED_FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Turn one value into CSV text
+ * Numbers are written as they are (so -5 stays a number); other values are
+ * protected against formulas and quoted when needed.
+ * @param {*} value - Value to write (null and undefined become an empty value)
+ * @param {string} delimiter - Delimiter of the file
+ * @returns {string} - CSV text for the value
+ */
+function formatValue(value, delimiter = ',') {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'number' ? String(value) : escapeFormula(String(value));
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Write rows of values as CSV text
+ * Rows end in \r\n, as RFC 4180 asks (every spreadsheet reads that).
+ * @param {Array} rows - Array of arrays of values (the first is usually the header row)
+ * @param {Object} options - { delimiter (default ","), byteOrderMark (default false) }
+ * @returns {string} - CSV text
+ */
+function formatCSV(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const text = rows
+        .map(row => row.map(value => formatValue(value, delimiter)).join(delimiter))
+        .join('\r\n');
+    return options.byteOrderMark ? BYTE_ORDER_MARK + text : text;
+}
+
+/**
+ * Format a parse error for the user
+ * @param {Object} error - { message, line, column } from parseCSV
+ * @returns {string} - e.g. "Line 4, column 12: Quoted value is never closed"
+ */
+function formatError(error) {
+    return `Line ${error.line}, column ${error.column}: ${error.message}`;
+}
+
+module.exports = {
+    DELIMITERS,
+    detectDelimiter,
+    parseCSV,
+    escapeFormula,
+    unescapeFormula,
+    formatValue,
+    formatCSV,
+    formatError,
+};
@@ -0,0 +1,256 @@
+/**
+ * Managed Image Library
+ *
+ * Item images are copied into an "images" folder inside the app's user data
+ * directory, so moving or deleting the original (e.g. clearing out Downloads)
+ * doesn't break the catalog.
+ *
+ * For junior developers:
+ * - Each file is named after a hash of its contents (e.g. "3f2a...9c.jpg")
+ * - Picking the same picture twice gives the same name, so it is only stored once,
+ *   and several items can share one file
+ * - Only files in this folder are ever deleted by the app (see removeUnusedImages
+ *   in db/repo.js); pictures elsewhere on disk are never touched
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const IMAGES_DIR_NAME = 'images';
+
+// File types accepted as item images (without the dot)
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'];
+
+let imagesDir = null;
+
+/**
+ * Set up the image folder inside the user data directory
+ * @param {string} userDataPath - Path to the user's app data directory
+ */
+function initImageLibrary(userDataPath) {
+    imagesDir = path.join(userDataPath, IMAGES_DIR_NAME);
+    fs.mkdirSync(imagesDir, { recursive: true });
+}
+
+/**
+ * Get the folder managed images are stored in
+ * @returns {string|null} - Folder path (null before initImageLibrary)
+ */
+function getImagesDir() {
+    return imagesDir;
+}
+
+/**
+ * Check whether an image file lives in the managed image folder
+ * @param {string} imagePath - Path stored in media.image
+ * @returns {boolean} - True if the app manages (and may delete) the file
+ */
+function isManagedImage(imagePath) {
+    if (!imagePath || !imagesDir) {
+        return false;
+    }
+    return path.resolve(imagePath).startsWith(imagesDir + path.sep);
+}
+
+/**
+ * Check whether a file has one of the IMAGE_EXTENSIONS
+ * @param {string} filePath - File path or name
+ * @returns {boolean} - True if the app accepts the file as an item image
+ */
+function hasImageExtension(filePath) {
+    return IMAGE_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+/**
+ * Copy an image into the library (unless it is already there)
+ * @param {string} sourcePath - Path of the picture to store
+ * @returns {string} - Path of the managed copy
+ * @throws {Error} - If the file isn't an image type or can't be read (e.g. it no longer exists)
+ */
+function importImage(sourcePath) {
+    if (isManagedImage(sourcePath)) {
+        return path.resolve(sourcePath);
+    }
+    if (!hasImageExtension(sourcePath)) {
+        throw new Error(`${sourcePath} is not a supported image file`);
+    }
+    return storeImageData(fs.readFileSync(sourcePath), path.extname(sourcePath));
+}
+
+/**
+ * Work out where image data is (or would be) stored in the library
+ * @param {Buffer} contents - The image file's bytes
+ * @param {string} extension - File extension including the dot (e.g. ".png")
+ * @returns {string} - Path of the managed file
+ */
+function getLibraryPath(contents, extension) {
+    return path.join(imagesDir, `${hashContents(contents)}${extension.toLowerCase()}`);
+}
+
+/**
+ * Save image data (e.g. a pasted screenshot) into the library
+ * @param {Buffer} contents - The image file's bytes
+ * @param {string} extension - File extension including the dot (e.g. ".png")
+ * @returns {string} - Path of the managed file
+ */
+function storeImageData(contents, extension) {
+    const target = getLibraryPath(contents, extension);
+
+    // Same contents, same name: the file is already in the library
+    if (!fs.existsSync(target)) {
+        // Write to a temporary name first so a crash never leaves half a file
+        // under the final name (which would look like a valid copy next time)
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, contents);
+        fs.renameSync(temp, target);
+    }
+    return target;
+}
+
+/**
+ * Delete a managed image file
+ * Files outside the library are never deleted.
+ * @param {string} imagePath - Path of the image
+ * @returns {boolean} - True if a file was deleted
+ */
+function deleteImage(imagePath) {
+    if (!isManagedImage(imagePath)) {
+        return false;
+    }
+    try {
+        fs.unlinkSync(imagePath);
+        return true;
+    } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return false;
+    }
+}
+
+/**
+ * List the files in the managed image folder
+ * @returns {Array} - [{ path, size, modified }] (modified is an ISO date string)
+ */
+function listImageFiles() {
+    return fs.readdirSync(imagesDir, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => {
+            const filePath = path.join(imagesDir, entry.name);
+            const stat = fs.statSync(filePath);
+            return { path: filePath, size: stat.size, modified: stat.mtime.toISOString() };
+        });
+}
+
+/**
+ * Work out the SHA-256 hash of some data (e.g. a file already read into memory)
+ * @param {Buffer} contents - The data
+ * @returns {string} - Hex digest (the same as a managed file's name)
+ */
+function hashContents(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Work out the SHA-256 hash of a file's contents
+ * The file is read in chunks, so large pictures don't have to fit in memory.
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} - Hex digest (the same as a managed file's name)
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Look for missing images in a folder (and its subfolders)
+ *
+ * A file matches when it has the same name as the missing one. Managed files
+ * are named after their contents, so a missing managed image also matches any
+ * file with the same contents, whatever it is called now.
+ *
+ * @param {Array} missingPaths - Paths of images that no longer exist
+ * @param {string} folder - Folder to search
+ * @param {Array} extensions - Image file extensions to look at (without the dot)
+ * @returns {Promise<Array>} - [{ path, replacement, match }] where match is "name" or "hash"
+ */
+async function findReplacementImages(missingPaths, folder, extensions) {
+    const byName = new Map();   // Lower-case file name -> first file found with that name
+    const candidates = [];
+    const pending = [folder];
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            // Folders we aren't allowed to read are skipped
+            continue;
+        }
+        for (const entry of entries) {
+            const filePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(filePath);
+            } else if (entry.isFile() && extensions.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+                candidates.push(filePath);
+                const name = entry.name.toLowerCase();
+                if (!byName.has(name)) {
+                    byName.set(name, filePath);
+                }
+            }
+        }
+    }
+    
+    const matches = [];
+    const byHash = new Map();   // Content hash -> missing managed image paths still unmatched
+    for (const missingPath of new Set(missingPaths)) {
+        const name = path.basename(missingPath).toLowerCase();
+        const hash = path.parse(name).name;
+        if (byName.has(name)) {
+            matches.push({ path: missingPath, replacement: byName.get(name), match: 'name' });
+        } else if (isManagedImage(missingPath) && /^[0-9a-f]{64}$/.test(hash)) {
+            byHash.set(hash, [...(byHash.get(hash) || []), missingPath]);
+        }
+    }
+    
+    // Hashing reads every file, so it only happens when name matching wasn't enough
+    for (const filePath of candidates) {
+        if (byHash.size === 0) {
+            break;
+        }
+        let hash;
+        try {
+            hash = await hashFile(filePath);
+        } catch (error) {
+            continue;
+        }
+        for (const missingPath of byHash.get(hash) || []) {
+            matches.push({ path: missingPath, replacement: filePath, match: 'hash' });
+        }
+        byHash.delete(hash);
+    }
+    return matches;
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    initImageLibrary,
+    getImagesDir,
+    isManagedImage,
+    hasImageExtension,
+    importImage,
+    getLibraryPath,
+    storeImageData,
+    deleteImage,
+    listImageFiles,
+    hashContents,
+    hashFile,
+    findReplacementImages,
+};
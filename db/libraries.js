@@ -0,0 +1,205 @@
+/**
+ * Goodreads and LibraryThing Exports
+ *
+ * Turns the library exports of Goodreads (CSV) and LibraryThing (tab-separated
+ * or CSV) into rows with catalog columns, so they can be imported like any
+ * other file (see readImportFile in db/repo.js):
+ *
+ *   Goodreads:     Title, Author, ISBN13, My Rating, Bookshelves, My Review, ...
+ *   becomes:       Title, Author, ISBN/SKU, Rating, Notes, Type (always "book"), ...
+ *
+ * - The author goes into the Brand field (the maker of the item)
+ * - Shelves, tags and collections are listed at the end of the notes
+ *   ("Shelves: read, favorites"), so they can be searched
+ * - Books that weren't rated have a rating of 0 in both exports; they get no rating.
+ *   LibraryThing also has half stars; half a star becomes 1, the lowest rating here
+ *
+ * For junior developers:
+ * - This file has no database access; it only works with column names and values
+ * - Goodreads writes ISBNs as ="0441172717" so spreadsheets keep the leading
+ *   zero; LibraryThing writes [0441172717]. normalizeISBN takes the wrapping off
+ * - ISBN-10s are converted to ISBN-13s (978 + the first 9 digits + a new check
+ *   digit), so the same book matches whichever of the two a file has
+ */
+
+// Columns of the converted rows (names the import matches to fields by themselves)
+const LIBRARY_COLUMNS = ['Title', 'Author', 'ISBN/SKU', 'Rating', 'Quantity', 'Notes', 'Type', 'Date Added'];
+
+// Where each service keeps what we import. A file is recognized by its
+// signature columns; lists of columns are tried (or combined) in order.
+const LIBRARY_SOURCES = [
+    {
+        name: 'Goodreads',
+        signature: ['Book Id', 'Exclusive Shelf'],
+        title: 'Title',
+        authors: ['Author', 'Additional Authors'],
+        isbns: ['ISBN13', 'ISBN'],
+        rating: 'My Rating',
+        copies: 'Owned Copies',
+        notes: ['My Review', 'Private Notes'],
+        shelves: ['Exclusive Shelf', 'Bookshelves'],
+        dateAdded: 'Date Added',
+    },
+    {
+        name: 'LibraryThing',
+        signature: ['Primary Author', 'Entry Date'],
+        title: 'Title',
+        authors: ['Primary Author', 'Secondary Author'],
+        isbns: ['ISBNs', 'ISBN'],
+        rating: 'Rating',
+        copies: 'Copies',
+        notes: ['Review', 'Comment', 'Private Comment'],
+        shelves: ['Tags', 'Collections'],
+        dateAdded: 'Entry Date',
+    },
+];
+
+/**
+ * Make a column name comparable (case and surrounding spaces don't matter)
+ * @param {string} name - Column name
+ * @returns {string} - Normalized name
+ */
+function normalizeHeader(name) {
+    return String(name).trim().toLowerCase();
+}
+
+/**
+ * Find the service a file was exported from
+ * @param {Array} columns - The file's column names
+ * @returns {Object|null} - Entry of LIBRARY_SOURCES, or null for other files
+ */
+function detectLibraryExport(columns) {
+    const names = new Set(columns.map(normalizeHeader));
+    return LIBRARY_SOURCES.find(source => source.signature.every(column => names.has(normalizeHeader(column)))) || null;
+}
+
+/**
+ * Check the check digit of an ISBN-10
+ * @param {string} isbn - 10 characters: 9 digits and a digit or X
+ * @returns {boolean} - True if the check digit is right
+ */
+function isValidISBN10(isbn) {
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        sum += (10 - i) * (isbn[i] === 'X' ? 10 : Number(isbn[i]));
+    }
+    return sum % 11 === 0;
+}
+
+/**
+ * Work out the check digit of an ISBN-13
+ * @param {string} digits - The first 12 digits
+ * @returns {string} - The 13th digit
+ */
+function isbn13CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Clean up an ISBN from an export
+ * Takes off ="..." and [...] wrapping, dashes and spaces; a valid ISBN-10 is
+ * converted to its ISBN-13.
+ * @param {*} value - e.g. '="0441172717"', '[0-441-17271-7]' or '9780441172719'
+ * @returns {string} - e.g. "9780441172719" ('' when there is none)
+ */
+function normalizeISBN(value) {
+    const isbn = unwrapValue(value).replace(/[[\]\s-]/g, '').toUpperCase();
+    if (/^\d{9}[\dX]$/.test(isbn) && isValidISBN10(isbn)) {
+        const digits = `978${isbn.slice(0, 9)}`;
+        return digits + isbn13CheckDigit(digits);
+    }
+    return isbn;
+}
+
+/**
+ * Take off the ="..." Goodreads puts around values so spreadsheets treat them as text
+ * @param {*} value - Value from the file
+ * @returns {string} - The value inside (trimmed)
+ */
+function unwrapValue(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    const match = text.match(/^="(.*)"$/s);
+    return match ? match[1].trim() : text;
+}
+
+/**
+ * Read a date like "2023/01/15" (Goodreads) or "2023-01-15" (LibraryThing)
+ * @param {string} value - Date from the file
+ * @returns {string|null} - "YYYY-MM-DD", or null if there is no date
+ */
+function normalizeDate(value) {
+    const match = unwrapValue(value).match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+    return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : null;
+}
+
+/**
+ * Turn the notes of a review into plain text (Goodreads reviews contain <br/> tags)
+ * @param {string} text - Review or note
+ * @returns {string} - Plain text
+ */
+function plainText(text) {
+    return text.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim();
+}
+
+/**
+ * Convert one row of an export into LIBRARY_COLUMNS values
+ * @param {Object} source - Entry of LIBRARY_SOURCES (from detectLibraryExport)
+ * @param {Array} columns - The file's column names
+ * @param {Array} values - The row's values, lined up with columns
+ * @returns {Array} - Values lined up with LIBRARY_COLUMNS (null where there is nothing)
+ */
+function convertLibraryRow(source, columns, values) {
+    const indexes = new Map(columns.map((column, index) => [normalizeHeader(column), index]).reverse());
+    const get = (column) => {
+        const index = indexes.get(normalizeHeader(column));
+        return index === undefined ? '' : unwrapValue(values[index]);
+    };
+    const list = (text) => text.split(',').map(part => part.trim()).filter(Boolean);
+    const number = (text) => {
+        const parsed = Number(text);
+        return text !== '' && Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+    };
+    const rating = (text) => {
+        const stars = number(text);
+        return stars === null ? null : Math.min(5, Math.max(1, stars));
+    };
+
+    // Authors can be "Last, First", so they aren't split at commas
+    const authors = [...new Set(source.authors.map(get).filter(Boolean))];
+
+    // LibraryThing's ISBNs column can list several; an ISBN-13 is preferred
+    const isbns = source.isbns
+        .flatMap(column => get(column).split(/[,;]/))
+        .map(normalizeISBN)
+        .filter(Boolean);
+    const isbn = isbns.find(value => /^\d{13}$/.test(value)) || isbns[0];
+
+    const shelves = [...new Set(source.shelves.flatMap(column => list(get(column))))];
+    const notes = source.notes.map(column => plainText(get(column))).filter(Boolean);
+    if (shelves.length > 0) {
+        notes.push(`Shelves: ${shelves.join(', ')}`);
+    }
+
+    return [
+        get(source.title) || null,
+        authors.join(', ') || null,
+        isbn || null,
+        rating(get(source.rating)),
+        number(get(source.copies)),
+        notes.join('\n\n') || null,
+        'book',
+        normalizeDate(get(source.dateAdded)),
+    ];
+}
+
+module.exports = {
+    LIBRARY_COLUMNS,
+    LIBRARY_SOURCES,
+    detectLibraryExport,
+    convertLibraryRow,
+    normalizeISBN,
+};
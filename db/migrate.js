@@ -0,0 +1,150 @@
+/**
+ * Database Migration Runner
+ *
+ * This module upgrades the database schema from one version to the next.
+ * Each schema change lives in its own numbered SQL file in db/migrations/
+ * (for example "002_add_purchase_date.sql"). The number is the schema version
+ * that the file upgrades the database to.
+ *
+ * For junior developers:
+ * - SQLite has a built-in integer called "user_version" stored in the database file
+ * - We use it to remember which migrations have already been applied
+ * - Migrations run in order, each one inside its own transaction, so a failing
+ *   migration leaves the database exactly as it was before that step
+ * - Never edit a migration that has already shipped; add a new file instead
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files must look like "001_description.sql"
+const MIGRATION_FILE_PATTERN = /^(\d+)_.+\.sql$/;
+
+/**
+ * Read the list of available migrations from the migrations folder
+ * @returns {Array} - Array of { version, name, file } sorted by version
+ */
+function getMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(name => {
+            const match = name.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                return null;
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name,
+                file: path.join(MIGRATIONS_DIR, name),
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+
+    // Two files with the same number would make the upgrade order ambiguous
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ` +
+                `${migrations[i - 1].name} and ${migrations[i].name}`);
+        }
+    }
+
+    return migrations;
+}
+
+/**
+ * Get the newest schema version this build of the app knows about
+ * @returns {number} - Latest migration version (0 if there are none)
+ */
+function getLatestVersion() {
+    const migrations = getMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Get the schema version stored in the database file
+ * @param {Object} db - better-sqlite3 database connection
+ * @returns {number} - The current user_version
+ */
+function getSchemaVersion(db) {
+    return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Copy the database file before upgrading it
+ * The copy sits next to the original, e.g. "media-catalog.db.v1-20250101T120000.bak"
+ * @param {string} dbPath - Path to the database file
+ * @param {number} fromVersion - Schema version of the file being copied
+ * @returns {string} - Path to the backup file
+ */
+function backupDatabase(dbPath, fromVersion) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    const backupPath = `${dbPath}.v${fromVersion}-${timestamp}.bak`;
+    fs.copyFileSync(dbPath, backupPath);
+    return backupPath;
+}
+
+/**
+ * Bring the database schema up to date
+ * @param {Object} db - better-sqlite3 database connection
+ * @param {Object} options - Migration options
+ * @param {string} options.dbPath - Path to the database file (used for the backup copy)
+ * @param {boolean} options.isNewDatabase - True if the file was just created (skips the backup)
+ * @returns {Object} - { fromVersion, toVersion, applied, backupPath }
+ */
+function runMigrations(db, options = {}) {
+    const migrations = getMigrations();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const currentVersion = getSchemaVersion(db);
+
+    // A newer app has already upgraded this file. Opening it here could
+    // silently drop or corrupt data the newer schema relies on.
+    if (currentVersion > latestVersion) {
+        throw new Error(`This catalog was created by a newer version of the app ` +
+            `(schema version ${currentVersion}, this version supports up to ${latestVersion}). ` +
+            `Please update the app to open it.`);
+    }
+
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+        return { fromVersion: currentVersion, toVersion: currentVersion, applied: [], backupPath: null };
+    }
+
+    // Keep a copy of the existing catalog in case an upgrade goes wrong
+    let backupPath = null;
+    if (options.dbPath && !options.isNewDatabase) {
+        backupPath = backupDatabase(options.dbPath, currentVersion);
+        console.log(`Database backed up to ${backupPath}`);
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+        const sql = fs.readFileSync(migration.file, 'utf8');
+
+        // The SQL and the version bump commit together or not at all
+        const apply = db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${migration.version}`);
+        });
+
+        try {
+            apply();
+        } catch (error) {
+            throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+        }
+
+        applied.push(migration.name);
+        console.log(`Applied migration ${migration.name}`);
+    }
+
+    return { fromVersion: currentVersion, toVersion: latestVersion, applied, backupPath };
+}
+
+module.exports = {
+    getMigrations,
+    getLatestVersion,
+    getSchemaVersion,
+    backupDatabase,
+    runMigrations,
+};
@@ -1,6 +1,10 @@
--- Media Catalog Database Schema
+-- Migration 001: Initial schema
 -- This schema defines the unified media table for cataloging various collectible items
 -- Designed for junior developers: each field is documented with its purpose
+--
+-- This file uses IF NOT EXISTS so it is safe to run against catalogs created
+-- before migrations existed (those databases have user_version = 0 but already
+-- contain the media table).
 
 -- Create the media table with all required fields
 CREATE TABLE IF NOT EXISTS media (
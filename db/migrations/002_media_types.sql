@@ -0,0 +1,56 @@
+-- Migration 002: User-defined media types
+-- Moves the list of media types out of the HTML and into the database so users
+-- can add their own types, each with its own set of custom fields.
+
+-- One row per media type (e.g. "video_game", "coin")
+CREATE TABLE media_types (
+    key TEXT PRIMARY KEY,                   -- Stored in media.type (e.g. "trading_card")
+    name TEXT NOT NULL,                     -- Display name shown in the UI (e.g. "Trading Card")
+    icon TEXT,                              -- Font Awesome icon class (e.g. "fa-gamepad")
+    sort_order INTEGER DEFAULT 0,           -- Position in dropdowns
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Custom fields that belong to a media type
+-- A field whose key matches a media column ("size", "system") is stored in that
+-- column; every other field is stored in media.custom_fields as JSON.
+CREATE TABLE media_type_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type_key TEXT NOT NULL REFERENCES media_types(key) ON DELETE CASCADE ON UPDATE CASCADE,
+    field_key TEXT NOT NULL,                -- Key used in storage and import/export (e.g. "mint_mark")
+    label TEXT NOT NULL,                    -- Label shown in the UI (e.g. "Mint Mark")
+    kind TEXT NOT NULL CHECK (kind IN ('text', 'number', 'date', 'enum', 'boolean')),
+    required INTEGER DEFAULT 0,             -- 1 = a value must be provided
+    options TEXT,                           -- JSON array of allowed values (enum fields only)
+    sort_order INTEGER DEFAULT 0,           -- Position in the form
+    UNIQUE (type_key, field_key)
+);
+
+CREATE INDEX idx_media_type_fields_type ON media_type_fields(type_key);
+
+-- Values for custom fields, stored as a JSON object (e.g. {"year": 1921, "mint_mark": "D"})
+ALTER TABLE media ADD COLUMN custom_fields TEXT;
+
+-- Seed the types that used to be hardcoded in src/index.html
+INSERT INTO media_types (key, name, icon, sort_order) VALUES
+    ('video_game', 'Video Game', 'fa-gamepad', 1),
+    ('dvd', 'DVD', 'fa-compact-disc', 2),
+    ('bluray', 'Blu-ray', 'fa-compact-disc', 3),
+    ('board_game', 'Board Game', 'fa-chess-board', 4),
+    ('record', 'Record', 'fa-record-vinyl', 5),
+    ('comic_book', 'Comic Book', 'fa-book-open', 6),
+    ('book', 'Book', 'fa-book', 7),
+    ('funko_pop', 'Funko Pop', 'fa-user', 8),
+    ('sneakers', 'Sneakers', 'fa-shoe-prints', 9),
+    ('coin', 'Coin', 'fa-coins', 10),
+    ('trading_card', 'Trading Card', 'fa-layer-group', 11);
+
+-- The old show/hide rules (system for video games, size for sneakers) become fields
+INSERT INTO media_type_fields (type_key, field_key, label, kind, required, options, sort_order) VALUES
+    ('video_game', 'system', 'System', 'text', 0, NULL, 1),
+    ('sneakers', 'size', 'Size', 'text', 0, NULL, 1),
+    ('coin', 'year', 'Year', 'number', 0, NULL, 1),
+    ('coin', 'mint_mark', 'Mint Mark', 'text', 0, NULL, 2),
+    ('trading_card', 'set', 'Set', 'text', 0, NULL, 1),
+    ('trading_card', 'card_number', 'Card Number', 'text', 0, NULL, 2);
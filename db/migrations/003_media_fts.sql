@@ -0,0 +1,40 @@
+-- Migration 003: Full-text search
+-- Adds an FTS5 index over the searchable text columns of media so searches can
+-- use an index, match word prefixes and phrases, and be ranked by relevance (bm25).
+
+-- "External content" FTS table: it stores only the search index and reads the
+-- actual text from the media table (content_rowid links media_fts.rowid to media.id).
+-- remove_diacritics lets "pokemon" match "Pokémon".
+CREATE VIRTUAL TABLE media_fts USING fts5(
+    title,
+    description,
+    isbn_sku,
+    brand,
+    system,
+    content = 'media',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Triggers keep the index in sync with the media table.
+-- External content tables are updated by deleting the old values and inserting
+-- the new ones; the special 'delete' command removes a row from the index.
+CREATE TRIGGER media_fts_after_insert AFTER INSERT ON media BEGIN
+    INSERT INTO media_fts (rowid, title, description, isbn_sku, brand, system)
+    VALUES (new.id, new.title, new.description, new.isbn_sku, new.brand, new.system);
+END;
+
+CREATE TRIGGER media_fts_after_delete AFTER DELETE ON media BEGIN
+    INSERT INTO media_fts (media_fts, rowid, title, description, isbn_sku, brand, system)
+    VALUES ('delete', old.id, old.title, old.description, old.isbn_sku, old.brand, old.system);
+END;
+
+CREATE TRIGGER media_fts_after_update AFTER UPDATE OF title, description, isbn_sku, brand, system ON media BEGIN
+    INSERT INTO media_fts (media_fts, rowid, title, description, isbn_sku, brand, system)
+    VALUES ('delete', old.id, old.title, old.description, old.isbn_sku, old.brand, old.system);
+    INSERT INTO media_fts (rowid, title, description, isbn_sku, brand, system)
+    VALUES (new.id, new.title, new.description, new.isbn_sku, new.brand, new.system);
+END;
+
+-- Index every item that already exists
+INSERT INTO media_fts (media_fts) VALUES ('rebuild');
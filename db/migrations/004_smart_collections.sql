@@ -0,0 +1,12 @@
+-- Migration 004: Smart collections
+-- A smart collection is a saved set of catalog filters with a name. Opening it
+-- restores the filters, so the items it shows are always up to date.
+
+CREATE TABLE smart_collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,                     -- Shown in the sidebar (e.g. "Switch games rated 4+")
+    filters TEXT NOT NULL,                  -- JSON of the getAllMedia options (search, type, minRating, ...)
+    sort_order INTEGER DEFAULT 0,           -- Position in the sidebar
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,14 @@
+-- Migration 005: Sortable titles
+-- Sorting by title ignores case, accents and a leading "The"/"A"/"An", and
+-- compares numbers by value ("Zelda 2" before "Zelda 10"). Working that out for
+-- every row on every query is too slow for large catalogs, so the sort key is
+-- stored next to the title and indexed. The app keeps it up to date when items
+-- are created or edited (see insertMedia/updateMedia in db/repo.js).
+
+ALTER TABLE media ADD COLUMN title_sort TEXT;
+
+-- sort_title() is a JavaScript function registered by db/repo.js before migrations run
+UPDATE media SET title_sort = sort_title(title);
+
+-- Matches the default catalog query: not deleted, ordered by title
+CREATE INDEX idx_media_title_sort ON media(deleted, title_sort, id);
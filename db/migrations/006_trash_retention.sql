@@ -0,0 +1,19 @@
+-- Migration 006: Trash retention
+-- Items in the trash are purged automatically once they have been there longer
+-- than the retention period (checked when the app starts). That needs to know
+-- when each item was deleted, and somewhere to keep the chosen period.
+
+ALTER TABLE media ADD COLUMN deleted_at DATETIME;      -- When the item was moved to the trash (NULL if not deleted)
+
+-- We don't know when items already in the trash were deleted, so start their
+-- clock now rather than purging them the first time the upgraded app starts
+UPDATE media SET deleted_at = CURRENT_TIMESTAMP WHERE deleted = 1;
+
+-- App settings that belong with the catalog (not with one computer's window state)
+CREATE TABLE settings (
+    key TEXT PRIMARY KEY,                   -- Setting name (e.g. "trash_retention_days")
+    value TEXT                              -- JSON-encoded value
+);
+
+-- Purge items after 30 days in the trash by default (0 keeps them forever)
+INSERT INTO settings (key, value) VALUES ('trash_retention_days', '30');
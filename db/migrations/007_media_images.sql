@@ -0,0 +1,23 @@
+-- Migration 007: Multiple images per item
+-- Items can have any number of images (front, back, spine, defects, ...), each
+-- with an optional caption. One of them is the cover shown on catalog cards.
+--
+-- media.image still holds the cover's path, so everything that only needs one
+-- picture (cards, has:image searches, CSV export) keeps working. The app keeps
+-- the two in step (see setMediaImages in db/repo.js).
+
+CREATE TABLE media_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+    path TEXT NOT NULL,                     -- Image file (normally in the managed image library)
+    caption TEXT,                           -- Optional note, e.g. "Back of box" or "Scratch on disc"
+    sort_order INTEGER NOT NULL DEFAULT 0,  -- Position in the item's gallery
+    is_cover INTEGER NOT NULL DEFAULT 0,    -- 1 for the image shown on the item's card
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_media_images_media ON media_images(media_id, sort_order);
+
+-- Existing images become each item's first (and cover) image
+INSERT INTO media_images (media_id, path, sort_order, is_cover)
+SELECT id, image, 0, 1 FROM media WHERE image IS NOT NULL AND image != '';
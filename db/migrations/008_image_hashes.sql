@@ -0,0 +1,14 @@
+-- Migration 008: Perceptual image hashes
+-- Used by the "possible duplicates" report. A perceptual hash is a short
+-- fingerprint of what a picture looks like, so two photos of the same thing
+-- (or the same photo saved twice) have hashes that differ in only a few bits.
+--
+-- Hashes are worked out in the main process the first time the report needs
+-- them and kept here so later reports are quick. A hash is thrown away when
+-- the file's modified time changes (see electron/phash.js).
+
+CREATE TABLE image_hashes (
+    path TEXT PRIMARY KEY,                  -- Image file the hash belongs to
+    modified_ms REAL NOT NULL,              -- File's modified time when it was hashed
+    hash TEXT NOT NULL                      -- 64-bit hash as 16 hex digits
+);
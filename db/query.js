@@ -0,0 +1,481 @@
+/**
+ * Search Query Parser
+ *
+ * This module understands the query syntax typed into the catalog search box
+ * and turns it into SQL conditions for getAllMedia in db/repo.js.
+ *
+ * Examples:
+ *   mario                      free text (full-text search, prefix match)
+ *   "super mario"              exact phrase
+ *   type:comic_book            field filter
+ *   brand:"Marvel Comics"      quoted value with spaces
+ *   rating>=4 qty>1            numeric comparisons
+ *   added:2025                 created in 2025 (also 2025-03 or 2025-03-14)
+ *   -system:PS4                leading "-" excludes matches
+ *   has:image                  field is not empty
+ *   mint_mark:D                custom fields from the type registry work too
+ *
+ * For junior developers:
+ * - This file has no database access; it only works with strings, so it is easy to test
+ * - User values are never pasted into SQL. Every value becomes a "?" parameter
+ * - Column names in the SQL only ever come from the field tables below
+ */
+
+// Fields that every item has. "kind" decides which operators and values are allowed.
+const BUILTIN_FIELDS = {
+    title: { column: 'media.title', kind: 'text' },
+    description: { column: 'media.description', kind: 'text' },
+    type: { column: 'media.type', kind: 'type' },
+    isbn: { column: 'media.isbn_sku', kind: 'text' },
+    brand: { column: 'media.brand', kind: 'text' },
+    system: { column: 'media.system', kind: 'text' },
+    size: { column: 'media.size', kind: 'text' },
+    rating: { column: 'media.rating', kind: 'number' },
+    quantity: { column: 'media.quantity', kind: 'number' },
+    added: { column: 'media.created_at', kind: 'date' },
+    updated: { column: 'media.updated_at', kind: 'date' },
+    image: { column: 'media.image', kind: 'text' },
+    has: { column: null, kind: 'has' },
+};
+
+// Other names people naturally type for the same fields
+const FIELD_ALIASES = {
+    qty: 'quantity',
+    sku: 'isbn',
+    isbn_sku: 'isbn',
+    desc: 'description',
+    platform: 'system',
+    created: 'added',
+};
+
+// Operators, longest first so ">=" is found before ">"
+const OPERATORS = ['>=', '<=', ':', '=', '>', '<'];
+
+// Which operators each kind of field accepts
+const KIND_OPERATORS = {
+    text: [':', '='],
+    type: [':', '='],
+    enum: [':', '='],
+    boolean: [':', '='],
+    has: [':'],
+    number: OPERATORS,
+    date: OPERATORS,
+};
+
+const CLAUSE_PATTERN = /^([a-z_][a-z0-9_]*)(>=|<=|:|=|>|<)([\s\S]*)$/i;
+
+/**
+ * Turn free text into an FTS5 query
+ * - Plain words match as prefixes ("mar" finds "Mario" and "Marvel")
+ * - "Quoted text" matches the exact phrase
+ * - All terms must match (AND)
+ * Every term is wrapped in double quotes so characters like - : ( ) are never
+ * treated as FTS5 operators.
+ * @param {string} search - Free text from the search box
+ * @returns {string|null} - The FTS5 query, or null if there's nothing to search for
+ */
+function buildSearchQuery(search) {
+    const terms = [];
+    // Either a quoted phrase (closing quote optional while typing) or a bare word
+    const tokenPattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(search)) !== null) {
+        if (match[1] !== undefined) {
+            const phrase = match[1].trim();
+            if (phrase && /[\p{L}\p{N}]/u.test(phrase)) {
+                terms.push(`"${phrase}"`);
+            }
+        } else {
+            // A trailing * is accepted but not required; bare words are always prefixes
+            const word = match[2].replace(/\*+$/, '').replace(/"/g, '""');
+            if (/[\p{L}\p{N}]/u.test(word)) {
+                terms.push(`"${word}"*`);
+            }
+        }
+    }
+
+    return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Split the search box text into tokens, keeping "quoted parts" together
+ * @param {string} text - The raw query
+ * @returns {Array} - Array of { raw, start, end }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+        const start = i;
+        let inQuotes = false;
+        while (i < text.length && (inQuotes || !/\s/.test(text[i]))) {
+            if (text[i] === '"') {
+                inQuotes = !inQuotes;
+            }
+            i++;
+        }
+        tokens.push({ raw: text.slice(start, i), start, end: i });
+    }
+
+    return tokens;
+}
+
+/**
+ * Remove surrounding quotes from a value ("Marvel Comics" -> Marvel Comics)
+ */
+function unquote(value) {
+    const match = value.match(/^"([^"]*)"?$/);
+    return match ? match[1] : value;
+}
+
+/**
+ * Build a LIKE pattern that finds text anywhere in a value
+ * % and _ are wildcards in LIKE, so they (and the escape character) are
+ * escaped to match literally; use the pattern with ESCAPE '\'.
+ * @param {string} text - Text to look for (e.g. "100%")
+ * @returns {string} - The pattern (e.g. "%100\%%")
+ */
+function containsPattern(text) {
+    return `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Build the lookup of every field name the query can use
+ * @param {Object} context - { types, customFields } from the type registry
+ * @returns {Object} - Field definitions keyed by name
+ */
+function getFieldDefinitions(context = {}) {
+    const fields = { ...BUILTIN_FIELDS };
+    for (const field of context.customFields || []) {
+        if (fields[field.key] || FIELD_ALIASES[field.key]) {
+            continue;
+        }
+        fields[field.key] = {
+            // Keys come from the type registry, which only allows [a-z0-9_]
+            column: `json_extract(media.custom_fields, '$.${field.key}')`,
+            kind: ['number', 'date', 'enum', 'boolean'].includes(field.kind) ? field.kind : 'text',
+            options: field.options || [],
+            custom: true,
+        };
+    }
+    return fields;
+}
+
+/**
+ * Work out the date range a partial date covers
+ * "2025" -> 2025-01-01 up to 2026-01-01, "2025-03" -> 2025-03-01 up to 2025-04-01
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {Object|null} - { start, end } as YYYY-MM-DD strings (end is exclusive)
+ */
+function parseDateRange(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) {
+        return null;
+    }
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+    if ((month !== null && (month < 1 || month > 12)) || (day !== null && (day < 1 || day > 31))) {
+        return null;
+    }
+
+    const toDateString = (date) => date.toISOString().slice(0, 10);
+    let start;
+    let end;
+    if (day !== null) {
+        start = new Date(Date.UTC(year, month - 1, day));
+        if (start.getUTCMonth() !== month - 1) {
+            return null; // e.g. 2025-02-30
+        }
+        end = new Date(Date.UTC(year, month - 1, day + 1));
+    } else if (month !== null) {
+        start = new Date(Date.UTC(year, month - 1, 1));
+        end = new Date(Date.UTC(year, month, 1));
+    } else {
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year + 1, 0, 1));
+    }
+    return { start: toDateString(start), end: toDateString(end) };
+}
+
+/**
+ * Interpret a query value as a boolean
+ */
+function parseBooleanValue(value) {
+    const str = value.toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(str)) {
+        return true;
+    }
+    if (['false', 'no', 'n', '0'].includes(str)) {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Parse the text from the search box
+ * @param {string} text - The raw query (e.g. 'type:book rating>=4 "lord of the"')
+ * @param {Object} context - { types, customFields } from the type registry
+ * @returns {Object} - { text, excludedTerms, clauses, errors }
+ *   text: free text left over for full-text search
+ *   excludedTerms: free text terms that started with "-"
+ *   clauses: field filters ({ field, op, value, negate, start, end })
+ *   errors: problems to show the user ({ message, start, end })
+ */
+function parseQuery(text, context = {}) {
+    const fields = getFieldDefinitions(context);
+    const types = context.types || [];
+    const freeTerms = [];
+    const excludedTerms = [];
+    const clauses = [];
+    const errors = [];
+
+    for (const token of tokenize(text || '')) {
+        const negate = token.raw.length > 1 && token.raw.startsWith('-');
+        const body = negate ? token.raw.slice(1) : token.raw;
+        const match = body.match(CLAUSE_PATTERN);
+
+        if (!match) {
+            (negate ? excludedTerms : freeTerms).push(body);
+            continue;
+        }
+
+        const [, rawName, op, rawValue] = match;
+        const name = FIELD_ALIASES[rawName.toLowerCase()] || rawName.toLowerCase();
+        const field = fields[name];
+        const value = unquote(rawValue).trim();
+
+        if (!field) {
+            if (!value) {
+                // "Batman: Year One" - a colon at the end of a word is just text
+                (negate ? excludedTerms : freeTerms).push(body);
+            } else {
+                errors.push({
+                    message: `Unknown field "${rawName}" (put text in quotes to search for it)`,
+                    start: token.start,
+                    end: token.end,
+                });
+            }
+            continue;
+        }
+
+        const fail = (message) => errors.push({ message, start: token.start, end: token.end });
+
+        if (!KIND_OPERATORS[field.kind].includes(op)) {
+            fail(`"${rawName}" can't be used with ${op} (use ${KIND_OPERATORS[field.kind].join(' or ')})`);
+            continue;
+        }
+        if (!value) {
+            fail(`Missing value for "${rawName}"`);
+            continue;
+        }
+
+        const clause = { field: name, op, value, negate, start: token.start, end: token.end };
+
+        if (field.kind === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                fail(`"${rawName}" needs a number, not "${value}"`);
+                continue;
+            }
+            clause.value = number;
+        } else if (field.kind === 'date') {
+            const range = parseDateRange(value);
+            if (!range) {
+                fail(`"${rawName}" needs a date like 2025, 2025-03 or 2025-03-14`);
+                continue;
+            }
+            clause.value = range;
+        } else if (field.kind === 'type') {
+            const lower = value.toLowerCase();
+            const type = types.find(t => t.key === lower || t.name.toLowerCase() === lower);
+            if (!type) {
+                fail(`Unknown type "${value}"`);
+                continue;
+            }
+            clause.value = type.key;
+        } else if (field.kind === 'enum') {
+            const option = field.options.find(o => o.toLowerCase() === value.toLowerCase());
+            if (option === undefined) {
+                fail(`"${rawName}" must be one of: ${field.options.join(', ')}`);
+                continue;
+            }
+            clause.value = option;
+        } else if (field.kind === 'boolean') {
+            const bool = parseBooleanValue(value);
+            if (bool === null) {
+                fail(`"${rawName}" needs yes or no`);
+                continue;
+            }
+            clause.value = bool;
+        } else if (field.kind === 'has') {
+            const hasName = FIELD_ALIASES[value.toLowerCase()] || value.toLowerCase();
+            const hasField = fields[hasName];
+            if (!hasField || !hasField.column) {
+                fail(`Unknown field "${value}" for has:`);
+                continue;
+            }
+            clause.value = hasName;
+        }
+
+        clauses.push(clause);
+    }
+
+    return { text: freeTerms.join(' '), excludedTerms, clauses, errors };
+}
+
+/**
+ * Turn parsed clauses into SQL conditions with parameters
+ * @param {Object} parsed - Result of parseQuery
+ * @param {Object} context - The same context passed to parseQuery
+ * @returns {Object} - { conditions: Array of SQL strings, params: Array of values }
+ */
+function buildConditions(parsed, context = {}) {
+    const fields = getFieldDefinitions(context);
+    const conditions = [];
+    const params = [];
+
+    for (const clause of parsed.clauses) {
+        const field = fields[clause.field];
+        const column = field.column;
+        let condition;
+
+        if (field.kind === 'text') {
+            if (clause.op === '=') {
+                condition = `${column} = ? COLLATE NOCASE`;
+                params.push(clause.value);
+            } else {
+                condition = `${column} LIKE ? ESCAPE '\\'`;
+                params.push(containsPattern(clause.value));
+            }
+        } else if (field.kind === 'type' || field.kind === 'enum') {
+            condition = `${column} = ?`;
+            params.push(clause.value);
+        } else if (field.kind === 'boolean') {
+            condition = `${column} = ?`;
+            params.push(clause.value ? 1 : 0);
+        } else if (field.kind === 'number') {
+            const op = clause.op === ':' ? '=' : clause.op;
+            condition = `${column} ${op} ?`;
+            params.push(clause.value);
+        } else if (field.kind === 'date') {
+            const { start, end } = clause.value;
+            if (clause.op === ':' || clause.op === '=') {
+                condition = `(${column} >= ? AND ${column} < ?)`;
+                params.push(start, end);
+            } else if (clause.op === '>') {
+                condition = `${column} >= ?`;
+                params.push(end);
+            } else if (clause.op === '>=') {
+                condition = `${column} >= ?`;
+                params.push(start);
+            } else if (clause.op === '<') {
+                condition = `${column} < ?`;
+                params.push(start);
+            } else {
+                condition = `${column} < ?`;
+                params.push(end);
+            }
+        } else if (field.kind === 'has') {
+            const hasColumn = fields[clause.value].column;
+            condition = `(${hasColumn} IS NOT NULL AND ${hasColumn} != '')`;
+        }
+
+        // COALESCE so "-system:PS4" still includes items that have no system at all
+        conditions.push(clause.negate ? `NOT COALESCE(${condition}, 0)` : condition);
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * Suggest completions for the word the cursor is in
+ * @param {string} text - The raw query
+ * @param {number} cursor - Cursor position in the text
+ * @param {Object} context - { types, customFields, values: { brand: [...], system: [...], size: [...] } }
+ * @returns {Array} - Array of { label, insertText, start, end } (replace text[start..end] with insertText)
+ */
+function getSuggestions(text, cursor, context = {}) {
+    const fields = getFieldDefinitions(context);
+    const position = Math.max(0, Math.min(cursor ?? text.length, text.length));
+
+    // Find the word around the cursor
+    let start = position;
+    while (start > 0 && !/\s/.test(text[start - 1])) {
+        start--;
+    }
+    let end = position;
+    while (end < text.length && !/\s/.test(text[end])) {
+        end++;
+    }
+
+    const word = text.slice(start, position);
+    if (!word) {
+        return [];
+    }
+    const negate = word.startsWith('-') ? '-' : '';
+    const body = negate ? word.slice(1) : word;
+    const quote = (value) => (/[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+    const suggestions = [];
+
+    const match = body.match(CLAUSE_PATTERN);
+    if (match) {
+        // Suggest values for a field the user has started typing ("brand:Mar")
+        const [, rawName, op, rawValue] = match;
+        const name = FIELD_ALIASES[rawName.toLowerCase()] || rawName.toLowerCase();
+        const field = fields[name];
+        if (!field) {
+            return [];
+        }
+
+        let values = [];
+        if (field.kind === 'type') {
+            values = (context.types || []).map(type => ({ value: type.key, label: `${type.key} (${type.name})` }));
+        } else if (field.kind === 'enum') {
+            values = field.options.map(option => ({ value: option }));
+        } else if (field.kind === 'boolean') {
+            values = [{ value: 'yes' }, { value: 'no' }];
+        } else if (field.kind === 'has') {
+            values = Object.keys(fields).filter(key => fields[key].column).map(key => ({ value: key }));
+        } else {
+            values = ((context.values || {})[name] || []).map(value => ({ value: String(value) }));
+        }
+
+        const partial = unquote(rawValue).toLowerCase();
+        for (const { value, label } of values) {
+            if (value.toLowerCase().includes(partial)) {
+                suggestions.push({
+                    label: `${rawName}${op}${label || value}`,
+                    insertText: `${negate}${rawName}${op}${quote(value)} `,
+                    start,
+                    end,
+                });
+            }
+        }
+    } else if (/^[a-z_]+$/i.test(body)) {
+        // Suggest field names ("bra" -> "brand:")
+        const lower = body.toLowerCase();
+        const names = [...Object.keys(fields), ...Object.keys(FIELD_ALIASES)];
+        for (const name of names) {
+            if (name.startsWith(lower)) {
+                suggestions.push({ label: `${name}:`, insertText: `${negate}${name}:`, start, end });
+            }
+        }
+    }
+
+    return suggestions.slice(0, 10);
+}
+
+module.exports = {
+    buildSearchQuery,
+    parseQuery,
+    buildConditions,
+    getSuggestions,
+    containsPattern,
+};
@@ -13,20 +13,223 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const migrate = require('./migrate');
+const images = require('./images');
+const searchQuery = require('./query');
+const csv = require('./csv');
+const zip = require('./zip');
+const spreadsheet = require('./spreadsheet');
+const libraries = require('./libraries');
 
 let db = null;
 let dbPath = null;
+let initError = null;
+
+// Columns that can be written by createMedia/updateMedia/imports
+const MEDIA_COLUMNS = ['title', 'type', 'description', 'isbn_sku', 'image',
+                       'rating', 'quantity', 'size', 'brand', 'system'];
+
+// Columns that can be set on many items at once (see bulkUpdateMedia)
+const BULK_FIELDS = ['type', 'brand', 'system', 'size', 'rating'];
+
+// Type fields whose key matches one of these columns are stored in the column
+// itself (so existing filters and autocomplete keep working). All other type
+// fields are stored as JSON in media.custom_fields.
+const COLUMN_FIELDS = ['size', 'system'];
+
+// The kinds of value a custom field can hold
+const FIELD_KINDS = ['text', 'number', 'date', 'enum', 'boolean'];
+
+// Type keys and field keys: lowercase letters, digits and underscores
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Markers wrapped around matched search terms in highlighted text. They are
+// Unicode "private use" characters, so they never appear in real catalog data
+// and the renderer can safely turn them into <mark> elements.
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+// bm25 weights for the media_fts columns (title, description, isbn_sku, brand, system).
+// A match in the title counts for much more than a match in the description.
+const SEARCH_WEIGHTS = [10.0, 1.0, 5.0, 3.0, 3.0];
+
+// Sort keys accepted by getAllMedia and the SQL expression each one sorts by.
+// Text is sorted with the natural_key()/sort_title() functions registered in
+// registerFunctions(), so "Zelda 2" comes before "Zelda 10" and "The Legend
+// of Zelda" is sorted under L. Titles use the stored (and indexed) title_sort
+// column, which holds sort_title(title).
+const SORT_EXPRESSIONS = {
+    title: 'media.title_sort',
+    type: 'natural_key(COALESCE((SELECT name FROM media_types WHERE media_types.key = media.type), media.type))',
+    rating: 'media.rating',
+    quantity: 'media.quantity',
+    brand: 'natural_key(media.brand)',
+    system: 'natural_key(media.system)',
+    created: 'media.created_at',
+    updated: 'media.updated_at',
+};
+
+// Values getAllMedia can group by. Items are ordered by group first so every
+// group is one contiguous run of results (the renderer pages through them).
+// "value" is the group key (NULL for items without one) and "order" sorts keys.
+const GROUP_EXPRESSIONS = {
+    type: { value: 'media.type', order: key => `natural_key(COALESCE((SELECT name FROM media_types WHERE media_types.key = ${key}), ${key}))` },
+    system: { value: `NULLIF(media.system, '')`, order: key => `natural_key(${key})` },
+    brand: { value: `NULLIF(media.brand, '')`, order: key => `natural_key(${key})` },
+    // Whole stars, highest first: 4.0 to 4.9 are all in group 4
+    rating: { value: 'CAST(NULLIF(media.rating, 0) AS INTEGER)', order: key => `${key} DESC` },
+};
+
+// Longest trash retention period that can be set (10 years)
+const MAX_RETENTION_DAYS = 3650;
+
+// Item fields a file column can be imported into, with the names shown in the
+// import wizard (custom fields are added as "custom_fields.<key>")
+const IMPORT_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'type', label: 'Type' },
+    { key: 'description', label: 'Description' },
+    { key: 'isbn_sku', label: 'ISBN/SKU' },
+    { key: 'rating', label: 'Rating' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'brand', label: 'Brand' },
+    { key: 'system', label: 'System' },
+    { key: 'size', label: 'Size' },
+    { key: 'image', label: 'Image (one file path)' },
+    { key: 'images', label: 'Images (list, or paths separated by |)' },
+    { key: 'id', label: 'ID (from an export)' },
+    { key: 'deleted', label: 'In Trash' },
+    { key: 'created_at', label: 'Created' },
+    { key: 'updated_at', label: 'Last Updated' },
+];
+
+// What importRecords does with rows that match an item already in the catalog:
+//   insert          - nothing matches; every row becomes a new item
+//   update_by_id    - rows with the ID of an item update it (files exported from this catalog)
+//   update_by_isbn  - rows with the ISBN/SKU of an item update it
+//   skip_existing   - rows matching an item by ID or ISBN/SKU are left out
+const IMPORT_MODES = ['insert', 'update_by_id', 'update_by_isbn', 'skip_existing'];
+
+// Thrown at the end of an import dry run to undo its writes (see importRecords)
+const DRY_RUN_ROLLBACK = new Error('Dry run');
+
+// Columns an import can restore as they were exported (see insertMedia)
+const IDENTITY_COLUMNS = ['id', 'deleted', 'deleted_at', 'created_at', 'updated_at'];
+
+// Other column names that mean the same as a field. Names are compared with
+// normalizeColumnName, so "Platform", "platform" and "PLATFORM" all match.
+const IMPORT_ALIASES = {
+    name: 'title',
+    itemname: 'title',
+    category: 'type',
+    kind: 'type',
+    mediatype: 'type',
+    notes: 'description',
+    comments: 'description',
+    summary: 'description',
+    isbn: 'isbn_sku',
+    isbn13: 'isbn_sku',
+    sku: 'isbn_sku',
+    upc: 'isbn_sku',
+    ean: 'isbn_sku',
+    barcode: 'isbn_sku',
+    stars: 'rating',
+    score: 'rating',
+    qty: 'quantity',
+    count: 'quantity',
+    copies: 'quantity',
+    manufacturer: 'brand',
+    author: 'brand',
+    publisher: 'brand',
+    studio: 'brand',
+    label: 'brand',
+    platform: 'system',
+    console: 'system',
+    format: 'system',
+    itemid: 'id',
+    trashed: 'deleted',
+    dateadded: 'created_at',
+    added: 'created_at',
+    modified: 'updated_at',
+    lastmodified: 'updated_at',
+    picture: 'image',
+    photo: 'image',
+    cover: 'image',
+    imagepath: 'image',
+};
+
+// Columns exportItems can write, in their default order (custom fields follow
+// as "custom_fields.<key>"). Columns marked default are chosen unless the user
+// picks others; they are the columns CSV exports have always had.
+const EXPORT_COLUMNS = [
+    { key: 'id', label: 'ID', default: true },
+    { key: 'title', label: 'Title', default: true },
+    { key: 'type', label: 'Type', default: true },
+    { key: 'description', label: 'Description', default: true },
+    { key: 'isbn_sku', label: 'ISBN/SKU', default: true },
+    { key: 'image', label: 'Image', default: true },
+    { key: 'rating', label: 'Rating', default: true },
+    { key: 'quantity', label: 'Quantity', default: true },
+    { key: 'size', label: 'Size', default: true },
+    { key: 'brand', label: 'Brand', default: true },
+    { key: 'system', label: 'System', default: true },
+    { key: 'deleted', label: 'In Trash', default: true },
+    { key: 'created_at', label: 'Created', default: true },
+    { key: 'updated_at', label: 'Last Updated', default: true },
+    { key: 'deleted_at', label: 'Moved to Trash', default: false },
+    { key: 'images', label: 'All Images', default: false },
+];
+
+const EXPORT_FORMATS = ['json', 'jsonl', 'csv', 'markdown'];
+
+// How dates are written by exportItems. Times are UTC, as they are stored;
+// "stored" and "iso" can be imported again.
+const EXPORT_DATE_FORMATS = {
+    stored: ({ date, time }) => time ? `${date} ${time}` : date,             // 2024-03-01 12:30:00
+    iso: ({ date, time }) => time ? `${date}T${time}Z` : date,              // 2024-03-01T12:30:00Z
+    date: ({ date }) => date,                                               // 2024-03-01
+    dmy: ({ year, month, day }) => `${day}/${month}/${year}`,               // 01/03/2024
+    mdy: ({ year, month, day }) => `${month}/${day}/${year}`,               // 03/01/2024
+};
+
+// How exportSpreadsheet shows date cells for each of EXPORT_DATE_FORMATS
+// (patterns as in db/spreadsheet.js; the cells hold real dates either way)
+const SPREADSHEET_DATE_FORMATS = {
+    stored: { dateFormat: 'YYYY-MM-DD', dateTimeFormat: 'YYYY-MM-DD hh:mm:ss' },
+    iso: { dateFormat: 'YYYY-MM-DD', dateTimeFormat: 'YYYY-MM-DDThh:mm:ssZ' },
+    date: { dateFormat: 'YYYY-MM-DD', dateTimeFormat: 'YYYY-MM-DD' },
+    dmy: { dateFormat: 'DD/MM/YYYY', dateTimeFormat: 'DD/MM/YYYY' },
+    mdy: { dateFormat: 'MM/DD/YYYY', dateTimeFormat: 'MM/DD/YYYY' },
+};
+
+// Catalog archives (see exportArchive): a name to recognize them by, and the
+// version of their layout (bump it when catalog.json changes shape)
+const ARCHIVE_FORMAT = 'app-of-holding-archive';
+const ARCHIVE_VERSION = 1;
+
+// Settings that are part of the catalog and travel with an archive
+// (images_migrated describes this computer's files, so it stays behind)
+const ARCHIVE_SETTINGS = ['trash_retention_days', 'import_aliases'];
+
+// Leading words ignored when sorting by title
+const TITLE_ARTICLES = /^(the|a|an)\s+/;
+
+// naturalSortKey() results, keyed by the original text
+const sortKeyCache = new Map();
+const SORT_KEY_CACHE_SIZE = 10000;
 
 /**
- * Initialize the database connection and create tables if they don't exist
+ * Initialize the database connection and bring the schema up to date
  * This should be called once when the app starts
  * @param {string} userDataPath - Path to the user's app data directory
  */
 function initDatabase(userDataPath) {
+    initError = null;
     try {
         // Set the database path in the user's app data directory
         // This ensures the database persists between app sessions
         dbPath = path.join(userDataPath, 'media-catalog.db');
+        const isNewDatabase = !fs.existsSync(dbPath);
         
         // Open or create the database file
         db = new Database(dbPath);
@@ -34,19 +237,87 @@ function initDatabase(userDataPath) {
         // Enable foreign keys (good practice, even though we only have one table)
         db.pragma('foreign_keys = ON');
         
-        // Read and execute the schema SQL file
-        const schemaPath = path.join(__dirname, 'schema.sql');
-        const schema = fs.readFileSync(schemaPath, 'utf8');
-        db.exec(schema);
+        // Item images are copied into <userData>/images (see db/images.js)
+        images.initImageLibrary(userDataPath);
+        
+        // SQL functions used for sorting (see SORT_EXPRESSIONS)
+        registerFunctions();
+        
+        // Apply any migrations in db/migrations/ that this file hasn't seen yet
+        const result = migrate.runMigrations(db, { dbPath, isNewDatabase });
+        if (result.applied.length > 0) {
+            console.log(`Database upgraded from schema v${result.fromVersion} to v${result.toVersion}`);
+        }
         
         console.log('Database initialized successfully');
         return true;
     } catch (error) {
         console.error('Error initializing database:', error);
+        initError = error;
+        closeDatabase();
         return false;
     }
 }
 
+/**
+ * Register the JavaScript functions that SQL queries can call
+ * better-sqlite3 runs these in-process, so they can be used in ORDER BY.
+ */
+function registerFunctions() {
+    db.function('natural_key', { deterministic: true }, naturalSortKey);
+    db.function('sort_title', { deterministic: true }, sortTitle);
+}
+
+/**
+ * Get the key a title is sorted by (stored in media.title_sort)
+ * @param {string|null} title - The title
+ * @returns {string|null} - Natural sort key without a leading article
+ */
+function sortTitle(title) {
+    const key = naturalSortKey(title);
+    return key === null ? null : key.replace(TITLE_ARTICLES, '');
+}
+
+/**
+ * Turn text into a key that sorts "naturally": case and accents are ignored and
+ * numbers are compared by value ("Volume 2" before "Volume 10")
+ * @param {string|null} text - Text to convert
+ * @returns {string|null} - The sort key (null stays null so empty values can be sorted last)
+ */
+function naturalSortKey(text) {
+    if (text === null || text === undefined) {
+        return null;
+    }
+    
+    // Sorting by brand or system calls this for every row, but those columns
+    // repeat a handful of values, so remember the keys already worked out
+    if (sortKeyCache.has(text)) {
+        return sortKeyCache.get(text);
+    }
+    const key = String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        // Pad every number to the same length so they compare by value
+        .replace(/\d+/g, digits => digits.replace(/^0+(?=\d)/, '').padStart(12, '0'));
+    
+    if (sortKeyCache.size >= SORT_KEY_CACHE_SIZE) {
+        sortKeyCache.clear();
+    }
+    sortKeyCache.set(text, key);
+    return key;
+}
+
+/**
+ * Get the error that stopped the last initDatabase() call, if any
+ * Used by the main process to show the user why the catalog couldn't open
+ * @returns {Error|null} - The error or null if initialization succeeded
+ */
+function getInitError() {
+    return initError;
+}
+
 /**
  * Close the database connection
  * Should be called when the app is shutting down
@@ -64,28 +335,312 @@ function closeDatabase() {
  * @returns {Object} - The created item with its ID
  */
 function createMedia(item) {
-    const stmt = db.prepare(`
-        INSERT INTO media (
-            title, type, description, isbn_sku, image, rating, 
-            quantity, size, brand, system
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const id = insertMedia(item);
+    
+    // Return the created item with its new ID
+    return getMediaById(id);
+}
+
+/**
+ * Validate and insert a single media item
+ * Shared by createMedia and the importers so they all follow the same rules
+ * @param {Object} item - The media item data
+ * @param {Object} options - { keepIdentity: also write the item's id, deleted,
+ *   deleted_at, created_at and updated_at, for imports that restore exported items;
+ *   addedImages and dryRun: see setMediaImages }
+ * @returns {number} - The new item's ID
+ * @throws {Error} - If the item fails validation against the type registry
+ */
+function insertMedia(item, options = {}) {
+    const errors = validateMedia(item);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    
+    const customFields = normalizeCustomFields(getMediaType(item.type), item).values;
     
-    const result = stmt.run(
+    // media.image (the cover) is filled in by setMediaImages
+    const columns = ['title', 'type', 'description', 'isbn_sku', 'rating',
+                     'quantity', 'size', 'brand', 'system', 'custom_fields', 'title_sort'];
+    const values = [
         item.title || '',
         item.type || '',
         item.description || null,
         item.isbn_sku || null,
-        item.image || null,
-        item.rating || null,
+        storedRating(item.rating),
         item.quantity ?? 1,
         item.size || null,
         item.brand || null,
-        item.system || null
-    );
+        item.system || null,
+        serializeCustomFields(customFields),
+        sortTitle(item.title || ''),
+    ];
+    if (options.keepIdentity) {
+        for (const column of IDENTITY_COLUMNS) {
+            if (!isBlank(item[column])) {
+                columns.push(column);
+                values.push(item[column]);
+            }
+        }
+    }
+    const stmt = db.prepare(`INSERT INTO media (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
     
-    // Return the created item with its new ID
-    return getMediaById(result.lastInsertRowid);
+    const insert = db.transaction(() => {
+        const result = stmt.run(...values);
+        
+        // Items can come with a list of images, or (older callers and files) just one
+        const imageList = Array.isArray(item.images) ? item.images : (item.image ? [{ path: item.image, cover: true }] : []);
+        if (imageList.length > 0) {
+            setMediaImages(result.lastInsertRowid, imageList, options);
+        }
+        return result.lastInsertRowid;
+    });
+    
+    return insert();
+}
+
+/**
+ * Get an item's images in gallery order
+ * @param {number} mediaId - The media item ID
+ * @returns {Array} - Array of { id, path, caption, cover }
+ */
+function getMediaImages(mediaId) {
+    return db.prepare('SELECT id, path, caption, is_cover FROM media_images WHERE media_id = ? ORDER BY sort_order, id')
+        .all(mediaId)
+        .map(row => ({ id: row.id, path: row.path, caption: row.caption, cover: row.is_cover === 1 }));
+}
+
+/**
+ * Get a single image by its ID (used by the media:// protocol)
+ * @param {number} imageId - The image ID
+ * @returns {Object|null} - { id, media_id, path, caption, cover } or null if not found
+ */
+function getMediaImage(imageId) {
+    const row = db.prepare('SELECT id, media_id, path, caption, is_cover FROM media_images WHERE id = ?').get(imageId);
+    if (!row) {
+        return null;
+    }
+    const { is_cover, ...image } = row;
+    return { ...image, cover: is_cover === 1 };
+}
+
+/**
+ * Replace an item's images with a new list
+ * Images that keep their ID are updated in place; others are added, and
+ * images missing from the list are removed. New files are copied into the
+ * managed library, and media.image is set to the cover's path.
+ * @param {number} mediaId - The media item ID
+ * @param {Array} imageList - In gallery order: [{ id, path, caption, cover }]
+ *   (id only for images the item already has; a plain path string also works).
+ *   The first image is the cover if none is marked.
+ * @param {Object} options - { dryRun: leave the files where they are, for an
+ *   import dry run whose writes are rolled back; addedImages: a list the paths
+ *   of files copied into the library are added to, so an import can delete
+ *   them again if the item isn't saved }
+ * @throws {Error} - If the list isn't an array of images with paths
+ */
+function setMediaImages(mediaId, imageList, options = {}) {
+    if (!Array.isArray(imageList)) {
+        throw new Error('Images must be a list');
+    }
+    const list = imageList.map(image => typeof image === 'string' ? { path: image } : image);
+    if (list.some(image => !image || typeof image.path !== 'string' || !image.path.trim())) {
+        throw new Error('Every image needs a file path');
+    }
+    
+    const existingIds = new Set(getMediaImages(mediaId).map(image => image.id));
+    const update = db.prepare('UPDATE media_images SET path = ?, caption = ?, sort_order = ?, is_cover = ? WHERE id = ?');
+    const insert = db.prepare('INSERT INTO media_images (media_id, path, caption, sort_order, is_cover) VALUES (?, ?, ?, ?, ?)');
+    const remove = db.prepare('DELETE FROM media_images WHERE id = ?');
+    
+    let coverIndex = list.findIndex(image => image.cover);
+    if (coverIndex === -1 && list.length > 0) {
+        coverIndex = 0;
+    }
+    
+    let coverPath = null;
+    const kept = new Set();
+    list.forEach((image, index) => {
+        const imagePath = options.dryRun ? image.path.trim() : storeImage(image.path.trim(), options.addedImages);
+        const caption = typeof image.caption === 'string' && image.caption.trim() ? image.caption.trim() : null;
+        const isCover = index === coverIndex ? 1 : 0;
+        const id = Number(image.id);
+        if (existingIds.has(id) && !kept.has(id)) {
+            update.run(imagePath, caption, index, isCover, id);
+            kept.add(id);
+        } else {
+            insert.run(mediaId, imagePath, caption, index, isCover);
+        }
+        if (isCover) {
+            coverPath = imagePath;
+        }
+    });
+    
+    // Files of removed images stay in the library (another item may share them)
+    for (const id of existingIds) {
+        if (!kept.has(id)) {
+            remove.run(id);
+        }
+    }
+    db.prepare('UPDATE media SET image = ? WHERE id = ?').run(coverPath, mediaId);
+}
+
+/**
+ * Work out an item's image list after its cover image is set directly
+ * (e.g. editing the image column in the table view)
+ * @param {Array} imageList - The item's current images (from getMediaImages)
+ * @param {string|null} imagePath - New cover path (empty removes the cover)
+ * @returns {Array} - New image list for setMediaImages
+ */
+function replaceCoverImage(imageList, imagePath) {
+    const list = imageList.slice();
+    const coverIndex = list.findIndex(image => image.cover);
+    if (!imagePath) {
+        // The next image (if any) becomes the cover
+        if (coverIndex !== -1) {
+            list.splice(coverIndex, 1);
+        }
+        return list;
+    }
+    if (coverIndex === -1) {
+        return [{ path: imagePath, cover: true }, ...list];
+    }
+    if (list[coverIndex].path !== imagePath) {
+        // A different picture: the old caption no longer applies
+        list[coverIndex] = { id: list[coverIndex].id, path: imagePath, cover: true };
+    }
+    return list;
+}
+
+/**
+ * Copy an item's image into the managed image library
+ * @param {string} imagePath - Image path from the user (or an import)
+ * @param {Array} addedImages - Optional list the library path is added to when
+ *   the file wasn't in the library before
+ * @returns {string|null} - Path to store in media.image. A file that doesn't
+ *   exist is kept as given, so the item still saves and shows a placeholder.
+ * @throws {Error} - If the path isn't an image type (see IMAGE_EXTENSIONS in db/images.js)
+ */
+function storeImage(imagePath, addedImages) {
+    if (!imagePath) {
+        return null;
+    }
+    if (images.isManagedImage(imagePath)) {
+        return imagePath;
+    }
+    if (!images.hasImageExtension(imagePath)) {
+        throw new Error(`${imagePath} is not a supported image file`);
+    }
+    if (!fs.existsSync(imagePath)) {
+        return imagePath;
+    }
+    const contents = fs.readFileSync(imagePath);
+    const extension = path.extname(imagePath);
+    const target = images.getLibraryPath(contents, extension);
+    if (addedImages && !fs.existsSync(target)) {
+        addedImages.push(target);
+    }
+    return images.storeImageData(contents, extension);
+}
+
+/**
+ * Copy images that items still load from elsewhere on disk into the managed
+ * library. Catalogs from before the library existed stored the path the user
+ * picked; this runs once (the first time an upgraded catalog is opened).
+ * @returns {Object|null} - { copied, missing: [{ id, title, image, reason }] },
+ *   or null if it has already run
+ */
+function migrateExternalImages() {
+    if (getSetting('images_migrated', false)) {
+        return null;
+    }
+    
+    // Every image of every item (the cover is in both tables)
+    const rows = db.prepare(`
+        SELECT media.id, media.title, media_images.path AS image
+        FROM media_images JOIN media ON media.id = media_images.media_id
+        UNION
+        SELECT id, title, image FROM media WHERE image IS NOT NULL AND image != ''
+    `).all();
+    const copies = new Map();   // Original path -> { managed, reason } (managed is null if it couldn't be copied)
+    const missing = [];
+    
+    for (const row of rows) {
+        if (images.isManagedImage(row.image)) {
+            continue;
+        }
+        if (!copies.has(row.image)) {
+            try {
+                copies.set(row.image, { managed: images.importImage(row.image) });
+            } catch (error) {
+                copies.set(row.image, { managed: null, reason: error.code === 'ENOENT' ? 'File not found' : error.message });
+            }
+        }
+        const copy = copies.get(row.image);
+        if (!copy.managed) {
+            missing.push({ id: row.id, title: row.title, image: row.image, reason: copy.reason });
+        }
+    }
+    
+    // Items with missing files keep their old path so they can be relinked later
+    const setCover = db.prepare('UPDATE media SET image = ? WHERE image = ?');
+    const setPath = db.prepare('UPDATE media_images SET path = ? WHERE path = ?');
+    let copied = 0;
+    db.transaction(() => {
+        for (const [original, copy] of copies) {
+            if (copy.managed) {
+                setCover.run(copy.managed, original);
+                setPath.run(copy.managed, original);
+                copied++;
+            }
+        }
+        setSetting('images_migrated', true);
+    })();
+    
+    return { copied, missing };
+}
+
+/**
+ * Convert a raw database row into the shape the rest of the app expects
+ * (custom_fields is stored as JSON text but handed out as an object)
+ * @param {Object} row - Row from the media table
+ * @returns {Object} - The media item
+ */
+function rowToMedia(row) {
+    if (!row) {
+        return row;
+    }
+    let customFields = {};
+    if (row.custom_fields) {
+        try {
+            customFields = JSON.parse(row.custom_fields);
+        } catch (error) {
+            console.error(`Invalid custom_fields JSON on media ${row.id}:`, error);
+        }
+    }
+    
+    // Search results carry highlighted copies of the matched columns
+    // (title_sort is only used for ordering and is left out)
+    const { hl_title, hl_description, hl_brand, hl_system, search_rank, title_sort, ...media } = row;
+    media.custom_fields = customFields;
+    if (hl_title !== undefined) {
+        media.highlights = {
+            title: hl_title,
+            description: hl_description && hl_description.includes(HIGHLIGHT_START) ? hl_description : null,
+            brand: hl_brand,
+            system: hl_system,
+        };
+    }
+    return media;
+}
+
+/**
+ * Turn a custom field values object into the JSON text we store
+ * @param {Object} values - Custom field values
+ * @returns {string|null} - JSON text, or null when there are no values
+ */
+function serializeCustomFields(values) {
+    return values && Object.keys(values).length > 0 ? JSON.stringify(values) : null;
 }
 
 /**
@@ -95,7 +650,13 @@ function createMedia(item) {
  */
 function getMediaById(id) {
     const stmt = db.prepare('SELECT * FROM media WHERE id = ?');
-    return stmt.get(id) || null;
+    const media = rowToMedia(stmt.get(id));
+    if (!media) {
+        return null;
+    }
+    // Lists of items only carry the cover (media.image); a single item has its whole gallery
+    media.images = getMediaImages(id);
+    return media;
 }
 
 /**
@@ -103,83 +664,294 @@ function getMediaById(id) {
  * @param {Object} options - Query options
  * @param {boolean} options.includeDeleted - Include soft-deleted items
  * @param {string} options.type - Filter by media type
- * @param {string} options.search - Search term for title/description
+ * @param {string} options.search - Search box query: free text plus field filters (see db/query.js)
  * @param {number} options.minRating - Minimum rating filter
  * @param {string} options.brand - Filter by brand
  * @param {string} options.system - Filter by system
+ * @param {Object} options.customFields - Filter by custom field values ({ mint_mark: 'D' })
+ * @param {string} options.sort - Sort key: 'relevance' (default) or a key of SORT_EXPRESSIONS
+ * @param {string} options.sortDirection - 'asc' (default) or 'desc'
+ * @param {string} options.groupBy - Order by this GROUP_EXPRESSIONS key first (see getMediaGroups)
+ * @param {number} options.limit - Return at most this many items (all when not set)
+ * @param {number} options.offset - Skip this many items (used with limit)
  * @returns {Array} - Array of media items
  */
 function getAllMedia(options = {}) {
-    let query = 'SELECT * FROM media WHERE 1=1';
+    const { query, params, ftsQuery } = buildMediaQuery(options);
+    let sql = query + buildOrderBy(options, ftsQuery);
+    
+    // Paging: the catalog grid only asks for the rows it is about to show
+    if (options.limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(Math.max(0, parseInt(options.limit, 10) || 0), Math.max(0, parseInt(options.offset, 10) || 0));
+    }
+    
+    const stmt = db.prepare(sql);
+    return stmt.all(...params).map(rowToMedia);
+}
+
+/**
+ * Get the groups the matching items fall into, in the order getAllMedia
+ * returns them when given the same groupBy
+ * @param {Object} options - The same options getAllMedia accepts
+ * @returns {Array} - Array of { key, count }; a single { key: null, count } group when options.groupBy is not set
+ */
+function getMediaGroups(options = {}) {
+    const group = getGroupExpression(options.groupBy);
+    if (!group) {
+        return [{ key: null, count: countMedia(options) }];
+    }
+    
+    const { query, params } = buildMediaQuery(options);
+    const stmt = db.prepare(`
+        SELECT ${group.value} AS group_key, COUNT(*) AS count
+        FROM (${query}) AS media
+        GROUP BY group_key
+        ORDER BY (group_key IS NULL), ${group.order('group_key')}, group_key
+    `);
+    return stmt.all(...params).map(row => ({ key: row.group_key, count: row.count }));
+}
+
+/**
+ * Look up a groupBy option in GROUP_EXPRESSIONS
+ * @param {string} groupBy - Group key ('' or undefined for no grouping)
+ * @returns {Object|null} - { value, order } or null when not grouping
+ * @throws {Error} - If the group key is unknown
+ */
+function getGroupExpression(groupBy) {
+    if (!groupBy) {
+        return null;
+    }
+    if (!GROUP_EXPRESSIONS[groupBy]) {
+        throw new Error(`Unknown group key: ${groupBy}`);
+    }
+    return GROUP_EXPRESSIONS[groupBy];
+}
+
+/**
+ * Build the ORDER BY clause for getAllMedia
+ * @param {Object} options - getAllMedia options (sort, sortDirection)
+ * @param {string|null} ftsQuery - Set when the results have a search_rank
+ * @returns {string} - The ORDER BY clause
+ * @throws {Error} - If the sort key or direction is unknown
+ */
+function buildOrderBy(options, ftsQuery) {
+    const sort = options.sort || 'relevance';
+    const direction = (options.sortDirection || 'asc').toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new Error(`Unknown sort direction: ${options.sortDirection}`);
+    }
+    
+    // Ties (and searches sorted by relevance) fall back to the title, then the
+    // ID, so the order never changes just because an item was edited
+    const tiebreak = 'media.title_sort, media.id';
+    
+    // When grouping, items are ordered by group first (in the same order as getMediaGroups)
+    const group = getGroupExpression(options.groupBy);
+    const groupOrder = group
+        ? `(${group.value} IS NULL), ${group.order(group.value)}, ${group.value}, `
+        : '';
+    
+    if (sort === 'relevance') {
+        // Lower bm25 is better; without a search there is nothing to rank, so sort by title
+        return ftsQuery ? ` ORDER BY ${groupOrder}search_rank, ${tiebreak}` : ` ORDER BY ${groupOrder}${tiebreak}`;
+    }
+    
+    const expression = SORT_EXPRESSIONS[sort];
+    if (!expression) {
+        throw new Error(`Unknown sort key: ${sort}`);
+    }
+    
+    // Items without a value always go last, whichever direction is chosen
+    return ` ORDER BY ${groupOrder}(${expression} IS NULL OR ${expression} = ''), ${expression} ${direction}, ${tiebreak}`;
+}
+
+/**
+ * Count the media items that match a set of filters
+ * @param {Object} options - The same options getAllMedia accepts
+ * @returns {number} - Number of matching items
+ */
+function countMedia(options = {}) {
+    const { query, params } = buildMediaQuery(options);
+    return db.prepare(`SELECT COUNT(*) AS count FROM (${query})`).get(...params).count;
+}
+
+/**
+ * Build the SELECT statement for getAllMedia/countMedia (without ORDER BY)
+ * @param {Object} options - The options getAllMedia accepts
+ * @returns {Object} - { query, params, ftsQuery } (ftsQuery is set when results have a search_rank)
+ * @throws {Error} - If the search query has syntax errors
+ */
+function buildMediaQuery(options = {}) {
+    // Column names are prefixed with "media." because search results join the
+    // media_fts table, which has columns with the same names
+    let query = 'SELECT media.* FROM media WHERE 1=1';
     const params = [];
     
-    // Filter out deleted items unless explicitly requested
-    if (!options.includeDeleted) {
-        query += ' AND deleted = 0';
-    } else if (options.onlyDeleted) {
-        query += ' AND deleted = 1';
+    // Split the search box text into free text and field filters (e.g. "mario rating>=4")
+    const parsed = options.search ? parseSearchQuery(options.search) : null;
+    if (parsed && parsed.errors.length > 0) {
+        throw new Error(parsed.errors.map(error => error.message).join('; '));
+    }
+    
+    // Full-text search across title, description, ISBN/SKU, brand and system
+    const ftsQuery = parsed ? searchQuery.buildSearchQuery(parsed.text) : null;
+    if (ftsQuery) {
+        query = `
+            SELECT media.*,
+                bm25(media_fts, ${SEARCH_WEIGHTS.join(', ')}) AS search_rank,
+                highlight(media_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS hl_title,
+                snippet(media_fts, 1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) AS hl_description,
+                highlight(media_fts, 3, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS hl_brand,
+                highlight(media_fts, 4, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS hl_system
+            FROM media
+            JOIN media_fts ON media_fts.rowid = media.id
+            WHERE media_fts MATCH ?`;
+        params.push(ftsQuery);
+    } else if (parsed && parsed.text.trim()) {
+        // Nothing indexable was typed (e.g. only punctuation) so fall back to a plain substring match
+        query += ` AND (media.title LIKE ? ESCAPE '\\' OR media.description LIKE ? ESCAPE '\\')`;
+        const searchTerm = searchQuery.containsPattern(parsed.text.trim());
+        params.push(searchTerm, searchTerm);
+    }
+    
+    if (parsed) {
+        // Free text starting with "-" excludes items that match it
+        for (const term of parsed.excludedTerms) {
+            const excludeQuery = searchQuery.buildSearchQuery(term);
+            if (excludeQuery) {
+                query += ' AND media.id NOT IN (SELECT rowid FROM media_fts WHERE media_fts MATCH ?)';
+                params.push(excludeQuery);
+            }
+        }
+        
+        // Field filters like "type:book" or "rating>=4"
+        const { conditions, params: conditionParams } = searchQuery.buildConditions(parsed, getQueryContext());
+        for (const condition of conditions) {
+            query += ` AND ${condition}`;
+        }
+        params.push(...conditionParams);
+    }
+    
+    // Filter out deleted items unless explicitly requested (onlyDeleted is the Trash view)
+    if (options.onlyDeleted) {
+        query += ' AND media.deleted = 1';
+    } else if (!options.includeDeleted) {
+        query += ' AND media.deleted = 0';
     }
     
     // Filter by type
     if (options.type) {
-        query += ' AND type = ?';
+        query += ' AND media.type = ?';
         params.push(options.type);
     }
     
-    // Search in title and description
-    if (options.search) {
-        query += ' AND (title LIKE ? OR description LIKE ?)';
-        const searchTerm = `%${options.search}%`;
-        params.push(searchTerm, searchTerm);
-    }
-    
     // Filter by minimum rating
     if (options.minRating !== undefined) {
-        query += ' AND rating >= ?';
+        query += ' AND media.rating >= ?';
         params.push(options.minRating);
     }
     
     // Filter by brand
     if (options.brand) {
-        query += ' AND brand = ?';
+        query += ' AND media.brand = ?';
         params.push(options.brand);
     }
     
     // Filter by system
     if (options.system) {
-        query += ' AND system = ?';
+        query += ' AND media.system = ?';
         params.push(options.system);
     }
     
-    // Order by most recently updated first
-    query += ' ORDER BY updated_at DESC';
+    // Filter by custom field values (text fields match partially, others exactly)
+    if (options.customFields) {
+        const type = options.type ? getMediaType(options.type) : null;
+        for (const [key, value] of Object.entries(options.customFields)) {
+            if (value === undefined || value === null || value === '' || !KEY_PATTERN.test(key)) {
+                continue;
+            }
+            const field = type ? type.fields.find(f => f.key === key) : null;
+            const kind = field ? field.kind : 'text';
+            const column = COLUMN_FIELDS.includes(key)
+                ? `media.${key}`
+                : `json_extract(media.custom_fields, '$.${key}')`;
+            
+            if (kind === 'text') {
+                query += ` AND ${column} LIKE ? ESCAPE '\\'`;
+                params.push(searchQuery.containsPattern(value));
+            } else if (kind === 'boolean') {
+                query += ` AND ${column} = ?`;
+                params.push(parseBoolean(value) ? 1 : 0);
+            } else {
+                query += ` AND ${column} = ?`;
+                params.push(kind === 'number' ? Number(value) : String(value));
+            }
+        }
+    }
     
-    const stmt = db.prepare(query);
-    return stmt.all(...params);
+    return { query, params, ftsQuery };
 }
 
 /**
  * Update an existing media item
  * @param {number} id - The media item ID
  * @param {Object} updates - The fields to update
+ * @param {Object} options - { dryRun, addedImages } (see setMediaImages)
  * @returns {Object|null} - The updated item or null if not found
  */
-function updateMedia(id, updates) {
+function updateMedia(id, updates, options = {}) {
     // Build dynamic update query based on provided fields
     const fields = [];
     const values = [];
     
-    const allowedFields = ['title', 'type', 'description', 'isbn_sku', 'image', 
-                          'rating', 'quantity', 'size', 'brand', 'system'];
+    // Images (and media.image, the cover) are written by setMediaImages. A new
+    // image on its own replaces just the cover.
+    let imageList = null;
+    if (Array.isArray(updates.images)) {
+        imageList = updates.images;
+    } else if (updates.hasOwnProperty('image')) {
+        imageList = replaceCoverImage(getMediaImages(id), updates.image);
+    }
     
-    for (const field of allowedFields) {
-        if (updates.hasOwnProperty(field)) {
+    for (const field of MEDIA_COLUMNS) {
+        if (field !== 'image' && updates.hasOwnProperty(field)) {
             fields.push(`${field} = ?`);
-            values.push(updates[field] || null);
+            // Empty values are stored as NULL, but a quantity of 0 is kept (a rating
+            // of 0 means no rating)
+            if (field === 'rating') {
+                values.push(storedRating(updates[field]));
+            } else {
+                values.push(updates[field] === 0 ? 0 : (updates[field] || null));
+            }
+        }
+    }
+    
+    // Keep the stored sort key in step with the title
+    if (updates.hasOwnProperty('title')) {
+        fields.push('title_sort = ?');
+        values.push(sortTitle(updates.title || ''));
+    }
+    
+    // Re-validate when a validated column changes (the type registry decides
+    // which custom fields are allowed, so type changes are checked too)
+    const needsValidation = ['title', 'type', 'rating', 'quantity', 'custom_fields', ...COLUMN_FIELDS]
+        .some(field => updates.hasOwnProperty(field));
+    if (needsValidation) {
+        const existing = getMediaById(id);
+        if (!existing) {
+            return null;
         }
+        const merged = { ...existing, ...updates };
+        const errors = validateMedia(merged);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        fields.push('custom_fields = ?');
+        values.push(serializeCustomFields(normalizeCustomFields(getMediaType(merged.type), merged).values));
     }
     
-    if (fields.length === 0) {
+    if (fields.length === 0 && imageList === null) {
         return getMediaById(id);
     }
     
@@ -189,7 +961,12 @@ function updateMedia(id, updates) {
     
     const query = `UPDATE media SET ${fields.join(', ')} WHERE id = ?`;
     const stmt = db.prepare(query);
-    stmt.run(...values);
+    db.transaction(() => {
+        const result = stmt.run(...values);
+        if (result.changes > 0 && imageList !== null) {
+            setMediaImages(id, imageList, options);
+        }
+    })();
     
     return getMediaById(id);
 }
@@ -200,7 +977,11 @@ function updateMedia(id, updates) {
  * @returns {boolean} - True if successful
  */
 function softDeleteMedia(id) {
-    const stmt = db.prepare('UPDATE media SET deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    // deleted_at keeps its original time if the item is already in the trash
+    const stmt = db.prepare(`
+        UPDATE media SET deleted = 1, deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `);
     const result = stmt.run(id);
     return result.changes > 0;
 }
@@ -211,30 +992,286 @@ function softDeleteMedia(id) {
  * @returns {boolean} - True if successful
  */
 function restoreMedia(id) {
-    const stmt = db.prepare('UPDATE media SET deleted = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const stmt = db.prepare('UPDATE media SET deleted = 0, deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
     const result = stmt.run(id);
     return result.changes > 0;
 }
 
+/**
+ * Apply the same change to many items at once
+ * Everything runs in one transaction: if any item can't be changed (e.g. its
+ * new type requires a field it doesn't have) nothing is changed.
+ * @param {Object} selection - Which items: { ids } or, for "select all matching",
+ *   { filters, exceptIds } where filters are getAllMedia options
+ * @param {Object} changes - What to do (any combination):
+ *   set: values for BULK_FIELDS (e.g. { brand: 'Nintendo' }; '' clears a value)
+ *   adjustQuantity: number added to each quantity (negative to subtract, never below 0)
+ *   deleted: true to move to the trash, false to restore
+ * @returns {Object} - { matched, changed } (changed only counts items that actually differ)
+ * @throws {Error} - If nothing is selected or any item fails validation
+ */
+function bulkUpdateMedia(selection, changes = {}) {
+    const ids = getSelectedIds(selection);
+    
+    const set = {};
+    for (const [field, value] of Object.entries(changes.set || {})) {
+        if (!BULK_FIELDS.includes(field)) {
+            throw new Error(`"${field}" can't be changed in bulk`);
+        }
+        set[field] = value === '' || value === undefined ? null : value;
+    }
+    const adjustQuantity = Number(changes.adjustQuantity) || 0;
+    if (!Number.isInteger(adjustQuantity)) {
+        throw new Error('Quantity can only be adjusted by a whole number');
+    }
+    
+    const setDeleted = db.prepare(`
+        UPDATE media SET deleted = ?, deleted_at = CASE WHEN ? = 1 THEN CURRENT_TIMESTAMP END, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted != ?
+    `);
+    
+    const apply = db.transaction(() => {
+        let changed = 0;
+        const errors = [];
+        
+        for (const id of ids) {
+            const existing = getMediaById(id);
+            if (!existing) {
+                continue;
+            }
+            
+            // Only write the values that differ, so untouched items keep their updated_at
+            const updates = {};
+            for (const [field, value] of Object.entries(set)) {
+                if ((existing[field] ?? null) !== value) {
+                    updates[field] = value;
+                }
+            }
+            if (adjustQuantity !== 0) {
+                const quantity = Math.max(0, (existing.quantity ?? 0) + adjustQuantity);
+                if (quantity !== existing.quantity) {
+                    updates.quantity = quantity;
+                }
+            }
+            
+            let itemChanged = false;
+            if (Object.keys(updates).length > 0) {
+                try {
+                    updateMedia(id, updates);
+                    itemChanged = true;
+                } catch (error) {
+                    errors.push(`"${existing.title}": ${error.message}`);
+                    continue;
+                }
+            }
+            if (typeof changes.deleted === 'boolean') {
+                const flag = changes.deleted ? 1 : 0;
+                itemChanged = setDeleted.run(flag, flag, id, flag).changes > 0 || itemChanged;
+            }
+            if (itemChanged) {
+                changed++;
+            }
+        }
+        
+        // Throwing rolls the whole transaction back
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`No items were changed. ${errors.slice(0, 5).join('; ')}${more}`);
+        }
+        return changed;
+    });
+    
+    return { matched: ids.length, changed: apply() };
+}
+
+/**
+ * Turn a bulk selection into a list of item IDs
+ * @param {Object} selection - { ids } or { filters, exceptIds } (see bulkUpdateMedia)
+ * @returns {Array} - Item IDs
+ * @throws {Error} - If the selection is empty or malformed
+ */
+function getSelectedIds(selection = {}) {
+    let ids;
+    if (Array.isArray(selection.ids)) {
+        ids = selection.ids.map(Number).filter(Number.isInteger);
+    } else if (selection.filters) {
+        const { query, params } = buildMediaQuery(selection.filters);
+        const except = new Set((selection.exceptIds || []).map(Number));
+        ids = db.prepare(`SELECT id FROM (${query})`).all(...params)
+            .map(row => row.id)
+            .filter(id => !except.has(id));
+    } else {
+        throw new Error('No items selected');
+    }
+    
+    if (ids.length === 0) {
+        throw new Error('No items selected');
+    }
+    return ids;
+}
+
 /**
  * Permanently delete a media item from the database
  * @param {number} id - The media item ID
  * @returns {boolean} - True if successful
  */
 function permanentDeleteMedia(id) {
-    const stmt = db.prepare('DELETE FROM media WHERE id = ?');
-    const result = stmt.run(id);
-    return result.changes > 0;
+    return purgeMedia([id]) > 0;
 }
 
 /**
- * Get all unique brands for autocomplete
- * @returns {Array} - Array of unique brand names
+ * Permanently delete the selected items that are in the trash
+ * Items in the selection that aren't in the trash are left alone.
+ * @param {Object} selection - { ids } or { filters, exceptIds } (see bulkUpdateMedia)
+ * @returns {number} - Number of items deleted
  */
-function getBrands() {
-    const stmt = db.prepare('SELECT DISTINCT brand FROM media WHERE brand IS NOT NULL AND brand != "" AND deleted = 0 ORDER BY brand');
-    const results = stmt.all();
-    return results.map(row => row.brand);
+function purgeTrashItems(selection) {
+    return purgeMedia(getSelectedIds(selection), { onlyDeleted: true });
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {number} - Number of items deleted
+ */
+function emptyTrash() {
+    const ids = db.prepare('SELECT id FROM media WHERE deleted = 1').all().map(row => row.id);
+    return purgeMedia(ids, { onlyDeleted: true });
+}
+
+/**
+ * Permanently delete items that have been in the trash longer than the
+ * retention period (see getTrashRetentionDays). Run when the app starts.
+ * @returns {number} - Number of items deleted
+ */
+function purgeExpiredTrash() {
+    const days = getTrashRetentionDays();
+    if (days === 0) {
+        return 0;
+    }
+    const ids = db.prepare(`SELECT id FROM media WHERE deleted = 1 AND deleted_at <= datetime('now', ?)`)
+        .all(`-${days} days`)
+        .map(row => row.id);
+    return ids.length > 0 ? purgeMedia(ids, { onlyDeleted: true }) : 0;
+}
+
+/**
+ * Delete items from the database, then delete their images if the app manages
+ * them and no other item uses them
+ * @param {Array} ids - Item IDs
+ * @param {Object} options - { onlyDeleted: true } to skip items that aren't in the trash
+ * @returns {number} - Number of items deleted
+ */
+function purgeMedia(ids, options = {}) {
+    const getImages = db.prepare('SELECT path FROM media_images WHERE media_id = ? UNION SELECT image FROM media WHERE id = ? AND image IS NOT NULL');
+    const remove = db.prepare(`DELETE FROM media WHERE id = ?${options.onlyDeleted ? ' AND deleted = 1' : ''}`);
+    const imagePaths = [];
+    
+    // Deleting the row also deletes its media_images rows (ON DELETE CASCADE)
+    const purge = db.transaction(() => {
+        let deleted = 0;
+        for (const id of ids) {
+            const paths = getImages.all(id, id).map(row => row.path);
+            if (remove.run(id).changes > 0) {
+                deleted++;
+                imagePaths.push(...paths);
+            }
+        }
+        return deleted;
+    });
+    
+    // Files are only removed once the rows are gone for good (after the commit)
+    const deleted = purge();
+    removeUnusedImages(imagePaths);
+    return deleted;
+}
+
+/**
+ * Delete managed image files that no item refers to any more
+ * @param {Array} imagePaths - Image paths of items that were just deleted
+ * @returns {number} - Number of files deleted
+ */
+function removeUnusedImages(imagePaths) {
+    const inUse = db.prepare('SELECT 1 FROM media_images WHERE path = ? UNION SELECT 1 FROM media WHERE image = ?');
+    let removed = 0;
+    for (const imagePath of new Set(imagePaths)) {
+        if (!images.isManagedImage(imagePath) || inUse.get(imagePath, imagePath)) {
+            continue;
+        }
+        try {
+            if (images.deleteImage(imagePath)) {
+                removed++;
+            }
+        } catch (error) {
+            // A file that can't be deleted shouldn't undo the purge
+            console.error(`Error deleting image ${imagePath}:`, error);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Get how many days items stay in the trash before they are purged
+ * @returns {number} - Days (0 means items are kept until deleted by hand)
+ */
+function getTrashRetentionDays() {
+    const days = Number(getSetting('trash_retention_days', 0));
+    return Number.isInteger(days) && days > 0 ? days : 0;
+}
+
+/**
+ * Set how many days items stay in the trash before they are purged
+ * @param {number} days - Whole number of days (0 to keep items forever)
+ * @returns {number} - The saved value
+ * @throws {Error} - If days is out of range
+ */
+function setTrashRetentionDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_RETENTION_DAYS) {
+        throw new Error(`Retention must be a whole number of days from 0 to ${MAX_RETENTION_DAYS}`);
+    }
+    setSetting('trash_retention_days', value);
+    return value;
+}
+
+/**
+ * Read a value from the settings table
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Returned when the setting hasn't been saved
+ * @returns {*} - The stored value
+ */
+function getSetting(key, defaultValue = null) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    if (!row) {
+        return defaultValue;
+    }
+    try {
+        return JSON.parse(row.value);
+    } catch (error) {
+        console.error(`Invalid JSON in setting ${key}:`, error);
+        return defaultValue;
+    }
+}
+
+/**
+ * Save a value to the settings table
+ * @param {string} key - Setting name
+ * @param {*} value - Any JSON-serializable value
+ */
+function setSetting(key, value) {
+    db.prepare(`
+        INSERT INTO settings (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(key, JSON.stringify(value));
+}
+
+/**
+ * Get all unique brands for autocomplete
+ * @returns {Array} - Array of unique brand names
+ */
+function getBrands() {
+    const stmt = db.prepare(`SELECT DISTINCT brand FROM media WHERE brand IS NOT NULL AND brand != '' AND deleted = 0 ORDER BY brand`);
+    const results = stmt.all();
+    return results.map(row => row.brand);
 }
 
 /**
@@ -242,11 +1279,21 @@ function getBrands() {
  * @returns {Array} - Array of unique size values
  */
 function getSizes() {
-    const stmt = db.prepare('SELECT DISTINCT size FROM media WHERE size IS NOT NULL AND size != "" AND deleted = 0 ORDER BY size');
+    const stmt = db.prepare(`SELECT DISTINCT size FROM media WHERE size IS NOT NULL AND size != '' AND deleted = 0 ORDER BY size`);
     const results = stmt.all();
     return results.map(row => row.size);
 }
 
+/**
+ * Get all unique systems for autocomplete
+ * @returns {Array} - Array of unique system values
+ */
+function getSystems() {
+    const stmt = db.prepare(`SELECT DISTINCT system FROM media WHERE system IS NOT NULL AND system != '' AND deleted = 0 ORDER BY system`);
+    const results = stmt.all();
+    return results.map(row => row.system);
+}
+
 /**
  * Get all unique media types
  * @returns {Array} - Array of unique type values
@@ -257,236 +1304,1964 @@ function getTypes() {
     return results.map(row => row.type);
 }
 
+// ============================================================================
+// Catalog Integrity
+// ============================================================================
+
 /**
- * Export all media items to JSON format
- * @param {boolean} includeDeleted - Whether to include soft-deleted items
- * @returns {string} - JSON string of all media items
+ * Get every image path items refer to (including items in the trash)
+ * @returns {Array} - Unique image paths
  */
-function exportToJSON(includeDeleted = false) {
-    const items = getAllMedia({ includeDeleted });
-    return JSON.stringify(items, null, 2);
+function getReferencedImagePaths() {
+    return db.prepare(`
+        SELECT path FROM media_images
+        UNION
+        SELECT image FROM media WHERE image IS NOT NULL AND image != ''
+    `).all().map(row => row.path);
 }
 
 /**
- * Export all media items to CSV format
- * @param {boolean} includeDeleted - Whether to include soft-deleted items
- * @returns {string} - CSV string of all media items
+ * Scan the whole catalog for problems
+ * @returns {Object} - {
+ *     database: messages from PRAGMA integrity_check (["ok"] when healthy),
+ *     missingImages: [{ id, title, deleted, path, caption, cover }] (images whose file is gone),
+ *     orphanedImages: [{ path, size, modified }] (files in the image library no item uses)
+ *   }
  */
-function exportToCSV(includeDeleted = false) {
-    const items = getAllMedia({ includeDeleted });
-    
-    if (items.length === 0) {
-        return '';
-    }
+function checkCatalogIntegrity() {
+    const database = db.pragma('integrity_check').map(row => row.integrity_check);
     
-    // CSV header row
-    const headers = ['id', 'title', 'type', 'description', 'isbn_sku', 'image', 
-                     'rating', 'quantity', 'size', 'brand', 'system', 'deleted', 
-                     'created_at', 'updated_at'];
+    // Every image of every item; media.image is normally the cover's path too,
+    // but is checked on its own in case the two ever disagree
+    const rows = db.prepare(`
+        SELECT media.id, media.title, media.deleted, media_images.path, media_images.caption, media_images.is_cover AS cover
+        FROM media_images JOIN media ON media.id = media_images.media_id
+        UNION
+        SELECT id, title, deleted, image, NULL, 1 FROM media
+        WHERE image IS NOT NULL AND image != ''
+            AND image NOT IN (SELECT path FROM media_images WHERE media_id = media.id)
+    `).all();
     
-    // Escape CSV values (handle commas, quotes, newlines)
-    function escapeCSV(value) {
-        if (value === null || value === undefined) {
-            return '';
+    const exists = new Map();   // Path -> whether the file exists (items can share files)
+    const missingImages = [];
+    for (const row of rows) {
+        if (!exists.has(row.path)) {
+            exists.set(row.path, fs.existsSync(row.path));
         }
-        const str = String(value);
-        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-            return `"${str.replace(/"/g, '""')}"`;
+        if (!exists.get(row.path)) {
+            missingImages.push({
+                id: row.id,
+                title: row.title,
+                deleted: row.deleted === 1,
+                path: row.path,
+                caption: row.caption || '',
+                cover: row.cover === 1,
+            });
         }
-        return str;
     }
+    missingImages.sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }) || a.id - b.id || b.cover - a.cover);
     
-    // Build CSV rows
-    const rows = [headers.join(',')];
-    for (const item of items) {
-        const row = headers.map(header => escapeCSV(item[header]));
-        rows.push(row.join(','));
-    }
+    const referenced = new Set(getReferencedImagePaths().map(imagePath => path.resolve(imagePath)));
+    const orphanedImages = images.listImageFiles().filter(file => !referenced.has(path.resolve(file.path)));
     
-    return rows.join('\n');
+    return { database, missingImages, orphanedImages };
 }
 
 /**
- * Import media items from JSON
- * @param {string} jsonData - JSON string or array of media items
- * @returns {Object} - Result with success count and errors
+ * Point items at new copies of images that went missing
+ * Each replacement is copied into the image library, and every item using the
+ * old path (as a gallery image or as its cover) is updated.
+ * @param {Array} replacements - [{ path (the missing image), replacement (file to use instead) }]
+ * @returns {Object} - { relinked, failed: [{ path, reason }] }
  */
-function importFromJSON(jsonData) {
-    let items;
-    try {
-        items = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
-        if (!Array.isArray(items)) {
-            throw new Error('JSON data must be an array');
+function relinkImages(replacements) {
+    const copies = [];
+    const failed = [];
+    for (const { path: missingPath, replacement } of replacements) {
+        try {
+            copies.push([missingPath, images.importImage(replacement)]);
+        } catch (error) {
+            failed.push({ path: missingPath, reason: error.code === 'ENOENT' ? 'File not found' : error.message });
         }
-    } catch (error) {
-        return { success: 0, errors: [`Invalid JSON: ${error.message}`] };
     }
     
-    const errors = [];
-    let success = 0;
-    
-    // Use a transaction for better performance and atomicity
-    const insertStmt = db.prepare(`
-        INSERT INTO media (
-            title, type, description, isbn_sku, image, rating, 
-            quantity, size, brand, system
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    const insertMany = db.transaction((items) => {
-        for (const item of items) {
-            try {
-                insertStmt.run(
-                    item.title || '',
-                    item.type || '',
-                    item.description || null,
-                    item.isbn_sku || null,
-                    item.image || null,
-                    item.rating || null,
-                    item.quantity ?? 1,
-                    item.size || null,
-                    item.brand || null,
-                    item.system || null
-                );
-                success++;
-            } catch (error) {
-                errors.push(`Item "${item.title || 'Unknown'}": ${error.message}`);
-            }
+    const setCover = db.prepare('UPDATE media SET image = ?, updated_at = CURRENT_TIMESTAMP WHERE image = ?');
+    const setPath = db.prepare('UPDATE media_images SET path = ? WHERE path = ?');
+    db.transaction(() => {
+        for (const [missingPath, managed] of copies) {
+            setCover.run(managed, missingPath);
+            setPath.run(managed, missingPath);
         }
-    });
+    })();
     
-    insertMany(items);
+    return { relinked: copies.length, failed };
+}
+
+/**
+ * Delete files from the image library that no item uses
+ * Paths that an item uses (or that are outside the library) are left alone,
+ * so a stale list from an earlier scan can't delete anything in use.
+ * @param {Array} imagePaths - Paths from checkCatalogIntegrity().orphanedImages
+ * @returns {number} - Number of files deleted
+ */
+function deleteOrphanedImages(imagePaths) {
+    return removeUnusedImages(imagePaths);
+}
+
+/**
+ * Get every image of every item that isn't in the trash
+ * @returns {Array} - [{ id, media_id, title, type, path, caption, cover }]
+ */
+function getItemImages() {
+    return db.prepare(`
+        SELECT media_images.id, media_images.media_id, media.title, media.type,
+            media_images.path, media_images.caption, media_images.is_cover
+        FROM media_images JOIN media ON media.id = media_images.media_id
+        WHERE media.deleted = 0
+        ORDER BY media.id, media_images.sort_order, media_images.id
+    `).all().map(({ is_cover, ...image }) => ({ ...image, cover: is_cover === 1 }));
+}
+
+/**
+ * Get the cached perceptual hashes of image files
+ * @returns {Map} - Path -> { modifiedMs, hash }
+ */
+function getImageHashes() {
+    const hashes = new Map();
+    for (const row of db.prepare('SELECT path, modified_ms, hash FROM image_hashes').all()) {
+        hashes.set(row.path, { modifiedMs: row.modified_ms, hash: row.hash });
+    }
+    return hashes;
+}
+
+/**
+ * Cache perceptual hashes, and forget the hashes of files no item uses any more
+ * @param {Array} hashes - [{ path, modifiedMs, hash }] worked out since the last report
+ */
+function saveImageHashes(hashes) {
+    const save = db.prepare(`
+        INSERT INTO image_hashes (path, modified_ms, hash) VALUES (?, ?, ?)
+        ON CONFLICT(path) DO UPDATE SET modified_ms = excluded.modified_ms, hash = excluded.hash
+    `);
+    db.transaction(() => {
+        for (const { path: imagePath, modifiedMs, hash } of hashes) {
+            save.run(imagePath, modifiedMs, hash);
+        }
+        db.prepare(`
+            DELETE FROM image_hashes
+            WHERE path NOT IN (SELECT path FROM media_images)
+                AND path NOT IN (SELECT image FROM media WHERE image IS NOT NULL)
+        `).run();
+    })();
+}
+
+// ============================================================================
+// Media Type Registry
+// ============================================================================
+
+/**
+ * Convert a media_type_fields row into a field definition
+ * @param {Object} row - Row from media_type_fields
+ * @returns {Object} - { key, label, kind, required, options }
+ */
+function rowToField(row) {
+    let options = [];
+    if (row.options) {
+        try {
+            options = JSON.parse(row.options);
+        } catch (error) {
+            console.error(`Invalid options JSON on field ${row.type_key}.${row.field_key}:`, error);
+        }
+    }
+    return {
+        key: row.field_key,
+        label: row.label,
+        kind: row.kind,
+        required: row.required === 1,
+        options,
+    };
+}
+
+/**
+ * Get every media type with its custom fields
+ * @returns {Array} - Array of { key, name, icon, sort_order, fields }
+ */
+function getMediaTypes() {
+    const types = db.prepare('SELECT key, name, icon, sort_order FROM media_types ORDER BY sort_order, name').all();
+    const fieldRows = db.prepare('SELECT * FROM media_type_fields ORDER BY sort_order, id').all();
     
-    return { success, errors };
+    return types.map(type => ({
+        ...type,
+        fields: fieldRows.filter(row => row.type_key === type.key).map(rowToField),
+    }));
 }
 
 /**
- * Import media items from CSV
- * @param {string} csvData - CSV string
- * @returns {Object} - Result with success count and errors
+ * Get a single media type with its custom fields
+ * @param {string} key - The type key (e.g. "coin")
+ * @returns {Object|null} - The media type or null if not found
  */
-function importFromCSV(csvData) {
-    const lines = csvData.split('\n').filter(line => line.trim());
-    if (lines.length === 0) {
-        return { success: 0, errors: ['CSV file is empty'] };
+function getMediaType(key) {
+    const type = db.prepare('SELECT key, name, icon, sort_order FROM media_types WHERE key = ?').get(key);
+    if (!type) {
+        return null;
     }
+    const fieldRows = db.prepare('SELECT * FROM media_type_fields WHERE type_key = ? ORDER BY sort_order, id').all(key);
+    return { ...type, fields: fieldRows.map(rowToField) };
+}
+
+/**
+ * Check a media type definition before saving it
+ * @param {Object} type - { key, name, icon, fields }
+ * @returns {Array} - Array of error messages (empty if valid)
+ */
+function validateMediaType(type) {
+    const errors = [];
     
-    // Parse header row
-    const headers = lines[0].split(',').map(h => h.trim());
-    const expectedHeaders = ['title', 'type', 'description', 'isbn_sku', 'image', 
-                            'rating', 'quantity', 'size', 'brand', 'system'];
+    if (!type.key || !KEY_PATTERN.test(type.key)) {
+        errors.push('Type key must start with a letter and contain only lowercase letters, numbers and underscores');
+    }
+    if (!type.name || !String(type.name).trim()) {
+        errors.push('Type name is required');
+    }
     
-    // Map header indices
-    const headerMap = {};
-    for (const expected of expectedHeaders) {
-        const index = headers.indexOf(expected);
-        if (index !== -1) {
-            headerMap[expected] = index;
+    const seenKeys = new Set();
+    for (const field of type.fields || []) {
+        const label = field.label || field.key || 'Unnamed field';
+        if (!field.key || !KEY_PATTERN.test(field.key)) {
+            errors.push(`Field "${label}": key must start with a letter and contain only lowercase letters, numbers and underscores`);
+        } else if (seenKeys.has(field.key)) {
+            errors.push(`Field "${label}": key "${field.key}" is used more than once`);
+        } else if (MEDIA_COLUMNS.includes(field.key) && !COLUMN_FIELDS.includes(field.key)) {
+            errors.push(`Field "${label}": key "${field.key}" is reserved`);
+        }
+        seenKeys.add(field.key);
+        
+        if (!field.label || !String(field.label).trim()) {
+            errors.push(`Field "${field.key || 'unnamed'}": label is required`);
+        }
+        if (!FIELD_KINDS.includes(field.kind)) {
+            errors.push(`Field "${label}": kind must be one of ${FIELD_KINDS.join(', ')}`);
+        }
+        if (field.kind === 'enum' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            errors.push(`Field "${label}": enum fields need at least one option`);
         }
     }
     
-    if (!headerMap.title || !headerMap.type) {
-        return { success: 0, errors: ['CSV must have "title" and "type" columns'] };
+    return errors;
+}
+
+/**
+ * Create or update a media type and replace its field list
+ * @param {Object} type - { key, name, icon, sort_order, fields }
+ * @returns {Object} - The saved media type
+ * @throws {Error} - If the definition is invalid
+ */
+function saveMediaType(type) {
+    const errors = validateMediaType(type);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
     }
     
+    const upsertType = db.prepare(`
+        INSERT INTO media_types (key, name, icon, sort_order)
+        VALUES (?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM media_types)))
+        ON CONFLICT(key) DO UPDATE SET
+            name = excluded.name,
+            icon = excluded.icon,
+            sort_order = COALESCE(?, media_types.sort_order),
+            updated_at = CURRENT_TIMESTAMP
+    `);
+    const deleteFields = db.prepare('DELETE FROM media_type_fields WHERE type_key = ?');
+    const insertField = db.prepare(`
+        INSERT INTO media_type_fields (type_key, field_key, label, kind, required, options, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    // Replace the whole field list in one transaction so a half-saved type can't happen
+    const save = db.transaction(() => {
+        const sortOrder = type.sort_order ?? null;
+        upsertType.run(type.key, type.name.trim(), type.icon || null, sortOrder, sortOrder);
+        deleteFields.run(type.key);
+        (type.fields || []).forEach((field, index) => {
+            insertField.run(
+                type.key,
+                field.key,
+                field.label.trim(),
+                field.kind,
+                field.required ? 1 : 0,
+                field.kind === 'enum' ? JSON.stringify(field.options.map(String)) : null,
+                index + 1
+            );
+        });
+    });
+    save();
+    
+    return getMediaType(type.key);
+}
+
+/**
+ * Delete a media type
+ * Types that are still used by items (including items in the trash) can't be deleted
+ * @param {string} key - The type key
+ * @returns {boolean} - True if a type was deleted
+ * @throws {Error} - If items still use the type
+ */
+function deleteMediaType(key) {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM media WHERE type = ?').get(key);
+    if (count > 0) {
+        throw new Error(`This type is used by ${count} item${count === 1 ? '' : 's'} and can't be deleted`);
+    }
+    const result = db.prepare('DELETE FROM media_types WHERE key = ?').run(key);
+    return result.changes > 0;
+}
+
+/**
+ * Check whether a value from a form, CSV cell or JSON file is empty
+ * @param {*} value - The value
+ * @returns {boolean} - True for undefined, null and blank strings
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Get the value to store for a rating
+ * @param {*} value - Rating from a form, CSV cell or JSON file
+ * @returns {number|null} - The rating, or null for blank and 0 (no rating)
+ */
+function storedRating(value) {
+    return isBlank(value) || Number(value) === 0 ? null : Number(value);
+}
+
+/**
+ * Interpret a value from a form, CSV cell or JSON file as a boolean
+ * @param {*} value - e.g. true, 1, "yes", "false"
+ * @returns {boolean|null} - The boolean, or null if it isn't recognizable
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const str = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'y'].includes(str)) {
+        return true;
+    }
+    if (['false', '0', 'no', 'n'].includes(str)) {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Check and convert an item's custom field values using its type's definition
+ * Values can arrive as strings (CSV, form inputs) so they are converted to the
+ * field's kind here.
+ * @param {Object|null} type - The media type from the registry
+ * @param {Object} item - The media item (custom_fields holds the raw values)
+ * @returns {Object} - { values, errors } where values only holds non-column fields
+ */
+function normalizeCustomFields(type, item) {
+    const values = {};
     const errors = [];
-    let success = 0;
+    const raw = item.custom_fields || {};
+    
+    if (!type) {
+        return { values, errors };
+    }
     
-    // Simple CSV parser (handles quoted values)
-    function parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
+    for (const field of type.fields) {
+        const isColumn = COLUMN_FIELDS.includes(field.key);
+        let value = isColumn ? item[field.key] : raw[field.key];
+        if (typeof value === 'string') {
+            value = value.trim();
+        }
         
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                if (inQuotes && line[i + 1] === '"') {
-                    current += '"';
-                    i++;
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+        if (value === undefined || value === null || value === '') {
+            if (field.required) {
+                errors.push(`${field.label} is required`);
+            }
+            continue;
+        }
+        
+        if (field.kind === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                errors.push(`${field.label} must be a number`);
+                continue;
+            }
+            value = number;
+        } else if (field.kind === 'date') {
+            const str = String(value);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(str) || isNaN(new Date(str).getTime())) {
+                errors.push(`${field.label} must be a date (YYYY-MM-DD)`);
+                continue;
             }
+            value = str;
+        } else if (field.kind === 'enum') {
+            const str = String(value);
+            if (!field.options.includes(str)) {
+                errors.push(`${field.label} must be one of: ${field.options.join(', ')}`);
+                continue;
+            }
+            value = str;
+        } else if (field.kind === 'boolean') {
+            const bool = parseBoolean(value);
+            if (bool === null) {
+                errors.push(`${field.label} must be yes or no`);
+                continue;
+            }
+            value = bool;
+        } else {
+            value = String(value);
+        }
+        
+        // Column fields are validated here but saved in their own column
+        if (!isColumn) {
+            values[field.key] = value;
         }
-        values.push(current.trim());
-        return values;
     }
     
-    const insertStmt = db.prepare(`
-        INSERT INTO media (
-            title, type, description, isbn_sku, image, rating, 
-            quantity, size, brand, system
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    return { values, errors };
+}
+
+/**
+ * Validate a media item against the type registry
+ * @param {Object} item - The media item data
+ * @returns {Array} - Array of error messages (empty if valid)
+ */
+function validateMedia(item) {
+    const errors = [];
     
-    const insertMany = db.transaction((items) => {
-        for (const item of items) {
-            try {
-                insertStmt.run(
-                    item.title || '',
-                    item.type || '',
-                    item.description || null,
-                    item.isbn_sku || null,
-                    item.image || null,
-                    item.rating || null,
-                    item.quantity ?? 1,
-                    item.size || null,
-                    item.brand || null,
-                    item.system || null
-                );
-                success++;
-            } catch (error) {
-                errors.push(`Row ${item._rowNum}: ${error.message}`);
+    if (!item.title || !String(item.title).trim()) {
+        errors.push('Title is required');
+    }
+    if (!isBlank(item.rating)) {
+        const rating = Number(item.rating);
+        // 0 means no rating; anything else has to fit the column's 1 to 5 range
+        if (!Number.isFinite(rating) || (rating !== 0 && (rating < 1 || rating > 5))) {
+            errors.push('Rating must be a number from 1 to 5');
+        }
+    }
+    if (!isBlank(item.quantity)) {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            errors.push('Quantity must be a whole number of 0 or more');
+        }
+    }
+    if (!item.type) {
+        errors.push('Type is required');
+        return errors;
+    }
+    
+    const type = getMediaType(item.type);
+    if (!type) {
+        errors.push(`Unknown type "${item.type}"`);
+        return errors;
+    }
+    
+    return errors.concat(normalizeCustomFields(type, item).errors);
+}
+
+/**
+ * Get the custom field keys that are stored as JSON (used for CSV columns)
+ * @param {Array} items - Items being exported, so keys from removed fields aren't lost
+ * @returns {Array} - Array of field keys
+ */
+function getCustomFieldKeys(items = []) {
+    const keys = new Set();
+    for (const type of getMediaTypes()) {
+        for (const field of type.fields) {
+            if (!COLUMN_FIELDS.includes(field.key)) {
+                keys.add(field.key);
             }
         }
-    });
+    }
+    for (const item of items) {
+        Object.keys(item.custom_fields || {}).forEach(key => keys.add(key));
+    }
+    return [...keys];
+}
+
+// ============================================================================
+// Search Query Syntax
+// ============================================================================
+
+/**
+ * Gather what the query parser needs to know about this catalog
+ * @param {Object} options - { withValues: also load known values for autocomplete }
+ * @returns {Object} - { types, customFields, values }
+ */
+function getQueryContext(options = {}) {
+    const types = getMediaTypes();
+    
+    // Each custom field key once, even if several types share it
+    const customFields = [];
+    for (const type of types) {
+        for (const field of type.fields) {
+            if (!COLUMN_FIELDS.includes(field.key) && !customFields.some(f => f.key === field.key)) {
+                customFields.push(field);
+            }
+        }
+    }
     
-    const items = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        const item = {
-            _rowNum: i + 1,
-            title: values[headerMap.title] || '',
-            type: values[headerMap.type] || '',
-            description: headerMap.description ? values[headerMap.description] : null,
-            isbn_sku: headerMap.isbn_sku ? values[headerMap.isbn_sku] : null,
-            image: headerMap.image ? values[headerMap.image] : null,
-            rating: headerMap.rating ? parseFloat(values[headerMap.rating]) || null : null,
-            quantity: headerMap.quantity ? parseInt(values[headerMap.quantity]) || 1 : 1,
-            size: headerMap.size ? values[headerMap.size] : null,
-            brand: headerMap.brand ? values[headerMap.brand] : null,
-            system: headerMap.system ? values[headerMap.system] : null,
+    const context = { types, customFields };
+    if (options.withValues) {
+        context.values = {
+            brand: getBrands(),
+            system: getSystems(),
+            size: getSizes(),
         };
-        items.push(item);
+    }
+    return context;
+}
+
+/**
+ * Parse a search box query
+ * The renderer uses this to show errors under the search box before searching
+ * @param {string} text - The raw query
+ * @returns {Object} - { text, excludedTerms, clauses, errors } (see db/query.js)
+ */
+function parseSearchQuery(text) {
+    return searchQuery.parseQuery(text, getQueryContext());
+}
+
+/**
+ * Get autocomplete suggestions for the search box
+ * @param {string} text - The raw query
+ * @param {number} cursor - Cursor position in the text
+ * @returns {Array} - Array of { label, insertText, start, end }
+ */
+function getSearchSuggestions(text, cursor) {
+    return searchQuery.getSuggestions(text, cursor, getQueryContext({ withValues: true }));
+}
+
+// ============================================================================
+// Smart Collections (saved searches)
+// ============================================================================
+
+/**
+ * Convert a smart_collections row into a collection object
+ * @param {Object} row - Row from smart_collections
+ * @returns {Object} - { id, name, filters, sort_order, count }
+ */
+function rowToSmartCollection(row) {
+    let filters = {};
+    try {
+        filters = JSON.parse(row.filters);
+    } catch (error) {
+        console.error(`Invalid filters JSON on smart collection ${row.id}:`, error);
     }
     
-    insertMany(items);
+    // A saved query can stop working (e.g. its type was deleted), so the
+    // count is null rather than failing the whole sidebar
+    let count = null;
+    try {
+        count = countMedia(filters);
+    } catch (error) {
+        console.error(`Error counting smart collection ${row.id}:`, error);
+    }
     
-    return { success, errors };
+    return { id: row.id, name: row.name, filters, sort_order: row.sort_order, count };
+}
+
+/**
+ * Get all smart collections with live item counts
+ * @returns {Array} - Array of { id, name, filters, sort_order, count }
+ */
+function getSmartCollections() {
+    const rows = db.prepare('SELECT * FROM smart_collections ORDER BY sort_order, id').all();
+    return rows.map(rowToSmartCollection);
+}
+
+/**
+ * Save the current filters as a new smart collection (added at the end of the list)
+ * @param {string} name - Collection name
+ * @param {Object} filters - getAllMedia options to save
+ * @returns {Object} - The created collection
+ */
+function createSmartCollection(name, filters) {
+    if (!name || !String(name).trim()) {
+        throw new Error('Collection name is required');
+    }
+    const stmt = db.prepare(`
+        INSERT INTO smart_collections (name, filters, sort_order)
+        VALUES (?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM smart_collections))
+    `);
+    const result = stmt.run(String(name).trim(), JSON.stringify(filters || {}));
+    return rowToSmartCollection(db.prepare('SELECT * FROM smart_collections WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * Rename a smart collection
+ * @param {number} id - Collection ID
+ * @param {string} name - New name
+ * @returns {boolean} - True if successful
+ */
+function renameSmartCollection(id, name) {
+    if (!name || !String(name).trim()) {
+        throw new Error('Collection name is required');
+    }
+    const stmt = db.prepare('UPDATE smart_collections SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(String(name).trim(), id).changes > 0;
+}
+
+/**
+ * Put smart collections in a new order
+ * @param {Array} ids - Collection IDs in the order they should appear
+ * @returns {boolean} - True if successful
+ */
+function reorderSmartCollections(ids) {
+    const stmt = db.prepare('UPDATE smart_collections SET sort_order = ? WHERE id = ?');
+    const reorder = db.transaction((orderedIds) => {
+        orderedIds.forEach((id, index) => stmt.run(index + 1, id));
+    });
+    reorder(ids);
+    return true;
+}
+
+/**
+ * Delete a smart collection (the items in it are not affected)
+ * @param {number} id - Collection ID
+ * @returns {boolean} - True if successful
+ */
+function deleteSmartCollection(id) {
+    return db.prepare('DELETE FROM smart_collections WHERE id = ?').run(id).changes > 0;
+}
+
+// ============================================================================
+// Import/Export
+// ============================================================================
+
+/**
+ * Export all media items to JSON format
+ * @param {boolean} includeDeleted - Whether to include soft-deleted items
+ * @returns {string} - JSON string of all media items
+ */
+function exportToJSON(includeDeleted = false) {
+    const items = getAllMedia({ includeDeleted });
+    
+    // Add each item's gallery (image IDs only mean something in this catalog, so they're left out)
+    const imagesByItem = new Map();
+    const rows = db.prepare('SELECT media_id, path, caption, is_cover FROM media_images ORDER BY media_id, sort_order, id').all();
+    for (const row of rows) {
+        if (!imagesByItem.has(row.media_id)) {
+            imagesByItem.set(row.media_id, []);
+        }
+        imagesByItem.get(row.media_id).push({ path: row.path, caption: row.caption, cover: row.is_cover === 1 });
+    }
+    items.forEach(item => {
+        item.images = imagesByItem.get(item.id) || [];
+    });
+    
+    return JSON.stringify(items, null, 2);
+}
+
+/**
+ * Export all media items to CSV format
+ * @param {boolean} includeDeleted - Whether to include soft-deleted items
+ * @returns {string} - CSV string of all media items
+ */
+function exportToCSV(includeDeleted = false) {
+    const { data, count } = exportItems({ filters: { includeDeleted }, format: 'csv' });
+    return count === 0 ? '' : data;
+}
+
+/**
+ * Get the columns that can be exported
+ * @param {Array} items - Items being exported, so custom field keys from removed fields aren't lost
+ * @returns {Array} - [{ key, label, default }] (custom fields have keys like "custom_fields.mint_mark")
+ */
+function getExportColumns(items = []) {
+    const labels = new Map();
+    for (const type of getMediaTypes()) {
+        for (const field of type.fields) {
+            if (!labels.has(field.key)) {
+                labels.set(field.key, field.label);
+            }
+        }
+    }
+    return [
+        ...EXPORT_COLUMNS,
+        ...getCustomFieldKeys(items).map(key => ({ key: `custom_fields.${key}`, label: labels.get(key) || key, default: true })),
+    ];
+}
+
+/**
+ * Write a stored date in one of the EXPORT_DATE_FORMATS
+ * @param {*} value - "YYYY-MM-DD HH:MM:SS" (timestamps) or "YYYY-MM-DD" (date fields)
+ * @param {string} dateFormat - Key of EXPORT_DATE_FORMATS
+ * @returns {*} - The formatted date (other values are returned unchanged)
+ */
+function formatExportDate(value, dateFormat) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}:\d{2}:\d{2}))?$/);
+    if (!match) {
+        return value;
+    }
+    const [, year, month, day, time] = match;
+    return EXPORT_DATE_FORMATS[dateFormat]({ date: `${year}-${month}-${day}`, time, year, month, day });
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} - Text that can't break the table (| is escaped, line breaks become <br>)
+ */
+function formatMarkdownCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\|/g, '\\|')
+        .replace(/\r\n|\r|\n/g, '<br>')
+        .trim();
+}
+
+/**
+ * Get the items and columns for an export (shared by exportItems and exportSpreadsheet)
+ * @param {Object} options - { filters, columns, dateFormat } (see exportItems)
+ * @returns {Object} - {
+ *     items,
+ *     columns: [{ key, label }] in the chosen order,
+ *     dateFields: Set of the column keys that hold dates,
+ *     getValue(item, key): the stored value (images as a list of { path, caption, cover })
+ *   }
+ * @throws {Error} - If the date format or a column is unknown
+ */
+function prepareExport(options) {
+    const dateFormat = options.dateFormat || 'stored';
+    if (!EXPORT_DATE_FORMATS.hasOwnProperty(dateFormat)) {
+        throw new Error(`Unknown date format "${dateFormat}"`);
+    }
+    
+    // Paging options would cut the export short
+    const { limit, offset, ...filters } = options.filters || {};
+    const items = getAllMedia(filters);
+    const available = getExportColumns(items);
+    const columns = (options.columns || available.filter(column => column.default).map(column => column.key))
+        .map(key => {
+            const column = available.find(c => c.key === key);
+            if (!column) {
+                throw new Error(`Unknown export column "${key}"`);
+            }
+            return column;
+        });
+    if (columns.length === 0) {
+        throw new Error('Choose at least one column to export');
+    }
+    
+    // Custom date fields are formatted like the timestamps
+    const dateFields = new Set(['created_at', 'updated_at', 'deleted_at']);
+    for (const type of getMediaTypes()) {
+        type.fields.filter(field => field.kind === 'date').forEach(field => {
+            dateFields.add(COLUMN_FIELDS.includes(field.key) ? field.key : `custom_fields.${field.key}`);
+        });
+    }
+    
+    const imagesByItem = new Map();
+    if (columns.some(column => column.key === 'images')) {
+        const rows = db.prepare('SELECT media_id, path, caption, is_cover FROM media_images ORDER BY media_id, sort_order, id').all();
+        for (const row of rows) {
+            imagesByItem.set(row.media_id, [...(imagesByItem.get(row.media_id) || []), { path: row.path, caption: row.caption, cover: row.is_cover === 1 }]);
+        }
+    }
+    
+    const getValue = (item, key) => {
+        if (key.startsWith('custom_fields.')) {
+            return item.custom_fields[key.slice('custom_fields.'.length)];
+        }
+        if (key === 'images') {
+            return imagesByItem.get(item.id) || [];
+        }
+        return item[key];
+    };
+    
+    return { items, columns, dateFields, getValue };
+}
+
+/**
+ * Export items with the chosen columns, format and date format
+ * @param {Object} options - {
+ *     filters: getAllMedia options (search, type, sort, includeDeleted, ...); all items when left out,
+ *     columns: column keys from getExportColumns, in order (default: the default columns),
+ *     format: one of EXPORT_FORMATS (default 'csv'),
+ *     dateFormat: key of EXPORT_DATE_FORMATS (default 'stored')
+ *   }
+ * @returns {Object} - { data: the file's text, count: number of items }
+ * @throws {Error} - If the format, date format or a column is unknown
+ */
+function exportItems(options = {}) {
+    const format = options.format || 'csv';
+    const dateFormat = options.dateFormat || 'stored';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    const { items, columns, dateFields, getValue: getStoredValue } = prepareExport(options);
+    
+    const getValue = (item, key) => {
+        const value = getStoredValue(item, key);
+        if (key === 'images') {
+            // Text formats get the paths separated by | (the way imports read them)
+            return format === 'json' || format === 'jsonl' ? value : value.map(image => image.path).join(' | ');
+        }
+        return dateFields.has(key) ? formatExportDate(value, dateFormat) : value;
+    };
+    
+    let data;
+    if (format === 'json' || format === 'jsonl') {
+        // Custom fields stay together under custom_fields, as in a full JSON export
+        const objects = items.map(item => {
+            const object = {};
+            for (const column of columns) {
+                if (column.key.startsWith('custom_fields.')) {
+                    object.custom_fields = object.custom_fields || {};
+                    object.custom_fields[column.key.slice('custom_fields.'.length)] = getValue(item, column.key) ?? null;
+                } else {
+                    object[column.key] = getValue(item, column.key) ?? null;
+                }
+            }
+            return object;
+        });
+        data = format === 'json'
+            ? JSON.stringify(objects, null, 2)
+            : objects.map(object => JSON.stringify(object)).join('\n') + (objects.length > 0 ? '\n' : '');
+    } else if (format === 'csv') {
+        // Headers are the column keys, so the file can be imported again
+        const rows = [columns.map(column => column.key)];
+        items.forEach(item => rows.push(columns.map(column => getValue(item, column.key))));
+        // The byte order mark tells Excel the file is UTF-8 (otherwise accents are garbled)
+        data = csv.formatCSV(rows, { byteOrderMark: true });
+    } else {
+        // Markdown is for reading, so it gets labels, type names and yes/no
+        const typeNames = new Map(getMediaTypes().map(type => [type.key, type.name]));
+        const readable = (item, key) => {
+            const value = getValue(item, key);
+            if (key === 'type') {
+                return typeNames.get(value) || value;
+            }
+            if (key === 'deleted' || typeof value === 'boolean') {
+                return value ? 'Yes' : 'No';
+            }
+            return value;
+        };
+        const lines = [
+            `| ${columns.map(column => formatMarkdownCell(column.label)).join(' | ')} |`,
+            `| ${columns.map(() => '---').join(' | ')} |`,
+            ...items.map(item => `| ${columns.map(column => formatMarkdownCell(readable(item, column.key))).join(' | ')} |`),
+        ];
+        data = lines.join('\n') + '\n';
+    }
+    
+    return { data, count: items.length };
+}
+
+/**
+ * Export items to an Excel (.xlsx) or OpenDocument (.ods) spreadsheet, with a
+ * sheet for each media type
+ * Numbers, yes/no values and dates are written as real spreadsheet values (not
+ * text), and the header row holds the column labels, which importing matches
+ * again. Custom field columns only go on the sheets of types that have them.
+ * @param {string} filePath - Where to save the spreadsheet
+ * @param {Object} options - Same as exportItems, with format 'xlsx' or 'ods' (default 'xlsx')
+ * @returns {Object} - { count: number of items, sheets: number of sheets }
+ * @throws {Error} - If the format, date format or a column is unknown
+ */
+function exportSpreadsheet(filePath, options = {}) {
+    const format = options.format || 'xlsx';
+    if (!spreadsheet.SPREADSHEET_FORMATS.includes(format)) {
+        throw new Error(`Unknown spreadsheet format "${format}"`);
+    }
+    const { items, columns, dateFields, getValue } = prepareExport(options);
+    const types = getMediaTypes();
+    
+    const getCell = (item, key) => {
+        const value = getValue(item, key);
+        if (key === 'images') {
+            return value.map(image => image.path).join(' | ') || null;
+        }
+        if (key === 'type') {
+            const type = types.find(t => t.key === value);
+            return type ? type.name : value;
+        }
+        if (key === 'deleted') {
+            return value === 1;
+        }
+        // Stored dates become date cells ({ date, time }, see db/spreadsheet.js)
+        const match = dateFields.has(key) && typeof value === 'string' && value.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}:\d{2}))?$/);
+        if (match) {
+            return { date: match[1], time: match[2] };
+        }
+        return value ?? null;
+    };
+    
+    // Sheets follow the order of the media types; items keep the export's order
+    const itemsByType = new Map(types.map(type => [type.key, []]));
+    for (const item of items) {
+        if (!itemsByType.has(item.type)) {
+            itemsByType.set(item.type, []);
+        }
+        itemsByType.get(item.type).push(item);
+    }
+    
+    const sheets = [];
+    for (const [typeKey, typeItems] of itemsByType) {
+        if (typeItems.length === 0) {
+            continue;
+        }
+        const type = types.find(t => t.key === typeKey);
+        const fieldKeys = new Set(type ? type.fields.map(field => `custom_fields.${field.key}`) : []);
+        const sheetColumns = columns.filter(column => !column.key.startsWith('custom_fields.')
+            || fieldKeys.has(column.key)
+            || typeItems.some(item => !isBlank(getValue(item, column.key))));
+        sheets.push({
+            name: type ? type.name : typeKey,
+            rows: [
+                sheetColumns.map(column => column.label),
+                ...typeItems.map(item => sheetColumns.map(column => getCell(item, column.key))),
+            ],
+        });
+    }
+    
+    // An export with no items still gets its header row
+    if (sheets.length === 0) {
+        sheets.push({ name: 'Catalog', rows: [columns.map(column => column.label)] });
+    }
+    
+    spreadsheet.writeWorkbook(filePath, format, sheets, SPREADSHEET_DATE_FORMATS[options.dateFormat || 'stored']);
+    return { count: items.length, sheets: sheets.length };
+}
+
+/**
+ * Import media items from JSON
+ * Properties are matched to fields by name, like CSV columns.
+ * @param {string} jsonData - JSON string or array of media items
+ * @param {Object} options - { mode } (see IMPORT_MODES; default 'insert')
+ * @returns {Object} - Result with success count and errors
+ */
+function importFromJSON(jsonData, options = {}) {
+    const file = readImportFile(jsonData, 'json');
+    if (file.errors.length > 0) {
+        return { success: 0, errors: file.errors };
+    }
+    
+    const { success, errors } = importRecords(file, suggestImportMapping(file.columns), options);
+    return { success, errors };
+}
+
+/**
+ * Import media items from CSV
+ * Quoted values may contain commas, quotes and line breaks; the delimiter
+ * (comma, semicolon or tab) is detected from the header row. Columns are
+ * matched to fields by name (see suggestImportMapping). Goodreads and
+ * LibraryThing exports are recognized and imported as books.
+ * @param {string} csvData - CSV string
+ * @param {Object} options - { mode } (see IMPORT_MODES; default 'insert')
+ * @returns {Object} - Result with success count and errors
+ */
+function importFromCSV(csvData, options = {}) {
+    const file = readImportFile(csvData, 'csv');
+    
+    // A broken quote can swallow the rest of the file, so nothing is imported
+    if (file.errors.length > 0) {
+        return { success: 0, errors: file.errors };
+    }
+    if (file.columns.length === 0) {
+        return { success: 0, errors: ['CSV file is empty'] };
+    }
+    
+    const mapping = suggestImportMapping(file.columns);
+    const mapped = Object.values(mapping);
+    if (!mapped.includes('title') || !mapped.includes('type')) {
+        return { success: 0, errors: ['CSV must have "title" and "type" columns'] };
+    }
+    
+    const { success, errors } = importRecords(file, mapping, options);
+    return { success, errors };
+}
+
+/**
+ * Read a CSV, JSON or spreadsheet file into columns and rows for importing
+ * JSON items become rows too: each property is a column, and custom_fields
+ * gets one "custom_fields.<key>" column per field (like a CSV export).
+ * Goodreads and LibraryThing exports get catalog columns instead of their own.
+ * @param {string} data - File contents (for 'xlsx' and 'ods', the file's path)
+ * @param {string} format - 'csv', 'json', 'xlsx' or 'ods'
+ * @param {Object} options - { sheet: spreadsheet sheet to read (default: the first) }
+ * @returns {Object} - {
+ *     columns: column names,
+ *     rows: [{ label, values, error }] (label is e.g. "Line 4" or "Item 4"; values line up with columns),
+ *     errors: problems with the whole file (nothing should be imported if there are any),
+ *     sheets, sheet: every sheet's name and the one read (spreadsheets only),
+ *     source: 'Goodreads' or 'LibraryThing' for exports of those services (see db/libraries.js)
+ *   }
+ */
+function readImportFile(data, format, options = {}) {
+    if (spreadsheet.SPREADSHEET_FORMATS.includes(format)) {
+        return readImportSheet(data, options.sheet);
+    }
+    if (format === 'json') {
+        let items;
+        try {
+            items = typeof data === 'string' ? JSON.parse(data) : data;
+        } catch (error) {
+            return { columns: [], rows: [], errors: [`Invalid JSON: ${error.message}`] };
+        }
+        if (!Array.isArray(items)) {
+            return { columns: [], rows: [], errors: ['Invalid JSON: JSON data must be an array'] };
+        }
+        
+        const flatten = (item) => {
+            const flat = {};
+            for (const [key, value] of Object.entries(item || {})) {
+                if (key === 'custom_fields' && value && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.entries(value).forEach(([fieldKey, fieldValue]) => {
+                        flat[`custom_fields.${fieldKey}`] = fieldValue;
+                    });
+                } else {
+                    flat[key] = value;
+                }
+            }
+            return flat;
+        };
+        const flatItems = items.map(flatten);
+        const columns = [...new Set(flatItems.flatMap(item => Object.keys(item)))];
+        const rows = flatItems.map((item, index) => ({
+            label: `Item ${index + 1}`,
+            values: columns.map(column => item[column] ?? null),
+            error: null,
+        }));
+        return { columns, rows, errors: [] };
+    }
+    
+    const parsed = csv.parseCSV(data);
+    if (parsed.errors.length > 0) {
+        return { columns: [], rows: [], errors: parsed.errors.map(csv.formatError) };
+    }
+    if (parsed.rows.length === 0) {
+        return { columns: [], rows: [], errors: [] };
+    }
+    
+    const columns = parsed.rows[0].values.map(h => h.trim());
+    const rows = parsed.rows.slice(1).map(row => ({
+        label: `Line ${row.line}`,
+        values: columns.map((_, index) => row.values[index] === undefined ? null : csv.unescapeFormula(row.values[index])),
+        error: row.values.length > columns.length
+            ? `${row.values.length} values but only ${columns.length} columns (is a value with a delimiter missing its quotes?)`
+            : null,
+    }));
+    
+    // Goodreads and LibraryThing exports become books with catalog columns
+    const library = libraries.detectLibraryExport(columns);
+    if (library) {
+        return {
+            columns: libraries.LIBRARY_COLUMNS,
+            rows: rows.map(row => ({ ...row, values: libraries.convertLibraryRow(library, columns, row.values) })),
+            errors: [],
+            source: library.name,
+        };
+    }
+    return { columns, rows, errors: [] };
+}
+
+/**
+ * Read one sheet of a spreadsheet for importing
+ * The first row with anything in it holds the column names. Cells keep their
+ * types: numbers stay numbers, and dates come as "YYYY-MM-DD" or
+ * "YYYY-MM-DD HH:MM:SS", which is how they are stored.
+ * @param {string} filePath - .xlsx or .ods file
+ * @param {string} sheetName - Sheet to read (default: the first)
+ * @returns {Object} - Same as readImportFile
+ */
+function readImportSheet(filePath, sheetName) {
+    let workbook;
+    try {
+        workbook = spreadsheet.readWorkbook(filePath);
+    } catch (error) {
+        return { columns: [], rows: [], errors: [error.message], sheets: [], sheet: null };
+    }
+    
+    const sheets = workbook.sheets.map(sheet => sheet.name);
+    const sheet = sheetName ? workbook.sheets.find(s => s.name === sheetName) : workbook.sheets[0];
+    if (!sheet) {
+        const message = sheets.length === 0 ? 'The spreadsheet has no sheets' : `The spreadsheet has no sheet called "${sheetName}"`;
+        return { columns: [], rows: [], errors: [message], sheets, sheet: null };
+    }
+    if (sheet.rows.length === 0) {
+        return { columns: [], rows: [], errors: [], sheets, sheet: sheet.name };
+    }
+    
+    // Cells without a header (or past the last one) still get a column, so they can be mapped
+    const [header, ...body] = sheet.rows;
+    const width = Math.max(...sheet.rows.map(row => row.values.length));
+    const columns = [];
+    for (let index = 0; index < width; index++) {
+        const value = header.values[index];
+        const base = isBlank(value) ? `Column ${index + 1}` : String(value).trim();
+        // Column names are mapping keys, so they must be unique
+        let name = base;
+        for (let n = 2; columns.includes(name); n++) {
+            name = `${base} (${n})`;
+        }
+        columns.push(name);
+    }
+    const rows = body.map(row => ({
+        label: `Row ${row.number}`,
+        values: columns.map((_, index) => row.values[index] ?? null),
+        error: null,
+    }));
+    return { columns, rows, errors: [], sheets, sheet: sheet.name };
+}
+
+/**
+ * Make a column name comparable: lower case, letters and digits only
+ * ("ISBN/SKU", "isbn_sku" and "ISBN SKU" all become "isbnsku")
+ * @param {string} name - Column or field name
+ * @returns {string} - Normalized name
+ */
+function normalizeColumnName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get the fields file columns can be imported into
+ * @returns {Array} - [{ key, label }] (custom fields have keys like "custom_fields.mint_mark")
+ */
+function getImportFields() {
+    const fields = [...IMPORT_FIELDS];
+    const seen = new Set();
+    for (const type of getMediaTypes()) {
+        for (const field of type.fields) {
+            if (!COLUMN_FIELDS.includes(field.key) && !seen.has(field.key)) {
+                seen.add(field.key);
+                fields.push({ key: `custom_fields.${field.key}`, label: `${field.label} (custom field)` });
+            }
+        }
+    }
+    return fields;
+}
+
+/**
+ * Guess which field each column should be imported into
+ * Columns are matched by (in this order) aliases saved from earlier imports,
+ * field names, custom field labels and the built-in IMPORT_ALIASES. Each field
+ * is only used once; later columns that match it are left out.
+ * @param {Array} columns - Column names from the file
+ * @returns {Object} - Column name -> field key ('' for columns that aren't imported)
+ */
+function suggestImportMapping(columns) {
+    const savedAliases = getSetting('import_aliases', {});
+    const byName = new Map();   // Normalized name -> field key
+    for (const field of getImportFields()) {
+        byName.set(normalizeColumnName(field.key), field.key);
+    }
+    // ...and by the headers of spreadsheet exports ("Last Updated" -> updated_at)
+    for (const column of EXPORT_COLUMNS) {
+        const name = normalizeColumnName(column.label);
+        if (byName.has(normalizeColumnName(column.key)) && !byName.has(name)) {
+            byName.set(name, column.key);
+        }
+    }
+    // Custom fields also match by key or label ("Mint Mark" -> custom_fields.mint_mark)
+    for (const type of getMediaTypes()) {
+        for (const field of type.fields) {
+            const key = COLUMN_FIELDS.includes(field.key) ? field.key : `custom_fields.${field.key}`;
+            for (const name of [field.key, field.label].map(normalizeColumnName)) {
+                if (!byName.has(name)) {
+                    byName.set(name, key);
+                }
+            }
+        }
+    }
+    
+    const mapping = {};
+    const used = new Set();
+    for (const column of columns) {
+        const name = normalizeColumnName(column);
+        const field = savedAliases[name] || byName.get(name) || IMPORT_ALIASES[name] || '';
+        mapping[column] = field && !used.has(field) ? field : '';
+        used.add(mapping[column]);
+    }
+    return mapping;
+}
+
+/**
+ * Remember the columns the user mapped by hand, so the same file layout is
+ * mapped the same way next time ("Platform" -> system, say)
+ * @param {Object} mapping - Column name -> field key ('' for columns left out)
+ */
+function saveImportAliases(mapping) {
+    const aliases = getSetting('import_aliases', {});
+    const known = new Map(getImportFields().map(field => [normalizeColumnName(field.key), field.key]));
+    for (const [column, field] of Object.entries(mapping)) {
+        const name = normalizeColumnName(column);
+        if (!name) {
+            continue;
+        }
+        if (field && known.get(name) !== field && IMPORT_ALIASES[name] !== field) {
+            aliases[name] = field;
+        } else {
+            // Back to the default (or left out on purpose): forget the alias
+            delete aliases[name];
+        }
+    }
+    setSetting('import_aliases', aliases);
+}
+
+/**
+ * Find a type by key or display name ("Video Game" -> "video_game")
+ * @param {*} value - Type from a file
+ * @returns {*} - The type key, or the value unchanged if no type matches
+ */
+function resolveTypeKey(value) {
+    if (typeof value !== 'string' || getMediaType(value)) {
+        return value;
+    }
+    const name = normalizeColumnName(value);
+    const type = getMediaTypes().find(t => normalizeColumnName(t.name) === name || normalizeColumnName(t.key) === name);
+    return type ? type.key : value;
+}
+
+/**
+ * Turn one file row into an item for insertMedia
+ * @param {Object} row - Row from readImportFile
+ * @param {Array} columns - Column names
+ * @param {Object} mapping - Column name -> field key
+ * @returns {Object} - The item (only fields with a value in the row are set)
+ */
+function buildImportItem(row, columns, mapping) {
+    const item = { custom_fields: {} };
+    columns.forEach((column, index) => {
+        const field = mapping[column];
+        let value = row.values[index];
+        if (!field || value === undefined) {
+            return;
+        }
+        if (typeof value === 'string') {
+            value = value.trim();
+        }
+        if (value === '') {
+            value = null;
+        }
+        
+        if (field.startsWith('custom_fields.')) {
+            if (value !== null) {
+                item.custom_fields[field.slice('custom_fields.'.length)] = value;
+            }
+        } else if (field === 'rating' || field === 'quantity' || field === 'id') {
+            // Text that isn't a number is kept, so validation can say what's wrong
+            const number = typeof value === 'string' ? Number(value) : value;
+            item[field] = Number.isFinite(number) ? number : value;
+        } else if (field === 'type') {
+            item.type = resolveTypeKey(value);
+        } else if (field === 'images' && typeof value === 'string') {
+            item.images = value.split('|').map(imagePath => imagePath.trim()).filter(Boolean);
+        } else if (field === 'deleted') {
+            item.deleted = value === null ? null : parseBoolean(value);
+        } else {
+            // Spreadsheet cells can hold numbers (an ISBN, say) where text is stored
+            item[field] = typeof value === 'number' ? String(value) : value;
+        }
+    });
+    return item;
+}
+
+/**
+ * Convert a date from a file into the form SQLite's CURRENT_TIMESTAMP uses
+ * Dates without a time zone are taken as UTC, like the ones we export.
+ * @param {*} value - e.g. "2024-03-01 12:30:00" or "2024-03-01T12:30:00.000Z"
+ * @returns {string|null} - "YYYY-MM-DD HH:MM:SS", or null if it isn't a date
+ */
+function toTimestamp(value) {
+    if (isBlank(value)) {
+        return null;
+    }
+    let text = String(value).trim().replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        text += 'T00:00:00';
+    }
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        text += 'Z';
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Make an ISBN/SKU comparable: letters and digits only, upper case
+ * ("978-0-14-044913-6" and "9780140449136" match)
+ * @param {*} value - ISBN/SKU
+ * @returns {string} - Key ('' when there is none)
+ */
+function isbnKey(value) {
+    return isBlank(value) ? '' : String(value).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Check whether two values mean the same thing (blank values all match, and
+ * "5" matches 5)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if they match
+ */
+function sameImportValue(a, b) {
+    if (isBlank(a) || isBlank(b)) {
+        return isBlank(a) && isBlank(b);
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) === Number(b);
+    }
+    return String(a).trim() === String(b).trim();
+}
+
+/**
+ * List the values a file row would change on an existing item
+ * Blank values in the file never clear anything, so a file with fewer
+ * columns (or empty cells) only fills in and changes what it has.
+ * @param {Object} existing - The item in the catalog (from getMediaById)
+ * @param {Object} item - The row (from buildImportItem)
+ * @returns {Array} - [{ field, label, current, incoming }] for each value that differs
+ */
+function diffImportItem(existing, item) {
+    const labels = new Map(getImportFields().map(field => [field.key, field.label.replace(/ \(.*\)$/, '')]));
+    const changes = [];
+    const add = (field, current, incoming) => {
+        if (!isBlank(incoming) && !sameImportValue(current, incoming)) {
+            changes.push({ field, label: labels.get(field) || field, current: isBlank(current) ? null : current, incoming });
+        }
+    };
+    
+    for (const field of MEDIA_COLUMNS) {
+        if (field !== 'image' && item.hasOwnProperty(field)) {
+            add(field, existing[field], item[field]);
+        }
+    }
+    if (Array.isArray(item.images)) {
+        const paths = list => list.map(image => typeof image === 'string' ? image : image && image.path).join(' | ');
+        add('images', paths(existing.images), paths(item.images));
+    } else if (item.hasOwnProperty('image')) {
+        add('image', existing.image, item.image);
+    }
+    if (item.hasOwnProperty('deleted') && item.deleted !== null) {
+        add('deleted', existing.deleted === 1 ? 'yes' : 'no', item.deleted ? 'yes' : 'no');
+    }
+    
+    // Custom field values are compared after conversion ("yes" matches true)
+    const type = getMediaType(item.type || existing.type);
+    const normalized = normalizeCustomFields(type, { ...existing, custom_fields: { ...existing.custom_fields, ...item.custom_fields } }).values;
+    for (const key of Object.keys(item.custom_fields)) {
+        add(`custom_fields.${key}`, existing.custom_fields[key], normalized.hasOwnProperty(key) ? normalized[key] : item.custom_fields[key]);
+    }
+    return changes;
+}
+
+/**
+ * Check the pictures an import row points at before any are copied
+ * Paths the item already has are left alone (it keeps them either way).
+ * @param {Object} item - The row (from buildImportItem)
+ * @param {Array} currentImages - The matched item's images ([] for a new item)
+ * @throws {Error} - If a path isn't an image file or the file doesn't exist
+ */
+function checkImportImages(item, currentImages) {
+    const list = Array.isArray(item.images) ? item.images : (isBlank(item.image) ? [] : [item.image]);
+    const current = new Set(currentImages.map(image => image.path));
+    for (const image of list) {
+        const imagePath = typeof image === 'string' ? image.trim() : (image && typeof image.path === 'string' ? image.path.trim() : '');
+        // Entries without a path are reported by setMediaImages
+        if (!imagePath || current.has(imagePath)) {
+            continue;
+        }
+        if (!images.hasImageExtension(imagePath)) {
+            throw new Error(`${imagePath} is not a supported image file`);
+        }
+        if (!fs.existsSync(imagePath)) {
+            throw new Error(`Image file not found: ${imagePath}`);
+        }
+    }
+}
+
+/**
+ * Apply chosen changes from diffImportItem to an item
+ * @param {Object} existing - The item in the catalog
+ * @param {Array} changes - Changes to make
+ * @param {Object} options - { dryRun: part of a dry run (image files aren't
+ *   copied), addedImages } (see setMediaImages)
+ * @throws {Error} - If the changed item fails validation
+ */
+function applyImportChanges(existing, changes, options = {}) {
+    const updates = {};
+    let deleted = null;
+    for (const change of changes) {
+        if (change.field.startsWith('custom_fields.')) {
+            updates.custom_fields = updates.custom_fields || { ...existing.custom_fields };
+            updates.custom_fields[change.field.slice('custom_fields.'.length)] = change.incoming;
+        } else if (change.field === 'images') {
+            updates.images = change.incoming.split(' | ').map(imagePath => ({ path: imagePath }));
+        } else if (change.field === 'deleted') {
+            deleted = change.incoming === 'yes';
+        } else {
+            updates[change.field] = change.incoming;
+        }
+    }
+    
+    if (Array.isArray(updates.images)) {
+        // Keep captions of images the item already has
+        const captions = new Map(existing.images.map(image => [image.path, image]));
+        updates.images = updates.images.map(image => captions.get(image.path) || image);
+    }
+    if (Object.keys(updates).length > 0) {
+        updateMedia(existing.id, updates, options);
+    }
+    if (deleted === true) {
+        softDeleteMedia(existing.id);
+    } else if (deleted === false) {
+        restoreMedia(existing.id);
+    }
+}
+
+/**
+ * Describe conflicting values for the import report
+ * @param {Array} conflicts - Changes from diffImportItem
+ * @returns {string} - e.g. 'Brand: file "Sega", catalog "SEGA"'
+ */
+function describeImportConflicts(conflicts) {
+    return conflicts.map(c => `${c.label}: file "${c.incoming}", catalog "${c.current}"`).join('; ');
+}
+
+/**
+ * Import file rows in one transaction
+ *
+ * A dry run makes the same writes and then rolls the transaction back, so the
+ * database's own checks report the rows that would fail.
+ *
+ * Rows that match an existing item (see IMPORT_MODES) update it. A value is a
+ * conflict when the file and the catalog hold different values and the catalog
+ * may have the newer one: the item's "Last Updated" date is the same as or
+ * later than the file's, or the file has no such date. Rows with conflicts are left alone until
+ * every conflict is resolved with options.resolutions.
+ *
+ * Pictures are copied into the image library as rows are written. A row whose
+ * pictures aren't image files or can't be found is an error, and the files a
+ * failed row added are deleted again, so they don't stay behind unused.
+ *
+ * @param {Object} file - { columns, rows } from readImportFile
+ * @param {Object} mapping - Column name -> field key
+ * @param {Object} options - {
+ *     mode: one of IMPORT_MODES (default 'insert'),
+ *     dryRun: only check the rows,
+ *     defaultType: type for new items whose row has none,
+ *     resolutions: { [row label]: { [field]: 'file' or 'database' } }
+ *   }
+ * @returns {Object} - {
+ *     success: rows created or updated (or, for a dry run, that would be),
+ *     errors: ["Line 4: Title is required", ...],
+ *     counts: { created, updated, unchanged, skipped, conflict, error },
+ *     rows: [{ label, title, status, message, itemId, conflicts }] where status is
+ *       'created', 'updated', 'unchanged', 'skipped', 'conflict' or 'error'
+ *   }
+ * @throws {Error} - If the mode is unknown
+ */
+function importRecords(file, mapping, options = {}) {
+    const mode = options.mode || 'insert';
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode "${mode}"`);
+    }
+    const resolutions = options.resolutions || {};
+    const report = [];
+    
+    // ISBN/SKU -> IDs of items that have it (items in the trash only count
+    // when no other item has the same ISBN/SKU)
+    const byIsbn = new Map();
+    if (mode === 'update_by_isbn' || mode === 'skip_existing') {
+        for (const row of db.prepare('SELECT id, isbn_sku, deleted FROM media WHERE isbn_sku IS NOT NULL ORDER BY deleted, id').all()) {
+            const key = isbnKey(row.isbn_sku);
+            const ids = byIsbn.get(key) || [];
+            if (key && (ids.length === 0 || row.deleted === 0)) {
+                byIsbn.set(key, [...ids, row.id]);
+            }
+        }
+    }
+    const claimed = new Map();  // "id:12" or "isbn:978..." -> label of the row that used it
+    
+    // Find the item a row matches (null if none)
+    const findExisting = (item, row) => {
+        const keys = [];
+        if ((mode === 'update_by_id' || mode === 'skip_existing') && !isBlank(item.id)) {
+            if (!Number.isInteger(item.id) || item.id < 1) {
+                throw new Error('ID must be a whole number');
+            }
+            keys.push({ key: `id:${item.id}`, name: 'ID', find: () => getMediaById(item.id) });
+        }
+        if ((mode === 'update_by_isbn' || mode === 'skip_existing') && isbnKey(item.isbn_sku)) {
+            const ids = byIsbn.get(isbnKey(item.isbn_sku)) || [];
+            if (ids.length > 1) {
+                throw new Error(`${ids.length} items already have ISBN/SKU "${item.isbn_sku}"`);
+            }
+            keys.push({ key: `isbn:${isbnKey(item.isbn_sku)}`, name: 'ISBN/SKU', find: () => ids.length > 0 ? getMediaById(ids[0]) : null });
+        }
+        
+        // Two rows for the same item would overwrite each other
+        for (const { key, name } of keys) {
+            if (claimed.has(key)) {
+                throw new Error(`Same ${name} as ${claimed.get(key)}`);
+            }
+        }
+        keys.forEach(({ key }) => claimed.set(key, row.label));
+        
+        for (const { find } of keys) {
+            const existing = find();
+            if (existing) {
+                return existing;
+            }
+        }
+        return null;
+    };
+    
+    const importRow = (row, addedImages) => {
+        if (row.error) {
+            throw new Error(row.error);
+        }
+        const item = buildImportItem(row, file.columns, mapping);
+        for (const field of ['created_at', 'updated_at']) {
+            if (!isBlank(item[field]) && !toTimestamp(item[field])) {
+                throw new Error(`${field === 'created_at' ? 'Created' : 'Last Updated'} must be a date`);
+            }
+            item[field] = toTimestamp(item[field]);
+        }
+        const title = item.title ? String(item.title) : '';
+        const existing = mode === 'insert' ? null : findExisting(item, row);
+        
+        if (!existing) {
+            // IDs are only kept when restoring items exported from this catalog
+            if (mode === 'insert' || mode === 'update_by_isbn') {
+                delete item.id;
+            }
+            if (!item.type && options.defaultType) {
+                item.type = options.defaultType;
+            }
+            item.deleted = item.deleted ? 1 : 0;
+            item.deleted_at = item.deleted ? (item.updated_at || toTimestamp(new Date().toISOString())) : null;
+            checkImportImages(item, []);
+            const id = insertMedia(item, { keepIdentity: true, dryRun: options.dryRun, addedImages });
+            // A dry run's new IDs are rolled back
+            return { label: row.label, title, status: 'created', message: '', itemId: options.dryRun ? (item.id || null) : id };
+        }
+        
+        const result = { label: row.label, title: title || existing.title, itemId: existing.id };
+        if (mode === 'skip_existing') {
+            return { ...result, status: 'skipped', message: `Already in the catalog as #${existing.id}` };
+        }
+        
+        existing.images = getMediaImages(existing.id);
+        checkImportImages(item, existing.images);
+        const changes = diffImportItem(existing, item);
+        // Timestamps only go to the second, so when they are equal either side may
+        // have been edited since; only a strictly newer file wins by itself
+        const fileIsCurrent = item.updated_at && existing.updated_at && existing.updated_at < item.updated_at;
+        const conflicts = fileIsCurrent ? [] : changes.filter(change => change.current !== null);
+        const chosen = resolutions[row.label] || {};
+        const unresolved = conflicts.filter(change => chosen[change.field] !== 'file' && chosen[change.field] !== 'database');
+        if (unresolved.length > 0) {
+            return { ...result, status: 'conflict', message: describeImportConflicts(conflicts), conflicts };
+        }
+        
+        const toApply = changes.filter(change => !conflicts.includes(change) || chosen[change.field] === 'file');
+        if (toApply.length === 0) {
+            return { ...result, status: 'unchanged', message: '' };
+        }
+        applyImportChanges(existing, toApply, { dryRun: options.dryRun, addedImages });
+        return { ...result, status: 'updated', message: `Changed ${toApply.map(change => change.label).join(', ')}` };
+    };
+    
+    const addedImages = [];     // Library files the saved rows added
+    const run = db.transaction(() => {
+        for (const row of file.rows) {
+            const rowImages = [];
+            try {
+                // A savepoint per row, so a row that fails halfway leaves nothing behind
+                report.push(db.transaction(importRow)(row, rowImages));
+                addedImages.push(...rowImages);
+            } catch (error) {
+                rowImages.forEach(imagePath => images.deleteImage(imagePath));
+                const title = buildImportItem(row, file.columns, mapping).title;
+                report.push({ label: row.label, title: title ? String(title) : '', status: 'error', message: error.message, itemId: null });
+            }
+        }
+        // Throwing rolls the whole transaction back
+        if (options.dryRun) {
+            throw DRY_RUN_ROLLBACK;
+        }
+    });
+    try {
+        run();
+    } catch (error) {
+        addedImages.forEach(imagePath => images.deleteImage(imagePath));
+        if (error !== DRY_RUN_ROLLBACK) {
+            throw error;
+        }
+    }
+    
+    const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0, conflict: 0, error: 0 };
+    report.forEach(row => counts[row.status]++);
+    return {
+        success: counts.created + counts.updated,
+        errors: report.filter(row => row.status === 'error').map(row => `${row.label}: ${row.message}`),
+        counts,
+        rows: report,
+    };
+}
+
+/**
+ * Read a file for the import wizard's preview
+ * @param {string} data - File contents (for spreadsheets, the file's path)
+ * @param {string} format - 'csv', 'json', 'xlsx' or 'ods'
+ * @param {Object} options - { sheet } (see readImportFile)
+ * @returns {Object} - { columns, rows, errors, sheets, sheet, mapping (suggested), fields (from getImportFields) }
+ */
+function previewImport(data, format, options = {}) {
+    const file = readImportFile(data, format, options);
+    return {
+        ...file,
+        mapping: suggestImportMapping(file.columns),
+        fields: getImportFields(),
+    };
+}
+
+/**
+ * Import a file with the column mapping chosen in the import wizard
+ * @param {string} data - File contents (for spreadsheets, the file's path)
+ * @param {string} format - 'csv', 'json', 'xlsx' or 'ods'
+ * @param {Object} mapping - Column name -> field key ('' to leave a column out)
+ * @param {Object} options - Options for importRecords (mode, dryRun, defaultType, resolutions),
+ *   and the spreadsheet sheet to read (sheet)
+ * @returns {Object} - Same as importRecords
+ */
+function importWithMapping(data, format, mapping, options = {}) {
+    const file = readImportFile(data, format, options);
+    if (file.errors.length > 0) {
+        return { success: 0, errors: file.errors, rows: [] };
+    }
+    
+    // New items need a title and type; updates need something to find the item by
+    const mapped = Object.values(mapping);
+    const mode = options.mode || 'insert';
+    const missing = [];
+    if (mode === 'insert' && !mapped.includes('title')) {
+        missing.push('Title');
+    }
+    if (mode === 'insert' && !mapped.includes('type') && !options.defaultType) {
+        missing.push('Type');
+    }
+    if (mode === 'update_by_id' && !mapped.includes('id')) {
+        missing.push('ID');
+    }
+    if (mode === 'update_by_isbn' && !mapped.includes('isbn_sku')) {
+        missing.push('ISBN/SKU');
+    }
+    if (mode === 'skip_existing' && !mapped.includes('id') && !mapped.includes('isbn_sku')) {
+        missing.push('ID or ISBN/SKU');
+    }
+    if (missing.length > 0) {
+        return { success: 0, errors: [`Choose a column for ${missing.join(' and ')}`], rows: [] };
+    }
+    
+    const result = importRecords(file, mapping, options);
+    if (!options.dryRun) {
+        saveImportAliases(mapping);
+    }
+    return result;
+}
+
+/**
+ * Write an import report as CSV (for the wizard's "Download Report")
+ * @param {Array} rows - rows from importRecords
+ * @returns {string} - CSV text
+ */
+function formatImportReport(rows) {
+    return csv.formatCSV([
+        ['Row', 'Title', 'Status', 'Item ID', 'Message'],
+        ...rows.map(row => [row.label, row.title, row.status, row.itemId, row.message]),
+    ], { byteOrderMark: true });
+}
+
+// ============================================================================
+// Catalog Archive
+// ============================================================================
+// An archive is a zip file holding everything needed to move the catalog to
+// another computer:
+//   manifest.json - format, schema version, counts, and a SHA-256 checksum of every other file
+//   catalog.json  - items (with their trash state and dates), media types,
+//                   smart collections and settings
+//   images/...    - every picture an item uses, named after its contents
+// Image paths in catalog.json point into images/, so they mean the same thing
+// on any computer; restoring rewrites them to the new computer's image library.
+
+/**
+ * Export the whole catalog, including items in the trash and every image, to a zip file
+ * @param {string} filePath - Where to save the archive
+ * @returns {Object} - { items, images, missingImages: [{ title, path }] }
+ *   (missing images keep their old path, so they can be relinked after a restore)
+ */
+function exportArchive(filePath) {
+    const items = JSON.parse(exportToJSON(true));
+    const entries = [];
+    const files = [];
+    const missingImages = [];
+    const archived = new Map();     // Path on disk -> name in the archive (null if unreadable)
+    
+    const archiveImage = (imagePath, title) => {
+        if (!archived.has(imagePath)) {
+            let name = null;
+            try {
+                const contents = fs.readFileSync(imagePath);
+                const sha256 = images.hashContents(contents);
+                name = `images/${sha256}${path.extname(imagePath).toLowerCase()}`;
+                // Two paths with the same picture share one file in the archive
+                if (!files.some(file => file.name === name)) {
+                    entries.push({ name, path: imagePath });
+                    files.push({ name, size: contents.length, sha256 });
+                }
+            } catch (error) {
+                missingImages.push({ title, path: imagePath });
+            }
+            archived.set(imagePath, name);
+        }
+        return archived.get(imagePath) || imagePath;
+    };
+    
+    for (const item of items) {
+        item.images = item.images.map(image => ({ ...image, path: archiveImage(image.path, item.title) }));
+        item.image = item.image ? archiveImage(item.image, item.title) : null;
+    }
+    
+    const settings = {};
+    for (const key of ARCHIVE_SETTINGS) {
+        const value = getSetting(key);
+        if (value !== null) {
+            settings[key] = value;
+        }
+    }
+    const catalog = Buffer.from(JSON.stringify({
+        items,
+        mediaTypes: getMediaTypes(),
+        smartCollections: getSmartCollections().map(({ name, filters }) => ({ name, filters })),
+        settings,
+    }, null, 2));
+    
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        schemaVersion: migrate.getSchemaVersion(db),
+        createdAt: new Date().toISOString(),
+        items: items.length,
+        images: files.length,
+        files: [{ name: 'catalog.json', size: catalog.length, sha256: images.hashContents(catalog) }, ...files],
+    };
+    
+    zip.writeZip(filePath, [
+        { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)), compress: true },
+        { name: 'catalog.json', data: catalog, compress: true },
+        ...entries,
+    ]);
+    return { items: items.length, images: files.length, missingImages };
+}
+
+/**
+ * Read and check an archive's manifest
+ * @param {Object} archive - Archive opened with zip.openZip
+ * @returns {Object} - The manifest
+ * @throws {Error} - If it isn't one of our archives, or is from a newer version of the app
+ */
+function readArchiveManifest(archive) {
+    let manifest;
+    try {
+        manifest = JSON.parse(archive.read('manifest.json').toString('utf8'));
+    } catch (error) {
+        throw new Error(`This is not a catalog archive (${error.message})`);
+    }
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.files)) {
+        throw new Error('This is not a catalog archive');
+    }
+    if (manifest.version > ARCHIVE_VERSION || manifest.schemaVersion > migrate.getLatestVersion()) {
+        throw new Error('This archive was made by a newer version of the app. Update the app to restore it.');
+    }
+    return manifest;
+}
+
+/**
+ * Get what an archive holds, to show before restoring it
+ * @param {string} filePath - Archive file
+ * @returns {Object} - { createdAt, items, images }
+ * @throws {Error} - If the file isn't an archive this version can restore
+ */
+function getArchiveInfo(filePath) {
+    const archive = zip.openZip(filePath);
+    try {
+        const { createdAt, items, images: imageCount } = readArchiveManifest(archive);
+        return { createdAt, items, images: imageCount };
+    } finally {
+        archive.close();
+    }
+}
+
+/**
+ * Replace the catalog with the contents of an archive
+ *
+ * Every file is checked against the manifest's checksums first; if anything
+ * is missing, damaged or not a supported image type, nothing is changed.
+ * Pictures are then copied into this computer's image library and the catalog
+ * is replaced in one transaction (items, media types, smart collections and
+ * settings). If that fails, the pictures the restore added are deleted again;
+ * if it works, images only the old catalog used are deleted.
+ *
+ * @param {string} filePath - Archive file
+ * @returns {Object} - { items, images, mediaTypes, smartCollections }
+ * @throws {Error} - If the archive can't be restored (the catalog is then unchanged)
+ */
+function restoreArchive(filePath) {
+    const archive = zip.openZip(filePath);
+    try {
+        const manifest = readArchiveManifest(archive);
+        
+        for (const file of manifest.files) {
+            if (images.hashContents(archive.read(file.name)) !== file.sha256) {
+                throw new Error(`${file.name} is damaged (its checksum doesn't match the manifest)`);
+            }
+        }
+        if (!manifest.files.some(file => file.name === 'catalog.json')) {
+            throw new Error('catalog.json is missing from the manifest');
+        }
+        const catalog = JSON.parse(archive.read('catalog.json').toString('utf8'));
+        if (!Array.isArray(catalog.items) || !Array.isArray(catalog.mediaTypes)) {
+            throw new Error('catalog.json is not a catalog');
+        }
+        
+        const imageFiles = manifest.files.filter(file => file.name.startsWith('images/'));
+        for (const file of imageFiles) {
+            if (!images.hasImageExtension(file.name)) {
+                throw new Error(`${file.name} is not a supported image file`);
+            }
+        }
+        
+        // Archive image names -> paths in this computer's image library
+        const imagePaths = new Map();
+        const addedImages = [];     // Files that weren't in the library before
+        const localPath = (imagePath) => imagePaths.get(imagePath) || imagePath;
+        
+        const oldImages = getReferencedImagePaths();
+        const insertCollection = db.prepare('INSERT INTO smart_collections (name, filters, sort_order) VALUES (?, ?, ?)');
+        const restore = db.transaction(() => {
+            // Deleting items also deletes their media_images rows, and deleting
+            // types deletes their fields (ON DELETE CASCADE)
+            db.prepare('DELETE FROM media').run();
+            db.prepare('DELETE FROM media_types').run();
+            db.prepare('DELETE FROM smart_collections').run();
+            
+            catalog.mediaTypes.forEach(type => saveMediaType(type));
+            for (const item of catalog.items) {
+                try {
+                    insertMedia({
+                        ...item,
+                        image: item.image ? localPath(item.image) : null,
+                        images: (item.images || []).map(image => ({ ...image, path: localPath(image.path) })),
+                    }, { keepIdentity: true });
+                } catch (error) {
+                    throw new Error(`Item "${item.title || item.id}": ${error.message}`);
+                }
+            }
+            (catalog.smartCollections || []).forEach((collection, index) => {
+                insertCollection.run(collection.name, JSON.stringify(collection.filters || {}), index + 1);
+            });
+            for (const key of ARCHIVE_SETTINGS) {
+                if (catalog.settings && catalog.settings.hasOwnProperty(key)) {
+                    setSetting(key, catalog.settings[key]);
+                }
+            }
+        });
+        try {
+            for (const file of imageFiles) {
+                const contents = archive.read(file.name);
+                const extension = path.extname(file.name);
+                const target = images.getLibraryPath(contents, extension);
+                if (!fs.existsSync(target)) {
+                    addedImages.push(target);
+                }
+                imagePaths.set(file.name, images.storeImageData(contents, extension));
+            }
+            restore();
+        } catch (error) {
+            addedImages.forEach(imagePath => images.deleteImage(imagePath));
+            throw error;
+        }
+        removeUnusedImages(oldImages);
+        
+        return {
+            items: catalog.items.length,
+            images: imagePaths.size,
+            mediaTypes: catalog.mediaTypes.length,
+            smartCollections: (catalog.smartCollections || []).length,
+        };
+    } finally {
+        archive.close();
+    }
 }
 
 module.exports = {
     initDatabase,
+    getInitError,
     closeDatabase,
     createMedia,
     getMediaById,
+    getMediaImage,
     getAllMedia,
+    getMediaGroups,
+    countMedia,
     updateMedia,
     softDeleteMedia,
     restoreMedia,
     permanentDeleteMedia,
+    purgeTrashItems,
+    migrateExternalImages,
+    emptyTrash,
+    purgeExpiredTrash,
+    getTrashRetentionDays,
+    setTrashRetentionDays,
+    getReferencedImagePaths,
+    checkCatalogIntegrity,
+    relinkImages,
+    deleteOrphanedImages,
+    getItemImages,
+    getImageHashes,
+    saveImageHashes,
+    bulkUpdateMedia,
     getBrands,
     getSizes,
+    getSystems,
     getTypes,
+    getMediaTypes,
+    getMediaType,
+    saveMediaType,
+    deleteMediaType,
+    validateMedia,
+    parseSearchQuery,
+    getSearchSuggestions,
+    getSmartCollections,
+    createSmartCollection,
+    renameSmartCollection,
+    reorderSmartCollections,
+    deleteSmartCollection,
     exportToJSON,
     exportToCSV,
+    getExportColumns,
+    exportItems,
+    exportSpreadsheet,
     importFromJSON,
     importFromCSV,
+    previewImport,
+    importWithMapping,
+    formatImportReport,
+    exportArchive,
+    getArchiveInfo,
+    restoreArchive,
 };
 
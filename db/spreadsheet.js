@@ -0,0 +1,942 @@
+/**
+ * Spreadsheet Reader and Writer
+ *
+ * Writes and reads Excel (.xlsx) and OpenDocument (.ods) spreadsheets for
+ * importing and exporting (see exportSpreadsheet and readImportFile in
+ * db/repo.js). Both are zip files (see db/zip.js) of XML documents:
+ *
+ *   .xlsx: xl/workbook.xml lists the sheets, xl/worksheets/sheet1.xml holds a
+ *          sheet's cells, xl/sharedStrings.xml the text most cells point to
+ *          and xl/styles.xml how numbers and dates are shown
+ *   .ods:  content.xml holds every sheet with its cells and styles, and
+ *          settings.xml things like frozen rows
+ *
+ * For junior developers:
+ * - Unlike CSV, cells have types: text, numbers, yes/no and dates. A date is
+ *   really a number (in .xlsx, days since 30 December 1899) that looks like a
+ *   date because of its number format, so reading one means checking its format
+ * - Dates are written and read as UTC, the way the database stores them, so a
+ *   date never moves to another day when the file is opened in another time zone
+ * - Only values are read: formulas come back as their last result, and
+ *   formatting, merged cells and comments are ignored
+ * - The XML parser below handles what these files contain, not every XML feature
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zip = require('./zip');
+
+const SPREADSHEET_FORMATS = ['xlsx', 'ods'];
+
+// Largest sheet Excel and LibreOffice open
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+
+// Sheet names: at most 31 characters and none of these (Excel's rules; LibreOffice's are looser)
+const MAX_SHEET_NAME_LENGTH = 31;
+const SHEET_NAME_FORBIDDEN = /[[\]:*?/\\]/g;
+
+// Days from 30 December 1899 (day 0 of .xlsx dates) to 1 January 1970
+const XLSX_EPOCH_DAYS = 25569;
+// Workbooks from old Mac Excel count from 1904 instead
+const XLSX_1904_OFFSET_DAYS = 1462;
+const DAY_MS = 86400000;
+
+// Built-in .xlsx number formats that show dates (custom formats are checked by their code)
+const XLSX_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// Style indexes in the styles.xml written by writeXlsx
+const XLSX_STYLE_HEADER = 1;
+const XLSX_STYLE_DATE = 2;
+const XLSX_STYLE_DATE_TIME = 3;
+
+// Old Excel files (.xls) are not zip files; they start with these bytes
+const XLS_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+
+const ODS_MIME_TYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+// Characters XML can't hold at all (everything below a space except tab and line breaks)
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+// ============================================================================
+// XML
+// ============================================================================
+
+/**
+ * Drop the namespace prefix from an XML name ("table:table-cell" -> "table-cell")
+ * The files read here always use the standard namespaces, so the prefix
+ * carries nothing we need.
+ * @param {string} name - Element or attribute name
+ * @returns {string} - Name without prefix
+ */
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Turn &lt; &#233; etc. back into characters
+ * @param {string} text - Text from an XML file
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Escape text for XML (characters XML can't hold are left out)
+ * @param {*} value - Text or attribute value
+ * @returns {string} - Escaped text
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document into a tree
+ * Elements are { name, attributes, children }, with names and attribute names
+ * given without their namespace prefix; text is kept as strings in children.
+ * @param {string} text - XML text
+ * @returns {Object} - The document's root element
+ * @throws {Error} - If the XML is malformed
+ */
+function parseXML(text) {
+    const document = { name: '', attributes: {}, children: [] };
+    const stack = [document];
+    const tagPattern = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    const find = (search, from) => {
+        const index = text.indexOf(search, from);
+        if (index === -1) {
+            throw new Error('The file is damaged (its XML ends too soon)');
+        }
+        return index;
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const current = stack[stack.length - 1];
+        const start = text.indexOf('<', i);
+        const textEnd = start === -1 ? text.length : start;
+        if (textEnd > i && stack.length > 1) {
+            current.children.push(decodeEntities(text.slice(i, textEnd)));
+        }
+        if (start === -1) {
+            break;
+        }
+
+        if (text.startsWith('<!--', start)) {
+            i = find('-->', start) + 3;
+        } else if (text.startsWith('<![CDATA[', start)) {
+            const end = find(']]>', start);
+            current.children.push(text.slice(start + 9, end));
+            i = end + 3;
+        } else if (text.startsWith('<?', start)) {
+            i = find('?>', start) + 2;
+        } else if (text.startsWith('<!', start)) {
+            // <!DOCTYPE ...>; entity declarations aren't supported
+            i = find('>', start) + 1;
+        } else {
+            tagPattern.lastIndex = start;
+            const match = tagPattern.exec(text);
+            if (!match) {
+                throw new Error('The file is damaged (malformed XML)');
+            }
+            const [tag, closing, name, attributeText, selfClosing] = match;
+            if (closing) {
+                if (stack.length === 1 || current.name !== localName(name)) {
+                    throw new Error(`The file is damaged (unexpected </${name}>)`);
+                }
+                stack.pop();
+            } else {
+                const element = { name: localName(name), attributes: {}, children: [] };
+                for (const [, attribute, doubleQuoted, singleQuoted] of attributeText.matchAll(attributePattern)) {
+                    element.attributes[localName(attribute)] = decodeEntities(doubleQuoted ?? singleQuoted);
+                }
+                current.children.push(element);
+                if (!selfClosing) {
+                    stack.push(element);
+                }
+            }
+            i = start + tag.length;
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`The file is damaged (<${stack[stack.length - 1].name}> is never closed)`);
+    }
+    const root = document.children.find(child => typeof child !== 'string');
+    if (!root) {
+        throw new Error('The file is damaged (no XML found)');
+    }
+    return root;
+}
+
+/**
+ * Get the child elements with a name
+ * @param {Object} element - Parent element (null gives an empty list)
+ * @param {string} name - Name without prefix
+ * @returns {Array} - Matching elements
+ */
+function childElements(element, name) {
+    return element ? element.children.filter(child => typeof child !== 'string' && child.name === name) : [];
+}
+
+/**
+ * Get the first child element with a name
+ * @param {Object} element - Parent element (null gives null)
+ * @param {string} name - Name without prefix
+ * @returns {Object|null} - The element, or null if there is none
+ */
+function childElement(element, name) {
+    return childElements(element, name)[0] || null;
+}
+
+/**
+ * Get all the text inside an element
+ * @param {Object} element - Element
+ * @returns {string} - Its text and the text of everything inside it
+ */
+function textContent(element) {
+    return element.children.map(child => typeof child === 'string' ? child : textContent(child)).join('');
+}
+
+// ============================================================================
+// Cell Values
+// ============================================================================
+
+/**
+ * Write a UTC date the way the database stores it
+ * @param {number} ms - Milliseconds since 1970
+ * @returns {string} - "YYYY-MM-DD" at midnight, otherwise "YYYY-MM-DD HH:MM:SS"
+ */
+function formatStoredDate(ms) {
+    const iso = new Date(ms).toISOString();
+    return ms % DAY_MS === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+/**
+ * Read a date written as ISO 8601 text (.ods dates and .xlsx "d" cells)
+ * Dates without a time zone are taken as UTC.
+ * @param {string} text - e.g. "2024-03-01" or "2024-03-01T12:30:00"
+ * @returns {string} - The date as formatStoredDate writes it (or the text if it isn't a date)
+ */
+function parseISODate(text) {
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+    if (!match) {
+        return text;
+    }
+    const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part || 0));
+    return formatStoredDate(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+/**
+ * Split a date pattern like "DD/MM/YYYY hh:mm" into parts
+ * @param {string} pattern - YYYY, MM, DD, hh, mm and ss stand for the date's parts; anything else is shown as is
+ * @returns {Array} - [{ part: 'year' | 'month' | 'day' | 'hours' | 'minutes' | 'seconds' } or { text }]
+ */
+function parseDatePattern(pattern) {
+    const parts = { YYYY: 'year', MM: 'month', DD: 'day', hh: 'hours', mm: 'minutes', ss: 'seconds' };
+    const tokens = [];
+    for (const [token] of pattern.matchAll(/YYYY|MM|DD|hh|mm|ss|[\s\S]/g)) {
+        const last = tokens[tokens.length - 1];
+        if (parts[token]) {
+            tokens.push({ part: parts[token] });
+        } else if (last && last.text !== undefined) {
+            last.text += token;
+        } else {
+            tokens.push({ text: token });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Work out the type of a value to write
+ * @param {*} value - null, text, a number, true/false or { date: 'YYYY-MM-DD', time: 'HH:MM:SS' (optional) }
+ * @returns {string} - 'empty', 'string', 'number', 'boolean', 'date' or 'dateTime'
+ */
+function cellType(value) {
+    if (value === null || value === undefined || value === '') {
+        return 'empty';
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? 'number' : 'string';
+    }
+    if (typeof value === 'boolean') {
+        return 'boolean';
+    }
+    if (typeof value === 'object' && value.date) {
+        return value.time ? 'dateTime' : 'date';
+    }
+    return 'string';
+}
+
+/**
+ * Make sheet names every spreadsheet program accepts: no [ ] : * ? / \,
+ * at most 31 characters, not blank and all different
+ * @param {Array} names - Wanted names
+ * @returns {Array} - Names to use
+ */
+function makeSheetNames(names) {
+    const used = new Set();
+    return names.map((name, index) => {
+        let base = String(name || '').replace(SHEET_NAME_FORBIDDEN, ' ').replace(/^'+|'+$/g, '').trim()
+            .slice(0, MAX_SHEET_NAME_LENGTH).trim() || `Sheet${index + 1}`;
+        let unique = base;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            unique = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length).trim() + suffix;
+        }
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+/**
+ * Check that sheets fit in a spreadsheet
+ * @param {Array} sheets - [{ name, rows }]
+ * @throws {Error} - If a sheet has too many rows or columns
+ */
+function checkSheetSizes(sheets) {
+    for (const sheet of sheets) {
+        if (sheet.rows.length > MAX_ROWS) {
+            throw new Error(`"${sheet.name}" has more than ${MAX_ROWS} rows, which spreadsheets can't hold`);
+        }
+        if (sheet.rows.some(row => row.length > MAX_COLUMNS)) {
+            throw new Error(`"${sheet.name}" has more than ${MAX_COLUMNS} columns, which spreadsheets can't hold`);
+        }
+    }
+}
+
+// ============================================================================
+// Excel (.xlsx)
+// ============================================================================
+
+/**
+ * Get the letters of a column (0 -> A, 26 -> AA)
+ * @param {number} index - Column number, starting at 0
+ * @returns {string} - Column letters
+ */
+function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Get the column of a cell reference ("C7" -> 2)
+ * @param {string} reference - Cell reference
+ * @returns {number} - Column number, starting at 0
+ */
+function columnIndex(reference) {
+    let index = 0;
+    for (const char of reference.toUpperCase().match(/^[A-Z]+/)[0]) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Turn a date pattern into an Excel number format code
+ * @param {string} pattern - See parseDatePattern
+ * @returns {string} - e.g. 'dd/mm/yyyy' or 'yyyy-mm-dd"T"hh:mm:ss"Z"'
+ */
+function xlsxDateFormat(pattern) {
+    const codes = { year: 'yyyy', month: 'mm', day: 'dd', hours: 'hh', minutes: 'mm', seconds: 'ss' };
+    return parseDatePattern(pattern)
+        // Separators are written as they are (Excel reads "mm" after "hh:" as minutes); other text is quoted
+        .map(token => token.part ? codes[token.part] : token.text.replace(/[^-/:., ]+/g, text => `"${text.replace(/"/g, '')}"`))
+        .join('');
+}
+
+/**
+ * Check whether an Excel number format shows dates
+ * @param {string} code - Number format code
+ * @returns {boolean} - True for formats with days, months, years, hours or seconds in them
+ */
+function isXlsxDateFormat(code) {
+    // Quoted text, [Red]/[$-409] sections and \-escaped characters aren't date parts
+    const bare = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return bare.toLowerCase() !== 'general' && /[dmyhs]/i.test(bare);
+}
+
+/**
+ * Convert an Excel date number into a stored date
+ * @param {number} serial - Days since 30 December 1899 (with the time as a fraction)
+ * @param {boolean} date1904 - True for workbooks that count from 1904
+ * @returns {string} - See formatStoredDate
+ */
+function xlsxSerialToDate(serial, date1904) {
+    const days = serial + (date1904 ? XLSX_1904_OFFSET_DAYS : 0) - XLSX_EPOCH_DAYS;
+    // Rounded to the second, since the fraction is rarely exact
+    return formatStoredDate(Math.round(days * 86400) * 1000);
+}
+
+/**
+ * Convert a date cell value into an Excel date number
+ * @param {Object} value - { date: 'YYYY-MM-DD', time: 'HH:MM:SS' (optional) }
+ * @returns {number} - Days since 30 December 1899
+ */
+function xlsxDateSerial(value) {
+    const [year, month, day] = value.date.split('-').map(Number);
+    const [hours = 0, minutes = 0, seconds = 0] = (value.time || '').split(':').filter(Boolean).map(Number);
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds) / DAY_MS + XLSX_EPOCH_DAYS;
+}
+
+/**
+ * Write one .xlsx worksheet
+ * @param {Array} rows - Rows of values (the first is the header row)
+ * @returns {string} - Worksheet XML
+ */
+function xlsxWorksheet(rows) {
+    const rowXML = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const reference = `${columnLetters(columnIndex)}${rowIndex + 1}`;
+            const type = cellType(value);
+            if (type === 'number') {
+                return `<c r="${reference}"><v>${value}</v></c>`;
+            }
+            if (type === 'boolean') {
+                return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+            }
+            if (type === 'date' || type === 'dateTime') {
+                const style = type === 'date' ? XLSX_STYLE_DATE : XLSX_STYLE_DATE_TIME;
+                return `<c r="${reference}" s="${style}"><v>${xlsxDateSerial(value)}</v></c>`;
+            }
+            if (type === 'string') {
+                const style = rowIndex === 0 ? ` s="${XLSX_STYLE_HEADER}"` : '';
+                return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+            }
+            return '';
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    // The header row stays in view while scrolling
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0">'
+        + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+        + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+        + '</sheetView></sheetViews>'
+        + `<sheetData>${rowXML}</sheetData>`
+        + '</worksheet>';
+}
+
+/**
+ * Write an .xlsx workbook
+ * @param {string} filePath - Where to save it
+ * @param {Array} sheets - [{ name, rows }] (names already made safe by makeSheetNames)
+ * @param {Object} options - { dateFormat, dateTimeFormat } patterns (see parseDatePattern)
+ */
+function writeXlsx(filePath, sheets, options) {
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const packageRelationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    const contentTypes = header
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>';
+
+    const rootRelationships = header
+        + `<Relationships xmlns="${packageRelationships}">`
+        + `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>';
+
+    const workbook = header
+        + `<workbook xmlns="${main}" xmlns:r="${relationships}">`
+        + '<bookViews><workbookView/></bookViews><sheets>'
+        + sheets.map((sheet, index) => `<sheet name="${escapeXML(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+        + '</sheets></workbook>';
+
+    const workbookRelationships = header
+        + `<Relationships xmlns="${packageRelationships}">`
+        + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="${relationships}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${relationships}/styles" Target="styles.xml"/>`
+        + '</Relationships>';
+
+    // Cell styles: 0 normal, 1 bold header, 2 date, 3 date and time (see XLSX_STYLE_*)
+    const styles = header
+        + `<styleSheet xmlns="${main}">`
+        + '<numFmts count="2">'
+        + `<numFmt numFmtId="164" formatCode="${escapeXML(xlsxDateFormat(options.dateFormat))}"/>`
+        + `<numFmt numFmtId="165" formatCode="${escapeXML(xlsxDateFormat(options.dateTimeFormat))}"/>`
+        + '</numFmts>'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="4">'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+        + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '</cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+
+    zip.writeZip(filePath, [
+        { name: '[Content_Types].xml', data: Buffer.from(contentTypes), compress: true },
+        { name: '_rels/.rels', data: Buffer.from(rootRelationships), compress: true },
+        { name: 'xl/workbook.xml', data: Buffer.from(workbook), compress: true },
+        { name: 'xl/_rels/workbook.xml.rels', data: Buffer.from(workbookRelationships), compress: true },
+        { name: 'xl/styles.xml', data: Buffer.from(styles), compress: true },
+        ...sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            data: Buffer.from(xlsxWorksheet(sheet.rows)),
+            compress: true,
+        })),
+    ]);
+}
+
+/**
+ * Get the text of a shared or inline string (rich text is made of runs;
+ * phonetic guides for Japanese text are left out)
+ * @param {Object} element - <si> or <is> element
+ * @returns {string} - The text
+ */
+function xlsxString(element) {
+    return element.children.map(child => {
+        if (typeof child === 'string' || child.name === 'rPh') {
+            return '';
+        }
+        return child.name === 't' ? textContent(child) : xlsxString(child);
+    }).join('');
+}
+
+/**
+ * Read the sheets of an .xlsx file
+ * @param {Object} archive - Opened zip file (see openZip)
+ * @returns {Array} - [{ name, rows }] (see readWorkbook)
+ */
+function readXlsx(archive) {
+    const readXML = (name) => parseXML(archive.read(name).toString('utf8'));
+    const workbook = readXML('xl/workbook.xml');
+    const properties = childElement(workbook, 'workbookPr');
+    const date1904 = properties !== null && ['1', 'true'].includes(properties.attributes.date1904);
+
+    // Sheets are found through the workbook's relationships (paths are relative to xl/)
+    const targets = new Map();
+    if (archive.entries.has('xl/_rels/workbook.xml.rels')) {
+        for (const relationship of childElements(readXML('xl/_rels/workbook.xml.rels'), 'Relationship')) {
+            const target = relationship.attributes.Target || '';
+            targets.set(relationship.attributes.Id, target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target));
+        }
+    }
+
+    const sharedStrings = archive.entries.has('xl/sharedStrings.xml')
+        ? childElements(readXML('xl/sharedStrings.xml'), 'si').map(xlsxString)
+        : [];
+
+    // Which cell styles show dates
+    const dateStyles = new Set();
+    if (archive.entries.has('xl/styles.xml')) {
+        const styles = readXML('xl/styles.xml');
+        const customFormats = new Map(childElements(childElement(styles, 'numFmts'), 'numFmt')
+            .map(format => [Number(format.attributes.numFmtId), format.attributes.formatCode || '']));
+        childElements(childElement(styles, 'cellXfs'), 'xf').forEach((format, index) => {
+            const id = Number(format.attributes.numFmtId || 0);
+            if (customFormats.has(id) ? isXlsxDateFormat(customFormats.get(id)) : XLSX_DATE_FORMAT_IDS.has(id)) {
+                dateStyles.add(index);
+            }
+        });
+    }
+
+    const cellValue = (cell) => {
+        const valueElement = childElement(cell, 'v');
+        const text = valueElement ? textContent(valueElement) : null;
+        switch (cell.attributes.t || 'n') {
+            case 's':
+                return text === null ? null : sharedStrings[Number(text)] ?? null;
+            case 'inlineStr':
+                return childElement(cell, 'is') ? xlsxString(childElement(cell, 'is')) : null;
+            case 'str':
+                return text;
+            case 'b':
+                return text === null ? null : text.trim() === '1';
+            case 'd':
+                return text === null ? null : parseISODate(text.trim());
+            case 'e':
+                // #N/A, #DIV/0! and other formula errors
+                return null;
+            default: {
+                if (text === null || text.trim() === '') {
+                    return null;
+                }
+                const number = Number(text);
+                return dateStyles.has(Number(cell.attributes.s || 0)) ? xlsxSerialToDate(number, date1904) : number;
+            }
+        }
+    };
+
+    return childElements(childElement(workbook, 'sheets'), 'sheet').map(sheetElement => {
+        const target = targets.get(sheetElement.attributes.id);
+        if (!target || !archive.entries.has(target)) {
+            throw new Error(`The sheet "${sheetElement.attributes.name}" is missing from the file`);
+        }
+        const rows = [];
+        let rowNumber = 0;
+        for (const row of childElements(childElement(readXML(target), 'sheetData'), 'row')) {
+            rowNumber = row.attributes.r ? Number(row.attributes.r) : rowNumber + 1;
+            const values = [];
+            let column = 0;
+            for (const cell of childElements(row, 'c')) {
+                if (cell.attributes.r) {
+                    column = columnIndex(cell.attributes.r);
+                }
+                values[column] = cellValue(cell);
+                column++;
+            }
+            if (values.some(value => value !== null && value !== undefined)) {
+                rows.push({ number: rowNumber, values: Array.from(values, value => value ?? null) });
+            }
+        }
+        return { name: sheetElement.attributes.name, rows };
+    });
+}
+
+// ============================================================================
+// OpenDocument (.ods)
+// ============================================================================
+
+/**
+ * Turn a date pattern into an OpenDocument date style
+ * @param {string} name - Style name
+ * @param {string} pattern - See parseDatePattern
+ * @returns {string} - <number:date-style> XML
+ */
+function odsDateStyle(name, pattern) {
+    const parts = parseDatePattern(pattern).map(token => token.part
+        ? `<number:${token.part} number:style="long"/>`
+        : `<number:text>${escapeXML(token.text)}</number:text>`);
+    return `<number:date-style style:name="${name}">${parts.join('')}</number:date-style>`;
+}
+
+/**
+ * Write text as OpenDocument paragraphs
+ * Lines become <text:p>, and spaces that XML would collapse are written as <text:s>.
+ * @param {string} text - Cell text
+ * @returns {string} - XML
+ */
+function odsParagraphs(text) {
+    return String(text).split(/\r\n|\r|\n/).map(line => {
+        const escaped = escapeXML(line)
+            .replace(/\t/g, '<text:tab/>')
+            .replace(/ +/g, (spaces, offset) => {
+                // Like LibreOffice: the first space of a run is kept as is, except at the start of the line
+                const kept = offset === 0 ? '' : ' ';
+                const extra = spaces.length - kept.length;
+                return kept + (extra === 0 ? '' : extra === 1 ? '<text:s/>' : `<text:s text:c="${extra}"/>`);
+            });
+        return `<text:p>${escaped}</text:p>`;
+    }).join('');
+}
+
+/**
+ * Write one .ods cell
+ * @param {*} value - Cell value (see cellType)
+ * @param {boolean} header - True for the header row
+ * @returns {string} - <table:table-cell> XML
+ */
+function odsCell(value, header) {
+    switch (cellType(value)) {
+        case 'number':
+            return `<table:table-cell office:value-type="float" office:value="${value}"><text:p>${value}</text:p></table:table-cell>`;
+        case 'boolean':
+            return `<table:table-cell table:style-name="ce4" office:value-type="boolean" office:boolean-value="${value}"><text:p>${value ? 'TRUE' : 'FALSE'}</text:p></table:table-cell>`;
+        case 'date':
+            return `<table:table-cell table:style-name="ce2" office:value-type="date" office:date-value="${value.date}"><text:p>${value.date}</text:p></table:table-cell>`;
+        case 'dateTime':
+            return `<table:table-cell table:style-name="ce3" office:value-type="date" office:date-value="${value.date}T${value.time}"><text:p>${value.date} ${value.time}</text:p></table:table-cell>`;
+        case 'string':
+            return `<table:table-cell${header ? ' table:style-name="ce1"' : ''} office:value-type="string">${odsParagraphs(value)}</table:table-cell>`;
+        default:
+            return '<table:table-cell/>';
+    }
+}
+
+/**
+ * Write an .ods spreadsheet
+ * @param {string} filePath - Where to save it
+ * @param {Array} sheets - [{ name, rows }] (names already made safe by makeSheetNames)
+ * @param {Object} options - { dateFormat, dateTimeFormat } patterns (see parseDatePattern)
+ */
+function writeOds(filePath, sheets, options) {
+    const header = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    const office = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"';
+
+    const content = header
+        + `<office:document-content ${office}`
+        + ' xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"'
+        + ' xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"'
+        + ' xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"'
+        + ' xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0"'
+        + ' xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"'
+        + ' office:version="1.2">'
+        + '<office:automatic-styles>'
+        + odsDateStyle('N1', options.dateFormat)
+        + odsDateStyle('N2', options.dateTimeFormat)
+        + '<number:boolean-style style:name="N3"><number:boolean/></number:boolean-style>'
+        + '<style:style style:name="ce1" style:family="table-cell"><style:text-properties fo:font-weight="bold"/></style:style>'
+        + '<style:style style:name="ce2" style:family="table-cell" style:data-style-name="N1"/>'
+        + '<style:style style:name="ce3" style:family="table-cell" style:data-style-name="N2"/>'
+        + '<style:style style:name="ce4" style:family="table-cell" style:data-style-name="N3"/>'
+        + '</office:automatic-styles>'
+        + '<office:body><office:spreadsheet>'
+        + sheets.map(sheet => {
+            const columns = Math.max(1, ...sheet.rows.map(row => row.length));
+            return `<table:table table:name="${escapeXML(sheet.name)}">`
+                + `<table:table-column table:number-columns-repeated="${columns}"/>`
+                + sheet.rows.map((row, index) => `<table:table-row>${row.map(value => odsCell(value, index === 0)).join('')}</table:table-row>`).join('')
+                + '</table:table>';
+        }).join('')
+        + '</office:spreadsheet></office:body></office:document-content>';
+
+    // LibreOffice keeps frozen rows in the view settings ("vertical split" = a row split)
+    const item = (name, type, value) => `<config:config-item config:name="${name}" config:type="${type}">${value}</config:config-item>`;
+    const settings = header
+        + `<office:document-settings ${office} xmlns:config="urn:oasis:names:tc:opendocument:xmlns:config:1.0" office:version="1.2">`
+        + '<office:settings><config:config-item-set config:name="ooo:view-settings">'
+        + '<config:config-item-map-indexed config:name="Views"><config:config-item-map-entry>'
+        + item('ViewId', 'string', 'view1')
+        + '<config:config-item-map-named config:name="Tables">'
+        + sheets.map(sheet => `<config:config-item-map-entry config:name="${escapeXML(sheet.name)}">`
+            + item('VerticalSplitMode', 'short', 2)
+            + item('VerticalSplitPosition', 'int', 1)
+            + item('ActiveSplitRange', 'short', 2)
+            + item('PositionTop', 'int', 0)
+            + item('PositionBottom', 'int', 1)
+            + '</config:config-item-map-entry>').join('')
+        + '</config:config-item-map-named>'
+        + '</config:config-item-map-entry></config:config-item-map-indexed>'
+        + '</config:config-item-set></office:settings></office:document-settings>';
+
+    const manifest = header
+        + '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">'
+        + `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${ODS_MIME_TYPE}"/>`
+        + '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>'
+        + '<manifest:file-entry manifest:full-path="settings.xml" manifest:media-type="text/xml"/>'
+        + '</manifest:manifest>';
+
+    // The mime type must come first and be stored uncompressed, so programs can recognize the file
+    zip.writeZip(filePath, [
+        { name: 'mimetype', data: Buffer.from(ODS_MIME_TYPE) },
+        { name: 'META-INF/manifest.xml', data: Buffer.from(manifest), compress: true },
+        { name: 'content.xml', data: Buffer.from(content), compress: true },
+        { name: 'settings.xml', data: Buffer.from(settings), compress: true },
+    ]);
+}
+
+/**
+ * Get the text of an .ods cell or paragraph
+ * @param {Object} element - Element
+ * @returns {string} - Its text, with <text:s> spaces, tabs and line breaks filled in (comments are left out)
+ */
+function odsText(element) {
+    return element.children.map(child => {
+        if (typeof child === 'string') {
+            return child;
+        }
+        switch (child.name) {
+            case 's':
+                return ' '.repeat(Number(child.attributes.c || 1));
+            case 'tab':
+                return '\t';
+            case 'line-break':
+                return '\n';
+            case 'annotation':
+                return '';
+            default:
+                return odsText(child);
+        }
+    }).join('');
+}
+
+/**
+ * Read the value of an .ods cell
+ * @param {Object} cell - <table:table-cell> element
+ * @returns {*} - See readWorkbook
+ */
+function odsCellValue(cell) {
+    const { attributes } = cell;
+    switch (attributes['value-type']) {
+        case 'float':
+        case 'percentage':
+        case 'currency':
+            return Number(attributes.value);
+        case 'date':
+            return parseISODate(attributes['date-value']);
+        case 'boolean':
+            return attributes['boolean-value'] === 'true';
+        default: {
+            if (attributes['string-value'] !== undefined) {
+                return attributes['string-value'];
+            }
+            const paragraphs = childElements(cell, 'p');
+            return paragraphs.length > 0 ? paragraphs.map(odsText).join('\n') : null;
+        }
+    }
+}
+
+/**
+ * Read the sheets of an .ods file
+ * Blank rows and cells can be "repeated" thousands of times (to the end of the
+ * sheet), so they are only filled in when something follows them.
+ * @param {Object} archive - Opened zip file (see openZip)
+ * @returns {Array} - [{ name, rows }] (see readWorkbook)
+ */
+function readOds(archive) {
+    const content = parseXML(archive.read('content.xml').toString('utf8'));
+    const spreadsheet = childElement(childElement(content, 'body'), 'spreadsheet');
+
+    // Rows can be grouped (header rows, outline groups)
+    const tableRows = (element) => element.children.flatMap(child => {
+        if (typeof child === 'string') {
+            return [];
+        }
+        if (child.name === 'table-row') {
+            return [child];
+        }
+        return ['table-header-rows', 'table-rows', 'table-row-group'].includes(child.name) ? tableRows(child) : [];
+    });
+
+    return childElements(spreadsheet, 'table').map(table => {
+        const rows = [];
+        let rowNumber = 0;
+        for (const row of tableRows(table)) {
+            const rowRepeat = Number(row.attributes['number-rows-repeated'] || 1);
+            const values = [];
+            let blankCells = 0;
+            for (const cell of row.children) {
+                if (typeof cell === 'string' || (cell.name !== 'table-cell' && cell.name !== 'covered-table-cell')) {
+                    continue;
+                }
+                const repeat = Number(cell.attributes['number-columns-repeated'] || 1);
+                const value = odsCellValue(cell);
+                if (value === null) {
+                    blankCells += repeat;
+                    continue;
+                }
+                const count = Math.min(repeat, MAX_COLUMNS - values.length - blankCells);
+                values.push(...new Array(blankCells).fill(null), ...new Array(Math.max(count, 0)).fill(value));
+                blankCells = 0;
+            }
+            if (values.length > 0) {
+                const count = Math.min(rowRepeat, MAX_ROWS - rowNumber);
+                for (let i = 0; i < count; i++) {
+                    rows.push({ number: rowNumber + i + 1, values: [...values] });
+                }
+            }
+            rowNumber += rowRepeat;
+        }
+        return { name: table.attributes.name, rows };
+    });
+}
+
+// ============================================================================
+// Workbooks
+// ============================================================================
+
+/**
+ * Write a spreadsheet with one or more sheets
+ * Each sheet's first row is its header: it is bold and stays in view (frozen)
+ * while scrolling.
+ * @param {string} filePath - Where to save it
+ * @param {string} format - 'xlsx' or 'ods'
+ * @param {Array} sheets - [{ name, rows }]; each row is an array of values:
+ *   null, text, a number, true/false or { date: 'YYYY-MM-DD', time: 'HH:MM:SS' (optional) } (UTC)
+ * @param {Object} options - { dateFormat (default 'YYYY-MM-DD'), dateTimeFormat (default 'YYYY-MM-DD hh:mm:ss') };
+ *   how date cells are shown (see parseDatePattern)
+ * @throws {Error} - If the format is unknown or a sheet is too big
+ */
+function writeWorkbook(filePath, format, sheets, options = {}) {
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+        throw new Error(`Unknown spreadsheet format "${format}"`);
+    }
+    if (sheets.length === 0) {
+        throw new Error('A spreadsheet needs at least one sheet');
+    }
+    checkSheetSizes(sheets);
+
+    const names = makeSheetNames(sheets.map(sheet => sheet.name));
+    const namedSheets = sheets.map((sheet, index) => ({ name: names[index], rows: sheet.rows }));
+    const formats = {
+        dateFormat: options.dateFormat || 'YYYY-MM-DD',
+        dateTimeFormat: options.dateTimeFormat || 'YYYY-MM-DD hh:mm:ss',
+    };
+    if (format === 'xlsx') {
+        writeXlsx(filePath, namedSheets, formats);
+    } else {
+        writeOds(filePath, namedSheets, formats);
+    }
+}
+
+/**
+ * Read every sheet of an .xlsx or .ods file
+ * The format is recognized from the file's contents, not its name.
+ * @param {string} filePath - Spreadsheet to read
+ * @returns {Object} - {
+ *     format: 'xlsx' or 'ods',
+ *     sheets: [{ name, rows: [{ number, values }] }] (number is the row number shown in
+ *       the spreadsheet, starting at 1; blank rows are left out). Values are null (blank),
+ *       text, numbers, true/false, or dates as "YYYY-MM-DD" / "YYYY-MM-DD HH:MM:SS" (UTC)
+ *   }
+ * @throws {Error} - If the file isn't a spreadsheet this reader supports
+ */
+function readWorkbook(filePath) {
+    let archive;
+    try {
+        archive = zip.openZip(filePath);
+    } catch (error) {
+        const start = Buffer.alloc(XLS_SIGNATURE.length);
+        const fd = fs.openSync(filePath, 'r');
+        fs.readSync(fd, start, 0, start.length, 0);
+        fs.closeSync(fd);
+        if (start.equals(XLS_SIGNATURE)) {
+            throw new Error('Old Excel files (.xls) can\'t be read. Open the file in Excel or LibreOffice and save it as .xlsx first');
+        }
+        throw new Error(`This is not an Excel (.xlsx) or OpenDocument (.ods) spreadsheet (${error.message})`);
+    }
+
+    try {
+        if (archive.entries.has('xl/workbook.xml')) {
+            return { format: 'xlsx', sheets: readXlsx(archive) };
+        }
+        const mimeType = archive.entries.has('mimetype') ? archive.read('mimetype').toString('utf8').trim() : '';
+        if (archive.entries.has('content.xml') && (mimeType === '' || mimeType === ODS_MIME_TYPE)) {
+            return { format: 'ods', sheets: readOds(archive) };
+        }
+        throw new Error('This is not an Excel (.xlsx) or OpenDocument (.ods) spreadsheet');
+    } finally {
+        archive.close();
+    }
+}
+
+module.exports = {
+    SPREADSHEET_FORMATS,
+    writeWorkbook,
+    readWorkbook,
+    parseXML,
+    makeSheetNames,
+};
@@ -0,0 +1,264 @@
+/**
+ * Zip Reader and Writer
+ *
+ * Writes and reads the plain zip files used for catalog archives (see
+ * exportArchive in db/repo.js). Any zip program can open them.
+ *
+ * For junior developers:
+ * - A zip file is a list of entries, each a small "local header" followed by
+ *   the (possibly compressed) file data, and at the end a "central directory"
+ *   that lists every entry and where it starts
+ * - Readers start at the end: they find the central directory, then jump to
+ *   the entries they need, so one picture can be read without reading the rest
+ * - Each entry stores a CRC-32 of its data; reading an entry checks it, so a
+ *   damaged archive is noticed instead of restoring broken files
+ * - Only the basic format is supported (no Zip64, no encryption), so an archive
+ *   holds at most 65534 files and 4 GB
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_SIGNATURE = 0x06054b50;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_SIZE = 22;
+
+// The end record can be followed by a comment of up to 65535 bytes
+const MAX_END_SEARCH = END_SIZE + 0xffff;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flags: bit 0 = encrypted, bit 11 = names are UTF-8
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * Convert a date into the MS-DOS time and date fields zip headers use
+ * @param {Date} date - Date to convert (local time, as zip programs expect)
+ * @returns {Object} - { time, date }
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Write a zip file
+ * Entries are written one at a time, so only one file's contents is in memory
+ * at once. The archive is written under a temporary name and renamed at the
+ * end, so a failed export never leaves half an archive behind.
+ * @param {string} filePath - Where to write the archive
+ * @param {Array} entries - [{ name, data (Buffer) or path (file to read), compress }]
+ *   Set compress for text; pictures are already compressed and are stored as they are.
+ * @throws {Error} - If there are too many entries or the archive would be over 4 GB
+ */
+function writeZip(filePath, entries) {
+    // 0xffff entries would look like a Zip64 archive to readers
+    if (entries.length >= MAX_ENTRIES) {
+        throw new Error(`An archive can hold at most ${MAX_ENTRIES - 1} files`);
+    }
+
+    const temp = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(temp, 'w');
+    try {
+        const { time, date } = toDosDateTime(new Date());
+        const central = [];
+        let offset = 0;
+
+        const write = (buffer) => {
+            fs.writeSync(fd, buffer);
+            offset += buffer.length;
+            if (offset > MAX_SIZE) {
+                throw new Error('The archive would be larger than 4 GB');
+            }
+        };
+
+        for (const entry of entries) {
+            const data = entry.data || fs.readFileSync(entry.path);
+            const compressed = entry.compress ? zlib.deflateRawSync(data) : data;
+            const method = entry.compress ? METHOD_DEFLATE : METHOD_STORE;
+            const name = Buffer.from(entry.name, 'utf8');
+            const crc = zlib.crc32(data);
+
+            const header = Buffer.alloc(LOCAL_HEADER_SIZE);
+            header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+            header.writeUInt16LE(20, 4);                    // Version needed to extract (2.0)
+            header.writeUInt16LE(FLAG_UTF8, 6);
+            header.writeUInt16LE(method, 8);
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt32LE(crc, 14);
+            header.writeUInt32LE(compressed.length, 18);
+            header.writeUInt32LE(data.length, 22);
+            header.writeUInt16LE(name.length, 26);
+            header.writeUInt16LE(0, 28);                    // Extra field length
+
+            central.push({ name, method, crc, compressedSize: compressed.length, size: data.length, offset });
+            write(header);
+            write(name);
+            write(compressed);
+        }
+
+        const directoryOffset = offset;
+        for (const entry of central) {
+            const header = Buffer.alloc(CENTRAL_HEADER_SIZE);
+            header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+            header.writeUInt16LE(20, 4);                    // Version made by
+            header.writeUInt16LE(20, 6);                    // Version needed to extract
+            header.writeUInt16LE(FLAG_UTF8, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(time, 12);
+            header.writeUInt16LE(date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            // Extra field, comment, disk number, attributes: all 0
+            header.writeUInt32LE(entry.offset, 42);
+            write(header);
+            write(entry.name);
+        }
+
+        const end = Buffer.alloc(END_SIZE);
+        end.writeUInt32LE(END_SIGNATURE, 0);
+        end.writeUInt16LE(central.length, 8);
+        end.writeUInt16LE(central.length, 10);
+        end.writeUInt32LE(offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        write(end);
+
+        fs.closeSync(fd);
+    } catch (error) {
+        fs.closeSync(fd);
+        fs.rmSync(temp, { force: true });
+        throw error;
+    }
+    fs.renameSync(temp, filePath);
+}
+
+/**
+ * Open a zip file for reading
+ * Call close() on the result when done.
+ * @param {string} filePath - Archive to read
+ * @returns {Object} - {
+ *     entries: Map of name -> { name, size },
+ *     read(name): the entry's contents as a Buffer (checked against its CRC-32),
+ *     close()
+ *   }
+ * @throws {Error} - If the file isn't a zip file this reader supports
+ */
+function openZip(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const readAt = (position, length) => {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+        if (bytesRead < length) {
+            throw new Error('The archive is cut short');
+        }
+        return buffer;
+    };
+
+    try {
+        // The end record is the last thing in the file (apart from a comment)
+        const fileSize = fs.fstatSync(fd).size;
+        const searchLength = Math.min(fileSize, MAX_END_SEARCH);
+        const tail = readAt(fileSize - searchLength, searchLength);
+        let endIndex = -1;
+        for (let i = tail.length - END_SIZE; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === END_SIGNATURE) {
+                endIndex = i;
+                break;
+            }
+        }
+        if (endIndex === -1) {
+            throw new Error('This is not a zip file');
+        }
+
+        const count = tail.readUInt16LE(endIndex + 10);
+        const directorySize = tail.readUInt32LE(endIndex + 12);
+        const directoryOffset = tail.readUInt32LE(endIndex + 16);
+        if (directoryOffset === MAX_SIZE || count === MAX_ENTRIES) {
+            throw new Error('Zip64 archives are not supported');
+        }
+
+        const directory = readAt(directoryOffset, directorySize);
+        const entries = new Map();
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (position + CENTRAL_HEADER_SIZE > directory.length || directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('The archive\'s file list is damaged');
+            }
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const entry = {
+                name: directory.toString('utf8', position + CENTRAL_HEADER_SIZE, position + CENTRAL_HEADER_SIZE + nameLength),
+                flags: directory.readUInt16LE(position + 8),
+                method: directory.readUInt16LE(position + 10),
+                crc: directory.readUInt32LE(position + 16),
+                compressedSize: directory.readUInt32LE(position + 20),
+                size: directory.readUInt32LE(position + 24),
+                offset: directory.readUInt32LE(position + 42),
+            };
+            entries.set(entry.name, entry);
+            position += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+        }
+
+        const read = (name) => {
+            const entry = entries.get(name);
+            if (!entry) {
+                throw new Error(`${name} is missing from the archive`);
+            }
+            if (entry.flags & FLAG_ENCRYPTED) {
+                throw new Error(`${name} is encrypted`);
+            }
+
+            // The data starts after the local header, whose name and extra field
+            // lengths can differ from the central directory's
+            const header = readAt(entry.offset, LOCAL_HEADER_SIZE);
+            if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+                throw new Error(`${name} is damaged`);
+            }
+            const dataStart = entry.offset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+            const compressed = readAt(dataStart, entry.compressedSize);
+
+            let data;
+            if (entry.method === METHOD_STORE) {
+                data = compressed;
+            } else if (entry.method === METHOD_DEFLATE) {
+                try {
+                    data = zlib.inflateRawSync(compressed);
+                } catch (error) {
+                    throw new Error(`${name} is damaged (${error.message})`);
+                }
+            } else {
+                throw new Error(`${name} uses an unsupported compression method`);
+            }
+            if (data.length !== entry.size || zlib.crc32(data) !== entry.crc) {
+                throw new Error(`${name} is damaged (its checksum doesn't match)`);
+            }
+            return data;
+        };
+
+        const publicEntries = new Map([...entries].map(([name, entry]) => [name, { name, size: entry.size }]));
+        return { entries: publicEntries, read, close: () => fs.closeSync(fd) };
+    } catch (error) {
+        fs.closeSync(fd);
+        throw error;
+    }
+}
+
+module.exports = {
+    writeZip,
+    openZip,
+};
@@ -14,14 +14,48 @@
  * - IPC allows safe communication between them
  */
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, protocol, net, clipboard } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { pathToFileURL } = require('url');
 const repo = require('../db/repo');
+const images = require('../db/images');
+const spreadsheet = require('../db/spreadsheet');
+const thumbnails = require('./thumbnails');
+const phash = require('./phash');
 
 // Keep a global reference to the window object
 let mainWindow = null;
 
+// File types accepted as item images
+const { IMAGE_EXTENSIONS } = images;
+
+// Images picked in the file dialog (or dropped/pasted) but not saved yet. The media:// protocol
+// will preview these (and only these) by path; everything else is by item ID.
+const pickedImages = new Set();
+
+// Files picked in the open or save dialog, or dropped onto the catalog to import.
+// Handlers that read or write a file by path only accept these, so the page
+// can't read or overwrite any other file on disk.
+const chosenFiles = new Set();
+
+// Folders picked in the folder dialog; only these can be listed for photos
+const pickedFolders = new Set();
+
+// The media:// scheme serves item images to the renderer:
+//   media://item/<id>?size=medium     thumbnail of an item's image (small, medium or large)
+//   media://item/<id>?size=original   the full-size image (only used by the image viewer)
+//   media://image/<imageId>?size=...  any image in an item's gallery (same sizes)
+//   media://picked/?path=<path>&size=small   preview of an image picked in the file dialog
+// Schemes have to be registered as privileged before the app is ready. CORS is
+// enabled so the image editor can read the pixels of an image it has drawn.
+protocol.registerSchemesAsPrivileged([
+    { scheme: 'media', privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true } },
+]);
+
+// File types the image editor can save
+const EDITED_IMAGE_EXTENSIONS = ['.jpg', '.png'];
+
 /**
  * Create the main application window
  */
@@ -60,13 +94,48 @@ app.whenReady().then(() => {
     const userDataPath = app.getPath('userData');
     if (!repo.initDatabase(userDataPath)) {
         console.error('Failed to initialize database');
+        // Tell the user why (e.g. the catalog was created by a newer app version)
+        const error = repo.getInitError();
+        dialog.showErrorBox('Unable to open catalog',
+            error ? error.message : 'The media catalog database could not be opened.');
         app.quit();
         return;
     }
 
+    // Serve item images and thumbnails (see handleMediaRequest)
+    thumbnails.initThumbnailCache(userDataPath);
+    protocol.handle('media', handleMediaRequest);
+
+    // Purge items that have been in the trash longer than the retention period
+    try {
+        const purged = repo.purgeExpiredTrash();
+        if (purged > 0) {
+            console.log(`Purged ${purged} expired item${purged === 1 ? '' : 's'} from the trash`);
+        }
+    } catch (error) {
+        // Not worth stopping the app for; the items are simply kept until next time
+        console.error('Error purging expired trash:', error);
+    }
+
+    // Copy images from elsewhere on disk into the managed library (only runs once)
+    let imageMigration = null;
+    try {
+        imageMigration = repo.migrateExternalImages();
+        if (imageMigration) {
+            console.log(`Copied ${imageMigration.copied} image${imageMigration.copied === 1 ? '' : 's'} into the image library`);
+        }
+    } catch (error) {
+        // The items keep their old paths, so nothing is lost; it is retried next start
+        console.error('Error migrating images:', error);
+    }
+
     // Create the main window
     createWindow();
 
+    if (imageMigration && imageMigration.missing.length > 0) {
+        reportMissingImages(imageMigration.missing);
+    }
+
     // On macOS, re-create window when dock icon is clicked
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
@@ -75,6 +144,160 @@ app.whenReady().then(() => {
     });
 });
 
+/**
+ * Answer a media:// request from the renderer
+ * @param {Request} request - The request (see the URL formats above)
+ * @returns {Promise<Response>} - The image, or a 404 if there isn't one
+ */
+async function handleMediaRequest(request) {
+    const url = new URL(request.url);
+    const size = url.searchParams.get('size') || 'medium';
+    if (size !== 'original' && !thumbnails.isThumbnailSize(size)) {
+        return new Response('Unknown size', { status: 400 });
+    }
+
+    let imagePath = null;
+    if (url.hostname === 'item') {
+        const item = repo.getMediaById(parseInt(url.pathname.slice(1), 10));
+        imagePath = item ? item.image : null;
+    } else if (url.hostname === 'image') {
+        const image = repo.getMediaImage(parseInt(url.pathname.slice(1), 10));
+        imagePath = image ? image.path : null;
+    } else if (url.hostname === 'picked') {
+        const picked = url.searchParams.get('path');
+        imagePath = pickedImages.has(picked) ? picked : null;
+    }
+    if (!imagePath || !fs.existsSync(imagePath)) {
+        return new Response('Not found', { status: 404 });
+    }
+
+    try {
+        // Thumbnails are created on first use; null means the original is small enough
+        const filePath = size === 'original'
+            ? imagePath
+            : await thumbnails.getThumbnail(imagePath, size) || imagePath;
+        const response = await net.fetch(pathToFileURL(filePath).toString());
+        const headers = new Headers(response.headers);
+        headers.set('Access-Control-Allow-Origin', '*');
+        return new Response(response.body, { status: response.status, headers });
+    } catch (error) {
+        console.error('Error serving image:', error);
+        return new Response('Error loading image', { status: 500 });
+    }
+}
+
+/**
+ * Check that the images an item is saved with are ones the user chose
+ * Paths the item already has and files in the image library are fine; any
+ * other path must have been picked, dropped or pasted (see pickedImages), so
+ * the page can't copy an arbitrary file into the library.
+ * @param {Object} item - Item data from the renderer (images and/or image)
+ * @param {number} id - The item's ID when an existing item is updated
+ * @throws {Error} - If an image wasn't chosen by the user
+ */
+function checkChosenImages(item, id) {
+    const list = Array.isArray(item.images) ? item.images : (item.image ? [item.image] : []);
+    const existing = id ? repo.getMediaById(id) : null;
+    const current = new Set(existing ? [existing.image, ...existing.images.map(image => image.path)] : []);
+    for (const image of list) {
+        const imagePath = typeof image === 'string' ? image : image && image.path;
+        if (typeof imagePath === 'string' && imagePath.trim() && !current.has(imagePath.trim())
+            && !images.isManagedImage(imagePath.trim()) && !pickedImages.has(imagePath.trim())) {
+            throw new Error(`Choose ${path.basename(imagePath.trim())} in the image dialog first`);
+        }
+    }
+}
+
+/**
+ * Check that a file path from the renderer was chosen by the user (see chosenFiles)
+ * @param {string} filePath - File path
+ * @throws {Error} - If the file wasn't picked in a file dialog or dropped
+ */
+function checkChosenFile(filePath) {
+    if (!chosenFiles.has(filePath)) {
+        throw new Error('Choose the file in the file dialog first');
+    }
+}
+
+/**
+ * Find groups of item images that look alike (the "possible duplicates" report)
+ * Hashes are cached in the database, so only new or changed files are read.
+ * @param {number} maxDistance - Largest number of differing hash bits that counts as similar
+ * @returns {Promise<Object>} - {
+ *     groups: [{ exact, images: [{ id, media_id, title, type, caption, cover }] }],
+ *     checked: number of image files compared,
+ *     unreadable: number of files that are missing or in a format that can't be read
+ *   }
+ */
+async function findDuplicateImages(maxDistance) {
+    const itemImages = repo.getItemImages();
+    const cached = repo.getImageHashes();
+    const hashes = new Map();   // Path -> hash (null if it couldn't be worked out)
+    const fresh = [];
+    
+    for (const image of itemImages) {
+        if (hashes.has(image.path)) {
+            continue;
+        }
+        let stat;
+        try {
+            stat = fs.statSync(image.path);
+        } catch (error) {
+            hashes.set(image.path, null);
+            continue;
+        }
+        const known = cached.get(image.path);
+        if (known && known.modifiedMs === stat.mtimeMs) {
+            hashes.set(image.path, known.hash);
+            continue;
+        }
+        
+        const hash = phash.computeImageHash(image.path);
+        hashes.set(image.path, hash);
+        if (hash) {
+            fresh.push({ path: image.path, modifiedMs: stat.mtimeMs, hash });
+        }
+        // Hashing is slow for big photos; let other requests through between files
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    repo.saveImageHashes(fresh);
+    
+    const entries = itemImages
+        .filter(image => hashes.get(image.path))
+        .map(image => ({ ...image, hash: hashes.get(image.path) }));
+    
+    // Only groups that span several items are duplicates (an item's own
+    // front and back photos often look alike)
+    const groups = phash.groupSimilarImages(entries, maxDistance)
+        .filter(group => new Set(group.map(image => image.media_id)).size > 1)
+        .map(group => ({
+            exact: group.every(image => image.hash === group[0].hash),
+            images: group.map(({ hash, path: imagePath, ...image }) => image),
+        }))
+        .sort((a, b) => b.images.length - a.images.length);
+    
+    const unreadable = [...hashes.values()].filter(hash => !hash).length;
+    return { groups, checked: hashes.size - unreadable, unreadable };
+}
+
+/**
+ * Tell the user which images couldn't be copied into the image library
+ * @param {Array} missing - Array of { id, title, image, reason }
+ */
+function reportMissingImages(missing) {
+    const shown = missing.slice(0, 10)
+        .map(item => `• ${item.title} (#${item.id}): ${item.image} - ${item.reason}`);
+    if (missing.length > shown.length) {
+        shown.push(`…and ${missing.length - shown.length} more`);
+    }
+    dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        title: 'Some images are missing',
+        message: `${missing.length} item${missing.length === 1 ? '' : 's'} have images that couldn't be copied into the app's image library (usually because the file was moved or deleted).`,
+        detail: `These items will show a placeholder until a new image is chosen (or the files are found with Maintenance > Relink):\n\n${shown.join('\n')}`,
+    });
+}
+
 // Quit when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
     // Close database connection
@@ -106,6 +329,18 @@ ipcMain.handle('media:getAll', async (event, options) => {
     }
 });
 
+/**
+ * Get the groups (and item counts) for the catalog grid
+ */
+ipcMain.handle('media:getGroups', async (event, options) => {
+    try {
+        return repo.getMediaGroups(options);
+    } catch (error) {
+        console.error('Error getting media groups:', error);
+        throw error;
+    }
+});
+
 /**
  * Get a single media item by ID
  */
@@ -123,6 +358,7 @@ ipcMain.handle('media:getById', async (event, id) => {
  */
 ipcMain.handle('media:create', async (event, item) => {
     try {
+        checkChosenImages(item || {}, null);
         return repo.createMedia(item);
     } catch (error) {
         console.error('Error creating media:', error);
@@ -135,6 +371,7 @@ ipcMain.handle('media:create', async (event, item) => {
  */
 ipcMain.handle('media:update', async (event, id, updates) => {
     try {
+        checkChosenImages(updates || {}, id);
         return repo.updateMedia(id, updates);
     } catch (error) {
         console.error('Error updating media:', error);
@@ -178,6 +415,153 @@ ipcMain.handle('media:permanentDelete', async (event, id) => {
     }
 });
 
+/**
+ * Change many media items at once (one transaction)
+ */
+ipcMain.handle('media:bulkUpdate', async (event, selection, changes) => {
+    try {
+        return repo.bulkUpdateMedia(selection, changes);
+    } catch (error) {
+        console.error('Error bulk updating media:', error);
+        throw error;
+    }
+});
+
+/**
+ * Permanently delete the selected items that are in the trash
+ */
+ipcMain.handle('trash:purge', async (event, selection) => {
+    try {
+        return repo.purgeTrashItems(selection);
+    } catch (error) {
+        console.error('Error purging trash items:', error);
+        throw error;
+    }
+});
+
+/**
+ * Permanently delete everything in the trash
+ */
+ipcMain.handle('trash:empty', async (event) => {
+    try {
+        return repo.emptyTrash();
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        throw error;
+    }
+});
+
+/**
+ * Get how many days items stay in the trash
+ */
+ipcMain.handle('trash:getRetention', async (event) => {
+    try {
+        return repo.getTrashRetentionDays();
+    } catch (error) {
+        console.error('Error getting trash retention:', error);
+        throw error;
+    }
+});
+
+/**
+ * Set how many days items stay in the trash
+ */
+ipcMain.handle('trash:setRetention', async (event, days) => {
+    try {
+        return repo.setTrashRetentionDays(days);
+    } catch (error) {
+        console.error('Error setting trash retention:', error);
+        throw error;
+    }
+});
+
+/**
+ * Scan the catalog for missing images, unused image files, stale thumbnails
+ * and database problems
+ */
+ipcMain.handle('integrity:check', async (event) => {
+    try {
+        const report = repo.checkCatalogIntegrity();
+        const stale = thumbnails.findStaleThumbnails(repo.getReferencedImagePaths());
+        report.staleThumbnails = {
+            count: stale.length,
+            size: stale.reduce((total, thumbnail) => total + thumbnail.size, 0),
+        };
+        return report;
+    } catch (error) {
+        console.error('Error checking catalog integrity:', error);
+        throw error;
+    }
+});
+
+/**
+ * Group item images that look alike
+ */
+ipcMain.handle('integrity:findDuplicates', async (event, maxDistance) => {
+    try {
+        return await findDuplicateImages(maxDistance);
+    } catch (error) {
+        console.error('Error finding duplicate images:', error);
+        throw error;
+    }
+});
+
+/**
+ * Search a folder for files that can replace missing images
+ */
+ipcMain.handle('integrity:findReplacements', async (event, missingPaths, folder) => {
+    try {
+        const matches = await images.findReplacementImages(missingPaths, folder, IMAGE_EXTENSIONS);
+        // Found files can be relinked (see integrity:relink)
+        matches.forEach(match => pickedImages.add(match.replacement));
+        return matches;
+    } catch (error) {
+        console.error('Error searching for missing images:', error);
+        throw error;
+    }
+});
+
+/**
+ * Point items at the replacements found for their missing images
+ */
+ipcMain.handle('integrity:relink', async (event, replacements) => {
+    try {
+        for (const { replacement } of replacements) {
+            if (!pickedImages.has(replacement)) {
+                throw new Error(`${path.basename(replacement)} wasn't found by Search Folder`);
+            }
+        }
+        return repo.relinkImages(replacements);
+    } catch (error) {
+        console.error('Error relinking images:', error);
+        throw error;
+    }
+});
+
+/**
+ * Delete image library files that no item uses
+ */
+ipcMain.handle('integrity:deleteOrphans', async (event, imagePaths) => {
+    try {
+        return repo.deleteOrphanedImages(imagePaths);
+    } catch (error) {
+        console.error('Error deleting unused images:', error);
+        throw error;
+    }
+});
+
+/**
+ * Delete cached thumbnails that no current image uses
+ */
+ipcMain.handle('integrity:clearThumbnails', async (event) => {
+    try {
+        return thumbnails.removeStaleThumbnails(repo.getReferencedImagePaths());
+    } catch (error) {
+        console.error('Error clearing thumbnails:', error);
+        throw error;
+    }
+});
+
 /**
  * Get all unique brands for autocomplete
  */
@@ -190,6 +574,18 @@ ipcMain.handle('media:getBrands', async (event) => {
     }
 });
 
+/**
+ * Get all unique systems for the system filter
+ */
+ipcMain.handle('media:getSystems', async (event) => {
+    try {
+        return repo.getSystems();
+    } catch (error) {
+        console.error('Error getting systems:', error);
+        throw error;
+    }
+});
+
 /**
  * Get all unique sizes for autocomplete
  */
@@ -214,6 +610,126 @@ ipcMain.handle('media:getTypes', async (event) => {
     }
 });
 
+/**
+ * Parse a search box query and report any errors
+ */
+ipcMain.handle('search:parse', async (event, text) => {
+    try {
+        return repo.parseSearchQuery(text);
+    } catch (error) {
+        console.error('Error parsing search query:', error);
+        throw error;
+    }
+});
+
+/**
+ * Get autocomplete suggestions for the search box
+ */
+ipcMain.handle('search:suggest', async (event, text, cursor) => {
+    try {
+        return repo.getSearchSuggestions(text, cursor);
+    } catch (error) {
+        console.error('Error getting search suggestions:', error);
+        throw error;
+    }
+});
+
+/**
+ * Get all smart collections with live item counts
+ */
+ipcMain.handle('collections:getAll', async (event) => {
+    try {
+        return repo.getSmartCollections();
+    } catch (error) {
+        console.error('Error getting smart collections:', error);
+        throw error;
+    }
+});
+
+/**
+ * Save filters as a new smart collection
+ */
+ipcMain.handle('collections:create', async (event, name, filters) => {
+    try {
+        return repo.createSmartCollection(name, filters);
+    } catch (error) {
+        console.error('Error creating smart collection:', error);
+        throw error;
+    }
+});
+
+/**
+ * Rename a smart collection
+ */
+ipcMain.handle('collections:rename', async (event, id, name) => {
+    try {
+        return repo.renameSmartCollection(id, name);
+    } catch (error) {
+        console.error('Error renaming smart collection:', error);
+        throw error;
+    }
+});
+
+/**
+ * Change the order of smart collections
+ */
+ipcMain.handle('collections:reorder', async (event, ids) => {
+    try {
+        return repo.reorderSmartCollections(ids);
+    } catch (error) {
+        console.error('Error reordering smart collections:', error);
+        throw error;
+    }
+});
+
+/**
+ * Delete a smart collection
+ */
+ipcMain.handle('collections:delete', async (event, id) => {
+    try {
+        return repo.deleteSmartCollection(id);
+    } catch (error) {
+        console.error('Error deleting smart collection:', error);
+        throw error;
+    }
+});
+
+/**
+ * Get all media types with their custom field definitions
+ */
+ipcMain.handle('types:getAll', async (event) => {
+    try {
+        return repo.getMediaTypes();
+    } catch (error) {
+        console.error('Error getting media types:', error);
+        throw error;
+    }
+});
+
+/**
+ * Create or update a media type
+ */
+ipcMain.handle('types:save', async (event, type) => {
+    try {
+        return repo.saveMediaType(type);
+    } catch (error) {
+        console.error('Error saving media type:', error);
+        throw error;
+    }
+});
+
+/**
+ * Delete a media type that no items use
+ */
+ipcMain.handle('types:delete', async (event, key) => {
+    try {
+        return repo.deleteMediaType(key);
+    } catch (error) {
+        console.error('Error deleting media type:', error);
+        throw error;
+    }
+});
+
 /**
  * Export media to JSON
  */
@@ -238,12 +754,49 @@ ipcMain.handle('media:exportCSV', async (event, includeDeleted) => {
     }
 });
 
+/**
+ * Get the columns the export dialog offers
+ */
+ipcMain.handle('media:exportColumns', async () => {
+    try {
+        return repo.getExportColumns();
+    } catch (error) {
+        console.error('Error getting export columns:', error);
+        throw error;
+    }
+});
+
+/**
+ * Export filtered items with chosen columns, format and date format
+ */
+ipcMain.handle('media:exportItems', async (event, options) => {
+    try {
+        return repo.exportItems(options);
+    } catch (error) {
+        console.error('Error exporting items:', error);
+        throw error;
+    }
+});
+
+/**
+ * Export filtered items to an .xlsx or .ods spreadsheet (one sheet per media type)
+ */
+ipcMain.handle('media:exportSpreadsheet', async (event, filePath, options) => {
+    try {
+        checkChosenFile(filePath);
+        return repo.exportSpreadsheet(filePath, options);
+    } catch (error) {
+        console.error('Error exporting spreadsheet:', error);
+        throw error;
+    }
+});
+
 /**
  * Import media from JSON
  */
-ipcMain.handle('media:importJSON', async (event, jsonData) => {
+ipcMain.handle('media:importJSON', async (event, jsonData, options) => {
     try {
-        return repo.importFromJSON(jsonData);
+        return repo.importFromJSON(jsonData, options);
     } catch (error) {
         console.error('Error importing JSON:', error);
         throw error;
@@ -253,15 +806,97 @@ ipcMain.handle('media:importJSON', async (event, jsonData) => {
 /**
  * Import media from CSV
  */
-ipcMain.handle('media:importCSV', async (event, csvData) => {
+ipcMain.handle('media:importCSV', async (event, csvData, options) => {
     try {
-        return repo.importFromCSV(csvData);
+        return repo.importFromCSV(csvData, options);
     } catch (error) {
         console.error('Error importing CSV:', error);
         throw error;
     }
 });
 
+/**
+ * Read a CSV, JSON or spreadsheet file for the import wizard's preview and column mapping
+ */
+ipcMain.handle('import:preview', async (event, data, format, options) => {
+    try {
+        // Spreadsheets are read by path; other formats arrive as text
+        if (spreadsheet.SPREADSHEET_FORMATS.includes(format)) {
+            checkChosenFile(data);
+        }
+        return repo.previewImport(data, format, options);
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        throw error;
+    }
+});
+
+/**
+ * Import (or dry-run) a file with the columns mapped in the import wizard
+ */
+ipcMain.handle('import:run', async (event, data, format, mapping, options) => {
+    try {
+        if (spreadsheet.SPREADSHEET_FORMATS.includes(format)) {
+            checkChosenFile(data);
+        }
+        return repo.importWithMapping(data, format, mapping, options);
+    } catch (error) {
+        console.error('Error importing with mapping:', error);
+        throw error;
+    }
+});
+
+/**
+ * Turn an import report into CSV for downloading
+ */
+ipcMain.handle('import:formatReport', async (event, rows) => {
+    try {
+        return repo.formatImportReport(rows);
+    } catch (error) {
+        console.error('Error formatting import report:', error);
+        throw error;
+    }
+});
+
+/**
+ * Export the whole catalog with its images to a zip archive
+ */
+ipcMain.handle('archive:export', async (event, filePath) => {
+    try {
+        checkChosenFile(filePath);
+        return repo.exportArchive(filePath);
+    } catch (error) {
+        console.error('Error exporting archive:', error);
+        throw error;
+    }
+});
+
+/**
+ * Read what an archive holds (shown before restoring it)
+ */
+ipcMain.handle('archive:info', async (event, filePath) => {
+    try {
+        checkChosenFile(filePath);
+        return repo.getArchiveInfo(filePath);
+    } catch (error) {
+        console.error('Error reading archive:', error);
+        throw error;
+    }
+});
+
+/**
+ * Replace the catalog with the contents of an archive
+ */
+ipcMain.handle('archive:restore', async (event, filePath) => {
+    try {
+        checkChosenFile(filePath);
+        return repo.restoreArchive(filePath);
+    } catch (error) {
+        console.error('Error restoring archive:', error);
+        throw error;
+    }
+});
+
 /**
  * Show file dialog to select an image file
  * Returns the selected file path
@@ -271,7 +906,7 @@ ipcMain.handle('dialog:selectImage', async (event) => {
         const result = await dialog.showOpenDialog(mainWindow, {
             title: 'Select Image',
             filters: [
-                { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'] },
+                { name: 'Images', extensions: IMAGE_EXTENSIONS },
                 { name: 'All Files', extensions: ['*'] },
             ],
             properties: ['openFile'],
@@ -281,6 +916,8 @@ ipcMain.handle('dialog:selectImage', async (event) => {
             return null;
         }
 
+        // Let the media:// protocol show a preview before the item is saved
+        pickedImages.add(result.filePaths[0]);
         return result.filePaths[0];
     } catch (error) {
         console.error('Error selecting image:', error);
@@ -288,6 +925,113 @@ ipcMain.handle('dialog:selectImage', async (event) => {
     }
 });
 
+/**
+ * Show file dialog to select several image files at once
+ * Returns the selected file paths (empty if cancelled)
+ */
+ipcMain.handle('dialog:selectImages', async (event) => {
+    try {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Add Images',
+            filters: [
+                { name: 'Images', extensions: IMAGE_EXTENSIONS },
+                { name: 'All Files', extensions: ['*'] },
+            ],
+            properties: ['openFile', 'multiSelections'],
+        });
+
+        if (result.canceled) {
+            return [];
+        }
+
+        // Let the media:// protocol show previews before the item is saved
+        result.filePaths.forEach(filePath => pickedImages.add(filePath));
+        return result.filePaths;
+    } catch (error) {
+        console.error('Error selecting images:', error);
+        throw error;
+    }
+});
+
+/**
+ * Accept image files dropped onto the edit modal
+ * The preload turns the dropped File objects into paths, so these are files the
+ * user chose. Returns the paths that are images (anything else is ignored)
+ */
+ipcMain.handle('images:addDropped', async (event, filePaths) => {
+    try {
+        const accepted = filePaths.filter(filePath => images.hasImageExtension(filePath) && fs.existsSync(filePath));
+        // Let the media:// protocol show previews before the item is saved
+        accepted.forEach(filePath => pickedImages.add(filePath));
+        return accepted;
+    } catch (error) {
+        console.error('Error adding dropped images:', error);
+        throw error;
+    }
+});
+
+/**
+ * List the image files in a folder (not its subfolders), sorted by name
+ * Used to make one draft item per photo. The folder has to come from the
+ * folder dialog, since its images can be previewed afterwards.
+ */
+ipcMain.handle('images:listFolder', async (event, folder) => {
+    try {
+        if (!pickedFolders.has(folder)) {
+            throw new Error('Choose the folder in the folder dialog first');
+        }
+        const files = fs.readdirSync(folder, { withFileTypes: true })
+            .filter(entry => entry.isFile() && images.hasImageExtension(entry.name))
+            .map(entry => entry.name)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }))
+            .map(name => path.join(folder, name));
+        // Let the media:// protocol show previews before the items are saved
+        files.forEach(filePath => pickedImages.add(filePath));
+        return files;
+    } catch (error) {
+        console.error('Error listing folder images:', error);
+        throw error;
+    }
+});
+
+/**
+ * Save the image on the clipboard (e.g. a screenshot) into the image library
+ * Returns the saved file's path, or null if the clipboard has no image
+ */
+ipcMain.handle('images:savePasted', async (event) => {
+    try {
+        const image = clipboard.readImage();
+        if (image.isEmpty()) {
+            return null;
+        }
+        const imagePath = images.storeImageData(image.toPNG(), '.png');
+        pickedImages.add(imagePath);
+        return imagePath;
+    } catch (error) {
+        console.error('Error saving pasted image:', error);
+        throw error;
+    }
+});
+
+/**
+ * Save an image from the image editor into the image library
+ * The edit is always a new file, so the original is never overwritten.
+ * Returns the new file's path
+ */
+ipcMain.handle('images:saveEdited', async (event, data, extension) => {
+    try {
+        if (!EDITED_IMAGE_EXTENSIONS.includes(extension)) {
+            throw new Error(`Edited images can't be saved as "${extension}"`);
+        }
+        const imagePath = images.storeImageData(Buffer.from(data), extension);
+        pickedImages.add(imagePath);
+        return imagePath;
+    } catch (error) {
+        console.error('Error saving edited image:', error);
+        throw error;
+    }
+});
+
 /**
  * Show file dialog to save a file
  * Returns the selected file path or null if cancelled
@@ -304,6 +1048,7 @@ ipcMain.handle('dialog:saveFile', async (event, defaultFilename, filters) => {
             return null;
         }
 
+        chosenFiles.add(result.filePath);
         return result.filePath;
     } catch (error) {
         console.error('Error saving file:', error);
@@ -327,6 +1072,7 @@ ipcMain.handle('dialog:openFile', async (event, filters) => {
             return null;
         }
 
+        chosenFiles.add(result.filePaths[0]);
         return result.filePaths[0];
     } catch (error) {
         console.error('Error opening file:', error);
@@ -334,12 +1080,61 @@ ipcMain.handle('dialog:openFile', async (event, filters) => {
     }
 });
 
+/**
+ * Accept a file dropped onto the catalog to import it
+ * The preload looks up the dropped file's path, so the page can't name any file.
+ * Returns the path (null for data that isn't a file)
+ */
+ipcMain.handle('files:addDropped', async (event, filePath) => {
+    try {
+        if (!filePath) {
+            return null;
+        }
+        chosenFiles.add(filePath);
+        return filePath;
+    } catch (error) {
+        console.error('Error adding dropped file:', error);
+        throw error;
+    }
+});
+
+/**
+ * Show folder dialog to pick a folder
+ * Returns the selected folder path or null if cancelled
+ */
+ipcMain.handle('dialog:selectFolder', async (event, title) => {
+    try {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: title || 'Select Folder',
+            properties: ['openDirectory'],
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        pickedFolders.add(result.filePaths[0]);
+        return result.filePaths[0];
+    } catch (error) {
+        console.error('Error selecting folder:', error);
+        throw error;
+    }
+});
+
 /**
  * Read a file and return its contents as a string
+ * Text is UTF-8 unless the file starts with a UTF-16 byte order mark (Excel's
+ * "Unicode text" and LibraryThing's tab-separated export). Only files chosen
+ * in the open dialog (or dropped) can be read (see chosenFiles)
  */
 ipcMain.handle('fs:readFile', async (event, filePath) => {
     try {
-        return fs.readFileSync(filePath, 'utf8');
+        checkChosenFile(filePath);
+        const contents = fs.readFileSync(filePath);
+        if (contents[0] === 0xff && contents[1] === 0xfe) {
+            return contents.toString('utf16le', 2);
+        }
+        return contents.toString('utf8');
     } catch (error) {
         console.error('Error reading file:', error);
         throw error;
@@ -348,9 +1143,11 @@ ipcMain.handle('fs:readFile', async (event, filePath) => {
 
 /**
  * Write a file with the given contents
+ * Only files chosen in the save dialog can be written (see chosenFiles)
  */
 ipcMain.handle('fs:writeFile', async (event, filePath, contents) => {
     try {
+        checkChosenFile(filePath);
         fs.writeFileSync(filePath, contents, 'utf8');
         return true;
     } catch (error) {
@@ -371,3 +1168,19 @@ ipcMain.handle('fs:fileExists', async (event, filePath) => {
     }
 });
 
+/**
+ * Check if several files exist in one round trip (used for catalog images)
+ */
+ipcMain.handle('fs:filesExist', async (event, filePaths) => {
+    try {
+        const results = {};
+        filePaths.forEach(filePath => {
+            results[filePath] = fs.existsSync(filePath);
+        });
+        return results;
+    } catch (error) {
+        console.error('Error checking file existence:', error);
+        throw error;
+    }
+});
+
@@ -0,0 +1,168 @@
+/**
+ * Perceptual Image Hashing
+ *
+ * Finds item images that look alike, for the "possible duplicates" report.
+ * Each image gets a 64-bit perceptual hash (pHash): the picture is shrunk to
+ * 32x32 grey pixels, and the hash records which of its lowest frequencies
+ * (the overall light and dark areas) are above average. Resizing, recompressing
+ * or small changes in lighting barely change the hash, so similar pictures have
+ * hashes that differ in only a few bits.
+ *
+ * For junior developers:
+ * - Everything runs locally on the CPU with Electron's nativeImage (no network,
+ *   no extra packages)
+ * - The "distance" between two hashes is the number of bits that differ
+ *   (0 = the same picture, up to about 10 = very likely the same thing)
+ * - This module runs in the main process; hashes are cached in the
+ *   image_hashes table (see db/repo.js)
+ */
+
+const { nativeImage } = require('electron');
+
+// The picture is shrunk to SAMPLE_SIZE x SAMPLE_SIZE before the DCT, and the
+// top-left HASH_SIZE x HASH_SIZE block of frequencies becomes the 64-bit hash
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// Cosine table for the DCT: COSINES[u][x] = cos((2x + 1) * u * PI / (2 * SAMPLE_SIZE))
+const COSINES = Array.from({ length: HASH_SIZE }, (_, u) =>
+    Array.from({ length: SAMPLE_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE))));
+
+/**
+ * Work out the perceptual hash of an image file
+ * @param {string} imagePath - Path of the image
+ * @returns {string|null} - 16 hex digits, or null if nativeImage can't read the file
+ */
+function computeImageHash(imagePath) {
+    const image = nativeImage.createFromPath(imagePath);
+    if (image.isEmpty()) {
+        return null;
+    }
+    const bitmap = image.resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, quality: 'good' }).toBitmap();
+    return hashPixels(bitmap);
+}
+
+/**
+ * Hash a SAMPLE_SIZE x SAMPLE_SIZE bitmap
+ * @param {Buffer} bitmap - 4 bytes per pixel (BGRA, as nativeImage.toBitmap() returns)
+ * @returns {string} - 16 hex digits
+ */
+function hashPixels(bitmap) {
+    // Grey level of each pixel (the same weights TVs use, so green counts most)
+    const grey = new Float64Array(SAMPLE_SIZE * SAMPLE_SIZE);
+    for (let i = 0; i < grey.length; i++) {
+        grey[i] = 0.114 * bitmap[i * 4] + 0.587 * bitmap[i * 4 + 1] + 0.299 * bitmap[i * 4 + 2];
+    }
+    
+    // 2D DCT, keeping only the lowest HASH_SIZE x HASH_SIZE frequencies
+    const rows = new Float64Array(SAMPLE_SIZE * HASH_SIZE);
+    for (let y = 0; y < SAMPLE_SIZE; y++) {
+        for (let u = 0; u < HASH_SIZE; u++) {
+            let sum = 0;
+            for (let x = 0; x < SAMPLE_SIZE; x++) {
+                sum += grey[y * SAMPLE_SIZE + x] * COSINES[u][x];
+            }
+            rows[y * HASH_SIZE + u] = sum;
+        }
+    }
+    const frequencies = [];
+    for (let v = 0; v < HASH_SIZE; v++) {
+        for (let u = 0; u < HASH_SIZE; u++) {
+            let sum = 0;
+            for (let y = 0; y < SAMPLE_SIZE; y++) {
+                sum += rows[y * HASH_SIZE + u] * COSINES[v][y];
+            }
+            frequencies.push(sum);
+        }
+    }
+    
+    // Compare with the median, leaving out the first value (the overall
+    // brightness, which would otherwise swamp everything else)
+    const sorted = frequencies.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    let hex = '';
+    for (let i = 0; i < frequencies.length; i += 4) {
+        let nibble = 0;
+        for (let bit = 0; bit < 4; bit++) {
+            nibble = (nibble << 1) | (frequencies[i + bit] > median ? 1 : 0);
+        }
+        hex += nibble.toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Count the bits that differ between two hashes
+ * @param {Array} a - Hash as [high 32 bits, low 32 bits] (see splitHash)
+ * @param {Array} b - Hash as [high 32 bits, low 32 bits]
+ * @returns {number} - 0 to 64
+ */
+function hashDistance(a, b) {
+    return countBits(a[0] ^ b[0]) + countBits(a[1] ^ b[1]);
+}
+
+function countBits(value) {
+    let v = value - ((value >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Split a hex hash into two 32-bit numbers (plain numbers are faster to compare than BigInts)
+ * @param {string} hash - 16 hex digits
+ * @returns {Array} - [high 32 bits, low 32 bits]
+ */
+function splitHash(hash) {
+    return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)];
+}
+
+/**
+ * Group images whose hashes are within maxDistance of each other
+ * Groups are chained: if A looks like B and B looks like C, all three are one group.
+ * @param {Array} entries - Objects with a "hash" property (16 hex digits)
+ * @param {number} maxDistance - Largest number of differing bits that counts as similar
+ * @returns {Array} - Groups (arrays of entries) with at least two entries
+ */
+function groupSimilarImages(entries, maxDistance) {
+    const hashes = entries.map(entry => splitHash(entry.hash));
+    
+    // Union-find: parent[i] leads to the first entry of i's group
+    const parent = entries.map((_, i) => i);
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            if (hashDistance(hashes[i], hashes[j]) <= maxDistance) {
+                const a = find(i);
+                const b = find(j);
+                if (a !== b) {
+                    parent[Math.max(a, b)] = Math.min(a, b);
+                }
+            }
+        }
+    }
+    
+    const groups = new Map();   // Root index -> entries
+    entries.forEach((entry, i) => {
+        const root = find(i);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(entry);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+module.exports = {
+    computeImageHash,
+    hashPixels,
+    hashDistance,
+    splitHash,
+    groupSimilarImages,
+};
@@ -12,7 +12,7 @@
  * - This prevents security vulnerabilities
  */
 
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
@@ -23,21 +23,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     /**
      * Get all media items with optional filters
-     * @param {Object} options - Filter options (type, search, minRating, brand, system, includeDeleted, onlyDeleted)
+     * @param {Object} options - Filter options (type, search, minRating, brand, system, customFields, includeDeleted, onlyDeleted)
+     *   search accepts the query syntax, e.g. 'mario type:video_game rating>=4'
+     *   plus sort, sortDirection, groupBy, and limit/offset to fetch one page
      * @returns {Promise<Array>} - Array of media items
      */
     getAllMedia: (options) => ipcRenderer.invoke('media:getAll', options),
     
+    /**
+     * Get the groups matching items fall into, in display order
+     * @param {Object} options - The same options as getAllMedia (groupBy picks the grouping)
+     * @returns {Promise<Array>} - Array of { key, count } (one group with key null when not grouping)
+     */
+    getMediaGroups: (options) => ipcRenderer.invoke('media:getGroups', options),
+    
     /**
      * Get a single media item by ID
      * @param {number} id - Media item ID
-     * @returns {Promise<Object|null>} - Media item or null
+     * @returns {Promise<Object|null>} - Media item (with its images) or null
      */
     getMediaById: (id) => ipcRenderer.invoke('media:getById', id),
     
     /**
      * Create a new media item
-     * @param {Object} item - Media item data
+     * @param {Object} item - Media item data (images: [{ path, caption, cover }] in gallery order)
      * @returns {Promise<Object>} - Created media item
      */
     createMedia: (item) => ipcRenderer.invoke('media:create', item),
@@ -45,7 +54,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     /**
      * Update an existing media item
      * @param {number} id - Media item ID
-     * @param {Object} updates - Fields to update
+     * @param {Object} updates - Fields to update (images replaces the whole gallery; keep each existing image's id)
      * @returns {Promise<Object|null>} - Updated media item or null
      */
     updateMedia: (id, updates) => ipcRenderer.invoke('media:update', id, updates),
@@ -71,6 +80,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     permanentDeleteMedia: (id) => ipcRenderer.invoke('media:permanentDelete', id),
     
+    /**
+     * Change many media items at once (all or nothing)
+     * @param {Object} selection - { ids } or { filters, exceptIds } to select everything matching the filters
+     * @param {Object} changes - { set: { type, brand, system, size, rating }, adjustQuantity, deleted }
+     * @returns {Promise<Object>} - { matched, changed }
+     */
+    bulkUpdateMedia: (selection, changes) => ipcRenderer.invoke('media:bulkUpdate', selection, changes),
+    
     /**
      * Get all unique brands for autocomplete
      * @returns {Promise<Array>} - Array of brand names
@@ -83,12 +100,176 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     getSizes: () => ipcRenderer.invoke('media:getSizes'),
     
+    /**
+     * Get all unique systems for the system filter
+     * @returns {Promise<Array>} - Array of system names
+     */
+    getSystems: () => ipcRenderer.invoke('media:getSystems'),
+    
     /**
      * Get all unique media types
      * @returns {Promise<Array>} - Array of type values
      */
     getTypes: () => ipcRenderer.invoke('media:getTypes'),
     
+    // ============================================================================
+    // Trash
+    // ============================================================================
+    
+    /**
+     * Permanently delete the selected items that are in the trash
+     * @param {Object} selection - { ids } or { filters, exceptIds } (same as bulkUpdateMedia)
+     * @returns {Promise<number>} - Number of items deleted
+     */
+    purgeTrashItems: (selection) => ipcRenderer.invoke('trash:purge', selection),
+    
+    /**
+     * Permanently delete everything in the trash
+     * @returns {Promise<number>} - Number of items deleted
+     */
+    emptyTrash: () => ipcRenderer.invoke('trash:empty'),
+    
+    /**
+     * Get how many days items stay in the trash before they are purged
+     * @returns {Promise<number>} - Days (0 = keep until deleted by hand)
+     */
+    getTrashRetentionDays: () => ipcRenderer.invoke('trash:getRetention'),
+    
+    /**
+     * Set how many days items stay in the trash before they are purged
+     * @param {number} days - Whole number of days (0 = keep until deleted by hand)
+     * @returns {Promise<number>} - The saved value
+     */
+    setTrashRetentionDays: (days) => ipcRenderer.invoke('trash:setRetention', days),
+    
+    // ============================================================================
+    // Catalog Integrity
+    // ============================================================================
+    
+    /**
+     * Scan the catalog for problems
+     * @returns {Promise<Object>} - { database, missingImages, orphanedImages, staleThumbnails: { count, size } }
+     */
+    checkCatalogIntegrity: () => ipcRenderer.invoke('integrity:check'),
+    
+    /**
+     * Group item images that look alike (perceptual hashing, worked out on this computer)
+     * @param {number} maxDistance - Largest number of differing hash bits (out of 64) that counts as similar
+     * @returns {Promise<Object>} - { groups: [{ exact, images: [{ id, media_id, title, type, caption, cover }] }], checked, unreadable }
+     */
+    findDuplicateImages: (maxDistance) => ipcRenderer.invoke('integrity:findDuplicates', maxDistance),
+    
+    /**
+     * Search a folder (and its subfolders) for files matching missing images by name or contents
+     * @param {Array} missingPaths - Paths of the missing images
+     * @param {string} folder - Folder to search
+     * @returns {Promise<Array>} - [{ path, replacement, match }] (match is "name" or "hash")
+     */
+    findImageReplacements: (missingPaths, folder) => ipcRenderer.invoke('integrity:findReplacements', missingPaths, folder),
+    
+    /**
+     * Point items at new files for their missing images
+     * @param {Array} replacements - [{ path, replacement }] (from findImageReplacements)
+     * @returns {Promise<Object>} - { relinked, failed: [{ path, reason }] }
+     */
+    relinkImages: (replacements) => ipcRenderer.invoke('integrity:relink', replacements),
+    
+    /**
+     * Delete image library files that no item uses
+     * @param {Array} imagePaths - Paths from the orphanedImages list
+     * @returns {Promise<number>} - Number of files deleted
+     */
+    deleteOrphanedImages: (imagePaths) => ipcRenderer.invoke('integrity:deleteOrphans', imagePaths),
+    
+    /**
+     * Delete cached thumbnails that no current image uses
+     * @returns {Promise<number>} - Number of files deleted
+     */
+    clearStaleThumbnails: () => ipcRenderer.invoke('integrity:clearThumbnails'),
+    
+    // ============================================================================
+    // Search Query Syntax
+    // ============================================================================
+    
+    /**
+     * Parse a search box query (e.g. 'type:book rating>=4 -system:PS4')
+     * @param {string} text - The query
+     * @returns {Promise<Object>} - { text, excludedTerms, clauses, errors: [{ message, start, end }] }
+     */
+    parseSearchQuery: (text) => ipcRenderer.invoke('search:parse', text),
+    
+    /**
+     * Get autocomplete suggestions for the word at the cursor
+     * @param {string} text - The query
+     * @param {number} cursor - Cursor position
+     * @returns {Promise<Array>} - Array of { label, insertText, start, end }
+     */
+    getSearchSuggestions: (text, cursor) => ipcRenderer.invoke('search:suggest', text, cursor),
+    
+    // ============================================================================
+    // Smart Collections (saved searches)
+    // ============================================================================
+    
+    /**
+     * Get all smart collections with live item counts
+     * @returns {Promise<Array>} - Array of { id, name, filters, sort_order, count }
+     */
+    getSmartCollections: () => ipcRenderer.invoke('collections:getAll'),
+    
+    /**
+     * Save filters as a new smart collection
+     * @param {string} name - Collection name
+     * @param {Object} filters - Filter options (same shape as getAllMedia options)
+     * @returns {Promise<Object>} - Created collection
+     */
+    createSmartCollection: (name, filters) => ipcRenderer.invoke('collections:create', name, filters),
+    
+    /**
+     * Rename a smart collection
+     * @param {number} id - Collection ID
+     * @param {string} name - New name
+     * @returns {Promise<boolean>} - Success status
+     */
+    renameSmartCollection: (id, name) => ipcRenderer.invoke('collections:rename', id, name),
+    
+    /**
+     * Change the order of smart collections
+     * @param {Array} ids - Collection IDs in their new order
+     * @returns {Promise<boolean>} - Success status
+     */
+    reorderSmartCollections: (ids) => ipcRenderer.invoke('collections:reorder', ids),
+    
+    /**
+     * Delete a smart collection
+     * @param {number} id - Collection ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    deleteSmartCollection: (id) => ipcRenderer.invoke('collections:delete', id),
+    
+    // ============================================================================
+    // Media Type Registry
+    // ============================================================================
+    
+    /**
+     * Get all media types with their custom field definitions
+     * @returns {Promise<Array>} - Array of { key, name, icon, sort_order, fields }
+     */
+    getMediaTypes: () => ipcRenderer.invoke('types:getAll'),
+    
+    /**
+     * Create or update a media type
+     * @param {Object} type - { key, name, icon, fields: [{ key, label, kind, required, options }] }
+     * @returns {Promise<Object>} - Saved media type
+     */
+    saveMediaType: (type) => ipcRenderer.invoke('types:save', type),
+    
+    /**
+     * Delete a media type (fails if any items still use it)
+     * @param {string} key - Type key
+     * @returns {Promise<boolean>} - Success status
+     */
+    deleteMediaType: (key) => ipcRenderer.invoke('types:delete', key),
+    
     // ============================================================================
     // Import/Export Operations
     // ============================================================================
@@ -107,19 +288,92 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     exportCSV: (includeDeleted) => ipcRenderer.invoke('media:exportCSV', includeDeleted),
     
+    /**
+     * Get the columns that can be exported
+     * @returns {Promise<Array>} - [{ key, label, default }] in their default order
+     */
+    getExportColumns: () => ipcRenderer.invoke('media:exportColumns'),
+    
+    /**
+     * Export items with chosen columns and format
+     * @param {Object} options - { filters (getAllMedia options), columns (keys in order),
+     *   format ('json', 'jsonl', 'csv' or 'markdown'), dateFormat ('stored', 'iso', 'date', 'dmy' or 'mdy') }
+     * @returns {Promise<Object>} - { data, count }
+     */
+    exportItems: (options) => ipcRenderer.invoke('media:exportItems', options),
+    
+    /**
+     * Export items to a spreadsheet, with a sheet for each media type
+     * @param {string} filePath - Where to save it
+     * @param {Object} options - Same as exportItems, with format 'xlsx' or 'ods'
+     * @returns {Promise<Object>} - { count, sheets }
+     */
+    exportSpreadsheet: (filePath, options) => ipcRenderer.invoke('media:exportSpreadsheet', filePath, options),
+    
     /**
      * Import media from JSON
      * @param {string} jsonData - JSON string
+     * @param {Object} options - { mode } (see runImport; default 'insert')
      * @returns {Promise<Object>} - Result with success count and errors
      */
-    importJSON: (jsonData) => ipcRenderer.invoke('media:importJSON', jsonData),
+    importJSON: (jsonData, options) => ipcRenderer.invoke('media:importJSON', jsonData, options),
     
     /**
      * Import media from CSV
      * @param {string} csvData - CSV string
+     * @param {Object} options - { mode } (see runImport; default 'insert')
      * @returns {Promise<Object>} - Result with success count and errors
      */
-    importCSV: (csvData) => ipcRenderer.invoke('media:importCSV', csvData),
+    importCSV: (csvData, options) => ipcRenderer.invoke('media:importCSV', csvData, options),
+    
+    /**
+     * Read a file for the import wizard: its columns, rows and a suggested column mapping
+     * @param {string} data - File contents (for 'xlsx' and 'ods', the file's path)
+     * @param {string} format - 'csv', 'json', 'xlsx' or 'ods'
+     * @param {Object} options - { sheet: spreadsheet sheet to read (default: the first) }
+     * @returns {Promise<Object>} - { columns, rows: [{ label, values, error }], errors, mapping, fields: [{ key, label }],
+     *   sheets, sheet (spreadsheets: every sheet's name and the one read) }
+     */
+    previewImport: (data, format, options) => ipcRenderer.invoke('import:preview', data, format, options),
+    
+    /**
+     * Import a file with a column mapping, or only check it (dry run)
+     * @param {string} data - File contents (for 'xlsx' and 'ods', the file's path)
+     * @param {string} format - 'csv', 'json', 'xlsx' or 'ods'
+     * @param {Object} mapping - Column name -> field key ('' to leave the column out)
+     * @param {Object} options - { mode ('insert', 'update_by_id', 'update_by_isbn' or 'skip_existing'),
+     *   dryRun, defaultType, resolutions: { [row label]: { [field]: 'file' or 'database' } }, sheet }
+     * @returns {Promise<Object>} - { success, errors, counts, rows: [{ label, title, status, message, itemId, conflicts }] }
+     */
+    runImport: (data, format, mapping, options) => ipcRenderer.invoke('import:run', data, format, mapping, options),
+    
+    /**
+     * Turn an import report into CSV text (for saving)
+     * @param {Array} rows - rows from runImport
+     * @returns {Promise<string>} - CSV text
+     */
+    formatImportReport: (rows) => ipcRenderer.invoke('import:formatReport', rows),
+    
+    /**
+     * Export the whole catalog (trash, types, smart collections and every image) to a zip archive
+     * @param {string} filePath - Where to save the archive
+     * @returns {Promise<Object>} - { items, images, missingImages: [{ title, path }] }
+     */
+    exportArchive: (filePath) => ipcRenderer.invoke('archive:export', filePath),
+    
+    /**
+     * Read what an archive holds
+     * @param {string} filePath - Archive file
+     * @returns {Promise<Object>} - { createdAt, items, images }
+     */
+    getArchiveInfo: (filePath) => ipcRenderer.invoke('archive:info', filePath),
+    
+    /**
+     * Replace the catalog with an archive's contents (checked against its checksums first)
+     * @param {string} filePath - Archive file
+     * @returns {Promise<Object>} - { items, images, mediaTypes, smartCollections }
+     */
+    restoreArchive: (filePath) => ipcRenderer.invoke('archive:restore', filePath),
     
     // ============================================================================
     // File Dialog Operations
@@ -131,6 +385,58 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     selectImage: () => ipcRenderer.invoke('dialog:selectImage'),
     
+    /**
+     * Show file dialog to select several image files
+     * @returns {Promise<Array>} - Selected file paths (empty if cancelled)
+     */
+    selectImages: () => ipcRenderer.invoke('dialog:selectImages'),
+    
+    /**
+     * Get the path of a file dropped or pasted into the page
+     * @param {File} file - File from a drop or paste event
+     * @returns {string} - Path on disk ('' for data that isn't a file, such as a copied screenshot)
+     */
+    getPathForFile: (file) => webUtils.getPathForFile(file),
+    
+    /**
+     * Accept image files dropped or pasted onto the edit modal
+     * The paths are looked up here, so only files the user really dropped can
+     * be previewed (the page can't name any file on disk)
+     * @param {Array} files - File objects from the drop or paste event
+     * @returns {Promise<Array>} - The paths that are images
+     */
+    addDroppedImages: (files) => ipcRenderer.invoke('images:addDropped',
+        files.map(file => webUtils.getPathForFile(file)).filter(Boolean)),
+    
+    /**
+     * Accept a file dropped onto the catalog to import it, so readFile and the
+     * import wizard may open it (like a file picked in the open dialog)
+     * @param {File} file - File object from the drop event
+     * @returns {Promise<string|null>} - The file's path (null for data that isn't a file)
+     */
+    addDroppedFile: (file) => ipcRenderer.invoke('files:addDropped', webUtils.getPathForFile(file)),
+    
+    /**
+     * List the image files in a folder (not its subfolders), sorted by name
+     * @param {string} folder - Folder path
+     * @returns {Promise<Array>} - Image file paths
+     */
+    listFolderImages: (folder) => ipcRenderer.invoke('images:listFolder', folder),
+    
+    /**
+     * Save the image on the clipboard into the image library
+     * @returns {Promise<string|null>} - Path of the saved image, or null if the clipboard has none
+     */
+    savePastedImage: () => ipcRenderer.invoke('images:savePasted'),
+    
+    /**
+     * Save an edited image into the image library as a new file
+     * @param {Uint8Array} data - The encoded image
+     * @param {string} extension - '.jpg' or '.png'
+     * @returns {Promise<string>} - Path of the saved image
+     */
+    saveEditedImage: (data, extension) => ipcRenderer.invoke('images:saveEdited', data, extension),
+    
     /**
      * Show file dialog to save a file
      * @param {string} defaultFilename - Default filename
@@ -146,20 +452,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     openFile: (filters) => ipcRenderer.invoke('dialog:openFile', filters),
     
+    /**
+     * Show folder dialog to pick a folder
+     * @param {string} title - Dialog title
+     * @returns {Promise<string|null>} - Selected folder path or null if cancelled
+     */
+    selectFolder: (title) => ipcRenderer.invoke('dialog:selectFolder', title),
+    
     // ============================================================================
     // File System Operations
     // ============================================================================
     
     /**
      * Read a file and return its contents
-     * @param {string} filePath - Path to the file
+     * @param {string} filePath - Path from openFile (or addDroppedFile)
      * @returns {Promise<string>} - File contents
      */
     readFile: (filePath) => ipcRenderer.invoke('fs:readFile', filePath),
     
     /**
      * Write a file with the given contents
-     * @param {string} filePath - Path to the file
+     * @param {string} filePath - Path from saveFile
      * @param {string} contents - File contents
      * @returns {Promise<boolean>} - Success status
      */
@@ -171,5 +484,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * @returns {Promise<boolean>} - True if file exists
      */
     fileExists: (filePath) => ipcRenderer.invoke('fs:fileExists', filePath),
+    
+    /**
+     * Check if several files exist at once
+     * @param {Array} filePaths - Paths to check
+     * @returns {Promise<Object>} - True/false keyed by path
+     */
+    filesExist: (filePaths) => ipcRenderer.invoke('fs:filesExist', filePaths),
 });
 
@@ -0,0 +1,196 @@
+/**
+ * Thumbnail Cache
+ *
+ * Catalog cards show small copies of item images instead of the full-size
+ * originals (phone photos are often several megabytes each). Thumbnails are
+ * made the first time they are asked for and kept on disk in
+ * <userData>/thumbnails/<size>/, so later requests just read the small file.
+ *
+ * For junior developers:
+ * - Resizing uses Electron's built-in nativeImage, so no extra packages are needed
+ * - A thumbnail's file name is a hash of the original's path, size and modified
+ *   time, so a changed original gets a fresh thumbnail automatically
+ * - This module runs in the main process (see the media:// protocol in main.js).
+ *   Resizing blocks it, so thumbnails are made one at a time and other work
+ *   gets a turn in between
+ */
+
+const { nativeImage } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Longest edge in pixels for each thumbnail size
+const THUMBNAIL_SIZES = {
+    small: 160,     // Edit modal preview
+    medium: 480,    // Catalog cards
+    large: 960,     // Catalog cards on high-DPI screens
+};
+
+// Originals in these formats may have transparency, so their thumbnails are PNG
+const TRANSPARENT_EXTENSIONS = ['.png', '.gif', '.webp'];
+
+let cacheDir = null;
+
+// Thumbnails being made: thumbnail path -> Promise of getThumbnail's result, so
+// several cards showing the same picture share one resize
+const pending = new Map();
+
+// The last thumbnail in line (each one starts when the one before it is done)
+let queue = Promise.resolve();
+
+/**
+ * Set up the thumbnail folder inside the user data directory
+ * @param {string} userDataPath - Path to the user's app data directory
+ */
+function initThumbnailCache(userDataPath) {
+    cacheDir = path.join(userDataPath, 'thumbnails');
+}
+
+/**
+ * Check whether a thumbnail size name is known
+ * @param {string} size - Size name (e.g. "medium")
+ * @returns {boolean} - True if the size exists
+ */
+function isThumbnailSize(size) {
+    return Object.prototype.hasOwnProperty.call(THUMBNAIL_SIZES, size);
+}
+
+/**
+ * Work out where the thumbnail of an image is (or would be) cached
+ * @param {string} imagePath - Path of the original image
+ * @param {string} size - One of THUMBNAIL_SIZES
+ * @param {fs.Stats} stat - The original's file information
+ * @returns {string} - Thumbnail path
+ */
+function getThumbnailPath(imagePath, size, stat) {
+    const extension = TRANSPARENT_EXTENSIONS.includes(path.extname(imagePath).toLowerCase()) ? '.png' : '.jpg';
+    const key = crypto.createHash('sha1')
+        .update(`${path.resolve(imagePath)}|${stat.size}|${stat.mtimeMs}`)
+        .digest('hex');
+    return path.join(cacheDir, size, `${key}${extension}`);
+}
+
+/**
+ * Get the path of a thumbnail, creating it if it isn't cached yet
+ * @param {string} imagePath - Path of the original image
+ * @param {string} size - One of THUMBNAIL_SIZES
+ * @returns {Promise<string|null>} - Thumbnail path, or null when the original
+ *   should be used as is (it is already small, or in a format nativeImage can't read)
+ * @throws {Error} - If the original doesn't exist (error.code is "ENOENT")
+ */
+async function getThumbnail(imagePath, size) {
+    const maxEdge = THUMBNAIL_SIZES[size];
+    if (!maxEdge) {
+        throw new Error(`Unknown thumbnail size "${size}"`);
+    }
+
+    const target = getThumbnailPath(imagePath, size, await fs.promises.stat(imagePath));
+    if (pending.has(target)) {
+        return pending.get(target);
+    }
+    if (fs.existsSync(target)) {
+        return target;
+    }
+
+    const creating = queue.then(() => createThumbnail(imagePath, target, maxEdge));
+    queue = creating.catch(() => {});
+    pending.set(target, creating);
+    try {
+        return await creating;
+    } finally {
+        pending.delete(target);
+    }
+}
+
+/**
+ * Resize an image and save it in the cache
+ * @param {string} imagePath - Path of the original image
+ * @param {string} target - Thumbnail path (from getThumbnailPath)
+ * @param {number} maxEdge - Longest edge in pixels
+ * @returns {Promise<string|null>} - Same as getThumbnail
+ */
+async function createThumbnail(imagePath, target, maxEdge) {
+    // Let requests for cached thumbnails through before the next resize
+    await new Promise(resolve => setImmediate(resolve));
+
+    const image = nativeImage.createFromBuffer(await fs.promises.readFile(imagePath));
+    if (image.isEmpty()) {
+        return null;
+    }
+    const { width, height } = image.getSize();
+    if (Math.max(width, height) <= maxEdge) {
+        return null;
+    }
+
+    const resized = width >= height
+        ? image.resize({ width: maxEdge, quality: 'good' })
+        : image.resize({ height: maxEdge, quality: 'good' });
+    const data = path.extname(target) === '.png' ? resized.toPNG() : resized.toJPEG(85);
+
+    // Write to a temporary name first so a half-written file is never served
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, target);
+    return target;
+}
+
+/**
+ * Find cached thumbnails that no current image would use (their original was
+ * deleted or changed, or the item now uses a different picture)
+ * @param {Array} imagePaths - Every image path items refer to
+ * @returns {Array} - [{ path, size }] (size in bytes)
+ */
+function findStaleThumbnails(imagePaths) {
+    const current = new Set();
+    for (const imagePath of imagePaths) {
+        let stat;
+        try {
+            stat = fs.statSync(imagePath);
+        } catch (error) {
+            continue;
+        }
+        for (const size of Object.keys(THUMBNAIL_SIZES)) {
+            current.add(getThumbnailPath(imagePath, size, stat));
+        }
+    }
+    
+    const stale = [];
+    for (const size of Object.keys(THUMBNAIL_SIZES)) {
+        const dir = path.join(cacheDir, size);
+        if (!fs.existsSync(dir)) {
+            continue;
+        }
+        for (const name of fs.readdirSync(dir)) {
+            const filePath = path.join(dir, name);
+            if (!current.has(filePath)) {
+                stale.push({ path: filePath, size: fs.statSync(filePath).size });
+            }
+        }
+    }
+    return stale;
+}
+
+/**
+ * Delete cached thumbnails that no current image would use
+ * @param {Array} imagePaths - Every image path items refer to
+ * @returns {number} - Number of files deleted
+ */
+function removeStaleThumbnails(imagePaths) {
+    let removed = 0;
+    for (const thumbnail of findStaleThumbnails(imagePaths)) {
+        fs.rmSync(thumbnail.path, { force: true });
+        removed++;
+    }
+    return removed;
+}
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    initThumbnailCache,
+    isThumbnailSize,
+    getThumbnail,
+    findStaleThumbnails,
+    removeStaleThumbnails,
+};
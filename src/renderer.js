@@ -16,10 +16,140 @@
 // Global State
 // ============================================================================
 
-let currentMedia = [];
 let currentView = 'catalog';
 let editingMediaId = null;
 let currentRating = 0;
+let mediaTypes = [];
+let searchSuggestions = [];
+let activeSuggestion = -1;
+let smartCollections = [];
+let draggedCollectionId = null;
+let sortOptions = { sort: 'relevance', sortDirection: 'asc' };
+let groupBy = '';
+
+// Catalog grid: results are fetched a page at a time and only the rows near
+// the screen are rendered, so large catalogs stay responsive
+let catalogOptions = {};            // getAllMedia options of the current results
+let catalogGroups = [];             // { key, count } from getMediaGroups, in display order
+let catalogPages = new Map();       // Page number -> items (null while loading)
+let catalogQueryId = 0;             // Increases on every loadMedia() so stale results are dropped
+let catalogLayout = { columns: 1, rows: [], height: 0 };
+let renderedRows = new Map();       // Row index -> row element currently in the DOM
+let imageExistsCache = new Map();   // Image path -> whether the file exists
+let gridFrameRequested = false;
+
+// Images in the edit modal's gallery: { id (saved images only), path, caption, cover, url }
+let galleryImages = [];
+let draggedGalleryIndex = null;
+
+// Add from Photos: draft items (not saved yet) made from a folder of photos,
+// and the draft open in the media modal (null when editing a saved item)
+let photoDrafts = [];
+let editingDraftIndex = null;
+
+// Image viewer (imageModal): the item's images and the one being shown
+let viewerImages = [];
+let viewerIndex = 0;
+
+// Image editor: { index (in galleryImages), image, rotation, angle, aspect, crop, scale, drag }
+let imageEditor = null;
+
+// Table view
+let catalogDisplay = 'grid';        // 'grid' (cards) or 'table'
+let tableColumns = [];              // Columns in display order: { key, label, width, ... } (see getTableColumns)
+let draggedColumnKey = null;
+
+// Multi-select. "ids" holds the selected items, or, when every item matching
+// the filters is selected ("select all matching"), the items left out.
+let selection = { allMatching: false, ids: new Set() };
+let lastSelectedIndex = null;       // Anchor for shift-click ranges
+let catalogFilterKey = '';          // Filters of the current results (the selection resets when they change)
+let trashItems = [];
+let trashRetentionDays = 0;         // Days before items in the trash are purged (0 = never)
+
+// Export dialog: { available (columns in their default order), columns (in the chosen order, with checked) }
+let exportDialog = null;
+
+// Import wizard: { data, format, fileName, sheet, columns, rows, fields, mapping, report }
+// (data is the file's text, or its path for spreadsheets; sheet is the spreadsheet sheet being read)
+// (report is the result of the last dry run or import, null until one runs)
+let importWizard = null;
+
+// Maintenance view: the last integrity check, and files found (by "Search Folder")
+// for missing images: missing path -> { replacement, match }
+let integrityReport = null;
+let imageReplacements = new Map();
+
+// Type fields with these keys use the built-in Size/System inputs instead of
+// a generated input (they are stored in their own database columns)
+const COLUMN_FIELDS = ['size', 'system'];
+
+// Catalog grid sizes (in pixels) and the number of items fetched per page
+const PAGE_SIZE = 200;
+const CARD_MIN_WIDTH = 260;
+const CARD_ROW_HEIGHT = 470;
+const GROUP_HEADER_HEIGHT = 56;
+const GRID_OVERSCAN = 800;
+const TABLE_ROW_HEIGHT = 36;
+const MIN_COLUMN_WIDTH = 50;
+const SELECT_COLUMN_WIDTH = 36;
+
+// Image editor: largest preview size, how close (in screen pixels) a pointer must
+// be to grab a crop corner, and how different (0-255 per color channel) a pixel
+// must be from the border color for auto-trim to treat it as content
+const EDITOR_MAX_WIDTH = 720;
+const EDITOR_MAX_HEIGHT = 460;
+const CROP_HANDLE_SIZE = 12;
+const TRIM_TOLERANCE = 40;
+
+// Rows of the file shown in the import wizard's preview
+const IMPORT_PREVIEW_ROWS = 10;
+
+// File type of each export format: [filter name, extension]
+const EXPORT_FILE_TYPES = {
+    csv: ['CSV Files', 'csv'],
+    json: ['JSON Files', 'json'],
+    jsonl: ['JSON Lines Files', 'jsonl'],
+    markdown: ['Markdown Files', 'md'],
+    xlsx: ['Excel Workbooks', 'xlsx'],
+    ods: ['OpenDocument Spreadsheets', 'ods'],
+};
+
+// Binary file formats, read and written by the main process straight from the file
+const SPREADSHEET_FORMATS = ['xlsx', 'ods'];
+
+// How each row status from runImport is shown: [label, tag class]
+const IMPORT_STATUSES = {
+    created: ['New', 'is-success'],
+    updated: ['Updated', 'is-info'],
+    unchanged: ['Unchanged', 'is-light'],
+    skipped: ['Skipped', 'is-light'],
+    conflict: ['Conflict', 'is-warning'],
+    error: ['Error', 'is-danger'],
+};
+
+// Columns of the table view. "sort" is the getAllMedia sort key used when the
+// header is clicked; "kind" picks the inline editor (columns without one are read-only).
+// Custom fields from the type registry are added after these (see getTableColumns).
+const TABLE_COLUMNS = [
+    { key: 'id', label: 'ID', width: 70 },
+    { key: 'title', label: 'Title', width: 260, kind: 'text', sort: 'title' },
+    { key: 'type', label: 'Type', width: 140, kind: 'type', sort: 'type' },
+    { key: 'description', label: 'Description', width: 280, kind: 'text' },
+    { key: 'isbn_sku', label: 'ISBN/SKU', width: 140, kind: 'text' },
+    { key: 'rating', label: 'Rating', width: 80, kind: 'number', sort: 'rating' },
+    { key: 'quantity', label: 'Qty', width: 70, kind: 'number', sort: 'quantity' },
+    { key: 'brand', label: 'Brand', width: 140, kind: 'text', sort: 'brand' },
+    { key: 'system', label: 'System', width: 140, kind: 'text', sort: 'system' },
+    { key: 'size', label: 'Size', width: 80, kind: 'text' },
+    { key: 'image', label: 'Image', width: 200 },
+    { key: 'created_at', label: 'Added', width: 160, sort: 'created' },
+    { key: 'updated_at', label: 'Updated', width: 160, sort: 'updated' },
+];
+
+// Search results mark matched terms with these characters (see db/repo.js)
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
 
 // ============================================================================
 // Initialization
@@ -36,10 +166,14 @@ async function initializeApp() {
     // Load theme preference
     loadTheme();
     
+    // Load the remembered sort order and grouping
+    loadSortPreferences();
+    
     // Set up event listeners
     setupEventListeners();
     
     // Load initial data
+    await loadMediaTypes();
     await loadMedia();
     await loadAutocompleteData();
     
@@ -101,7 +235,7 @@ function setupEventListeners() {
     // Modal controls
     document.getElementById('closeModalBtn').addEventListener('click', closeMediaModal);
     document.getElementById('cancelModalBtn').addEventListener('click', closeMediaModal);
-    document.querySelector('.modal-background').addEventListener('click', closeMediaModal);
+    document.querySelector('#mediaModal .modal-background').addEventListener('click', closeMediaModal);
     
     // Form submission
     document.getElementById('saveMediaBtn').addEventListener('click', saveMedia);
@@ -110,34 +244,183 @@ function setupEventListeners() {
         saveMedia();
     });
     
-    // Image handling
-    document.getElementById('selectImageBtn').addEventListener('click', selectImageFile);
-    document.getElementById('imageInput').addEventListener('change', handleImageFileSelect);
-    document.getElementById('removeImageBtn').addEventListener('click', removeImage);
+    // Image gallery (images can also be dropped onto the modal or pasted)
+    document.getElementById('addImagesBtn').addEventListener('click', addGalleryImages);
+    
+    // Image editor
+    document.getElementById('rotateLeftBtn').addEventListener('click', () => rotateEditorImage(-90));
+    document.getElementById('rotateRightBtn').addEventListener('click', () => rotateEditorImage(90));
+    document.getElementById('straightenInput').addEventListener('input', straightenEditorImage);
+    document.getElementById('cropAspectSelect').addEventListener('change', changeCropAspect);
+    document.getElementById('autoTrimBtn').addEventListener('click', autoTrimImage);
+    document.getElementById('resetImageEditBtn').addEventListener('click', resetImageEdit);
+    document.getElementById('saveImageEditBtn').addEventListener('click', saveImageEdit);
+    document.getElementById('cancelImageEditBtn').addEventListener('click', closeImageEditor);
+    document.getElementById('closeImageEditorBtn').addEventListener('click', closeImageEditor);
+    setupCropDragging();
+    setupFileDrops();
+    document.addEventListener('paste', handleImagePaste);
     
     // Rating stars
     setupRatingStars();
     
     // Filters
-    document.getElementById('searchInput').addEventListener('input', debounce(applyFilters, 300));
-    document.getElementById('typeFilter').addEventListener('change', applyFilters);
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('input', debounce(applyFilters, 300));
+    searchInput.addEventListener('input', debounce(updateSearchSuggestions, 100));
+    searchInput.addEventListener('keydown', handleSearchKeydown);
+    searchInput.addEventListener('blur', hideSearchSuggestions);
+    document.getElementById('typeFilter').addEventListener('change', () => {
+        renderCustomFilters();
+        applyFilters();
+    });
     document.getElementById('ratingFilter').addEventListener('change', applyFilters);
     document.getElementById('brandFilter').addEventListener('change', applyFilters);
     document.getElementById('systemFilter').addEventListener('change', applyFilters);
     document.getElementById('clearFiltersBtn').addEventListener('click', clearFilters);
     
+    // Sorting and grouping
+    document.getElementById('sortSelect').addEventListener('change', (e) => {
+        setSortOptions({ sort: e.target.value });
+    });
+    document.getElementById('sortDirectionBtn').addEventListener('click', () => {
+        setSortOptions({ sortDirection: sortOptions.sortDirection === 'asc' ? 'desc' : 'asc' });
+    });
+    document.getElementById('groupSelect').addEventListener('change', (e) => {
+        groupBy = e.target.value;
+        saveSortPreferences();
+        loadMedia();
+    });
+    
+    // Selection and bulk editing
+    document.getElementById('selectAllMatchingBtn').addEventListener('click', selectAllMatching);
+    document.getElementById('clearSelectionBtn').addEventListener('click', clearSelection);
+    document.getElementById('bulkFieldSelect').addEventListener('change', renderBulkValueInput);
+    document.getElementById('bulkSetBtn').addEventListener('click', bulkSetField);
+    document.getElementById('bulkQuantityBtn').addEventListener('click', bulkAdjustQuantity);
+    document.getElementById('bulkDeleteBtn').addEventListener('click', () => bulkSetDeleted(true));
+    document.getElementById('bulkRestoreBtn').addEventListener('click', () => bulkSetDeleted(false));
+    document.getElementById('bulkPurgeBtn').addEventListener('click', bulkPurge);
+    
+    // Trash
+    document.getElementById('restoreAllBtn').addEventListener('click', restoreAllTrash);
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    document.getElementById('trashRetentionSelect').addEventListener('change', saveTrashRetention);
+    
+    // Add from Photos
+    document.getElementById('addFromPhotosBtn').addEventListener('click', openPhotoImport);
+    document.getElementById('choosePhotoFolderBtn').addEventListener('click', choosePhotoFolder);
+    document.getElementById('photoTypeSelect').addEventListener('change', changePhotoBatchType);
+    document.getElementById('createPhotoItemsBtn').addEventListener('click', createPhotoItems);
+    document.getElementById('closePhotoImportBtn').addEventListener('click', closePhotoImport);
+    document.getElementById('cancelPhotoImportBtn').addEventListener('click', closePhotoImport);
+    
+    // Maintenance
+    document.getElementById('runIntegrityCheckBtn').addEventListener('click', runIntegrityCheck);
+    document.getElementById('findReplacementsBtn').addEventListener('click', findImageReplacements);
+    document.getElementById('relinkImagesBtn').addEventListener('click', relinkMissingImages);
+    document.getElementById('deleteOrphansBtn').addEventListener('click', deleteOrphanedImages);
+    document.getElementById('clearThumbnailsBtn').addEventListener('click', clearStaleThumbnails);
+    document.getElementById('findDuplicatesBtn').addEventListener('click', findDuplicateImages);
+    
+    // Card/table view switch
+    document.querySelectorAll('[data-display]').forEach(button => {
+        button.addEventListener('click', () => setCatalogDisplay(button.dataset.display));
+    });
+    
+    // The table scrolls sideways; keep the column headers lined up with it
+    document.getElementById('catalogScroller').addEventListener('scroll', (e) => {
+        document.getElementById('tableHeader').scrollLeft = e.target.scrollLeft;
+    });
+    
+    // The catalog grid renders the rows near the screen as the window scrolls
+    window.addEventListener('scroll', scheduleVisibleRows, { passive: true });
+    window.addEventListener('resize', debounce(() => {
+        if (currentView === 'catalog') {
+            renderMediaGrid();
+        }
+    }, 100));
+    
+    // Smart collections
+    document.getElementById('saveCollectionBtn').addEventListener('click', () => openCollectionModal());
+    document.getElementById('saveCollectionModalBtn').addEventListener('click', saveSmartCollection);
+    document.getElementById('closeCollectionModalBtn').addEventListener('click', closeCollectionModal);
+    document.getElementById('cancelCollectionModalBtn').addEventListener('click', closeCollectionModal);
+    document.querySelector('#collectionModal .modal-background').addEventListener('click', closeCollectionModal);
+    document.getElementById('collectionForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveSmartCollection();
+    });
+    
     // Import/Export
     document.getElementById('exportJSONBtn').addEventListener('click', () => exportData('json'));
     document.getElementById('exportCSVBtn').addEventListener('click', () => exportData('csv'));
+    document.getElementById('exportSpreadsheetBtn').addEventListener('click', () => exportData('xlsx'));
     document.getElementById('importJSONBtn').addEventListener('click', () => importData('json'));
     document.getElementById('importCSVBtn').addEventListener('click', () => importData('csv'));
+    document.getElementById('importSpreadsheetBtn').addEventListener('click', () => importData('spreadsheet'));
+    document.getElementById('importLibraryBtn').addEventListener('click', () => importData('library'));
+    document.getElementById('exportArchiveBtn').addEventListener('click', exportArchive);
+    
+    // Export dialog
+    document.querySelectorAll('input[name="exportSource"]').forEach(radio => {
+        radio.addEventListener('change', updateExportCount);
+    });
+    document.getElementById('exportCollectionSelect').addEventListener('change', () => {
+        document.getElementById('exportSourceCollection').checked = true;
+        updateExportCount();
+    });
+    document.getElementById('exportIncludeTrash').addEventListener('change', updateExportCount);
+    document.getElementById('exportColumnList').addEventListener('change', toggleExportColumn);
+    document.getElementById('exportColumnList').addEventListener('click', moveExportColumn);
+    document.getElementById('resetExportColumnsBtn').addEventListener('click', resetExportColumns);
+    document.getElementById('runExportBtn').addEventListener('click', runExport);
+    document.getElementById('closeExportBtn').addEventListener('click', closeExportDialog);
+    document.getElementById('cancelExportBtn').addEventListener('click', closeExportDialog);
+    document.querySelector('#exportModal .modal-background').addEventListener('click', closeExportDialog);
+    document.getElementById('restoreArchiveBtn').addEventListener('click', restoreArchive);
+    setupImportExportDropdown();
+    
+    // Import wizard
+    document.getElementById('importMappingBody').addEventListener('change', changeImportMapping);
+    document.getElementById('importSheetSelect').addEventListener('change', changeImportSheet);
+    document.getElementById('importModeSelect').addEventListener('change', clearImportResults);
+    document.getElementById('importDefaultType').addEventListener('change', clearImportResults);
+    document.getElementById('importReportBody').addEventListener('change', resolveImportConflict);
+    document.getElementById('importReportFilter').addEventListener('click', filterImportReport);
+    document.getElementById('useFileForConflictsBtn').addEventListener('click', () => resolveAllImportConflicts('file'));
+    document.getElementById('keepCatalogForConflictsBtn').addEventListener('click', () => resolveAllImportConflicts('database'));
+    document.getElementById('dryRunImportBtn').addEventListener('click', () => runImportWizard(true));
+    document.getElementById('runImportBtn').addEventListener('click', () => runImportWizard(false));
+    document.getElementById('downloadImportReportBtn').addEventListener('click', downloadImportReport);
+    document.getElementById('closeImportWizardBtn').addEventListener('click', closeImportWizard);
+    document.getElementById('cancelImportWizardBtn').addEventListener('click', closeImportWizard);
+    document.querySelector('#importWizardModal .modal-background').addEventListener('click', closeImportWizard);
     
     // Image modal
     document.getElementById('closeImageModalBtn').addEventListener('click', closeImageModal);
     document.querySelector('#imageModal .modal-background').addEventListener('click', closeImageModal);
+    document.getElementById('prevImageBtn').addEventListener('click', () => stepViewerImage(-1));
+    document.getElementById('nextImageBtn').addEventListener('click', () => stepViewerImage(1));
+    document.addEventListener('keydown', handleImageViewerKeydown);
     
     // Type change handler for conditional fields
     document.getElementById('typeInput').addEventListener('change', handleTypeChange);
+    
+    // Media type registry
+    document.getElementById('addTypeBtn').addEventListener('click', () => openTypeModal());
+    document.getElementById('addTypeFieldBtn').addEventListener('click', () => addTypeFieldRow());
+    document.getElementById('saveTypeBtn').addEventListener('click', saveMediaType);
+    document.getElementById('closeTypeModalBtn').addEventListener('click', closeTypeModal);
+    document.getElementById('cancelTypeModalBtn').addEventListener('click', closeTypeModal);
+    document.querySelector('#typeModal .modal-background').addEventListener('click', closeTypeModal);
+    document.getElementById('typeNameInput').addEventListener('input', handleTypeNameInput);
+    document.getElementById('typeKeyInput').addEventListener('input', () => {
+        document.getElementById('typeKeyInput').dataset.edited = 'true';
+    });
+    document.getElementById('typeIconInput').addEventListener('input', () => {
+        document.getElementById('typeIconPreview').className = `fas ${document.getElementById('typeIconInput').value.trim() || 'fa-star'}`;
+    });
 }
 
 // ============================================================================
@@ -156,6 +439,7 @@ function setupViewSwitching() {
 
 function switchView(view) {
     currentView = view;
+    clearSelection();
     
     // Update navigation
     document.querySelectorAll('[data-view]').forEach(link => {
@@ -165,12 +449,21 @@ function switchView(view) {
     // Show/hide views
     document.getElementById('catalogView').style.display = view === 'catalog' ? 'block' : 'none';
     document.getElementById('trashView').style.display = view === 'trash' ? 'block' : 'none';
+    document.getElementById('typesView').style.display = view === 'types' ? 'block' : 'none';
+    document.getElementById('maintenanceView').style.display = view === 'maintenance' ? 'block' : 'none';
+    
+    // Only highlight a collection while the catalog is showing it
+    renderSmartCollections();
     
     // Load appropriate data
     if (view === 'catalog') {
         loadMedia();
     } else if (view === 'trash') {
         loadTrash();
+    } else if (view === 'types') {
+        renderTypesTable();
+    } else if (view === 'maintenance') {
+        runIntegrityCheck();
     }
 }
 
@@ -179,13 +472,47 @@ function switchView(view) {
 // ============================================================================
 
 /**
- * Load all media items from the database
+ * Load the catalog for the current filters, sort order and grouping
+ * Only the group sizes and the pages near the top of the screen are fetched
+ * here; the grid loads other pages as they are scrolled into view.
  */
 async function loadMedia() {
+    const queryId = ++catalogQueryId;
     try {
-        const options = getFilterOptions();
-        currentMedia = await window.electronAPI.getAllMedia(options);
-        await renderMediaGrid();
+        const filterKey = JSON.stringify(getFilterOptions());
+        const options = { ...getFilterOptions(), ...sortOptions, groupBy: groupBy || undefined };
+        const groups = await window.electronAPI.getMediaGroups(options);
+        if (queryId !== catalogQueryId) {
+            return; // A newer filter change is already loading
+        }
+        
+        // Fetch the pages that will be on screen before swapping them in, so
+        // the grid doesn't flash placeholders on every keystroke
+        const grid = document.getElementById('mediaGrid');
+        const layout = buildGridLayout(groups, Boolean(options.groupBy), getGridWidth());
+        const { first, last } = getVisibleRowRange(layout, grid);
+        const pageNumbers = getRowPages(layout.rows.slice(first, last));
+        imageExistsCache = new Map();
+        const pages = await Promise.all(pageNumbers.map(page => fetchCatalogPage(options, page)));
+        if (queryId !== catalogQueryId) {
+            return;
+        }
+        
+        catalogOptions = options;
+        catalogGroups = groups;
+        catalogPages = new Map(pageNumbers.map((page, index) => [page, pages[index]]));
+        
+        // A selection only makes sense for the results it was made in; positions
+        // (for shift-click) change whenever the results are reloaded
+        if (filterKey !== catalogFilterKey) {
+            selection = { allMatching: false, ids: new Set() };
+        }
+        catalogFilterKey = filterKey;
+        lastSelectedIndex = null;
+        renderMediaGrid();
+        
+        // Refresh the sidebar so collection counts stay live
+        await loadSmartCollections();
     } catch (error) {
         console.error('Error loading media:', error);
         showNotification('Error loading media items', 'is-danger');
@@ -197,8 +524,12 @@ async function loadMedia() {
  */
 async function loadTrash() {
     try {
-        const items = await window.electronAPI.getAllMedia({ onlyDeleted: true });
-        renderTrashGrid(items);
+        [trashItems, trashRetentionDays] = await Promise.all([
+            window.electronAPI.getAllMedia({ onlyDeleted: true }),
+            window.electronAPI.getTrashRetentionDays(),
+        ]);
+        renderTrashRetention();
+        renderTrashGrid(trashItems);
     } catch (error) {
         console.error('Error loading trash:', error);
         showNotification('Error loading trash', 'is-danger');
@@ -207,202 +538,979 @@ async function loadTrash() {
 
 /**
  * Render the media grid
+ * The grid is "virtualized": it is given the full height of all its rows, but
+ * only the rows on (or near) the screen are in the DOM. renderVisibleRows()
+ * swaps rows in and out as the window scrolls.
  */
-async function renderMediaGrid() {
+function renderMediaGrid() {
     const grid = document.getElementById('mediaGrid');
     const emptyState = document.getElementById('emptyState');
     
     grid.innerHTML = '';
+    renderedRows.clear();
     
-    if (currentMedia.length === 0) {
+    const total = catalogGroups.reduce((sum, group) => sum + group.count, 0);
+    if (total === 0) {
         grid.style.display = 'none';
+        document.getElementById('tableHeader').style.display = 'none';
         emptyState.style.display = 'block';
+        updateSelectionUI();
         return;
     }
     
-    grid.style.display = 'flex';
+    grid.style.display = 'block';
     emptyState.style.display = 'none';
     
-    // Use Promise.all to handle async card creation
-    const cardPromises = currentMedia.map(item => createMediaCard(item));
-    const cards = await Promise.all(cardPromises);
-    cards.forEach(card => grid.appendChild(card));
+    // The table is as wide as its columns (and scrolls sideways when they don't fit)
+    const isTable = catalogDisplay === 'table';
+    document.getElementById('tableHeader').style.display = isTable ? 'block' : 'none';
+    document.getElementById('catalogScroller').classList.toggle('is-table', isTable);
+    grid.classList.toggle('is-table', isTable);
+    if (isTable) {
+        renderTableHeader();
+    }
+    grid.style.width = isTable ? `${getTableWidth()}px` : '';
+    
+    catalogLayout = buildGridLayout(catalogGroups, Boolean(catalogOptions.groupBy), getGridWidth());
+    grid.style.height = `${catalogLayout.height}px`;
+    renderVisibleRows();
+    updateSelectionUI();
 }
 
 /**
- * Create a media card element
+ * Get the width available to the grid (it has no width while hidden)
+ * @returns {number} - Width in pixels
  */
-async function createMediaCard(item) {
-    const column = document.createElement('div');
-    column.className = 'column is-one-third-tablet is-one-quarter-desktop';
+function getGridWidth() {
+    return document.getElementById('catalogScroller').clientWidth;
+}
+
+/**
+ * Work out the rows of the grid: a header per group (when grouping) followed
+ * by rows of cards. Every row has a fixed height so any row's position can be
+ * calculated without rendering the rows above it.
+ * @param {Array} groups - Groups from getMediaGroups ({ key, count })
+ * @param {boolean} showHeaders - Whether to add group headers
+ * @param {number} width - Grid width in pixels
+ * @returns {Object} - { columns, rows, height }; each row is { type, top, height }
+ *   plus { group } for headers or { start, end } (item indexes) for cards
+ */
+function buildGridLayout(groups, showHeaders, width) {
+    // The table view has one item per row
+    const isTable = catalogDisplay === 'table';
+    const columns = isTable ? 1 : Math.max(1, Math.floor(width / CARD_MIN_WIDTH));
+    const rowHeight = isTable ? TABLE_ROW_HEIGHT : CARD_ROW_HEIGHT;
+    const rows = [];
+    let top = 0;
+    let start = 0;
     
-    const card = document.createElement('div');
-    card.className = 'card media-card';
+    groups.forEach(group => {
+        if (showHeaders) {
+            rows.push({ type: 'header', group, top, height: GROUP_HEADER_HEIGHT });
+            top += GROUP_HEADER_HEIGHT;
+        }
+        const end = start + group.count;
+        for (let rowStart = start; rowStart < end; rowStart += columns) {
+            rows.push({ type: 'cards', start: rowStart, end: Math.min(rowStart + columns, end), top, height: rowHeight });
+            top += rowHeight;
+        }
+        start = end;
+    });
     
-    // Image section
-    const cardImage = document.createElement('div');
-    cardImage.className = 'card-image';
+    return { columns, rows, height: top };
+}
+
+/**
+ * Find the rows that are on screen (plus a margin above and below)
+ * @param {Object} layout - Layout from buildGridLayout()
+ * @param {HTMLElement} grid - The grid element
+ * @returns {Object} - { first, last } row indexes (last is exclusive)
+ */
+function getVisibleRowRange(layout, grid) {
+    const gridTop = grid.getBoundingClientRect().top;
+    const viewTop = -gridTop - GRID_OVERSCAN;
+    const viewBottom = window.innerHeight - gridTop + GRID_OVERSCAN;
+    const rows = layout.rows;
     
-    let imageExists = false;
-    if (item.image) {
-        try {
-            imageExists = await window.electronAPI.fileExists(item.image);
-        } catch (error) {
-            console.error('Error checking image file:', error);
+    // Binary search for the first row that ends below the top of the view
+    let first = 0;
+    let high = rows.length;
+    while (first < high) {
+        const middle = Math.floor((first + high) / 2);
+        if (rows[middle].top + rows[middle].height <= viewTop) {
+            first = middle + 1;
+        } else {
+            high = middle;
         }
     }
     
-    if (item.image && imageExists) {
-        const figure = document.createElement('figure');
-        figure.className = 'image is-4by3';
-        const img = document.createElement('img');
-        img.src = `file://${item.image}`;
-        img.alt = item.title;
-        img.className = 'media-card-image';
-        img.addEventListener('click', () => showImageModal(item.image));
-        figure.appendChild(img);
-        cardImage.appendChild(figure);
-    } else {
-        const placeholder = document.createElement('div');
-        placeholder.className = 'media-card-placeholder';
-        placeholder.innerHTML = '<i class="fas fa-image fa-3x"></i>';
-        cardImage.appendChild(placeholder);
+    let last = first;
+    while (last < rows.length && rows[last].top < viewBottom) {
+        last++;
+    }
+    return { first, last };
+}
+
+/**
+ * Get the page numbers the card rows in a list of rows need
+ * @param {Array} rows - Rows from buildGridLayout()
+ * @returns {Array} - Page numbers
+ */
+function getRowPages(rows) {
+    const pages = new Set();
+    rows.filter(row => row.type === 'cards').forEach(row => {
+        pages.add(Math.floor(row.start / PAGE_SIZE));
+        pages.add(Math.floor((row.end - 1) / PAGE_SIZE));
+    });
+    return Array.from(pages);
+}
+
+/**
+ * Mount the rows that have scrolled into view and remove the ones that have left it
+ */
+function renderVisibleRows() {
+    if (currentView !== 'catalog' || catalogLayout.rows.length === 0) {
+        return;
     }
     
-    // Card content
-    const cardContent = document.createElement('div');
-    cardContent.className = 'card-content';
+    const grid = document.getElementById('mediaGrid');
+    const { first, last } = getVisibleRowRange(catalogLayout, grid);
     
-    // Title
-    const title = document.createElement('p');
-    title.className = 'title is-5';
-    title.textContent = item.title;
-    cardContent.appendChild(title);
+    renderedRows.forEach((element, index) => {
+        // A table row with a cell being edited stays until the edit is finished
+        if ((index < first || index >= last) && !element.querySelector('.is-editing')) {
+            element.remove();
+            renderedRows.delete(index);
+        }
+    });
     
-    // Type badge
-    const typeBadge = document.createElement('span');
-    typeBadge.className = 'tag is-primary mb-2';
-    typeBadge.textContent = formatType(item.type);
-    cardContent.appendChild(typeBadge);
+    const missingPages = new Set();
+    for (let index = first; index < last; index++) {
+        if (renderedRows.has(index)) {
+            continue;
+        }
+        const row = catalogLayout.rows[index];
+        let element;
+        if (row.type === 'header') {
+            element = createGroupHeader(row.group);
+        } else if (catalogDisplay === 'table') {
+            element = createTableRow(row, missingPages);
+        } else {
+            element = createCardRow(row, missingPages);
+        }
+        element.style.top = `${row.top}px`;
+        element.style.height = `${row.height}px`;
+        grid.appendChild(element);
+        renderedRows.set(index, element);
+    }
     
-    // Rating
-    if (item.rating) {
-        const ratingDiv = document.createElement('div');
-        ratingDiv.className = 'mb-2';
-        for (let i = 1; i <= 5; i++) {
-            const star = document.createElement('i');
-            star.className = `fas fa-star ${i <= item.rating ? 'has-text-warning' : 'has-text-grey-light'}`;
-            ratingDiv.appendChild(star);
+    missingPages.forEach(page => loadCatalogPage(page));
+}
+
+/**
+ * Schedule renderVisibleRows() for the next frame (scroll events fire faster than that)
+ */
+function scheduleVisibleRows() {
+    if (gridFrameRequested) {
+        return;
+    }
+    gridFrameRequested = true;
+    requestAnimationFrame(() => {
+        gridFrameRequested = false;
+        renderVisibleRows();
+    });
+}
+
+/**
+ * Create one row of cards
+ * If a page the row needs hasn't been loaded yet, placeholder cards are shown
+ * and the page is added to missingPages so the caller can fetch it.
+ * @param {Object} row - Card row from buildGridLayout()
+ * @param {Set} missingPages - Collects the page numbers that need loading
+ * @returns {HTMLElement} - The row element
+ */
+function createCardRow(row, missingPages) {
+    const element = document.createElement('div');
+    element.className = 'columns virtual-row';
+    
+    for (let index = row.start; index < row.end; index++) {
+        const item = getCatalogItem(index);
+        let column;
+        if (item) {
+            column = createMediaCard(item, index);
+        } else {
+            missingPages.add(Math.floor(index / PAGE_SIZE));
+            element.dataset.loading = 'true';
+            column = createPlaceholderCard();
         }
-        cardContent.appendChild(ratingDiv);
+        column.style.flex = `0 0 ${100 / catalogLayout.columns}%`;
+        element.appendChild(column);
     }
+    return element;
+}
+
+/**
+ * Get an item by its position in the catalog
+ * @param {number} index - Position in the sorted results
+ * @returns {Object|undefined} - The item, or undefined if its page isn't loaded
+ */
+function getCatalogItem(index) {
+    const items = catalogPages.get(Math.floor(index / PAGE_SIZE));
+    return items ? items[index % PAGE_SIZE] : undefined;
+}
+
+/**
+ * Fetch one page of the catalog and check its images in a single call
+ * @param {Object} options - getAllMedia options
+ * @param {number} page - Page number
+ * @returns {Promise<Array>} - The page's items
+ */
+async function fetchCatalogPage(options, page) {
+    const items = await window.electronAPI.getAllMedia({ ...options, offset: page * PAGE_SIZE, limit: PAGE_SIZE });
     
-    // Additional info
-    const info = document.createElement('div');
-    info.className = 'content is-small';
-    if (item.brand) {
-        const brandP = document.createElement('p');
-        brandP.innerHTML = `<strong>Brand:</strong> ${item.brand}`;
-        info.appendChild(brandP);
+    const paths = [...new Set(items.map(item => item.image).filter(path => path && !imageExistsCache.has(path)))];
+    if (paths.length > 0) {
+        const results = await window.electronAPI.filesExist(paths);
+        paths.forEach(path => imageExistsCache.set(path, results[path] === true));
     }
-    if (item.system) {
-        const systemP = document.createElement('p');
-        systemP.innerHTML = `<strong>System:</strong> ${item.system}`;
-        info.appendChild(systemP);
+    return items;
+}
+
+/**
+ * Load a page that a row on screen needs, then replace the placeholder rows
+ * @param {number} page - Page number
+ */
+async function loadCatalogPage(page) {
+    if (catalogPages.has(page)) {
+        return; // Already loaded or loading
     }
-    if (item.quantity > 1) {
-        const qtyP = document.createElement('p');
-        qtyP.innerHTML = `<strong>Quantity:</strong> ${item.quantity}`;
-        info.appendChild(qtyP);
+    
+    // If the filters change while this page loads, the result belongs to the old query
+    const pages = catalogPages;
+    pages.set(page, null);
+    try {
+        const items = await fetchCatalogPage(catalogOptions, page);
+        if (pages !== catalogPages) {
+            return;
+        }
+        pages.set(page, items);
+        renderedRows.forEach((element, index) => {
+            if (element.dataset.loading) {
+                element.remove();
+                renderedRows.delete(index);
+            }
+        });
+        renderVisibleRows();
+    } catch (error) {
+        pages.delete(page);
+        console.error('Error loading media page:', error);
+        showNotification('Error loading media items', 'is-danger');
     }
-    cardContent.appendChild(info);
+}
+
+/**
+ * Get the header text for a group
+ * @param {string|number|null} key - Group key from getMediaGroups (null when items have no value)
+ * @returns {string} - Header text
+ */
+function getGroupLabel(key) {
+    if (catalogOptions.groupBy === 'rating') {
+        return key === null ? 'Not Rated' : `${key} Star${key === 1 ? '' : 's'}`;
+    }
+    if (key === null) {
+        return `No ${catalogOptions.groupBy.charAt(0).toUpperCase()}${catalogOptions.groupBy.slice(1)}`;
+    }
+    return catalogOptions.groupBy === 'type' ? formatType(key) : key;
+}
+
+/**
+ * Create the full-width header shown above a group of cards
+ * @param {Object} group - Group from getMediaGroups ({ key, count })
+ * @returns {HTMLElement} - The header row
+ */
+function createGroupHeader(group) {
+    const element = document.createElement('div');
+    element.className = 'virtual-row group-header';
     
-    // Card footer with actions
-    const cardFooter = document.createElement('footer');
-    cardFooter.className = 'card-footer';
+    const title = document.createElement('h2');
+    title.className = 'subtitle is-5';
+    title.textContent = getGroupLabel(group.key);
     
-    const editBtn = document.createElement('a');
-    editBtn.className = 'card-footer-item';
-    editBtn.innerHTML = '<i class="fas fa-edit"></i> Edit';
-    editBtn.addEventListener('click', () => openMediaModal(item.id));
-    cardFooter.appendChild(editBtn);
+    const countTag = document.createElement('span');
+    countTag.className = 'tag is-rounded ml-2';
+    countTag.textContent = group.count;
+    title.appendChild(countTag);
     
-    const deleteBtn = document.createElement('a');
-    deleteBtn.className = 'card-footer-item has-text-danger';
-    deleteBtn.innerHTML = '<i class="fas fa-trash"></i> Delete';
-    deleteBtn.addEventListener('click', () => deleteMedia(item.id));
-    cardFooter.appendChild(deleteBtn);
+    element.appendChild(title);
+    return element;
+}
+
+/**
+ * Create a card shown while its item is still loading
+ * @returns {HTMLElement} - The placeholder column
+ */
+function createPlaceholderCard() {
+    const column = document.createElement('div');
+    column.className = 'column';
     
-    card.appendChild(cardImage);
-    card.appendChild(cardContent);
-    card.appendChild(cardFooter);
-    column.appendChild(card);
+    const card = document.createElement('div');
+    card.className = 'card media-card is-loading-card';
+    const placeholder = document.createElement('div');
+    placeholder.className = 'media-card-placeholder';
+    placeholder.innerHTML = '<i class="fas fa-spinner fa-pulse fa-2x"></i>';
+    card.appendChild(placeholder);
     
+    column.appendChild(card);
     return column;
 }
 
+// ============================================================================
+// Table View
+// ============================================================================
+
 /**
- * Render trash grid
+ * Get the table columns in display order with their widths
+ * The built-in columns come first, then one per custom field in the type
+ * registry; the order and widths the user chose are restored from localStorage.
+ * @returns {Array} - Column definitions (see TABLE_COLUMNS)
  */
-function renderTrashGrid(items) {
-    const grid = document.getElementById('trashGrid');
-    const emptyState = document.getElementById('trashEmptyState');
-    
-    grid.innerHTML = '';
+function getTableColumns() {
+    const columns = TABLE_COLUMNS.map(column => ({ ...column }));
+    const seen = new Set();
+    mediaTypes.forEach(type => {
+        type.fields
+            .filter(field => !COLUMN_FIELDS.includes(field.key) && !seen.has(field.key))
+            .forEach(field => {
+                seen.add(field.key);
+                columns.push({ key: `custom_fields.${field.key}`, fieldKey: field.key, label: field.label, width: 140 });
+            });
+    });
     
-    if (items.length === 0) {
-        grid.style.display = 'none';
-        emptyState.style.display = 'block';
-        return;
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem('tableColumns') || '[]');
+    } catch (error) {
+        console.error('Error loading table columns:', error);
     }
     
-    grid.style.display = 'flex';
-    emptyState.style.display = 'none';
-    
-    items.forEach(item => {
-        const card = createTrashCard(item);
-        grid.appendChild(card);
+    // Saved columns first, in their saved order; columns added since then go at the end
+    const ordered = [];
+    saved.forEach(({ key, width }) => {
+        const index = columns.findIndex(column => column.key === key);
+        if (index !== -1) {
+            const [column] = columns.splice(index, 1);
+            column.width = Math.max(MIN_COLUMN_WIDTH, parseInt(width, 10) || column.width);
+            ordered.push(column);
+        }
     });
+    return ordered.concat(columns);
 }
 
 /**
- * Create a trash card element
+ * Remember the table's column order and widths
  */
-function createTrashCard(item) {
-    const column = document.createElement('div');
-    column.className = 'column is-one-third-tablet is-one-quarter-desktop';
+function saveTableColumns() {
+    localStorage.setItem('tableColumns', JSON.stringify(tableColumns.map(({ key, width }) => ({ key, width }))));
+}
+
+/**
+ * Get the total width of the table's columns
+ * @returns {number} - Width in pixels
+ */
+function getTableWidth() {
+    return tableColumns.reduce((sum, column) => sum + column.width, SELECT_COLUMN_WIDTH);
+}
+
+/**
+ * Get the CSS variable that holds a column's width
+ * Cells use the variable, so resizing a column only has to change one value.
+ * @param {string} key - Column key
+ * @returns {string} - e.g. "--col-custom_fields-year"
+ */
+function getColumnVariable(key) {
+    return `--col-${key.replace(/[^a-z0-9_-]/gi, '-')}`;
+}
+
+/**
+ * Render the table's column headers (click to sort, drag to reorder, drag the edge to resize)
+ */
+function renderTableHeader() {
+    tableColumns = getTableColumns();
+    const view = document.getElementById('catalogView');
+    const headerRow = document.getElementById('tableHeaderRow');
+    headerRow.innerHTML = '';
+    headerRow.style.width = `${getTableWidth()}px`;
     
-    const card = document.createElement('div');
-    card.className = 'card';
+    // Checkbox that selects (or clears) everything matching the filters
+    const selectCell = document.createElement('div');
+    selectCell.className = 'table-cell table-header-cell select-cell';
+    selectCell.style.width = `${SELECT_COLUMN_WIDTH}px`;
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.id = 'tableSelectAll';
+    selectAll.title = 'Select all matching';
+    selectAll.addEventListener('click', () => {
+        if (getSelectedCount() > 0) {
+            clearSelection();
+        } else {
+            selectAllMatching();
+        }
+    });
+    selectCell.appendChild(selectAll);
+    headerRow.appendChild(selectCell);
     
+    tableColumns.forEach(column => {
+        view.style.setProperty(getColumnVariable(column.key), `${column.width}px`);
+        
+        const cell = document.createElement('div');
+        cell.className = 'table-cell table-header-cell';
+        cell.style.width = `var(${getColumnVariable(column.key)})`;
+        cell.draggable = true;
+        
+        const label = document.createElement('span');
+        label.className = 'table-header-label';
+        label.textContent = column.label;
+        cell.appendChild(label);
+        
+        // Clicking a sortable header sorts by it (again to reverse the direction)
+        if (column.sort) {
+            cell.classList.add('is-sortable');
+            if (sortOptions.sort === column.sort) {
+                const icon = document.createElement('i');
+                icon.className = `fas fa-arrow-${sortOptions.sortDirection === 'asc' ? 'up' : 'down'} ml-1`;
+                cell.appendChild(icon);
+            }
+            cell.addEventListener('click', () => {
+                if (sortOptions.sort === column.sort) {
+                    setSortOptions({ sortDirection: sortOptions.sortDirection === 'asc' ? 'desc' : 'asc' });
+                } else {
+                    setSortOptions({ sort: column.sort, sortDirection: 'asc' });
+                }
+            });
+        }
+        
+        const resizer = document.createElement('span');
+        resizer.className = 'column-resizer';
+        resizer.addEventListener('mousedown', (e) => startColumnResize(e, column, cell));
+        resizer.addEventListener('click', (e) => e.stopPropagation());
+        cell.appendChild(resizer);
+        
+        // Drag and drop to reorder
+        cell.addEventListener('dragstart', (e) => {
+            draggedColumnKey = column.key;
+            e.dataTransfer.effectAllowed = 'move';
+            cell.classList.add('is-dragging');
+        });
+        cell.addEventListener('dragend', () => {
+            draggedColumnKey = null;
+            cell.classList.remove('is-dragging');
+        });
+        cell.addEventListener('dragover', (e) => {
+            if (draggedColumnKey !== null) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        });
+        cell.addEventListener('drop', (e) => {
+            e.preventDefault();
+            moveTableColumn(draggedColumnKey, column.key);
+        });
+        
+        headerRow.appendChild(cell);
+    });
+}
+
+/**
+ * Resize a column by dragging the right edge of its header
+ * @param {MouseEvent} e - The mousedown event on the resize handle
+ * @param {Object} column - The column being resized
+ * @param {HTMLElement} headerCell - The column's header cell
+ */
+function startColumnResize(e, column, headerCell) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    // Don't let the header start a column drag while resizing
+    headerCell.draggable = false;
+    const startX = e.clientX;
+    const startWidth = column.width;
+    
+    const onMove = (moveEvent) => {
+        column.width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + moveEvent.clientX - startX));
+        document.getElementById('catalogView').style.setProperty(getColumnVariable(column.key), `${column.width}px`);
+        const width = `${getTableWidth()}px`;
+        document.getElementById('tableHeaderRow').style.width = width;
+        document.getElementById('mediaGrid').style.width = width;
+    };
+    const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        headerCell.draggable = true;
+        saveTableColumns();
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Move a column to the position of another one and save the new order
+ * @param {string} fromKey - Key of the column being dragged
+ * @param {string} toKey - Key of the column it was dropped on
+ */
+function moveTableColumn(fromKey, toKey) {
+    if (fromKey === null || fromKey === toKey) {
+        return;
+    }
+    const fromIndex = tableColumns.findIndex(column => column.key === fromKey);
+    const toIndex = tableColumns.findIndex(column => column.key === toKey);
+    const [moved] = tableColumns.splice(fromIndex, 1);
+    tableColumns.splice(toIndex, 0, moved);
+    saveTableColumns();
+    renderMediaGrid();
+}
+
+/**
+ * Create one row of the table view
+ * @param {Object} row - Row from buildGridLayout() (holds a single item)
+ * @param {Set} missingPages - Collects the page numbers that need loading
+ * @returns {HTMLElement} - The row element
+ */
+function createTableRow(row, missingPages) {
+    const element = document.createElement('div');
+    element.className = 'virtual-row table-view-row';
+    element.dataset.itemIndex = row.start;
+    
+    const item = getCatalogItem(row.start);
+    if (!item) {
+        missingPages.add(Math.floor(row.start / PAGE_SIZE));
+        element.dataset.loading = 'true';
+    }
+    
+    const selectCell = document.createElement('div');
+    selectCell.className = 'table-cell select-cell';
+    selectCell.style.width = `${SELECT_COLUMN_WIDTH}px`;
+    if (item) {
+        selectCell.appendChild(createSelectCheckbox(item.id, row.start));
+        element.classList.toggle('is-selected', isItemSelected(item.id));
+    }
+    element.appendChild(selectCell);
+    
+    tableColumns.forEach(column => element.appendChild(createTableCell(item, column, row.start)));
+    return element;
+}
+
+/**
+ * Create one cell of the table view
+ * @param {Object|undefined} item - The row's item (undefined while its page loads)
+ * @param {Object} column - Column definition
+ * @param {number} index - The item's position in the results
+ * @returns {HTMLElement} - The cell
+ */
+function createTableCell(item, column, index) {
+    const cell = document.createElement('div');
+    cell.className = 'table-cell';
+    cell.style.width = `var(${getColumnVariable(column.key)})`;
+    if (!item) {
+        return cell;
+    }
+    
+    const text = formatCellValue(item, column);
+    cell.textContent = text;
+    cell.title = text;
+    
+    if (column.key === 'id') {
+        // The ID opens the full editor (for images and everything else)
+        cell.classList.add('is-link');
+        cell.title = 'Open in editor';
+        cell.addEventListener('click', () => openMediaModal(item.id));
+    } else if (getColumnField(item, column)) {
+        cell.classList.add('is-editable');
+        cell.addEventListener('click', () => startCellEdit(cell, index, column));
+    } else {
+        cell.classList.add('is-readonly');
+    }
+    return cell;
+}
+
+/**
+ * Get an item's raw value for a column
+ * @param {Object} item - Media item
+ * @param {Object} column - Column definition
+ * @returns {*} - The value
+ */
+function getCellValue(item, column) {
+    if (column.fieldKey) {
+        return item.custom_fields ? item.custom_fields[column.fieldKey] : undefined;
+    }
+    return item[column.key];
+}
+
+/**
+ * Get the text shown in a cell
+ * @param {Object} item - Media item
+ * @param {Object} column - Column definition
+ * @returns {string} - Display text
+ */
+function formatCellValue(item, column) {
+    const value = getCellValue(item, column);
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    if (column.key === 'type') {
+        return formatType(value);
+    }
+    if (column.fieldKey) {
+        const field = getColumnField(item, column);
+        return field ? formatFieldValue(field, value) : String(value);
+    }
+    return String(value);
+}
+
+/**
+ * Get the field definition used to edit a cell
+ * @param {Object} item - Media item
+ * @param {Object} column - Column definition
+ * @returns {Object|null} - { key, label, kind, options } or null if the cell is read-only
+ *   (custom field cells are read-only when the item's type doesn't have the field)
+ */
+function getColumnField(item, column) {
+    if (column.fieldKey) {
+        const mediaType = getMediaType(item.type);
+        return mediaType ? mediaType.fields.find(field => field.key === column.fieldKey) || null : null;
+    }
+    if (column.kind === 'type') {
+        return { key: 'type', label: column.label, kind: 'enum', options: mediaTypes.map(type => type.key) };
+    }
+    return column.kind ? { key: column.key, label: column.label, kind: column.kind } : null;
+}
+
+/**
+ * Replace a cell's text with an editor
+ * Enter or leaving the cell saves, Escape cancels, Tab saves and moves to the
+ * next editable cell. Errors from the database are shown under the cell.
+ * @param {HTMLElement} cell - The cell
+ * @param {number} index - The item's position in the results
+ * @param {Object} column - Column definition
+ */
+function startCellEdit(cell, index, column) {
+    const item = getCatalogItem(index);
+    const field = item ? getColumnField(item, column) : null;
+    if (!field || cell.classList.contains('is-editing')) {
+        return;
+    }
+    
+    cell.classList.add('is-editing');
+    cell.textContent = '';
+    
+    const editor = createFieldInput(field);
+    editor.classList.add('is-small');
+    const input = editor.matches('[data-field-key]') ? editor : editor.querySelector('[data-field-key]');
+    if (column.kind === 'type') {
+        // Show type names rather than keys
+        Array.from(input.options).forEach(option => {
+            option.textContent = option.value ? formatType(option.value) : option.textContent;
+        });
+    }
+    const value = getCellValue(item, column);
+    input.value = value === undefined || value === null ? '' : String(value);
+    cell.appendChild(editor);
+    input.focus();
+    
+    let saving = false;
+    const finish = async (save, move = 0) => {
+        if (saving || !cell.classList.contains('is-editing')) {
+            return;
+        }
+        if (save) {
+            saving = true;
+            const saved = await saveCellValue(cell, index, column, input.value);
+            saving = false;
+            if (!saved) {
+                // Keep the editor open (with the error) so the value can be fixed
+                if (move || document.activeElement === document.body) {
+                    input.focus();
+                }
+                return;
+            }
+        }
+        cell.classList.remove('is-editing');
+        refreshTableRow(index);
+        if (move) {
+            editAdjacentCell(index, column, move);
+        }
+    };
+    
+    input.addEventListener('input', () => clearCellError(cell));
+    input.addEventListener('change', () => clearCellError(cell));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            finish(true, e.shiftKey ? -1 : 1);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Save an edited cell through updateMedia
+ * @param {HTMLElement} cell - The cell
+ * @param {number} index - The item's position in the results
+ * @param {Object} column - Column definition
+ * @param {string} rawValue - Value from the editor
+ * @returns {Promise<boolean>} - True if saved (or unchanged), false if it was rejected
+ */
+async function saveCellValue(cell, index, column, rawValue) {
+    const item = getCatalogItem(index);
+    const value = rawValue.trim();
+    const current = getCellValue(item, column);
+    if (value === (current === undefined || current === null ? '' : String(current))) {
+        return true;
+    }
+    
+    let updates;
+    if (column.fieldKey) {
+        const customFields = { ...item.custom_fields };
+        if (value === '') {
+            delete customFields[column.fieldKey];
+        } else {
+            customFields[column.fieldKey] = value;
+        }
+        updates = { custom_fields: customFields };
+    } else if (column.kind === 'number') {
+        updates = { [column.key]: value === '' ? null : Number(value) };
+    } else {
+        updates = { [column.key]: value };
+    }
+    
+    try {
+        const updated = await window.electronAPI.updateMedia(item.id, updates);
+        replaceCatalogItem(index, updated);
+        loadSmartCollections();
+        return true;
+    } catch (error) {
+        console.error('Error updating media:', error);
+        showCellError(cell, getErrorMessage(error));
+        return false;
+    }
+}
+
+/**
+ * Show a validation error under a cell that is being edited
+ * @param {HTMLElement} cell - The cell
+ * @param {string} message - Error message
+ */
+function showCellError(cell, message) {
+    clearCellError(cell);
+    cell.classList.add('is-invalid');
+    const error = document.createElement('div');
+    error.className = 'cell-error';
+    error.textContent = message;
+    cell.appendChild(error);
+}
+
+function clearCellError(cell) {
+    cell.classList.remove('is-invalid');
+    const error = cell.querySelector('.cell-error');
+    if (error) {
+        error.remove();
+    }
+}
+
+/**
+ * Put an edited item into the page cache so the grid shows the new values
+ * (the results aren't re-sorted until the next reload, so the row stays put)
+ * @param {number} index - The item's position in the results
+ * @param {Object} item - The updated item
+ */
+function replaceCatalogItem(index, item) {
+    const items = catalogPages.get(Math.floor(index / PAGE_SIZE));
+    if (items && item) {
+        items[index % PAGE_SIZE] = item;
+    }
+}
+
+/**
+ * Re-render the table row for an item
+ * @param {number} index - The item's position in the results
+ */
+function refreshTableRow(index) {
+    renderedRows.forEach((element, rowIndex) => {
+        if (element.dataset.itemIndex === String(index)) {
+            element.remove();
+            renderedRows.delete(rowIndex);
+        }
+    });
+    renderVisibleRows();
+}
+
+/**
+ * Start editing the next (or previous) editable cell in a row
+ * @param {number} index - The item's position in the results
+ * @param {Object} column - The column that was being edited
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function editAdjacentCell(index, column, direction) {
+    const item = getCatalogItem(index);
+    const row = document.querySelector(`#mediaGrid .table-view-row[data-item-index="${index}"]`);
+    if (!item || !row) {
+        return;
+    }
+    
+    const cells = row.querySelectorAll('.table-cell:not(.select-cell)');
+    const start = tableColumns.findIndex(c => c.key === column.key);
+    for (let i = start + direction; i >= 0 && i < tableColumns.length; i += direction) {
+        if (tableColumns[i].key !== 'id' && getColumnField(item, tableColumns[i])) {
+            startCellEdit(cells[i], index, tableColumns[i]);
+            return;
+        }
+    }
+}
+
+/**
+ * Create a media card element
+ * @param {Object} item - Media item (its image must already be in imageExistsCache)
+ * @param {number} index - The item's position in the results (for shift-click ranges)
+ * @returns {HTMLElement} - The card's column
+ */
+function createMediaCard(item, index) {
+    const column = document.createElement('div');
+    column.className = 'column';
+    
+    const card = document.createElement('div');
+    card.className = 'card media-card';
+    card.classList.toggle('is-selected', isItemSelected(item.id));
+    
+    // Selection checkbox over the image
+    card.appendChild(createCardSelect(item.id, index));
+    
+    // Image section
+    const cardImage = document.createElement('div');
+    cardImage.className = 'card-image';
+    
+    // Images are checked a page at a time when the page is fetched (see fetchCatalogPage)
+    if (item.image && imageExistsCache.get(item.image)) {
+        const figure = document.createElement('figure');
+        figure.className = 'image is-4by3';
+        const img = document.createElement('img');
+        img.src = getImageUrl(item, window.devicePixelRatio > 1 ? 'large' : 'medium');
+        img.alt = item.title;
+        img.className = 'media-card-image';
+        img.addEventListener('click', () => showImageModal(item));
+        figure.appendChild(img);
+        cardImage.appendChild(figure);
+    } else {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'media-card-placeholder';
+        placeholder.innerHTML = '<i class="fas fa-image fa-3x"></i>';
+        cardImage.appendChild(placeholder);
+    }
+    
+    // Card content
     const cardContent = document.createElement('div');
     cardContent.className = 'card-content';
     
+    // Search results include copies of the matched columns with the terms marked
+    const highlights = item.highlights || {};
+    
+    // Title
     const title = document.createElement('p');
     title.className = 'title is-5';
-    title.textContent = item.title;
+    title.appendChild(createHighlightedText(highlights.title || item.title));
     cardContent.appendChild(title);
     
+    // Type badge
     const typeBadge = document.createElement('span');
-    typeBadge.className = 'tag is-grey mb-2';
-    typeBadge.textContent = formatType(item.type);
+    typeBadge.className = 'tag is-primary mb-2';
+    const mediaType = getMediaType(item.type);
+    if (mediaType && mediaType.icon) {
+        const icon = document.createElement('i');
+        icon.className = `fas ${mediaType.icon} mr-1`;
+        typeBadge.appendChild(icon);
+    }
+    typeBadge.appendChild(document.createTextNode(formatType(item.type)));
     cardContent.appendChild(typeBadge);
     
+    // Rating
+    if (item.rating) {
+        const ratingDiv = document.createElement('div');
+        ratingDiv.className = 'mb-2';
+        for (let i = 1; i <= 5; i++) {
+            const star = document.createElement('i');
+            star.className = `fas fa-star ${i <= item.rating ? 'has-text-warning' : 'has-text-grey-light'}`;
+            ratingDiv.appendChild(star);
+        }
+        cardContent.appendChild(ratingDiv);
+    }
+    
+    // Additional info
+    const info = document.createElement('div');
+    info.className = 'content is-small';
+    if (highlights.description) {
+        // Show the part of the description that matched the search
+        const snippetP = document.createElement('p');
+        snippetP.className = 'search-snippet';
+        snippetP.appendChild(createHighlightedText(highlights.description));
+        info.appendChild(snippetP);
+    }
+    if (item.brand) {
+        const brandP = document.createElement('p');
+        brandP.innerHTML = '<strong>Brand:</strong> ';
+        brandP.appendChild(createHighlightedText(highlights.brand || item.brand));
+        info.appendChild(brandP);
+    }
+    if (item.system) {
+        const systemP = document.createElement('p');
+        systemP.innerHTML = '<strong>System:</strong> ';
+        systemP.appendChild(createHighlightedText(highlights.system || item.system));
+        info.appendChild(systemP);
+    }
+    if (item.quantity > 1) {
+        const qtyP = document.createElement('p');
+        qtyP.innerHTML = `<strong>Quantity:</strong> ${item.quantity}`;
+        info.appendChild(qtyP);
+    }
+    // Custom fields defined by the item's type
+    if (mediaType) {
+        mediaType.fields
+            .filter(field => !COLUMN_FIELDS.includes(field.key))
+            .forEach(field => {
+                const value = item.custom_fields ? item.custom_fields[field.key] : undefined;
+                if (value === undefined || value === null || value === '') {
+                    return;
+                }
+                const fieldP = document.createElement('p');
+                const label = document.createElement('strong');
+                label.textContent = `${field.label}:`;
+                fieldP.appendChild(label);
+                fieldP.appendChild(document.createTextNode(` ${formatFieldValue(field, value)}`));
+                info.appendChild(fieldP);
+            });
+    }
+    cardContent.appendChild(info);
+    
+    // Card footer with actions
     const cardFooter = document.createElement('footer');
     cardFooter.className = 'card-footer';
     
-    const restoreBtn = document.createElement('a');
-    restoreBtn.className = 'card-footer-item has-text-success';
-    restoreBtn.innerHTML = '<i class="fas fa-undo"></i> Restore';
-    restoreBtn.addEventListener('click', () => restoreMedia(item.id));
-    cardFooter.appendChild(restoreBtn);
+    const editBtn = document.createElement('a');
+    editBtn.className = 'card-footer-item';
+    editBtn.innerHTML = '<i class="fas fa-edit"></i> Edit';
+    editBtn.addEventListener('click', () => openMediaModal(item.id));
+    cardFooter.appendChild(editBtn);
     
     const deleteBtn = document.createElement('a');
     deleteBtn.className = 'card-footer-item has-text-danger';
-    deleteBtn.innerHTML = '<i class="fas fa-times"></i> Delete Forever';
-    deleteBtn.addEventListener('click', () => permanentDeleteMedia(item.id));
+    deleteBtn.innerHTML = '<i class="fas fa-trash"></i> Delete';
+    deleteBtn.addEventListener('click', () => deleteMedia(item.id));
     cardFooter.appendChild(deleteBtn);
     
+    card.appendChild(cardImage);
     card.appendChild(cardContent);
     card.appendChild(cardFooter);
     column.appendChild(card);
@@ -410,513 +1518,4030 @@ function createTrashCard(item) {
     return column;
 }
 
-// ============================================================================
-// Media Modal
-// ============================================================================
-
 /**
- * Open the media modal for adding or editing
+ * Render trash grid
+ */
+function renderTrashGrid(items) {
+    const grid = document.getElementById('trashGrid');
+    const emptyState = document.getElementById('trashEmptyState');
+    
+    grid.innerHTML = '';
+    document.getElementById('restoreAllBtn').disabled = items.length === 0;
+    document.getElementById('emptyTrashBtn').disabled = items.length === 0;
+    
+    if (items.length === 0) {
+        grid.style.display = 'none';
+        emptyState.style.display = 'block';
+        updateSelectionUI();
+        return;
+    }
+    
+    grid.style.display = 'flex';
+    emptyState.style.display = 'none';
+    
+    items.forEach((item, index) => {
+        const card = createTrashCard(item, index);
+        grid.appendChild(card);
+    });
+    updateSelectionUI();
+}
+
+/**
+ * Create a trash card element
+ * @param {Object} item - Deleted media item
+ * @param {number} index - Position in the trash (for shift-click ranges)
+ */
+function createTrashCard(item, index) {
+    const column = document.createElement('div');
+    column.className = 'column is-one-third-tablet is-one-quarter-desktop';
+    
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.classList.toggle('is-selected', isItemSelected(item.id));
+    
+    card.appendChild(createCardSelect(item.id, index));
+    
+    const cardContent = document.createElement('div');
+    cardContent.className = 'card-content';
+    
+    const title = document.createElement('p');
+    title.className = 'title is-5';
+    title.textContent = item.title;
+    cardContent.appendChild(title);
+    
+    const typeBadge = document.createElement('span');
+    typeBadge.className = 'tag is-grey mb-2';
+    typeBadge.textContent = formatType(item.type);
+    cardContent.appendChild(typeBadge);
+    
+    if (item.deleted_at) {
+        const deletedInfo = document.createElement('p');
+        deletedInfo.className = 'is-size-7 has-text-grey mt-2';
+        deletedInfo.textContent = getTrashAgeText(item.deleted_at);
+        cardContent.appendChild(deletedInfo);
+    }
+    
+    const cardFooter = document.createElement('footer');
+    cardFooter.className = 'card-footer';
+    
+    const restoreBtn = document.createElement('a');
+    restoreBtn.className = 'card-footer-item has-text-success';
+    restoreBtn.innerHTML = '<i class="fas fa-undo"></i> Restore';
+    restoreBtn.addEventListener('click', () => restoreMedia(item.id));
+    cardFooter.appendChild(restoreBtn);
+    
+    const deleteBtn = document.createElement('a');
+    deleteBtn.className = 'card-footer-item has-text-danger';
+    deleteBtn.innerHTML = '<i class="fas fa-times"></i> Delete Forever';
+    deleteBtn.addEventListener('click', () => permanentDeleteMedia(item.id));
+    cardFooter.appendChild(deleteBtn);
+    
+    card.appendChild(cardContent);
+    card.appendChild(cardFooter);
+    column.appendChild(card);
+    
+    return column;
+}
+
+/**
+ * Describe when an item was deleted and when it will be purged
+ * @param {string} deletedAt - SQLite timestamp (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @returns {string} - e.g. "Moved to trash 3 Oct 2025 · deleted for good in 27 days"
+ */
+function getTrashAgeText(deletedAt) {
+    const deleted = new Date(`${deletedAt.replace(' ', 'T')}Z`);
+    let text = `Moved to trash ${deleted.toLocaleDateString()}`;
+    if (trashRetentionDays > 0) {
+        const msPerDay = 24 * 60 * 60 * 1000;
+        const daysLeft = Math.ceil((deleted.getTime() + trashRetentionDays * msPerDay - Date.now()) / msPerDay);
+        text += daysLeft > 1
+            ? ` · deleted for good in ${daysLeft} days`
+            : ' · deleted for good next time the app starts';
+    }
+    return text;
+}
+
+/**
+ * Show the saved retention period in the trash view
+ */
+function renderTrashRetention() {
+    const select = document.getElementById('trashRetentionSelect');
+    const value = String(trashRetentionDays);
+    // The setting may hold a period the menu doesn't list
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value} days`;
+        select.appendChild(option);
+    }
+    select.value = value;
+}
+
+// ============================================================================
+// Selection and Bulk Editing
+// ============================================================================
+
+/**
+ * Check whether an item is selected
+ * @param {number} id - Item ID
+ * @returns {boolean} - True if selected
+ */
+function isItemSelected(id) {
+    return selection.allMatching !== selection.ids.has(id);
+}
+
+/**
+ * Select or deselect one item
+ * @param {number} id - Item ID
+ * @param {boolean} selected - New state
+ */
+function setItemSelected(id, selected) {
+    if (selected !== selection.allMatching) {
+        selection.ids.add(id);
+    } else {
+        selection.ids.delete(id);
+    }
+}
+
+/**
+ * Get the number of items the selection can choose from in the current view
+ * @returns {number} - Item count
+ */
+function getSelectionTotal() {
+    if (currentView === 'trash') {
+        return trashItems.length;
+    }
+    return catalogGroups.reduce((sum, group) => sum + group.count, 0);
+}
+
+function getSelectedCount() {
+    return selection.allMatching ? getSelectionTotal() - selection.ids.size : selection.ids.size;
+}
+
+/**
+ * Create the checkbox used to select an item on a card or table row
+ * @param {number} id - Item ID
+ * @param {number} index - The item's position in the view (for shift-click ranges)
+ * @returns {HTMLElement} - The checkbox
+ */
+function createSelectCheckbox(id, index) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.title = 'Select (Shift-click to select a range)';
+    checkbox.dataset.selectId = id;
+    checkbox.checked = isItemSelected(id);
+    checkbox.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleSelectClick(e, index, id);
+    });
+    return checkbox;
+}
+
+/**
+ * Create the selection checkbox shown over the corner of a card
+ * @param {number} id - Item ID
+ * @param {number} index - The item's position in the view
+ * @returns {HTMLElement} - The checkbox's label
+ */
+function createCardSelect(id, index) {
+    const label = document.createElement('label');
+    label.className = 'card-select';
+    // Clicking around the checkbox shouldn't open the item
+    label.addEventListener('click', (e) => e.stopPropagation());
+    label.appendChild(createSelectCheckbox(id, index));
+    return label;
+}
+
+/**
+ * Toggle an item, or with Shift held, every item between it and the last one clicked
+ * @param {MouseEvent} e - The click event
+ * @param {number} index - The item's position in the view
+ * @param {number} id - Item ID
+ */
+async function handleSelectClick(e, index, id) {
+    const selected = !isItemSelected(id);
+    if (e.shiftKey && lastSelectedIndex !== null && lastSelectedIndex !== index) {
+        await selectRange(lastSelectedIndex, index, selected);
+    } else {
+        setItemSelected(id, selected);
+    }
+    lastSelectedIndex = index;
+    updateSelectionUI();
+}
+
+/**
+ * Select or deselect every item between two positions (inclusive)
+ * @param {number} from - One end of the range
+ * @param {number} to - The other end
+ * @param {boolean} selected - New state
+ */
+async function selectRange(from, to, selected) {
+    const start = Math.min(from, to);
+    const end = Math.max(from, to);
+    
+    let ids = [];
+    if (currentView === 'trash') {
+        ids = trashItems.slice(start, end + 1).map(item => item.id);
+    } else {
+        for (let index = start; index <= end; index++) {
+            const item = getCatalogItem(index);
+            if (!item) {
+                ids = null; // Part of the range hasn't been loaded; ask for the IDs instead
+                break;
+            }
+            ids.push(item.id);
+        }
+        if (!ids) {
+            try {
+                const items = await window.electronAPI.getAllMedia({ ...catalogOptions, offset: start, limit: end - start + 1 });
+                ids = items.map(item => item.id);
+            } catch (error) {
+                console.error('Error selecting range:', error);
+                showNotification('Error selecting items', 'is-danger');
+                return;
+            }
+        }
+    }
+    ids.forEach(id => setItemSelected(id, selected));
+}
+
+/**
+ * Select every item that matches the current filters, including ones not loaded yet
+ */
+function selectAllMatching() {
+    selection = { allMatching: true, ids: new Set() };
+    updateSelectionUI();
+}
+
+function clearSelection() {
+    selection = { allMatching: false, ids: new Set() };
+    lastSelectedIndex = null;
+    updateSelectionUI();
+}
+
+/**
+ * Update the checkboxes on screen and the bulk action bar to match the selection
+ */
+function updateSelectionUI() {
+    document.querySelectorAll('[data-select-id]').forEach(checkbox => {
+        const selected = isItemSelected(Number(checkbox.dataset.selectId));
+        checkbox.checked = selected;
+        const target = checkbox.closest('.card, .table-view-row');
+        if (target) {
+            target.classList.toggle('is-selected', selected);
+        }
+    });
+    
+    const count = getSelectedCount();
+    const total = getSelectionTotal();
+    
+    const selectAll = document.getElementById('tableSelectAll');
+    if (selectAll) {
+        selectAll.checked = count > 0 && count === total;
+        selectAll.indeterminate = count > 0 && count < total;
+    }
+    
+    const bar = document.getElementById('bulkBar');
+    const showBar = count > 0 && (currentView === 'catalog' || currentView === 'trash');
+    bar.style.display = showBar ? 'block' : 'none';
+    document.body.classList.toggle('has-bulk-bar', showBar);
+    document.getElementById('bulkCount').textContent = `${count} of ${total} selected`;
+    document.getElementById('selectAllMatchingBtn').style.display = count < total ? '' : 'none';
+    document.querySelectorAll('[data-bulk-view]').forEach(element => {
+        element.style.display = element.dataset.bulkView === currentView ? '' : 'none';
+    });
+}
+
+/**
+ * Describe the selection for bulkUpdateMedia
+ * @returns {Object} - { ids } or { filters, exceptIds }
+ */
+function getSelectionPayload() {
+    if (selection.allMatching) {
+        const filters = currentView === 'trash' ? { onlyDeleted: true } : catalogOptions;
+        return { filters, exceptIds: Array.from(selection.ids) };
+    }
+    return { ids: Array.from(selection.ids) };
+}
+
+/**
+ * Build the value input of the bulk bar for the chosen field
+ */
+function renderBulkValueInput() {
+    const field = document.getElementById('bulkFieldSelect').value;
+    const control = document.getElementById('bulkValueControl');
+    control.innerHTML = '';
+    
+    if (field === 'type') {
+        const wrapper = document.createElement('span');
+        wrapper.className = 'select is-small';
+        const select = document.createElement('select');
+        select.id = 'bulkValueInput';
+        mediaTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.key;
+            option.textContent = type.name;
+            select.appendChild(option);
+        });
+        wrapper.appendChild(select);
+        control.appendChild(wrapper);
+        return;
+    }
+    
+    const input = document.createElement('input');
+    input.className = 'input is-small bulk-value-input';
+    input.id = 'bulkValueInput';
+    if (field === 'rating') {
+        input.type = 'number';
+        input.min = '1';
+        input.max = '5';
+        input.step = '0.5';
+        input.placeholder = '1 to 5, empty to clear';
+    } else {
+        input.type = 'text';
+        input.placeholder = 'Empty to clear';
+        // Suggest existing values (the same lists the media modal uses)
+        if (field === 'brand') {
+            input.setAttribute('list', 'brandList');
+        } else if (field === 'size') {
+            input.setAttribute('list', 'sizeList');
+        }
+    }
+    control.appendChild(input);
+}
+
+/**
+ * Send a bulk change for the selected items and report how many changed
+ * @param {Object} changes - Changes for bulkUpdateMedia
+ * @returns {Promise<Object|null>} - { matched, changed }, or null if it failed
+ */
+async function runBulkUpdate(changes) {
+    try {
+        return await window.electronAPI.bulkUpdateMedia(getSelectionPayload(), changes);
+    } catch (error) {
+        console.error('Error updating items:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+        return null;
+    }
+}
+
+/**
+ * Set the chosen field to the same value on every selected item
+ */
+async function bulkSetField() {
+    const fieldSelect = document.getElementById('bulkFieldSelect');
+    const field = fieldSelect.value;
+    const label = fieldSelect.options[fieldSelect.selectedIndex].textContent;
+    const input = document.getElementById('bulkValueInput');
+    const raw = input.value.trim();
+    const count = getSelectedCount();
+    
+    let value = raw;
+    if (field === 'rating' && raw !== '') {
+        value = parseFloat(raw);
+    }
+    const shown = field === 'type' ? formatType(raw) : raw;
+    const question = raw === ''
+        ? `Clear ${label.toLowerCase()} on ${count} item${count === 1 ? '' : 's'}?`
+        : `Set ${label.toLowerCase()} to "${shown}" on ${count} item${count === 1 ? '' : 's'}?`;
+    if (!confirm(question)) {
+        return;
+    }
+    
+    const result = await runBulkUpdate({ set: { [field]: value } });
+    if (result) {
+        showNotification(`Updated ${result.changed} of ${result.matched} item${result.matched === 1 ? '' : 's'}`, 'is-success');
+        await loadMedia();
+        await loadAutocompleteData();
+    }
+}
+
+/**
+ * Add to (or subtract from) the quantity of every selected item
+ */
+async function bulkAdjustQuantity() {
+    const input = document.getElementById('bulkQuantityInput');
+    const amount = Number(input.value);
+    if (!Number.isInteger(amount) || amount === 0) {
+        showNotification('Enter a whole number to add, such as 1 or -1', 'is-warning');
+        return;
+    }
+    
+    const count = getSelectedCount();
+    const question = amount > 0
+        ? `Add ${amount} to the quantity of ${count} item${count === 1 ? '' : 's'}?`
+        : `Subtract ${-amount} from the quantity of ${count} item${count === 1 ? '' : 's'}? (Quantities stop at 0)`;
+    if (!confirm(question)) {
+        return;
+    }
+    
+    const result = await runBulkUpdate({ adjustQuantity: amount });
+    if (result) {
+        input.value = '';
+        showNotification(`Updated ${result.changed} of ${result.matched} item${result.matched === 1 ? '' : 's'}`, 'is-success');
+        await loadMedia();
+    }
+}
+
+/**
+ * Move the selected items to the trash, or restore them from it
+ * @param {boolean} deleted - True to delete, false to restore
+ */
+async function bulkSetDeleted(deleted) {
+    const count = getSelectedCount();
+    const items = `${count} item${count === 1 ? '' : 's'}`;
+    if (!confirm(deleted ? `Move ${items} to the trash?` : `Restore ${items}?`)) {
+        return;
+    }
+    
+    const result = await runBulkUpdate({ deleted });
+    if (result) {
+        const changed = `${result.changed} item${result.changed === 1 ? '' : 's'}`;
+        showNotification(deleted ? `${changed} moved to trash` : `${changed} restored`, 'is-success');
+        clearSelection();
+        if (currentView === 'trash') {
+            await loadTrash();
+        } else {
+            await loadMedia();
+        }
+    }
+}
+
+// ============================================================================
+// Media Modal
+// ============================================================================
+
+/**
+ * Open the media modal for adding or editing
+ */
+async function openMediaModal(mediaId = null) {
+    editingMediaId = mediaId;
+    editingDraftIndex = null;
+    const modal = document.getElementById('mediaModal');
+    const form = document.getElementById('mediaForm');
+    const modalTitle = document.getElementById('modalTitle');
+    
+    // Reset form
+    form.reset();
+    currentRating = 0;
+    updateRatingStars(0);
+    galleryImages = [];
+    renderImageGallery();
+    document.getElementById('mediaId').value = '';
+    
+    // Set conditional fields visibility
+    handleTypeChange();
+    
+    if (mediaId) {
+        modalTitle.textContent = 'Edit Media Item';
+        await loadMediaForEdit(mediaId);
+    } else {
+        modalTitle.textContent = 'Add Media Item';
+    }
+    
+    modal.classList.add('is-active');
+}
+
+/**
+ * Load media item for editing
+ */
+async function loadMediaForEdit(id) {
+    try {
+        const item = await window.electronAPI.getMediaById(id);
+        if (!item) {
+            showNotification('Media item not found', 'is-danger');
+            closeMediaModal();
+            return;
+        }
+        
+        document.getElementById('mediaId').value = item.id;
+        fillMediaForm(item);
+        
+        galleryImages = item.images.map(image => ({
+            ...image,
+            caption: image.caption || '',
+            url: getGalleryImageUrl(image, 'small', item.updated_at),
+            originalUrl: getGalleryImageUrl(image, 'original', item.updated_at),
+        }));
+        renderImageGallery();
+    } catch (error) {
+        console.error('Error loading media for edit:', error);
+        showNotification('Error loading media item', 'is-danger');
+    }
+}
+
+/**
+ * Fill in the media form's fields (everything except the images)
+ * @param {Object} item - A saved item or a draft
+ */
+function fillMediaForm(item) {
+    document.getElementById('titleInput').value = item.title || '';
+    document.getElementById('typeInput').value = item.type || '';
+    document.getElementById('descriptionInput').value = item.description || '';
+    document.getElementById('isbnSkuInput').value = item.isbn_sku || '';
+    document.getElementById('quantityInput').value = item.quantity || 1;
+    document.getElementById('brandInput').value = item.brand || '';
+    document.getElementById('sizeInput').value = item.size || '';
+    document.getElementById('systemInput').value = item.system || '';
+    
+    if (item.rating) {
+        currentRating = item.rating;
+        updateRatingStars(item.rating);
+    }
+    
+    // Render the type's custom fields, then fill in the saved values
+    handleTypeChange();
+    setCustomFieldValues(item.custom_fields || {});
+}
+
+/**
+ * Close the media modal
+ */
+function closeMediaModal() {
+    const modal = document.getElementById('mediaModal');
+    modal.classList.remove('is-active');
+    editingMediaId = null;
+    editingDraftIndex = null;
+    currentRating = 0;
+}
+
+/**
+ * Save media item (create or update)
+ */
+async function saveMedia() {
+    const form = document.getElementById('mediaForm');
+    if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+    }
+    
+    const mediaId = document.getElementById('mediaId').value;
+    
+    const mediaData = {
+        title: document.getElementById('titleInput').value.trim(),
+        type: document.getElementById('typeInput').value,
+        description: document.getElementById('descriptionInput').value.trim() || null,
+        isbn_sku: document.getElementById('isbnSkuInput').value.trim() || null,
+        quantity: parseInt(document.getElementById('quantityInput').value) || 1,
+        rating: currentRating || null,
+        brand: document.getElementById('brandInput').value.trim() || null,
+        size: document.getElementById('sizeInput').value.trim() || null,
+        system: document.getElementById('systemInput').value.trim() || null,
+        custom_fields: getCustomFieldValues(),
+    };
+    
+    // The whole gallery is saved; existing images keep their IDs
+    mediaData.images = galleryImages.map(({ id, path, caption, cover }) => ({ id, path, caption, cover }));
+    
+    // Drafts from "Add from Photos" are only saved when the whole batch is added
+    if (editingDraftIndex !== null) {
+        photoDrafts[editingDraftIndex] = { ...mediaData, images: galleryImages.map(image => ({ ...image })), error: null };
+        closeMediaModal();
+        renderPhotoDrafts();
+        return;
+    }
+    
+    try {
+        if (mediaId) {
+            await window.electronAPI.updateMedia(parseInt(mediaId), mediaData);
+            showNotification('Media item updated successfully', 'is-success');
+        } else {
+            await window.electronAPI.createMedia(mediaData);
+            showNotification('Media item created successfully', 'is-success');
+        }
+        
+        closeMediaModal();
+        await loadMedia();
+        await loadAutocompleteData();
+    } catch (error) {
+        console.error('Error saving media:', error);
+        showNotification(`Error saving media item: ${getErrorMessage(error)}`, 'is-danger');
+    }
+}
+
+// ============================================================================
+// Add from Photos (one draft item per photo in a folder)
+// ============================================================================
+
+/**
+ * Open the photo import modal and ask for a folder
+ */
+async function openPhotoImport() {
+    photoDrafts = [];
+    document.getElementById('photoFolderInput').value = '';
+    
+    // Start with the type being filtered on (or the first type)
+    const typeSelect = document.getElementById('photoTypeSelect');
+    typeSelect.innerHTML = '';
+    mediaTypes.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.key;
+        option.textContent = type.name;
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = document.getElementById('typeFilter').value || (mediaTypes[0] ? mediaTypes[0].key : '');
+    
+    renderPhotoDrafts();
+    document.getElementById('photoImportModal').classList.add('is-active');
+    await choosePhotoFolder();
+}
+
+/**
+ * Close the photo import modal (asks first if there are drafts left)
+ */
+function closePhotoImport() {
+    if (photoDrafts.length > 0 && !confirm(`Discard ${photoDrafts.length} draft item${photoDrafts.length === 1 ? '' : 's'}?`)) {
+        return;
+    }
+    photoDrafts = [];
+    document.getElementById('photoImportModal').classList.remove('is-active');
+}
+
+/**
+ * Ask for a folder and add a draft for each image in it
+ * Photos that already have a draft are skipped, so several folders can be combined.
+ */
+async function choosePhotoFolder() {
+    const folder = await window.electronAPI.selectFolder('Select Folder of Photos');
+    if (!folder) {
+        return;
+    }
+    
+    try {
+        const filePaths = await window.electronAPI.listFolderImages(folder);
+        document.getElementById('photoFolderInput').value = folder;
+        
+        const drafted = new Set(photoDrafts.map(draft => draft.images[0] && draft.images[0].path));
+        const added = filePaths.filter(filePath => !drafted.has(filePath));
+        photoDrafts.push(...added.map(createPhotoDraft));
+        renderPhotoDrafts();
+        
+        if (filePaths.length === 0) {
+            showNotification('There are no images in that folder', 'is-warning');
+        }
+    } catch (error) {
+        console.error('Error reading photo folder:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+/**
+ * Make a draft item for a photo
+ * @param {string} filePath - Path of the photo
+ * @returns {Object} - Draft with the same fields saveMedia sends, plus gallery previews
+ */
+function createPhotoDraft(filePath) {
+    return {
+        title: getTitleFromFileName(getFileName(filePath)),
+        type: document.getElementById('photoTypeSelect').value,
+        quantity: 1,
+        custom_fields: {},
+        images: [{
+            path: filePath,
+            caption: '',
+            cover: true,
+            url: getPickedImageUrl(filePath, 'small'),
+            originalUrl: getPickedImageUrl(filePath, 'original'),
+        }],
+        error: null,
+    };
+}
+
+/**
+ * Turn a photo's file name into an item title
+ * "super_mario_64.jpg" becomes "super mario 64"; names that already contain
+ * spaces only lose their underscores, so "Spider-Man 2.jpg" keeps its hyphen.
+ * @param {string} fileName - File name with extension
+ * @returns {string} - Title
+ */
+function getTitleFromFileName(fileName) {
+    const base = fileName.replace(/\.[^.]+$/, '');
+    let title = base.replace(/_+/g, ' ');
+    if (!/\s/.test(base)) {
+        title = title.replace(/[-.]+/g, ' ');
+    }
+    title = title.replace(/\s+/g, ' ').trim();
+    return title || fileName;
+}
+
+function renderPhotoDrafts() {
+    const list = document.getElementById('photoDraftList');
+    list.innerHTML = '';
+    
+    photoDrafts.forEach((draft, index) => {
+        const row = document.createElement('div');
+        row.className = 'photo-draft';
+        
+        // Cover photo
+        const cover = draft.images.find(image => image.cover) || draft.images[0];
+        const figure = document.createElement('figure');
+        figure.className = 'image photo-draft-image';
+        if (cover) {
+            const img = document.createElement('img');
+            img.src = cover.url;
+            img.alt = draft.title;
+            figure.appendChild(img);
+        } else {
+            figure.innerHTML = '<i class="fas fa-image fa-2x has-text-grey-light"></i>';
+        }
+        row.appendChild(figure);
+        
+        // Title (edited in place) and the draft's type, image count and any error
+        const details = document.createElement('div');
+        details.className = 'photo-draft-details';
+        const titleInput = document.createElement('input');
+        titleInput.className = 'input is-small';
+        titleInput.type = 'text';
+        titleInput.value = draft.title;
+        titleInput.placeholder = 'Title';
+        titleInput.addEventListener('input', () => {
+            draft.title = titleInput.value;
+            updatePhotoImportButton();
+        });
+        details.appendChild(titleInput);
+        
+        const meta = document.createElement('p');
+        meta.className = 'help';
+        meta.textContent = `${formatType(draft.type)} · ${draft.images.length} image${draft.images.length === 1 ? '' : 's'}`;
+        details.appendChild(meta);
+        
+        if (draft.error) {
+            const error = document.createElement('p');
+            error.className = 'help is-danger';
+            error.textContent = draft.error;
+            details.appendChild(error);
+        }
+        row.appendChild(details);
+        
+        const actions = document.createElement('div');
+        actions.className = 'buttons has-addons';
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'button is-small';
+        editBtn.title = 'Edit all fields';
+        editBtn.innerHTML = '<i class="fas fa-edit"></i>';
+        editBtn.addEventListener('click', () => editPhotoDraft(index));
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'button is-small is-danger is-light';
+        discardBtn.title = 'Discard this draft';
+        discardBtn.innerHTML = '<i class="fas fa-times"></i>';
+        discardBtn.addEventListener('click', () => {
+            photoDrafts.splice(index, 1);
+            renderPhotoDrafts();
+        });
+        actions.appendChild(editBtn);
+        actions.appendChild(discardBtn);
+        row.appendChild(actions);
+        
+        list.appendChild(row);
+    });
+    
+    document.getElementById('photoDraftEmpty').style.display = photoDrafts.length > 0 ? 'none' : 'block';
+    updatePhotoImportButton();
+}
+
+function updatePhotoImportButton() {
+    const button = document.getElementById('createPhotoItemsBtn');
+    button.textContent = photoDrafts.length > 0
+        ? `Add ${photoDrafts.length} Item${photoDrafts.length === 1 ? '' : 's'}`
+        : 'Add Items';
+    button.disabled = photoDrafts.length === 0 || photoDrafts.some(draft => !draft.title.trim());
+}
+
+/**
+ * Use the batch type for every draft
+ */
+function changePhotoBatchType() {
+    const type = document.getElementById('photoTypeSelect').value;
+    photoDrafts.forEach(draft => {
+        draft.type = type;
+    });
+    renderPhotoDrafts();
+}
+
+/**
+ * Open a draft in the media modal (saving it updates the draft, not the catalog)
+ * @param {number} index - Index in photoDrafts
+ */
+async function editPhotoDraft(index) {
+    const draft = photoDrafts[index];
+    await openMediaModal();
+    editingDraftIndex = index;
+    document.getElementById('modalTitle').textContent = 'Edit Draft';
+    fillMediaForm(draft);
+    galleryImages = draft.images.map(image => ({ ...image }));
+    renderImageGallery();
+}
+
+/**
+ * Add every draft to the catalog
+ * Drafts that fail (e.g. a required field is empty) stay in the list with the
+ * reason, so they can be fixed and added with another click.
+ */
+async function createPhotoItems() {
+    const button = document.getElementById('createPhotoItemsBtn');
+    button.classList.add('is-loading');
+    
+    let created = 0;
+    const remaining = [];
+    for (const draft of photoDrafts) {
+        const item = {
+            ...draft,
+            title: draft.title.trim(),
+            images: draft.images.map(({ path, caption, cover }) => ({ path, caption, cover })),
+        };
+        delete item.error;
+        try {
+            await window.electronAPI.createMedia(item);
+            created++;
+        } catch (error) {
+            console.error('Error creating item from photo:', error);
+            remaining.push({ ...draft, error: getErrorMessage(error) });
+        }
+    }
+    photoDrafts = remaining;
+    button.classList.remove('is-loading');
+    
+    if (remaining.length > 0) {
+        showNotification(`Added ${created} item${created === 1 ? '' : 's'}; ${remaining.length} need${remaining.length === 1 ? 's' : ''} fixing`, 'is-warning');
+        renderPhotoDrafts();
+    } else {
+        showNotification(`Added ${created} item${created === 1 ? '' : 's'}`, 'is-success');
+        document.getElementById('photoImportModal').classList.remove('is-active');
+    }
+    
+    if (created > 0) {
+        await loadMedia();
+        await loadAutocompleteData();
+    }
+}
+
+// ============================================================================
+// Image Handling
+// ============================================================================
+
+/**
+ * Get the media:// URL for an item's cover image
+ * Cards use cached thumbnails; only the image viewer loads originals.
+ * @param {Object} item - Media item
+ * @param {string} size - 'small', 'medium', 'large' or 'original'
+ * @returns {string} - Image URL
+ */
+function getImageUrl(item, size) {
+    // updated_at changes whenever the image might have, so stale copies aren't reused
+    return `media://item/${item.id}?size=${size}&v=${encodeURIComponent(item.updated_at || '')}`;
+}
+
+/**
+ * Get the media:// URL for one image in an item's gallery
+ * @param {Object} image - Image from item.images
+ * @param {string} size - 'small', 'medium', 'large' or 'original'
+ * @param {string} version - The item's updated_at (so edited images aren't served stale)
+ * @returns {string} - Image URL
+ */
+function getGalleryImageUrl(image, size, version) {
+    return `media://image/${image.id}?size=${size}&v=${encodeURIComponent(version || '')}`;
+}
+
+/**
+ * Get the media:// URL for an image that was picked, dropped, pasted or edited
+ * but isn't saved with an item yet
+ * @param {string} filePath - Image path
+ * @param {string} size - 'small', 'medium', 'large' or 'original'
+ * @returns {string} - Image URL
+ */
+function getPickedImageUrl(filePath, size) {
+    return `media://picked/?path=${encodeURIComponent(filePath)}&size=${size}`;
+}
+
+/**
+ * Add images to the edit modal's gallery using the file dialog
+ */
+async function addGalleryImages() {
+    try {
+        addImagesToGallery(await window.electronAPI.selectImages());
+    } catch (error) {
+        console.error('Error selecting images:', error);
+        showNotification('Error selecting image files', 'is-danger');
+    }
+}
+
+/**
+ * Add new (not yet saved) images to the end of the gallery
+ * @param {Array} filePaths - Image paths the main process has accepted
+ */
+function addImagesToGallery(filePaths) {
+    filePaths.forEach(filePath => {
+        galleryImages.push({
+            path: filePath,
+            caption: '',
+            // The first image of an item becomes its cover
+            cover: galleryImages.length === 0,
+            url: getPickedImageUrl(filePath, 'small'),
+            originalUrl: getPickedImageUrl(filePath, 'original'),
+        });
+    });
+    renderImageGallery();
+}
+
+/**
+ * Handle image files dropped onto the edit modal
+ * @param {Array} files - Dropped File objects
+ */
+async function addDroppedImages(files) {
+    try {
+        const accepted = await window.electronAPI.addDroppedImages(files);
+        if (accepted.length < files.length) {
+            showNotification('Only image files can be added to the gallery', 'is-warning');
+        }
+        addImagesToGallery(accepted);
+    } catch (error) {
+        console.error('Error adding dropped images:', error);
+        showNotification('Error adding images', 'is-danger');
+    }
+}
+
+/**
+ * Add pasted images to the gallery while the edit modal is open
+ * Copied files are added from disk; image data (e.g. a screenshot) is saved by
+ * the main process first. Pasting text into a field works as usual.
+ * @param {ClipboardEvent} e - The paste event
+ */
+async function handleImagePaste(e) {
+    if (!document.getElementById('mediaModal').classList.contains('is-active')) {
+        return;
+    }
+    const files = Array.from(e.clipboardData.files);
+    if (files.length === 0) {
+        return;
+    }
+    e.preventDefault();
+    
+    const paths = files.map(file => window.electronAPI.getPathForFile(file)).filter(Boolean);
+    if (paths.length > 0) {
+        await addDroppedImages(files);
+        return;
+    }
+    try {
+        const imagePath = await window.electronAPI.savePastedImage();
+        if (imagePath) {
+            addImagesToGallery([imagePath]);
+            showNotification('Pasted image added', 'is-success');
+        }
+    } catch (error) {
+        console.error('Error pasting image:', error);
+        showNotification('Error pasting image', 'is-danger');
+    }
+}
+
+/**
+ * Set up dropping files from the desktop: images onto the edit modal, and
+ * JSON/CSV files onto the catalog to import them
+ */
+function setupFileDrops() {
+    // Only drags that carry files (not cards, columns or collections being moved)
+    const hasFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+    
+    // Without this, dropping a file anywhere else makes the window open it
+    document.addEventListener('dragover', (e) => {
+        if (hasFiles(e)) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'none';
+        }
+    });
+    document.addEventListener('drop', (e) => {
+        if (hasFiles(e)) {
+            e.preventDefault();
+        }
+    });
+    
+    const targets = [
+        { element: document.querySelector('#mediaModal .modal-card'), onDrop: addDroppedImages },
+        { element: document.getElementById('catalogView'), onDrop: importDroppedFiles },
+    ];
+    targets.forEach(({ element, onDrop }) => {
+        // dragenter/dragleave fire for every child, so count them to know when the drag really left
+        let depth = 0;
+        element.addEventListener('dragenter', (e) => {
+            if (hasFiles(e)) {
+                depth++;
+                element.classList.add('is-drop-target');
+            }
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (hasFiles(e) && --depth === 0) {
+                element.classList.remove('is-drop-target');
+            }
+        });
+        element.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) {
+                e.preventDefault();
+                e.stopPropagation();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        element.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+            depth = 0;
+            element.classList.remove('is-drop-target');
+            onDrop(Array.from(e.dataTransfer.files));
+        });
+    });
+}
+
+/**
+ * Render the edit modal's image gallery
+ */
+function renderImageGallery() {
+    const gallery = document.getElementById('imageGallery');
+    gallery.innerHTML = '';
+    document.getElementById('imageGalleryEmpty').style.display = galleryImages.length === 0 ? 'block' : 'none';
+    
+    galleryImages.forEach((image, index) => {
+        const tile = document.createElement('div');
+        tile.className = 'gallery-item';
+        tile.classList.toggle('is-cover', image.cover);
+        tile.draggable = true;
+        
+        // Drag a tile onto another to move it there
+        tile.addEventListener('dragstart', (e) => {
+            draggedGalleryIndex = index;
+            tile.classList.add('is-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        tile.addEventListener('dragend', () => {
+            draggedGalleryIndex = null;
+            tile.classList.remove('is-dragging');
+        });
+        tile.addEventListener('dragover', (e) => {
+            if (draggedGalleryIndex !== null) {
+                e.preventDefault();
+            }
+        });
+        tile.addEventListener('drop', (e) => {
+            e.preventDefault();
+            moveGalleryImage(draggedGalleryIndex, index);
+        });
+        
+        const img = document.createElement('img');
+        img.src = image.url;
+        img.alt = image.caption || `Image ${index + 1}`;
+        img.draggable = false;
+        tile.appendChild(img);
+        
+        const caption = document.createElement('input');
+        caption.className = 'input is-small';
+        caption.type = 'text';
+        caption.placeholder = 'Caption';
+        caption.value = image.caption;
+        caption.addEventListener('input', () => {
+            image.caption = caption.value;
+        });
+        tile.appendChild(caption);
+        
+        const actions = document.createElement('div');
+        actions.className = 'buttons are-small gallery-item-actions';
+        
+        const coverBtn = document.createElement('button');
+        coverBtn.type = 'button';
+        coverBtn.className = `button ${image.cover ? 'is-warning' : 'is-light'}`;
+        coverBtn.title = image.cover ? 'Cover image' : 'Use as cover';
+        coverBtn.innerHTML = '<i class="fas fa-star"></i>';
+        coverBtn.addEventListener('click', () => setGalleryCover(index));
+        actions.appendChild(coverBtn);
+        
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'button is-light';
+        editBtn.title = 'Crop, rotate or straighten';
+        editBtn.innerHTML = '<i class="fas fa-crop-alt"></i>';
+        editBtn.addEventListener('click', () => openImageEditor(index));
+        actions.appendChild(editBtn);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'button is-light is-danger';
+        removeBtn.title = 'Remove image';
+        removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+        removeBtn.addEventListener('click', () => removeGalleryImage(index));
+        actions.appendChild(removeBtn);
+        
+        tile.appendChild(actions);
+        gallery.appendChild(tile);
+    });
+}
+
+/**
+ * Move a gallery image to a new position
+ * @param {number} from - Current index
+ * @param {number} to - New index
+ */
+function moveGalleryImage(from, to) {
+    if (from === null || from === to) {
+        return;
+    }
+    const [image] = galleryImages.splice(from, 1);
+    galleryImages.splice(to, 0, image);
+    renderImageGallery();
+}
+
+function setGalleryCover(index) {
+    galleryImages.forEach((image, i) => {
+        image.cover = i === index;
+    });
+    renderImageGallery();
+}
+
+function removeGalleryImage(index) {
+    const [removed] = galleryImages.splice(index, 1);
+    // Keep a cover as long as there are images left
+    if (removed.cover && galleryImages.length > 0) {
+        galleryImages[0].cover = true;
+    }
+    renderImageGallery();
+}
+
+/**
+ * Open the image viewer on an item's cover image
+ * The left and right arrow keys (or the buttons) step through the item's other images.
+ * @param {Object} item - Media item
+ */
+async function showImageModal(item) {
+    try {
+        // Catalog pages only carry the cover, so fetch the whole gallery
+        const fullItem = await window.electronAPI.getMediaById(item.id);
+        if (!fullItem || fullItem.images.length === 0) {
+            return;
+        }
+        viewerImages = fullItem.images.map(image => ({
+            ...image,
+            url: getGalleryImageUrl(image, 'original', fullItem.updated_at),
+        }));
+        viewerIndex = Math.max(0, viewerImages.findIndex(image => image.cover));
+        showViewerImage();
+        document.getElementById('imageModal').classList.add('is-active');
+    } catch (error) {
+        console.error('Error loading images:', error);
+        showNotification('Error loading images', 'is-danger');
+    }
+}
+
+/**
+ * Show the current image in the image viewer
+ */
+function showViewerImage() {
+    const image = viewerImages[viewerIndex];
+    const img = document.getElementById('fullImage');
+    img.src = image.url;
+    img.alt = image.caption || 'Full size image';
+    document.getElementById('imageCaption').textContent = image.caption || '';
+    
+    const multiple = viewerImages.length > 1;
+    document.getElementById('imageCounter').textContent = multiple ? `${viewerIndex + 1} / ${viewerImages.length}` : '';
+    document.getElementById('prevImageBtn').style.visibility = multiple ? 'visible' : 'hidden';
+    document.getElementById('nextImageBtn').style.visibility = multiple ? 'visible' : 'hidden';
+}
+
+/**
+ * Step to the previous or next image (wrapping around at either end)
+ * @param {number} delta - -1 for previous, 1 for next
+ */
+function stepViewerImage(delta) {
+    if (viewerImages.length < 2) {
+        return;
+    }
+    viewerIndex = (viewerIndex + delta + viewerImages.length) % viewerImages.length;
+    showViewerImage();
+}
+
+/**
+ * Arrow keys step through images while the viewer is open; Escape closes it
+ * @param {KeyboardEvent} e - The key event
+ */
+function handleImageViewerKeydown(e) {
+    if (!document.getElementById('imageModal').classList.contains('is-active')) {
+        return;
+    }
+    if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        stepViewerImage(-1);
+    } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        stepViewerImage(1);
+    } else if (e.key === 'Escape') {
+        closeImageModal();
+    }
+}
+
+/**
+ * Close image modal
+ */
+function closeImageModal() {
+    const modal = document.getElementById('imageModal');
+    modal.classList.remove('is-active');
+}
+
+// ============================================================================
+// Image Editor
+// ============================================================================
+
+/**
+ * Open the image editor for one of the gallery's images
+ * @param {number} index - Position in galleryImages
+ */
+async function openImageEditor(index) {
+    try {
+        const image = new Image();
+        // media:// sends CORS headers; without this the canvas couldn't be saved
+        image.crossOrigin = 'anonymous';
+        image.src = galleryImages[index].originalUrl;
+        await image.decode();
+        
+        imageEditor = { index, image, rotation: 0, angle: 0, aspect: 'free', crop: null, scale: 1, drag: null };
+        updateEditorControls();
+        resetEditorCrop();
+        document.getElementById('imageEditorModal').classList.add('is-active');
+        drawImageEditor();
+    } catch (error) {
+        console.error('Error loading image for editing:', error);
+        showNotification('This image could not be opened for editing', 'is-danger');
+    }
+}
+
+function closeImageEditor() {
+    document.getElementById('imageEditorModal').classList.remove('is-active');
+    imageEditor = null;
+}
+
+/**
+ * Show the editor's rotation, straightening and aspect settings in its controls
+ */
+function updateEditorControls() {
+    document.getElementById('straightenInput').value = imageEditor.angle;
+    document.getElementById('straightenValue').textContent = `${imageEditor.angle}°`;
+    document.getElementById('cropAspectSelect').value = imageEditor.aspect;
+}
+
+/**
+ * Get the size of the edited image before cropping (width and height swap
+ * when it is turned on its side)
+ * @returns {Object} - { width, height }
+ */
+function getEditorSize() {
+    const { image, rotation } = imageEditor;
+    return rotation % 180 === 0
+        ? { width: image.naturalWidth, height: image.naturalHeight }
+        : { width: image.naturalHeight, height: image.naturalWidth };
+}
+
+/**
+ * How far a straightened image must be enlarged so no empty corners show
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} degrees - Straightening angle
+ * @returns {number} - Scale factor (1 when the angle is 0)
+ */
+function getStraightenScale(width, height, degrees) {
+    const radians = Math.abs(degrees) * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return Math.max((width * cos + height * sin) / width, (width * sin + height * cos) / height);
+}
+
+/**
+ * Draw the rotated and straightened image (uncropped)
+ * @param {CanvasRenderingContext2D} context - Where to draw
+ * @param {number} scale - 1 for full size, less for the preview
+ */
+function drawEditedImage(context, scale) {
+    const { image, rotation, angle } = imageEditor;
+    const { width, height } = getEditorSize();
+    const zoom = getStraightenScale(width, height, angle);
+    
+    context.save();
+    context.translate(width * scale / 2, height * scale / 2);
+    context.rotate((rotation + angle) * Math.PI / 180);
+    context.scale(scale * zoom, scale * zoom);
+    context.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+    context.restore();
+}
+
+/**
+ * Draw the preview with the crop area highlighted
+ */
+function drawImageEditor() {
+    const canvas = document.getElementById('imageEditorCanvas');
+    const { width, height } = getEditorSize();
+    const scale = Math.min(EDITOR_MAX_WIDTH / width, EDITOR_MAX_HEIGHT / height, 1);
+    imageEditor.scale = scale;
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    
+    const context = canvas.getContext('2d');
+    drawEditedImage(context, scale);
+    
+    // Darken everything outside the crop area
+    const crop = imageEditor.crop;
+    const x = crop.x * scale;
+    const y = crop.y * scale;
+    const w = crop.width * scale;
+    const h = crop.height * scale;
+    context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    context.beginPath();
+    context.rect(0, 0, canvas.width, canvas.height);
+    context.rect(x, y, w, h);
+    context.fill('evenodd');
+    
+    context.strokeStyle = '#fff';
+    context.lineWidth = 1;
+    context.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+    context.fillStyle = '#fff';
+    const handle = CROP_HANDLE_SIZE / 2;
+    [[x, y], [x + w, y], [x, y + h], [x + w, y + h]].forEach(([cx, cy]) => {
+        context.fillRect(cx - handle / 2, cy - handle / 2, handle, handle);
+    });
+}
+
+/**
+ * Get the crop aspect ratio (width / height) picked in the editor
+ * @returns {number|null} - Ratio, or null for a free crop
+ */
+function getCropAspect() {
+    if (imageEditor.aspect === 'free') {
+        return null;
+    }
+    if (imageEditor.aspect === 'original') {
+        const { width, height } = getEditorSize();
+        return width / height;
+    }
+    return parseFloat(imageEditor.aspect);
+}
+
+/**
+ * Set the crop area to the largest centered rectangle with the chosen aspect ratio
+ */
+function resetEditorCrop() {
+    const { width, height } = getEditorSize();
+    const aspect = getCropAspect();
+    let cropWidth = width;
+    let cropHeight = height;
+    if (aspect) {
+        if (width / height > aspect) {
+            cropWidth = height * aspect;
+        } else {
+            cropHeight = width / aspect;
+        }
+    }
+    imageEditor.crop = {
+        x: (width - cropWidth) / 2,
+        y: (height - cropHeight) / 2,
+        width: cropWidth,
+        height: cropHeight,
+    };
+}
+
+/**
+ * Build a crop rectangle from a fixed corner to the pointer, keeping the
+ * aspect ratio and staying inside the image
+ * @param {Object} anchor - Fixed corner { x, y }
+ * @param {Object} point - Pointer position { x, y }
+ * @returns {Object} - { x, y, width, height }
+ */
+function getCropFromPoints(anchor, point) {
+    const { width, height } = getEditorSize();
+    const px = Math.min(Math.max(point.x, 0), width);
+    const py = Math.min(Math.max(point.y, 0), height);
+    let cropWidth = Math.abs(px - anchor.x);
+    let cropHeight = Math.abs(py - anchor.y);
+    
+    const aspect = getCropAspect();
+    if (aspect) {
+        if (cropWidth / cropHeight > aspect) {
+            cropWidth = cropHeight * aspect;
+        } else {
+            cropHeight = cropWidth / aspect;
+        }
+    }
+    return {
+        x: px < anchor.x ? anchor.x - cropWidth : anchor.x,
+        y: py < anchor.y ? anchor.y - cropHeight : anchor.y,
+        width: cropWidth,
+        height: cropHeight,
+    };
+}
+
+/**
+ * Let the user draw, move and resize the crop area with the pointer
+ */
+function setupCropDragging() {
+    const canvas = document.getElementById('imageEditorCanvas');
+    
+    // Pointer position in image pixels
+    const toImagePoint = (e) => ({ x: e.offsetX / imageEditor.scale, y: e.offsetY / imageEditor.scale });
+    
+    canvas.addEventListener('pointerdown', (e) => {
+        const point = toImagePoint(e);
+        const { x, y, width, height } = imageEditor.crop;
+        const reach = CROP_HANDLE_SIZE / imageEditor.scale;
+        const corners = [[x, y], [x + width, y], [x, y + height], [x + width, y + height]];
+        const corner = corners.findIndex(([cx, cy]) => Math.abs(point.x - cx) <= reach && Math.abs(point.y - cy) <= reach);
+        
+        if (corner !== -1) {
+            // Resizing from a corner is drawing from the opposite corner
+            const [ax, ay] = corners[3 - corner];
+            imageEditor.drag = { mode: 'draw', anchor: { x: ax, y: ay } };
+        } else if (point.x > x && point.x < x + width && point.y > y && point.y < y + height) {
+            imageEditor.drag = { mode: 'move', start: point, crop: { ...imageEditor.crop } };
+        } else {
+            imageEditor.drag = { mode: 'draw', anchor: point };
+        }
+        canvas.setPointerCapture(e.pointerId);
+    });
+    
+    canvas.addEventListener('pointermove', (e) => {
+        if (!imageEditor || !imageEditor.drag) {
+            return;
+        }
+        const point = toImagePoint(e);
+        const drag = imageEditor.drag;
+        if (drag.mode === 'move') {
+            const { width, height } = getEditorSize();
+            imageEditor.crop = {
+                ...drag.crop,
+                x: Math.min(Math.max(drag.crop.x + point.x - drag.start.x, 0), width - drag.crop.width),
+                y: Math.min(Math.max(drag.crop.y + point.y - drag.start.y, 0), height - drag.crop.height),
+            };
+        } else {
+            imageEditor.crop = getCropFromPoints(drag.anchor, point);
+        }
+        drawImageEditor();
+    });
+    
+    canvas.addEventListener('pointerup', () => {
+        if (!imageEditor) {
+            return;
+        }
+        imageEditor.drag = null;
+        // A click without dragging would leave an empty crop
+        if (imageEditor.crop.width < 2 || imageEditor.crop.height < 2) {
+            resetEditorCrop();
+        }
+        drawImageEditor();
+    });
+}
+
+/**
+ * Turn the image a quarter turn
+ * @param {number} degrees - -90 (left) or 90 (right)
+ */
+function rotateEditorImage(degrees) {
+    imageEditor.rotation = (imageEditor.rotation + degrees + 360) % 360;
+    resetEditorCrop();
+    drawImageEditor();
+}
+
+function straightenEditorImage() {
+    imageEditor.angle = parseFloat(document.getElementById('straightenInput').value);
+    document.getElementById('straightenValue').textContent = `${imageEditor.angle}°`;
+    drawImageEditor();
+}
+
+function changeCropAspect() {
+    imageEditor.aspect = document.getElementById('cropAspectSelect').value;
+    resetEditorCrop();
+    drawImageEditor();
+}
+
+function resetImageEdit() {
+    Object.assign(imageEditor, { rotation: 0, angle: 0, aspect: 'free' });
+    updateEditorControls();
+    resetEditorCrop();
+    drawImageEditor();
+}
+
+/**
+ * Find the part of an image inside a plain border (e.g. a white or black
+ * background around a photographed card). The border color is taken from the
+ * top-left corner.
+ * @param {ImageData} imageData - Pixels to search
+ * @param {number} tolerance - Largest per-channel difference that still counts as border
+ * @returns {Object|null} - { x, y, width, height } in imageData pixels, or null if
+ *   there is no border to trim (or nothing but border)
+ */
+function findContentBounds(imageData, tolerance) {
+    const { data, width, height } = imageData;
+    const background = [data[0], data[1], data[2], data[3]];
+    const isContent = (x, y) => {
+        const offset = (y * width + x) * 4;
+        for (let channel = 0; channel < 4; channel++) {
+            if (Math.abs(data[offset + channel] - background[channel]) > tolerance) {
+                return true;
+            }
+        }
+        return false;
+    };
+    const rowHasContent = (y) => {
+        for (let x = 0; x < width; x++) {
+            if (isContent(x, y)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    const columnHasContent = (x, top, bottom) => {
+        for (let y = top; y <= bottom; y++) {
+            if (isContent(x, y)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    
+    let top = 0;
+    while (top < height && !rowHasContent(top)) {
+        top++;
+    }
+    if (top === height) {
+        return null;
+    }
+    let bottom = height - 1;
+    while (bottom > top && !rowHasContent(bottom)) {
+        bottom--;
+    }
+    let left = 0;
+    while (left < width - 1 && !columnHasContent(left, top, bottom)) {
+        left++;
+    }
+    let right = width - 1;
+    while (right > left && !columnHasContent(right, top, bottom)) {
+        right--;
+    }
+    
+    if (top === 0 && left === 0 && bottom === height - 1 && right === width - 1) {
+        return null;
+    }
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Crop away a plain border around the image
+ */
+function autoTrimImage() {
+    const { width, height } = getEditorSize();
+    
+    // Borders don't need full resolution; a small copy is much faster to scan
+    const scale = Math.min(1, 400 / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    drawEditedImage(context, scale);
+    
+    const bounds = findContentBounds(context.getImageData(0, 0, canvas.width, canvas.height), TRIM_TOLERANCE);
+    if (!bounds) {
+        showNotification('No plain border found to trim', 'is-info');
+        return;
+    }
+    
+    // The trimmed area has its own shape, so switch to a free crop
+    imageEditor.aspect = 'free';
+    updateEditorControls();
+    imageEditor.crop = {
+        x: bounds.x / scale,
+        y: bounds.y / scale,
+        width: Math.min(bounds.width / scale, width - bounds.x / scale),
+        height: Math.min(bounds.height / scale, height - bounds.y / scale),
+    };
+    drawImageEditor();
+}
+
+/**
+ * Save the edited image as a new file and use it in place of the original in
+ * the gallery (the original file is left untouched)
+ */
+async function saveImageEdit() {
+    const { index } = imageEditor;
+    const entry = galleryImages[index];
+    const crop = {
+        x: Math.round(imageEditor.crop.x),
+        y: Math.round(imageEditor.crop.y),
+        width: Math.max(1, Math.round(imageEditor.crop.width)),
+        height: Math.max(1, Math.round(imageEditor.crop.height)),
+    };
+    
+    // Draw at full size, shifted so only the crop area lands on the canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = crop.width;
+    canvas.height = crop.height;
+    const context = canvas.getContext('2d');
+    context.translate(-crop.x, -crop.y);
+    drawEditedImage(context, 1);
+    
+    // Formats that can be transparent are saved as PNG; photos as JPEG
+    const isPng = /\.(png|gif|webp)$/i.test(entry.path);
+    try {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, isPng ? 'image/png' : 'image/jpeg', 0.92));
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const imagePath = await window.electronAPI.saveEditedImage(data, isPng ? '.png' : '.jpg');
+        
+        // Same gallery entry (ID, caption, cover), new file
+        galleryImages[index] = {
+            ...entry,
+            path: imagePath,
+            url: getPickedImageUrl(imagePath, 'small'),
+            originalUrl: getPickedImageUrl(imagePath, 'original'),
+        };
+        renderImageGallery();
+        closeImageEditor();
+        showNotification('Edited image added. Save the item to keep the change.', 'is-success');
+    } catch (error) {
+        console.error('Error saving edited image:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+// ============================================================================
+// Rating Stars
+// ============================================================================
+
+function setupRatingStars() {
+    const stars = document.querySelectorAll('.rating-stars .fa-star');
+    stars.forEach(star => {
+        star.addEventListener('click', () => {
+            const rating = parseInt(star.getAttribute('data-rating'));
+            currentRating = rating;
+            updateRatingStars(rating);
+        });
+        
+        star.addEventListener('mouseenter', () => {
+            const rating = parseInt(star.getAttribute('data-rating'));
+            highlightStars(rating);
+        });
+    });
+    
+    document.querySelector('.rating-stars').addEventListener('mouseleave', () => {
+        updateRatingStars(currentRating);
+    });
+}
+
+function updateRatingStars(rating) {
+    const stars = document.querySelectorAll('.rating-stars .fa-star');
+    stars.forEach((star, index) => {
+        if (index < rating) {
+            star.classList.add('active');
+        } else {
+            star.classList.remove('active');
+        }
+    });
+    document.getElementById('ratingInput').value = rating || '';
+}
+
+function highlightStars(rating) {
+    const stars = document.querySelectorAll('.rating-stars .fa-star');
+    stars.forEach((star, index) => {
+        if (index < rating) {
+            star.classList.add('active');
+        } else {
+            star.classList.remove('active');
+        }
+    });
+}
+
+// ============================================================================
+// Delete Operations
+// ============================================================================
+
+async function deleteMedia(id) {
+    if (!confirm('Are you sure you want to delete this item? It will be moved to trash.')) {
+        return;
+    }
+    
+    try {
+        await window.electronAPI.softDeleteMedia(id);
+        showNotification('Item moved to trash', 'is-success');
+        await loadMedia();
+    } catch (error) {
+        console.error('Error deleting media:', error);
+        showNotification('Error deleting item', 'is-danger');
+    }
+}
+
+async function restoreMedia(id) {
+    try {
+        await window.electronAPI.restoreMedia(id);
+        showNotification('Item restored', 'is-success');
+        await loadTrash();
+    } catch (error) {
+        console.error('Error restoring media:', error);
+        showNotification('Error restoring item', 'is-danger');
+    }
+}
+
+async function permanentDeleteMedia(id) {
+    if (!confirm('Are you sure you want to permanently delete this item? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        await window.electronAPI.permanentDeleteMedia(id);
+        showNotification('Item permanently deleted', 'is-success');
+        await loadTrash();
+    } catch (error) {
+        console.error('Error permanently deleting media:', error);
+        showNotification('Error deleting item', 'is-danger');
+    }
+}
+
+/**
+ * Permanently delete the items selected in the trash
+ */
+async function bulkPurge() {
+    const count = getSelectedCount();
+    if (!confirm(`Permanently delete ${count} item${count === 1 ? '' : 's'}? This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        const deleted = await window.electronAPI.purgeTrashItems(getSelectionPayload());
+        showNotification(`${deleted} item${deleted === 1 ? '' : 's'} permanently deleted`, 'is-success');
+        clearSelection();
+        await loadTrash();
+    } catch (error) {
+        console.error('Error purging items:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+async function restoreAllTrash() {
+    if (!confirm(`Restore all ${trashItems.length} items in the trash?`)) {
+        return;
+    }
+    
+    try {
+        const result = await window.electronAPI.bulkUpdateMedia({ filters: { onlyDeleted: true } }, { deleted: false });
+        showNotification(`${result.changed} item${result.changed === 1 ? '' : 's'} restored`, 'is-success');
+        clearSelection();
+        await loadTrash();
+    } catch (error) {
+        console.error('Error restoring items:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm(`Permanently delete all ${trashItems.length} items in the trash? This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        const deleted = await window.electronAPI.emptyTrash();
+        showNotification(`Trash emptied (${deleted} item${deleted === 1 ? '' : 's'} deleted)`, 'is-success');
+        clearSelection();
+        await loadTrash();
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        showNotification('Error emptying trash', 'is-danger');
+    }
+}
+
+/**
+ * Save the retention period picked in the trash view
+ */
+async function saveTrashRetention() {
+    const select = document.getElementById('trashRetentionSelect');
+    try {
+        trashRetentionDays = await window.electronAPI.setTrashRetentionDays(Number(select.value));
+        showNotification(trashRetentionDays > 0
+            ? `Items will be deleted for good ${trashRetentionDays} days after they are moved to the trash`
+            : 'Items will stay in the trash until you delete them', 'is-success');
+        renderTrashGrid(trashItems);
+    } catch (error) {
+        console.error('Error saving trash retention:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+        renderTrashRetention();
+    }
+}
+
+// ============================================================================
+// Catalog Maintenance
+// ============================================================================
+
+/**
+ * Scan the catalog (database, item images and the image library) and show the results
+ */
+async function runIntegrityCheck() {
+    const button = document.getElementById('runIntegrityCheckBtn');
+    button.classList.add('is-loading');
+    try {
+        integrityReport = await window.electronAPI.checkCatalogIntegrity();
+        
+        // Forget found files for images that are no longer missing
+        const missing = new Set(integrityReport.missingImages.map(image => image.path));
+        for (const missingPath of imageReplacements.keys()) {
+            if (!missing.has(missingPath)) {
+                imageReplacements.delete(missingPath);
+            }
+        }
+        renderIntegrityReport();
+    } catch (error) {
+        console.error('Error checking catalog:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    } finally {
+        button.classList.remove('is-loading');
+    }
+}
+
+function renderIntegrityReport() {
+    renderDatabaseIntegrity();
+    renderMissingImages();
+    renderOrphanedImages();
+}
+
+function renderDatabaseIntegrity() {
+    const container = document.getElementById('databaseIntegrityStatus');
+    container.innerHTML = '';
+    
+    const messages = integrityReport.database;
+    const healthy = messages.length === 1 && messages[0] === 'ok';
+    const status = document.createElement('p');
+    status.innerHTML = healthy
+        ? '<span class="tag is-success mr-2">OK</span>'
+        : '<span class="tag is-danger mr-2">Problems found</span>';
+    status.appendChild(document.createTextNode(healthy
+        ? 'SQLite found no problems in the catalog database.'
+        : 'SQLite reported problems in the catalog database. Restore a backup or export your data to a new catalog.'));
+    container.appendChild(status);
+    
+    if (!healthy) {
+        const list = document.createElement('pre');
+        list.className = 'integrity-messages mt-3';
+        list.textContent = messages.join('\n');
+        container.appendChild(list);
+    }
+}
+
+function renderMissingImages() {
+    const missingImages = integrityReport.missingImages;
+    const body = document.getElementById('missingImagesBody');
+    body.innerHTML = '';
+    
+    document.getElementById('missingImagesCount').textContent = missingImages.length;
+    document.getElementById('missingImagesCount').classList.toggle('is-warning', missingImages.length > 0);
+    document.getElementById('missingImagesTable').style.display = missingImages.length > 0 ? '' : 'none';
+    document.getElementById('missingImagesEmpty').style.display = missingImages.length > 0 ? 'none' : 'block';
+    document.getElementById('findReplacementsBtn').disabled = missingImages.length === 0;
+    
+    missingImages.forEach(image => {
+        const row = document.createElement('tr');
+        
+        // Item (click to open it and pick a new image by hand)
+        const itemCell = document.createElement('td');
+        if (image.deleted) {
+            itemCell.textContent = image.title;
+            const tag = document.createElement('span');
+            tag.className = 'tag is-light ml-2';
+            tag.textContent = 'In Trash';
+            itemCell.appendChild(tag);
+        } else {
+            const link = document.createElement('a');
+            link.textContent = image.title;
+            link.title = 'Edit this item';
+            link.addEventListener('click', () => openMediaModal(image.id));
+            itemCell.appendChild(link);
+        }
+        if (image.cover) {
+            const tag = document.createElement('span');
+            tag.className = 'tag is-info is-light ml-2';
+            tag.textContent = 'Cover';
+            itemCell.appendChild(tag);
+        }
+        row.appendChild(itemCell);
+        
+        // Missing file (the full path is in the tooltip)
+        const fileCell = document.createElement('td');
+        fileCell.className = 'integrity-path';
+        fileCell.textContent = getFileName(image.path);
+        fileCell.title = image.path;
+        if (image.caption) {
+            const caption = document.createElement('p');
+            caption.className = 'help';
+            caption.textContent = image.caption;
+            fileCell.appendChild(caption);
+        }
+        row.appendChild(fileCell);
+        
+        // File found by "Search Folder"
+        const foundCell = document.createElement('td');
+        foundCell.className = 'integrity-path';
+        const found = imageReplacements.get(image.path);
+        if (found) {
+            foundCell.textContent = getFileName(found.replacement);
+            foundCell.title = found.replacement;
+            const tag = document.createElement('span');
+            tag.className = 'tag is-success is-light ml-2';
+            tag.textContent = found.match === 'hash' ? 'Same contents' : 'Same name';
+            foundCell.appendChild(tag);
+        } else {
+            foundCell.textContent = '—';
+            foundCell.classList.add('has-text-grey');
+        }
+        row.appendChild(foundCell);
+        
+        body.appendChild(row);
+    });
+    
+    const relinkBtn = document.getElementById('relinkImagesBtn');
+    relinkBtn.style.display = imageReplacements.size > 0 ? '' : 'none';
+    document.getElementById('relinkImagesLabel').textContent =
+        `Relink ${imageReplacements.size} File${imageReplacements.size === 1 ? '' : 's'}`;
+}
+
+function renderOrphanedImages() {
+    const orphanedImages = integrityReport.orphanedImages;
+    const body = document.getElementById('orphanedImagesBody');
+    body.innerHTML = '';
+    
+    document.getElementById('orphanedImagesCount').textContent = orphanedImages.length;
+    document.getElementById('orphanedImagesTable').style.display = orphanedImages.length > 0 ? '' : 'none';
+    document.getElementById('orphanedImagesEmpty').style.display = orphanedImages.length > 0 ? 'none' : 'block';
+    document.getElementById('deleteOrphansBtn').disabled = orphanedImages.length === 0;
+    
+    orphanedImages.forEach(file => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.className = 'integrity-path';
+        nameCell.textContent = getFileName(file.path);
+        nameCell.title = file.path;
+        row.appendChild(nameCell);
+        
+        const sizeCell = document.createElement('td');
+        sizeCell.textContent = formatFileSize(file.size);
+        row.appendChild(sizeCell);
+        
+        const modifiedCell = document.createElement('td');
+        modifiedCell.textContent = new Date(file.modified).toLocaleString();
+        row.appendChild(modifiedCell);
+        
+        body.appendChild(row);
+    });
+    
+    const stale = integrityReport.staleThumbnails;
+    document.getElementById('staleThumbnailsText').textContent = stale.count > 0
+        ? `${stale.count} cached thumbnail${stale.count === 1 ? ' is' : 's are'} no longer used (${formatFileSize(stale.size)}).`
+        : 'No unused thumbnails.';
+    document.getElementById('clearThumbnailsBtn').disabled = stale.count === 0;
+}
+
+/**
+ * Ask for a folder and look in it for the missing images
+ */
+async function findImageReplacements() {
+    const folder = await window.electronAPI.selectFolder('Search Folder for Missing Images');
+    if (!folder) {
+        return;
+    }
+    
+    const button = document.getElementById('findReplacementsBtn');
+    button.classList.add('is-loading');
+    try {
+        const missingPaths = [...new Set(integrityReport.missingImages.map(image => image.path))];
+        const matches = await window.electronAPI.findImageReplacements(missingPaths, folder);
+        matches.forEach(match => {
+            imageReplacements.set(match.path, { replacement: match.replacement, match: match.match });
+        });
+        showNotification(matches.length > 0
+            ? `Found ${matches.length} of ${missingPaths.length} missing file${missingPaths.length === 1 ? '' : 's'}. Check the "Found" column, then click Relink.`
+            : 'None of the missing files are in that folder', matches.length > 0 ? 'is-success' : 'is-warning');
+        renderMissingImages();
+    } catch (error) {
+        console.error('Error searching for missing images:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    } finally {
+        button.classList.remove('is-loading');
+    }
+}
+
+/**
+ * Use the found files for the missing images (they are copied into the image library)
+ */
+async function relinkMissingImages() {
+    const replacements = [...imageReplacements].map(([missingPath, found]) => ({
+        path: missingPath,
+        replacement: found.replacement,
+    }));
+    
+    try {
+        const result = await window.electronAPI.relinkImages(replacements);
+        imageReplacements.clear();
+        if (result.failed.length > 0) {
+            showNotification(`Relinked ${result.relinked} file${result.relinked === 1 ? '' : 's'}; ${result.failed.length} couldn't be copied (${result.failed[0].reason})`, 'is-warning');
+        } else {
+            showNotification(`Relinked ${result.relinked} file${result.relinked === 1 ? '' : 's'}`, 'is-success');
+        }
+        await runIntegrityCheck();
+    } catch (error) {
+        console.error('Error relinking images:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+async function deleteOrphanedImages() {
+    const files = integrityReport.orphanedImages;
+    if (!confirm(`Delete ${files.length} unused image file${files.length === 1 ? '' : 's'} from the image library? This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        const deleted = await window.electronAPI.deleteOrphanedImages(files.map(file => file.path));
+        showNotification(`Deleted ${deleted} unused file${deleted === 1 ? '' : 's'}`, 'is-success');
+        await runIntegrityCheck();
+    } catch (error) {
+        console.error('Error deleting unused images:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+async function clearStaleThumbnails() {
+    try {
+        const deleted = await window.electronAPI.clearStaleThumbnails();
+        showNotification(`Cleared ${deleted} old thumbnail${deleted === 1 ? '' : 's'}`, 'is-success');
+        await runIntegrityCheck();
+    } catch (error) {
+        console.error('Error clearing thumbnails:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    }
+}
+
+/**
+ * Run the "possible duplicates" report (perceptual hashes are worked out in the main process)
+ */
+async function findDuplicateImages() {
+    const button = document.getElementById('findDuplicatesBtn');
+    const maxDistance = Number(document.getElementById('duplicateThresholdSelect').value);
+    button.classList.add('is-loading');
+    try {
+        const report = await window.electronAPI.findDuplicateImages(maxDistance);
+        renderDuplicateGroups(report);
+    } catch (error) {
+        console.error('Error finding duplicate images:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    } finally {
+        button.classList.remove('is-loading');
+    }
+}
+
+function renderDuplicateGroups(report) {
+    const container = document.getElementById('duplicateGroups');
+    container.innerHTML = '';
+    
+    let summary = report.groups.length > 0
+        ? `${report.groups.length} group${report.groups.length === 1 ? '' : 's'} of similar images among ${report.checked} image files.`
+        : `No similar images found among ${report.checked} image files.`;
+    if (report.unreadable > 0) {
+        summary += ` ${report.unreadable} file${report.unreadable === 1 ? ' was' : 's were'} skipped (missing, or in a format that can't be compared).`;
+    }
+    document.getElementById('duplicateSummary').textContent = summary;
+    
+    report.groups.forEach(group => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'duplicate-group';
+        
+        const tag = document.createElement('span');
+        tag.className = `tag ${group.exact ? 'is-warning' : 'is-info'} is-light mb-2`;
+        tag.textContent = group.exact ? 'Same picture' : 'Look alike';
+        groupEl.appendChild(tag);
+        
+        const images = document.createElement('div');
+        images.className = 'duplicate-images';
+        group.images.forEach(image => {
+            const tile = document.createElement('div');
+            tile.className = 'duplicate-image';
+            
+            const img = document.createElement('img');
+            img.src = getGalleryImageUrl(image, 'small');
+            img.alt = image.title;
+            tile.appendChild(img);
+            
+            // Link to the item, so it can be fixed (or moved to the trash) from the edit form
+            const link = document.createElement('a');
+            link.textContent = image.title;
+            link.title = `Edit ${image.title}`;
+            link.addEventListener('click', () => openMediaModal(image.media_id));
+            tile.appendChild(link);
+            
+            const meta = document.createElement('p');
+            meta.className = 'help';
+            meta.textContent = [formatType(image.type), image.cover ? 'Cover' : image.caption].filter(Boolean).join(' · ');
+            tile.appendChild(meta);
+            
+            images.appendChild(tile);
+        });
+        groupEl.appendChild(images);
+        container.appendChild(groupEl);
+    });
+}
+
+// ============================================================================
+// Filters
+// ============================================================================
+
+function getFilterOptions() {
+    return {
+        search: document.getElementById('searchInput').value.trim() || undefined,
+        type: document.getElementById('typeFilter').value || undefined,
+        minRating: document.getElementById('ratingFilter').value ? parseFloat(document.getElementById('ratingFilter').value) : undefined,
+        brand: document.getElementById('brandFilter').value || undefined,
+        system: document.getElementById('systemFilter').value || undefined,
+        customFields: getCustomFilterValues(),
+    };
+}
+
+async function applyFilters() {
+    // Don't search while the query has errors; they are shown under the search box
+    if (!(await validateSearchQuery())) {
+        return;
+    }
+    await loadMedia();
+}
+
+function clearFilters() {
+    document.getElementById('searchInput').value = '';
+    document.getElementById('typeFilter').value = '';
+    document.getElementById('ratingFilter').value = '';
+    document.getElementById('brandFilter').value = '';
+    document.getElementById('systemFilter').value = '';
+    renderCustomFilters();
+    applyFilters();
+}
+
+/**
+ * Put saved filters back into the filter panel
+ * @param {Object} filters - Options in the shape returned by getFilterOptions()
+ */
+function setFilterOptions(filters) {
+    document.getElementById('searchInput').value = filters.search || '';
+    document.getElementById('typeFilter').value = filters.type || '';
+    document.getElementById('ratingFilter').value = filters.minRating !== undefined ? String(filters.minRating) : '';
+    document.getElementById('brandFilter').value = filters.brand || '';
+    document.getElementById('systemFilter').value = filters.system || '';
+    
+    // The custom field filters depend on the type, so build them before filling them in
+    renderCustomFilters();
+    const customFields = filters.customFields || {};
+    document.querySelectorAll('#customFilters [data-field-key]').forEach(input => {
+        const value = customFields[input.dataset.fieldKey];
+        input.value = value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// ============================================================================
+// Sorting and Grouping
+// ============================================================================
+
+/**
+ * Load the sort order and grouping chosen in a previous session
+ */
+function loadSortPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('catalogSort') || '{}');
+        sortOptions = {
+            sort: saved.sort || 'relevance',
+            sortDirection: saved.sortDirection === 'desc' ? 'desc' : 'asc',
+        };
+        groupBy = saved.groupBy || '';
+        catalogDisplay = saved.display === 'table' ? 'table' : 'grid';
+    } catch (error) {
+        console.error('Error loading sort preferences:', error);
+    }
+    updateSortControls();
+}
+
+/**
+ * Remember the current sort order, grouping and card/table view (stored like the theme, in localStorage)
+ */
+function saveSortPreferences() {
+    localStorage.setItem('catalogSort', JSON.stringify({ ...sortOptions, groupBy, display: catalogDisplay }));
+}
+
+/**
+ * Change the sort order and reload the catalog
+ * @param {Object} changes - { sort } and/or { sortDirection }
+ */
+function setSortOptions(changes) {
+    sortOptions = { ...sortOptions, ...changes };
+    saveSortPreferences();
+    updateSortControls();
+    loadMedia();
+}
+
+/**
+ * Show the current sort order and grouping in the sort controls
+ */
+function updateSortControls() {
+    const sortSelect = document.getElementById('sortSelect');
+    sortSelect.value = sortOptions.sort;
+    if (sortSelect.value !== sortOptions.sort) {
+        // A saved sort key that no longer exists
+        sortOptions.sort = 'relevance';
+        sortSelect.value = 'relevance';
+    }
+    const groupSelect = document.getElementById('groupSelect');
+    groupSelect.value = groupBy;
+    groupBy = groupSelect.value;
+    
+    const ascending = sortOptions.sortDirection === 'asc';
+    const directionBtn = document.getElementById('sortDirectionBtn');
+    directionBtn.title = ascending ? 'Ascending' : 'Descending';
+    // Best Match is always ordered best first
+    directionBtn.disabled = sortOptions.sort === 'relevance';
+    document.getElementById('sortDirectionIcon').className = `fas fa-arrow-${ascending ? 'up' : 'down'}`;
+    
+    document.querySelectorAll('[data-display]').forEach(button => {
+        const selected = button.dataset.display === catalogDisplay;
+        button.classList.toggle('is-primary', selected);
+        button.classList.toggle('is-selected', selected);
+    });
+}
+
+/**
+ * Switch the catalog between cards and the table view
+ * Both views show the same results, so only the grid has to be redrawn.
+ * @param {string} display - 'grid' or 'table'
+ */
+function setCatalogDisplay(display) {
+    catalogDisplay = display;
+    saveSortPreferences();
+    updateSortControls();
+    renderMediaGrid();
+}
+
+// ============================================================================
+// Smart Collections (saved searches)
+// ============================================================================
+
+/**
+ * Load smart collections (with their live counts) and show them in the sidebar
+ */
+async function loadSmartCollections() {
+    try {
+        smartCollections = await window.electronAPI.getSmartCollections();
+        renderSmartCollections();
+    } catch (error) {
+        console.error('Error loading smart collections:', error);
+        showNotification('Error loading smart collections', 'is-danger');
+    }
+}
+
+/**
+ * Render the smart collections list in the sidebar
+ * The collection matching the current filters is highlighted.
+ */
+function renderSmartCollections() {
+    const list = document.getElementById('collectionList');
+    list.innerHTML = '';
+    document.getElementById('collectionEmptyHint').style.display = smartCollections.length === 0 ? 'block' : 'none';
+    
+    const currentFilters = JSON.stringify(getFilterOptions());
+    
+    smartCollections.forEach(collection => {
+        const item = document.createElement('li');
+        item.className = 'collection-item';
+        item.draggable = true;
+        item.dataset.collectionId = collection.id;
+        
+        const link = document.createElement('a');
+        link.classList.toggle('is-active', currentView === 'catalog' && JSON.stringify(collection.filters) === currentFilters);
+        link.title = collection.filters.search || collection.name;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            openSmartCollection(collection);
+        });
+        
+        const name = document.createElement('span');
+        name.className = 'collection-name';
+        name.textContent = collection.name;
+        link.appendChild(name);
+        
+        // A null count means the saved query no longer works (e.g. its type was deleted)
+        const count = document.createElement('span');
+        count.className = 'tag is-rounded collection-count';
+        if (collection.count === null) {
+            count.classList.add('is-danger');
+            count.textContent = '!';
+            count.title = 'This collection\'s filters are no longer valid';
+        } else {
+            count.textContent = collection.count;
+        }
+        link.appendChild(count);
+        
+        const actions = document.createElement('span');
+        actions.className = 'collection-actions';
+        
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'button is-small is-white';
+        renameBtn.title = 'Rename';
+        renameBtn.innerHTML = '<i class="fas fa-pen"></i>';
+        renameBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openCollectionModal(collection);
+        });
+        actions.appendChild(renameBtn);
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'button is-small is-white';
+        deleteBtn.title = 'Delete';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteSmartCollection(collection);
+        });
+        actions.appendChild(deleteBtn);
+        
+        link.appendChild(actions);
+        item.appendChild(link);
+        
+        // Drag and drop to reorder
+        item.addEventListener('dragstart', (e) => {
+            draggedCollectionId = collection.id;
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('is-dragging');
+        });
+        item.addEventListener('dragend', () => {
+            draggedCollectionId = null;
+            item.classList.remove('is-dragging');
+        });
+        item.addEventListener('dragover', (e) => {
+            if (draggedCollectionId !== null) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        });
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            moveSmartCollection(draggedCollectionId, collection.id);
+        });
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Show the items in a smart collection by loading its filters into the filter panel
+ * @param {Object} collection - The collection to open
+ */
+async function openSmartCollection(collection) {
+    setFilterOptions(collection.filters);
+    if (currentView !== 'catalog') {
+        // switchView reloads the catalog with the filters we just set
+        switchView('catalog');
+    } else {
+        await applyFilters();
+    }
+}
+
+/**
+ * Move a collection to the position of another one and save the new order
+ * @param {number} fromId - ID of the collection being dragged
+ * @param {number} toId - ID of the collection it was dropped on
+ */
+async function moveSmartCollection(fromId, toId) {
+    if (fromId === null || fromId === toId) {
+        return;
+    }
+    
+    const fromIndex = smartCollections.findIndex(c => c.id === fromId);
+    const toIndex = smartCollections.findIndex(c => c.id === toId);
+    const [moved] = smartCollections.splice(fromIndex, 1);
+    smartCollections.splice(toIndex, 0, moved);
+    renderSmartCollections();
+    
+    try {
+        await window.electronAPI.reorderSmartCollections(smartCollections.map(c => c.id));
+    } catch (error) {
+        console.error('Error reordering smart collections:', error);
+        showNotification('Error saving collection order', 'is-danger');
+        await loadSmartCollections();
+    }
+}
+
+/**
+ * Open the collection modal
+ * @param {Object|null} collection - Collection to rename, or null to save the current filters
+ */
+function openCollectionModal(collection = null) {
+    document.getElementById('collectionId').value = collection ? collection.id : '';
+    document.getElementById('collectionModalTitle').textContent = collection ? 'Rename Collection' : 'Save as Collection';
+    document.getElementById('collectionNameInput').value = collection ? collection.name : '';
+    document.getElementById('collectionModal').classList.add('is-active');
+    document.getElementById('collectionNameInput').focus();
+}
+
+function closeCollectionModal() {
+    document.getElementById('collectionModal').classList.remove('is-active');
+    document.getElementById('collectionForm').reset();
+}
+
+/**
+ * Save the collection modal: create a collection from the current filters or rename one
+ */
+async function saveSmartCollection() {
+    const id = document.getElementById('collectionId').value;
+    const name = document.getElementById('collectionNameInput').value.trim();
+    if (!name) {
+        showNotification('Collection name is required', 'is-warning');
+        return;
+    }
+    
+    try {
+        if (id) {
+            await window.electronAPI.renameSmartCollection(parseInt(id, 10), name);
+            showNotification('Collection renamed', 'is-success');
+        } else {
+            // Don't save a query that can't run
+            if (!(await validateSearchQuery())) {
+                showNotification('Fix the search query before saving it', 'is-warning');
+                return;
+            }
+            await window.electronAPI.createSmartCollection(name, getFilterOptions());
+            showNotification('Collection saved', 'is-success');
+        }
+        closeCollectionModal();
+        await loadSmartCollections();
+    } catch (error) {
+        console.error('Error saving smart collection:', error);
+        showNotification(`Error saving collection: ${getErrorMessage(error)}`, 'is-danger');
+    }
+}
+
+/**
+ * Delete a smart collection (the items in it are not affected)
+ * @param {Object} collection - The collection to delete
+ */
+async function deleteSmartCollection(collection) {
+    if (!confirm(`Delete the collection "${collection.name}"? The items in it will not be deleted.`)) {
+        return;
+    }
+    
+    try {
+        await window.electronAPI.deleteSmartCollection(collection.id);
+        showNotification('Collection deleted', 'is-success');
+        await loadSmartCollections();
+    } catch (error) {
+        console.error('Error deleting smart collection:', error);
+        showNotification('Error deleting collection', 'is-danger');
+    }
+}
+
+// ============================================================================
+// Search Query Syntax
+// ============================================================================
+
+/**
+ * Check the search box query and show any errors under it
+ * The query is parsed by the main process (see db/query.js)
+ * @returns {Promise<boolean>} - True if the query can be used
+ */
+async function validateSearchQuery() {
+    const input = document.getElementById('searchInput');
+    const errorContainer = document.getElementById('searchErrors');
+    const text = input.value;
+    
+    errorContainer.innerHTML = '';
+    input.classList.remove('is-danger');
+    if (!text.trim()) {
+        return true;
+    }
+    
+    try {
+        const parsed = await window.electronAPI.parseSearchQuery(text);
+        parsed.errors.forEach(error => {
+            // Show the part of the query that has the problem next to the message
+            const message = document.createElement('p');
+            message.className = 'help is-danger';
+            const code = document.createElement('code');
+            code.textContent = text.slice(error.start, error.end);
+            message.appendChild(code);
+            message.appendChild(document.createTextNode(` ${error.message}`));
+            errorContainer.appendChild(message);
+        });
+        input.classList.toggle('is-danger', parsed.errors.length > 0);
+        return parsed.errors.length === 0;
+    } catch (error) {
+        console.error('Error parsing search query:', error);
+        return true;
+    }
+}
+
+/**
+ * Fetch autocomplete suggestions for the word at the cursor
+ */
+async function updateSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    try {
+        searchSuggestions = await window.electronAPI.getSearchSuggestions(input.value, input.selectionStart);
+    } catch (error) {
+        console.error('Error getting search suggestions:', error);
+        searchSuggestions = [];
+    }
+    activeSuggestion = -1;
+    renderSearchSuggestions();
+}
+
+/**
+ * Show the autocomplete suggestions under the search box
+ */
+function renderSearchSuggestions() {
+    const dropdown = document.getElementById('searchDropdown');
+    const content = document.getElementById('searchSuggestions');
+    const input = document.getElementById('searchInput');
+    content.innerHTML = '';
+    
+    if (searchSuggestions.length === 0 || document.activeElement !== input) {
+        dropdown.classList.remove('is-active');
+        return;
+    }
+    
+    searchSuggestions.forEach((suggestion, index) => {
+        const item = document.createElement('a');
+        item.className = `dropdown-item${index === activeSuggestion ? ' is-active' : ''}`;
+        item.textContent = suggestion.label;
+        // mousedown (not click) so the input doesn't lose focus first
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            acceptSearchSuggestion(index);
+        });
+        content.appendChild(item);
+    });
+    dropdown.classList.add('is-active');
+}
+
+/**
+ * Hide the autocomplete suggestions
+ */
+function hideSearchSuggestions() {
+    searchSuggestions = [];
+    activeSuggestion = -1;
+    document.getElementById('searchDropdown').classList.remove('is-active');
+}
+
+/**
+ * Put a suggestion into the search box
+ */
+function acceptSearchSuggestion(index) {
+    const suggestion = searchSuggestions[index];
+    if (!suggestion) {
+        return;
+    }
+    
+    const input = document.getElementById('searchInput');
+    const text = input.value;
+    input.value = text.slice(0, suggestion.start) + suggestion.insertText + text.slice(suggestion.end);
+    const cursor = suggestion.start + suggestion.insertText.length;
+    input.setSelectionRange(cursor, cursor);
+    input.focus();
+    hideSearchSuggestions();
+    
+    if (suggestion.insertText.endsWith(':')) {
+        // A field name was picked; offer its values next
+        updateSearchSuggestions();
+    } else {
+        applyFilters();
+    }
+}
+
+/**
+ * Keyboard navigation for the autocomplete suggestions
+ */
+function handleSearchKeydown(e) {
+    if (searchSuggestions.length === 0) {
+        return;
+    }
+    
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        activeSuggestion = (activeSuggestion + 1) % searchSuggestions.length;
+        renderSearchSuggestions();
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        activeSuggestion = (activeSuggestion - 1 + searchSuggestions.length) % searchSuggestions.length;
+        renderSearchSuggestions();
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+        e.preventDefault();
+        acceptSearchSuggestion(activeSuggestion);
+    } else if (e.key === 'Tab') {
+        e.preventDefault();
+        acceptSearchSuggestion(Math.max(activeSuggestion, 0));
+    } else if (e.key === 'Escape') {
+        hideSearchSuggestions();
+    }
+}
+
+// ============================================================================
+// Autocomplete
+// ============================================================================
+
+async function loadAutocompleteData() {
+    try {
+        const [brands, sizes, systems] = await Promise.all([
+            window.electronAPI.getBrands(),
+            window.electronAPI.getSizes(),
+            window.electronAPI.getSystems(),
+        ]);
+        
+        // Populate brand datalist
+        const brandList = document.getElementById('brandList');
+        brandList.innerHTML = '';
+        brands.forEach(brand => {
+            const option = document.createElement('option');
+            option.value = brand;
+            brandList.appendChild(option);
+        });
+        
+        // Populate size datalist
+        const sizeList = document.getElementById('sizeList');
+        sizeList.innerHTML = '';
+        sizes.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            sizeList.appendChild(option);
+        });
+        
+        // Populate brand filter
+        const brandFilter = document.getElementById('brandFilter');
+        const currentBrandValue = brandFilter.value;
+        brandFilter.innerHTML = '<option value="">All Brands</option>';
+        brands.forEach(brand => {
+            const option = document.createElement('option');
+            option.value = brand;
+            option.textContent = brand;
+            brandFilter.appendChild(option);
+        });
+        brandFilter.value = currentBrandValue;
+        
+        // Populate system filter
+        const systemFilter = document.getElementById('systemFilter');
+        const currentSystemValue = systemFilter.value;
+        systemFilter.innerHTML = '<option value="">All Systems</option>';
+        systems.forEach(system => {
+            const option = document.createElement('option');
+            option.value = system;
+            option.textContent = system;
+            systemFilter.appendChild(option);
+        });
+        systemFilter.value = currentSystemValue;
+    } catch (error) {
+        console.error('Error loading autocomplete data:', error);
+    }
+}
+
+// ============================================================================
+// Conditional Fields
+// ============================================================================
+
+/**
+ * Show the fields that belong to the selected type
+ * Which fields a type has comes from the media type registry (see the Types view)
+ */
+function handleTypeChange() {
+    const mediaType = getMediaType(document.getElementById('typeInput').value);
+    const fields = mediaType ? mediaType.fields : [];
+    const brandField = document.getElementById('brandInput').closest('.column');
+    
+    // Size and System: show the built-in inputs only when the type has that field
+    COLUMN_FIELDS.forEach(key => {
+        const input = document.getElementById(`${key}Input`);
+        const column = input.closest('.column');
+        const field = fields.find(f => f.key === key);
+        if (field) {
+            column.style.display = 'block';
+            column.querySelector('.label').textContent = field.label;
+            input.required = field.required;
+        } else {
+            column.style.display = 'none';
+            input.required = false;
+            input.value = '';
+        }
+    });
+    
+    // Brand field: always visible but more relevant for some types
+    brandField.style.display = 'block';
+    
+    // Everything else gets a generated input
+    renderCustomFields(fields.filter(field => !COLUMN_FIELDS.includes(field.key)));
+}
+
+/**
+ * Build the form inputs for a type's custom fields
+ * @param {Array} fields - Field definitions from the type registry
+ */
+function renderCustomFields(fields) {
+    const container = document.getElementById('customFields');
+    container.innerHTML = '';
+    
+    fields.forEach(field => {
+        const column = document.createElement('div');
+        column.className = 'column is-half';
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'field';
+        
+        const label = document.createElement('label');
+        label.className = 'label';
+        label.textContent = field.label;
+        if (field.required) {
+            const star = document.createElement('span');
+            star.className = 'has-text-danger';
+            star.textContent = ' *';
+            label.appendChild(star);
+        }
+        wrapper.appendChild(label);
+        
+        const control = document.createElement('div');
+        control.className = 'control';
+        control.appendChild(createFieldInput(field, { required: field.required }));
+        wrapper.appendChild(control);
+        
+        column.appendChild(wrapper);
+        container.appendChild(column);
+    });
+}
+
+/**
+ * Create an input element that matches a custom field's kind
+ * @param {Object} field - Field definition from the type registry
+ * @param {Object} options - { required, forFilter }
+ * @returns {HTMLElement} - The input (or a wrapper containing it)
+ */
+function createFieldInput(field, options = {}) {
+    let input;
+    
+    if (field.kind === 'enum' || field.kind === 'boolean') {
+        const selectWrapper = document.createElement('div');
+        selectWrapper.className = 'select is-fullwidth';
+        input = document.createElement('select');
+        
+        const emptyOption = document.createElement('option');
+        emptyOption.value = '';
+        emptyOption.textContent = options.forFilter ? `Any ${field.label}` : 'Select...';
+        input.appendChild(emptyOption);
+        
+        const values = field.kind === 'enum'
+            ? field.options.map(value => [value, value])
+            : [['true', 'Yes'], ['false', 'No']];
+        values.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            input.appendChild(option);
+        });
+        
+        selectWrapper.appendChild(input);
+        input.dataset.fieldKey = field.key;
+        input.dataset.fieldKind = field.kind;
+        input.required = !!options.required;
+        return selectWrapper;
+    }
+    
+    input = document.createElement('input');
+    input.className = 'input';
+    input.type = field.kind === 'number' ? 'number' : field.kind === 'date' ? 'date' : 'text';
+    if (field.kind === 'number') {
+        input.step = 'any';
+    }
+    if (options.forFilter) {
+        input.placeholder = field.kind === 'text' ? `Search ${field.label.toLowerCase()}...` : '';
+    }
+    input.dataset.fieldKey = field.key;
+    input.dataset.fieldKind = field.kind;
+    input.required = !!options.required;
+    return input;
+}
+
+/**
+ * Read the values of the generated custom field inputs in a container
+ * @param {string} containerId - ID of the element holding the inputs
+ * @returns {Object} - Values keyed by field key (empty inputs are left out)
+ */
+function readFieldInputs(containerId) {
+    const values = {};
+    document.querySelectorAll(`#${containerId} [data-field-key]`).forEach(input => {
+        const value = input.value.trim();
+        if (value === '') {
+            return;
+        }
+        if (input.dataset.fieldKind === 'number') {
+            values[input.dataset.fieldKey] = parseFloat(value);
+        } else if (input.dataset.fieldKind === 'boolean') {
+            values[input.dataset.fieldKey] = value === 'true';
+        } else {
+            values[input.dataset.fieldKey] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Get the custom field values entered in the media modal
+ * @returns {Object} - Values keyed by field key
+ */
+function getCustomFieldValues() {
+    return readFieldInputs('customFields');
+}
+
+/**
+ * Fill the media modal's custom field inputs from a saved item
+ * @param {Object} values - The item's custom_fields object
+ */
+function setCustomFieldValues(values) {
+    document.querySelectorAll('#customFields [data-field-key]').forEach(input => {
+        const value = values[input.dataset.fieldKey];
+        input.value = value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Build filter inputs for the custom fields of the type selected in the filter panel
+ */
+function renderCustomFilters() {
+    const container = document.getElementById('customFilters');
+    container.innerHTML = '';
+    
+    const mediaType = getMediaType(document.getElementById('typeFilter').value);
+    if (!mediaType) {
+        return;
+    }
+    
+    mediaType.fields
+        .filter(field => !COLUMN_FIELDS.includes(field.key))
+        .forEach(field => {
+            const column = document.createElement('div');
+            column.className = 'column is-one-third';
+            
+            const wrapper = document.createElement('div');
+            wrapper.className = 'field';
+            
+            const label = document.createElement('label');
+            label.className = 'label';
+            label.textContent = field.label;
+            wrapper.appendChild(label);
+            
+            const control = document.createElement('div');
+            control.className = 'control';
+            const input = createFieldInput(field, { forFilter: true });
+            const target = input.matches('[data-field-key]') ? input : input.querySelector('[data-field-key]');
+            target.addEventListener(target.tagName === 'SELECT' ? 'change' : 'input', debounce(applyFilters, 300));
+            control.appendChild(input);
+            wrapper.appendChild(control);
+            
+            column.appendChild(wrapper);
+            container.appendChild(column);
+        });
+}
+
+/**
+ * Get the values entered in the custom field filters
+ * @returns {Object|undefined} - Values keyed by field key, or undefined if none
+ */
+function getCustomFilterValues() {
+    const values = readFieldInputs('customFilters');
+    return Object.keys(values).length > 0 ? values : undefined;
+}
+
+// ============================================================================
+// Media Type Registry
+// ============================================================================
+
+/**
+ * Load the media types (and their custom fields) from the database
+ */
+async function loadMediaTypes() {
+    try {
+        mediaTypes = await window.electronAPI.getMediaTypes();
+        renderTypeOptions();
+        renderBulkValueInput();
+    } catch (error) {
+        console.error('Error loading media types:', error);
+        showNotification('Error loading media types', 'is-danger');
+    }
+}
+
+/**
+ * Find a media type by key
+ * @param {string} key - Type key (e.g. "coin")
+ * @returns {Object|null} - The media type or null
+ */
+function getMediaType(key) {
+    return mediaTypes.find(type => type.key === key) || null;
+}
+
+/**
+ * Fill the type dropdowns in the media modal and filter panel from the registry
+ */
+function renderTypeOptions() {
+    const typeInput = document.getElementById('typeInput');
+    const currentInputValue = typeInput.value;
+    typeInput.innerHTML = '<option value="">Select a type...</option>';
+    
+    const typeFilter = document.getElementById('typeFilter');
+    const currentFilterValue = typeFilter.value;
+    typeFilter.innerHTML = '<option value="">All Types</option>';
+    
+    mediaTypes.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.key;
+        option.textContent = type.name;
+        typeInput.appendChild(option);
+        typeFilter.appendChild(option.cloneNode(true));
+    });
+    
+    typeInput.value = currentInputValue;
+    typeFilter.value = getMediaType(currentFilterValue) ? currentFilterValue : '';
+}
+
+/**
+ * Render the table of media types in the Types view
+ */
+function renderTypesTable() {
+    const tbody = document.getElementById('typesTableBody');
+    tbody.innerHTML = '';
+    
+    mediaTypes.forEach(type => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        const icon = document.createElement('i');
+        icon.className = `fas ${type.icon || 'fa-box'} mr-2`;
+        nameCell.appendChild(icon);
+        nameCell.appendChild(document.createTextNode(type.name));
+        row.appendChild(nameCell);
+        
+        const keyCell = document.createElement('td');
+        const keyCode = document.createElement('code');
+        keyCode.textContent = type.key;
+        keyCell.appendChild(keyCode);
+        row.appendChild(keyCell);
+        
+        const fieldsCell = document.createElement('td');
+        fieldsCell.textContent = type.fields.length > 0
+            ? type.fields.map(field => `${field.label}${field.required ? ' *' : ''} (${field.kind})`).join(', ')
+            : '—';
+        row.appendChild(fieldsCell);
+        
+        const actionsCell = document.createElement('td');
+        actionsCell.className = 'has-text-right';
+        const editBtn = document.createElement('button');
+        editBtn.className = 'button is-small mr-2';
+        editBtn.innerHTML = '<i class="fas fa-edit"></i><span class="ml-2">Edit</span>';
+        editBtn.addEventListener('click', () => openTypeModal(type.key));
+        actionsCell.appendChild(editBtn);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'button is-small is-danger is-outlined';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i><span class="ml-2">Delete</span>';
+        deleteBtn.addEventListener('click', () => deleteMediaType(type.key));
+        actionsCell.appendChild(deleteBtn);
+        row.appendChild(actionsCell);
+        
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Open the type modal for adding or editing a media type
  */
-async function openMediaModal(mediaId = null) {
-    editingMediaId = mediaId;
-    const modal = document.getElementById('mediaModal');
-    const form = document.getElementById('mediaForm');
-    const modalTitle = document.getElementById('modalTitle');
+function openTypeModal(typeKey = null) {
+    const type = typeKey ? getMediaType(typeKey) : null;
     
-    // Reset form
-    form.reset();
-    currentRating = 0;
-    updateRatingStars(0);
-    document.getElementById('imagePreview').style.display = 'none';
-    document.getElementById('imageFileName').textContent = 'No file selected';
-    document.getElementById('mediaId').value = '';
+    document.getElementById('typeForm').reset();
+    document.getElementById('typeModalTitle').textContent = type ? 'Edit Media Type' : 'Add Media Type';
+    document.getElementById('typeEditingKey').value = type ? type.key : '';
+    document.getElementById('typeNameInput').value = type ? type.name : '';
+    document.getElementById('typeIconInput').value = type ? type.icon || '' : '';
+    document.getElementById('typeIconPreview').className = `fas ${(type && type.icon) || 'fa-star'}`;
     
-    // Set conditional fields visibility
-    handleTypeChange();
+    // The key is stored on every item of this type, so it can't change after creation
+    const keyInput = document.getElementById('typeKeyInput');
+    keyInput.value = type ? type.key : '';
+    keyInput.readOnly = !!type;
+    keyInput.dataset.edited = type ? 'true' : '';
     
-    if (mediaId) {
-        modalTitle.textContent = 'Edit Media Item';
-        await loadMediaForEdit(mediaId);
-    } else {
-        modalTitle.textContent = 'Add Media Item';
-    }
+    document.getElementById('typeFieldsBody').innerHTML = '';
+    (type ? type.fields : []).forEach(field => addTypeFieldRow(field));
     
-    modal.classList.add('is-active');
+    document.getElementById('typeModal').classList.add('is-active');
 }
 
 /**
- * Load media item for editing
+ * Close the type modal
  */
-async function loadMediaForEdit(id) {
-    try {
-        const item = await window.electronAPI.getMediaById(id);
-        if (!item) {
-            showNotification('Media item not found', 'is-danger');
-            closeMediaModal();
-            return;
-        }
-        
-        document.getElementById('mediaId').value = item.id;
-        document.getElementById('titleInput').value = item.title || '';
-        document.getElementById('typeInput').value = item.type || '';
-        document.getElementById('descriptionInput').value = item.description || '';
-        document.getElementById('isbnSkuInput').value = item.isbn_sku || '';
-        document.getElementById('quantityInput').value = item.quantity || 1;
-        document.getElementById('brandInput').value = item.brand || '';
-        document.getElementById('sizeInput').value = item.size || '';
-        document.getElementById('systemInput').value = item.system || '';
-        
-        if (item.rating) {
-            currentRating = item.rating;
-            updateRatingStars(item.rating);
-        }
-        
-        if (item.image) {
-            document.getElementById('imageFileName').textContent = item.image.split(/[/\\]/).pop();
-            if (await window.electronAPI.fileExists(item.image)) {
-                const previewImg = document.getElementById('previewImg');
-                previewImg.src = `file://${item.image}`;
-                document.getElementById('imagePreview').style.display = 'block';
-            }
-        }
-        
-        handleTypeChange();
-    } catch (error) {
-        console.error('Error loading media for edit:', error);
-        showNotification('Error loading media item', 'is-danger');
+function closeTypeModal() {
+    document.getElementById('typeModal').classList.remove('is-active');
+}
+
+/**
+ * Suggest a key from the type name until the user types their own key
+ */
+function handleTypeNameInput() {
+    const keyInput = document.getElementById('typeKeyInput');
+    if (keyInput.readOnly) {
+        return;
+    }
+    if (!keyInput.dataset.edited) {
+        keyInput.value = toKey(document.getElementById('typeNameInput').value);
     }
 }
 
 /**
- * Close the media modal
+ * Add a row to the custom field editor in the type modal
+ * @param {Object} field - Existing field definition (optional)
  */
-function closeMediaModal() {
-    const modal = document.getElementById('mediaModal');
-    modal.classList.remove('is-active');
-    editingMediaId = null;
-    currentRating = 0;
+function addTypeFieldRow(field = { key: '', label: '', kind: 'text', required: false, options: [] }) {
+    const row = document.createElement('tr');
+    row.className = 'type-field-row';
+    
+    const labelInput = document.createElement('input');
+    labelInput.className = 'input is-small';
+    labelInput.dataset.prop = 'label';
+    labelInput.required = true;
+    labelInput.value = field.label;
+    
+    const keyInput = document.createElement('input');
+    keyInput.className = 'input is-small';
+    keyInput.dataset.prop = 'key';
+    keyInput.required = true;
+    keyInput.pattern = '[a-z][a-z0-9_]*';
+    keyInput.value = field.key;
+    
+    // Suggest a key from the label for new fields
+    labelInput.addEventListener('input', () => {
+        if (!keyInput.dataset.edited) {
+            keyInput.value = toKey(labelInput.value);
+        }
+    });
+    keyInput.addEventListener('input', () => {
+        keyInput.dataset.edited = 'true';
+    });
+    if (field.key) {
+        keyInput.dataset.edited = 'true';
+    }
+    
+    const kindWrapper = document.createElement('div');
+    kindWrapper.className = 'select is-small';
+    const kindSelect = document.createElement('select');
+    kindSelect.dataset.prop = 'kind';
+    [['text', 'Text'], ['number', 'Number'], ['date', 'Date'], ['enum', 'List of options'], ['boolean', 'Yes/No']]
+        .forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            kindSelect.appendChild(option);
+        });
+    kindSelect.value = field.kind;
+    kindWrapper.appendChild(kindSelect);
+    
+    const optionsInput = document.createElement('input');
+    optionsInput.className = 'input is-small';
+    optionsInput.dataset.prop = 'options';
+    optionsInput.placeholder = 'Comma separated';
+    optionsInput.value = (field.options || []).join(', ');
+    const updateOptionsState = () => {
+        optionsInput.disabled = kindSelect.value !== 'enum';
+        optionsInput.required = kindSelect.value === 'enum';
+    };
+    kindSelect.addEventListener('change', updateOptionsState);
+    updateOptionsState();
+    
+    const requiredInput = document.createElement('input');
+    requiredInput.type = 'checkbox';
+    requiredInput.dataset.prop = 'required';
+    requiredInput.checked = field.required;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'delete';
+    removeBtn.setAttribute('aria-label', 'remove field');
+    removeBtn.addEventListener('click', () => row.remove());
+    
+    [labelInput, keyInput, kindWrapper, optionsInput, requiredInput, removeBtn].forEach(element => {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        row.appendChild(cell);
+    });
+    
+    document.getElementById('typeFieldsBody').appendChild(row);
 }
 
 /**
- * Save media item (create or update)
+ * Save the media type from the type modal
  */
-async function saveMedia() {
-    const form = document.getElementById('mediaForm');
+async function saveMediaType() {
+    const form = document.getElementById('typeForm');
     if (!form.checkValidity()) {
         form.reportValidity();
         return;
     }
     
-    const mediaId = document.getElementById('mediaId').value;
-    const imageInput = document.getElementById('imageInput');
+    const fields = [...document.querySelectorAll('#typeFieldsBody .type-field-row')].map(row => {
+        const prop = (name) => row.querySelector(`[data-prop="${name}"]`);
+        return {
+            label: prop('label').value.trim(),
+            key: prop('key').value.trim(),
+            kind: prop('kind').value,
+            required: prop('required').checked,
+            options: prop('options').value.split(',').map(option => option.trim()).filter(Boolean),
+        };
+    });
     
-    const mediaData = {
-        title: document.getElementById('titleInput').value.trim(),
-        type: document.getElementById('typeInput').value,
-        description: document.getElementById('descriptionInput').value.trim() || null,
-        isbn_sku: document.getElementById('isbnSkuInput').value.trim() || null,
-        quantity: parseInt(document.getElementById('quantityInput').value) || 1,
-        rating: currentRating || null,
-        brand: document.getElementById('brandInput').value.trim() || null,
-        size: document.getElementById('sizeInput').value.trim() || null,
-        system: document.getElementById('systemInput').value.trim() || null,
+    const editingKey = document.getElementById('typeEditingKey').value;
+    const existing = editingKey ? getMediaType(editingKey) : null;
+    const type = {
+        key: document.getElementById('typeKeyInput').value.trim(),
+        name: document.getElementById('typeNameInput').value.trim(),
+        icon: document.getElementById('typeIconInput').value.trim() || null,
+        sort_order: existing ? existing.sort_order : undefined,
+        fields,
     };
     
-    // Handle image file
-    const imagePath = document.getElementById('imageInput').getAttribute('data-path');
-    if (imagePath) {
-        // Use the path from the file dialog
-        mediaData.image = imagePath;
-    } else if (imageInput.files && imageInput.files.length > 0) {
-        // Fallback: if file input has a file, try to get path
-        // Note: In Electron, file inputs may not expose path directly
-        // The selectImageFile function handles this via dialog
-        mediaData.image = null; // Will need to handle file upload differently
-    } else if (document.getElementById('imagePreview').style.display === 'block') {
-        // Keep existing image if no new file selected
-        const existingItem = await window.electronAPI.getMediaById(mediaId);
-        if (existingItem) {
-            mediaData.image = existingItem.image;
-        }
-    } else {
-        mediaData.image = null;
+    if (!existing && getMediaType(type.key)) {
+        showNotification(`A type with the key "${type.key}" already exists`, 'is-danger');
+        return;
     }
     
     try {
-        if (mediaId) {
-            await window.electronAPI.updateMedia(parseInt(mediaId), mediaData);
-            showNotification('Media item updated successfully', 'is-success');
-        } else {
-            await window.electronAPI.createMedia(mediaData);
-            showNotification('Media item created successfully', 'is-success');
-        }
-        
-        closeMediaModal();
-        await loadMedia();
-        await loadAutocompleteData();
+        await window.electronAPI.saveMediaType(type);
+        showNotification(`Type "${type.name}" saved`, 'is-success');
+        closeTypeModal();
+        await loadMediaTypes();
+        renderTypesTable();
+        renderCustomFilters();
     } catch (error) {
-        console.error('Error saving media:', error);
-        showNotification('Error saving media item', 'is-danger');
+        console.error('Error saving media type:', error);
+        showNotification(`Error saving type: ${getErrorMessage(error)}`, 'is-danger');
+    }
+}
+
+/**
+ * Delete a media type (only allowed when no items use it)
+ */
+async function deleteMediaType(key) {
+    const type = getMediaType(key);
+    if (!confirm(`Delete the type "${type ? type.name : key}"?`)) {
+        return;
+    }
+    
+    try {
+        await window.electronAPI.deleteMediaType(key);
+        showNotification('Type deleted', 'is-success');
+        await loadMediaTypes();
+        renderTypesTable();
+    } catch (error) {
+        console.error('Error deleting media type:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
     }
 }
 
 // ============================================================================
-// Image Handling
+// Import/Export
 // ============================================================================
 
 /**
- * Select image file using file dialog
+ * Open the export dialog
+ * @param {string} format - Format to start with ('json', 'csv' or 'xlsx')
  */
-async function selectImageFile() {
+async function exportData(format) {
     try {
-        const filePath = await window.electronAPI.selectImage();
-        if (filePath) {
-            document.getElementById('imageFileName').textContent = filePath.split(/[/\\]/).pop();
-            const previewImg = document.getElementById('previewImg');
-            previewImg.src = `file://${filePath}`;
-            document.getElementById('imagePreview').style.display = 'block';
-            
-            // Also set the file input (though Electron file dialog doesn't populate this)
-            // We'll store the path in a data attribute
-            document.getElementById('imageInput').setAttribute('data-path', filePath);
-        }
+        await openExportDialog(format);
     } catch (error) {
-        console.error('Error selecting image:', error);
-        showNotification('Error selecting image file', 'is-danger');
+        console.error('Error exporting data:', error);
+        showNotification('Error exporting data', 'is-danger');
     }
 }
 
+// ============================================================================
+// Export Dialog
+// ============================================================================
+
 /**
- * Handle image file selection from input
+ * Show the export dialog with the columns, formats and date format used last time
+ * @param {string} format - Format to preselect
  */
-function handleImageFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        document.getElementById('imageFileName').textContent = file.name;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const previewImg = document.getElementById('previewImg');
-            previewImg.src = e.target.result;
-            document.getElementById('imagePreview').style.display = 'block';
-        };
-        reader.readAsDataURL(file);
+async function openExportDialog(format) {
+    const available = await window.electronAPI.getExportColumns();
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem('exportOptions') || '{}');
+    } catch (error) {
+        console.error('Error reading saved export options:', error);
     }
+    
+    // Saved columns keep their order; columns added since (e.g. new custom fields) go at the end
+    const byKey = new Map(available.map(column => [column.key, column]));
+    const columns = (saved.columns || [])
+        .filter(column => byKey.has(column.key))
+        .map(column => ({ ...byKey.get(column.key), checked: column.checked }));
+    available.forEach(column => {
+        if (!columns.some(c => c.key === column.key)) {
+            columns.push({ ...column, checked: column.default });
+        }
+    });
+    exportDialog = { available, columns };
+    
+    document.getElementById('exportFormatSelect').value = format;
+    document.getElementById('exportDateFormatSelect').value = saved.dateFormat || 'stored';
+    
+    const collectionSelect = document.getElementById('exportCollectionSelect');
+    collectionSelect.innerHTML = '';
+    smartCollections.forEach(collection => {
+        const option = document.createElement('option');
+        option.value = collection.id;
+        option.textContent = collection.name;
+        collectionSelect.appendChild(option);
+    });
+    const collectionRadio = document.getElementById('exportSourceCollection');
+    collectionRadio.disabled = smartCollections.length === 0;
+    collectionSelect.disabled = smartCollections.length === 0;
+    
+    // Start from the current view when a search or filter is active
+    const filters = getFilterOptions();
+    const filtered = Object.entries(filters).some(([key, value]) => key === 'customFields'
+        ? Object.keys(value || {}).length > 0
+        : value !== undefined);
+    document.querySelector(`input[name="exportSource"][value="${filtered ? 'view' : 'all'}"]`).checked = true;
+    
+    renderExportColumns();
+    await updateExportCount();
+    document.getElementById('exportModal').classList.add('is-active');
 }
 
-/**
- * Remove image
- */
-function removeImage() {
-    document.getElementById('imageInput').value = '';
-    document.getElementById('imageInput').removeAttribute('data-path');
-    document.getElementById('imagePreview').style.display = 'none';
-    document.getElementById('imageFileName').textContent = 'No file selected';
+function closeExportDialog() {
+    document.getElementById('exportModal').classList.remove('is-active');
+    exportDialog = null;
 }
 
 /**
- * Show image in full-size modal
+ * Get the getAllMedia options for the items picked in the export dialog
+ * Items are exported in the catalog's current sort order.
+ * @returns {Object} - Options for exportItems' filters
  */
-function showImageModal(imagePath) {
-    const modal = document.getElementById('imageModal');
-    const img = document.getElementById('fullImage');
-    img.src = `file://${imagePath}`;
-    modal.classList.add('is-active');
+function getExportFilters() {
+    const source = document.querySelector('input[name="exportSource"]:checked').value;
+    let filters = {};
+    if (source === 'view') {
+        filters = { ...getFilterOptions(), ...sortOptions, groupBy: groupBy || undefined };
+    } else if (source === 'collection') {
+        const id = Number(document.getElementById('exportCollectionSelect').value);
+        const collection = smartCollections.find(c => c.id === id);
+        filters = { ...(collection ? collection.filters : {}), ...sortOptions };
+    }
+    return { ...filters, includeDeleted: document.getElementById('exportIncludeTrash').checked };
 }
 
 /**
- * Close image modal
+ * Show how many items the export will hold
  */
-function closeImageModal() {
-    const modal = document.getElementById('imageModal');
-    modal.classList.remove('is-active');
+async function updateExportCount() {
+    const countText = document.getElementById('exportItemCount');
+    try {
+        const groups = await window.electronAPI.getMediaGroups(getExportFilters());
+        const count = groups.reduce((total, group) => total + group.count, 0);
+        countText.textContent = `${count} item${count === 1 ? '' : 's'} will be exported`;
+    } catch (error) {
+        // e.g. a search with a syntax error; the export itself reports it
+        countText.textContent = '';
+    }
 }
 
-// ============================================================================
-// Rating Stars
-// ============================================================================
-
-function setupRatingStars() {
-    const stars = document.querySelectorAll('.rating-stars .fa-star');
-    stars.forEach(star => {
-        star.addEventListener('click', () => {
-            const rating = parseInt(star.getAttribute('data-rating'));
-            currentRating = rating;
-            updateRatingStars(rating);
-        });
+function renderExportColumns() {
+    const list = document.getElementById('exportColumnList');
+    list.innerHTML = '';
+    exportDialog.columns.forEach((column, index) => {
+        const row = document.createElement('div');
+        row.className = 'export-column';
         
-        star.addEventListener('mouseenter', () => {
-            const rating = parseInt(star.getAttribute('data-rating'));
-            highlightStars(rating);
-        });
-    });
-    
-    document.querySelector('.rating-stars').addEventListener('mouseleave', () => {
-        updateRatingStars(currentRating);
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = column.checked;
+        checkbox.dataset.index = index;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${column.label}`));
+        row.appendChild(label);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'buttons has-addons';
+        [['up', 'fa-arrow-up', 'Move up', index === 0], ['down', 'fa-arrow-down', 'Move down', index === exportDialog.columns.length - 1]]
+            .forEach(([direction, icon, title, disabled]) => {
+                const button = document.createElement('button');
+                button.className = 'button is-small is-white';
+                button.title = title;
+                button.disabled = disabled;
+                button.dataset.index = index;
+                button.dataset.move = direction;
+                button.innerHTML = `<i class="fas ${icon}"></i>`;
+                buttons.appendChild(button);
+            });
+        row.appendChild(buttons);
+        
+        list.appendChild(row);
     });
 }
 
-function updateRatingStars(rating) {
-    const stars = document.querySelectorAll('.rating-stars .fa-star');
-    stars.forEach((star, index) => {
-        if (index < rating) {
-            star.classList.add('active');
-        } else {
-            star.classList.remove('active');
-        }
-    });
-    document.getElementById('ratingInput').value = rating || '';
+function toggleExportColumn(e) {
+    if (e.target.type === 'checkbox') {
+        exportDialog.columns[Number(e.target.dataset.index)].checked = e.target.checked;
+    }
 }
 
-function highlightStars(rating) {
-    const stars = document.querySelectorAll('.rating-stars .fa-star');
-    stars.forEach((star, index) => {
-        if (index < rating) {
-            star.classList.add('active');
+function moveExportColumn(e) {
+    const button = e.target.closest('button[data-move]');
+    if (!button) {
+        return;
+    }
+    const index = Number(button.dataset.index);
+    const target = button.dataset.move === 'up' ? index - 1 : index + 1;
+    const columns = exportDialog.columns;
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    renderExportColumns();
+}
+
+/**
+ * Go back to the default columns in their default order
+ */
+function resetExportColumns() {
+    exportDialog.columns = exportDialog.available.map(column => ({ ...column, checked: column.default }));
+    renderExportColumns();
+}
+
+/**
+ * Export the chosen items and save the file
+ */
+async function runExport() {
+    const columns = exportDialog.columns.filter(column => column.checked).map(column => column.key);
+    if (columns.length === 0) {
+        showNotification('Choose at least one column to export', 'is-warning');
+        return;
+    }
+    const format = document.getElementById('exportFormatSelect').value;
+    const dateFormat = document.getElementById('exportDateFormatSelect').value;
+    
+    try {
+        const [filterName, extension] = EXPORT_FILE_TYPES[format];
+        const filename = `media-catalog-${new Date().toISOString().split('T')[0]}.${extension}`;
+        const filePath = await window.electronAPI.saveFile(filename, [{ name: filterName, extensions: [extension] }]);
+        if (!filePath) {
+            return;
+        }
+        
+        const options = { filters: getExportFilters(), columns, format, dateFormat };
+        let count;
+        if (SPREADSHEET_FORMATS.includes(format)) {
+            ({ count } = await window.electronAPI.exportSpreadsheet(filePath, options));
         } else {
-            star.classList.remove('active');
+            const result = await window.electronAPI.exportItems(options);
+            await window.electronAPI.writeFile(filePath, result.data);
+            count = result.count;
         }
+        
+        // Remembered like the table columns, for the next export
+        localStorage.setItem('exportOptions', JSON.stringify({
+            dateFormat,
+            columns: exportDialog.columns.map(({ key, checked }) => ({ key, checked })),
+        }));
+        closeExportDialog();
+        showNotification(`Exported ${count} items to ${getFileName(filePath)}`, 'is-success');
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        showNotification(`Error exporting data: ${getErrorMessage(error)}`, 'is-danger');
+    }
+}
+
+/**
+ * Open the Import/Export menu when its button is clicked (Bulma dropdowns
+ * need a little script), and close it on any other click
+ */
+function setupImportExportDropdown() {
+    const dropdown = document.getElementById('importExportDropdown');
+    dropdown.querySelector('.dropdown-trigger button').addEventListener('click', (e) => {
+        e.stopPropagation();
+        dropdown.classList.toggle('is-active');
     });
+    document.addEventListener('click', () => dropdown.classList.remove('is-active'));
 }
 
-// ============================================================================
-// Delete Operations
-// ============================================================================
+async function importData(format) {
+    try {
+        const filters = {
+            json: [{ name: 'JSON Files', extensions: ['json'] }],
+            csv: [{ name: 'CSV Files', extensions: ['csv'] }],
+            spreadsheet: [{ name: 'Spreadsheets', extensions: SPREADSHEET_FORMATS }],
+            // Goodreads exports CSV, LibraryThing tab-separated text; both are read as CSV
+            library: [{ name: 'Goodreads or LibraryThing Exports', extensions: ['csv', 'tsv', 'txt'] }],
+        }[format];
+        
+        const filePath = await window.electronAPI.openFile(filters);
+        if (!filePath) {
+            return;
+        }
+        
+        // Spreadsheets can be either kind, so the file's extension decides
+        let fileFormat = format;
+        if (format === 'spreadsheet') {
+            fileFormat = filePath.split('.').pop().toLowerCase();
+        } else if (format === 'library') {
+            fileFormat = 'csv';
+        }
+        await openImportWizard(filePath, fileFormat);
+    } catch (error) {
+        console.error('Error importing data:', error);
+        showNotification('Error importing data', 'is-danger');
+    }
+}
 
-async function deleteMedia(id) {
-    if (!confirm('Are you sure you want to delete this item? It will be moved to trash.')) {
+/**
+ * Handle files dropped onto the catalog: a .json, .csv, .xlsx or .ods file opens the import wizard
+ * @param {Array} files - Dropped File objects
+ */
+async function importDroppedFiles(files) {
+    const file = files[0];
+    const extension = file ? file.name.split('.').pop().toLowerCase() : '';
+    // Tab-separated files (like LibraryThing's export) are read as CSV
+    const format = extension === 'tsv' ? 'csv' : extension;
+    if (files.length !== 1 || !['json', 'csv', ...SPREADSHEET_FORMATS].includes(format)) {
+        showNotification('Drop a single .json, .csv, .tsv, .xlsx or .ods file to import it', 'is-warning');
         return;
     }
     
     try {
-        await window.electronAPI.softDeleteMedia(id);
-        showNotification('Item moved to trash', 'is-success');
-        await loadMedia();
+        const filePath = await window.electronAPI.addDroppedFile(file);
+        if (!filePath) {
+            showNotification('Drop a file saved on this computer to import it', 'is-warning');
+            return;
+        }
+        await openImportWizard(filePath, format);
     } catch (error) {
-        console.error('Error deleting media:', error);
-        showNotification('Error deleting item', 'is-danger');
+        console.error('Error importing data:', error);
+        showNotification('Error importing data', 'is-danger');
     }
 }
 
-async function restoreMedia(id) {
-    try {
-        await window.electronAPI.restoreMedia(id);
-        showNotification('Item restored', 'is-success');
-        await loadTrash();
+// ============================================================================
+// Catalog Archive
+// ============================================================================
+
+/**
+ * Save the whole catalog with its images as one zip file (for moving to another computer)
+ */
+async function exportArchive() {
+    try {
+        const filename = `media-catalog-${new Date().toISOString().split('T')[0]}.zip`;
+        const filePath = await window.electronAPI.saveFile(filename, [{ name: 'Catalog Archives', extensions: ['zip'] }]);
+        if (!filePath) {
+            return;
+        }
+        
+        showNotification('Exporting the catalog and its images...', 'is-info');
+        const result = await window.electronAPI.exportArchive(filePath);
+        const saved = `Archive saved with ${result.items} items and ${result.images} images`;
+        if (result.missingImages.length > 0) {
+            console.warn('Images left out of the archive:', result.missingImages);
+            showNotification(`${saved}. ${result.missingImages.length} images could not be found and were left out (see Maintenance).`, 'is-warning');
+        } else {
+            showNotification(saved, 'is-success');
+        }
     } catch (error) {
-        console.error('Error restoring media:', error);
-        showNotification('Error restoring item', 'is-danger');
+        console.error('Error exporting archive:', error);
+        showNotification(`Error exporting archive: ${getErrorMessage(error)}`, 'is-danger');
     }
 }
 
-async function permanentDeleteMedia(id) {
-    if (!confirm('Are you sure you want to permanently delete this item? This cannot be undone.')) {
-        return;
-    }
-    
+/**
+ * Replace the catalog with the contents of an archive, after asking
+ */
+async function restoreArchive() {
     try {
-        await window.electronAPI.permanentDeleteMedia(id);
-        showNotification('Item permanently deleted', 'is-success');
-        await loadTrash();
+        const filePath = await window.electronAPI.openFile([{ name: 'Catalog Archives', extensions: ['zip'] }]);
+        if (!filePath) {
+            return;
+        }
+        
+        const info = await window.electronAPI.getArchiveInfo(filePath);
+        const created = info.createdAt ? new Date(info.createdAt).toLocaleString() : 'an unknown date';
+        if (!confirm(`Restore the archive from ${created} (${info.items} items, ${info.images} images)?\n\n` +
+            'This replaces everything in your catalog, including the trash, media types and smart collections.')) {
+            return;
+        }
+        
+        showNotification('Checking and restoring the archive...', 'is-info');
+        const result = await window.electronAPI.restoreArchive(filePath);
+        
+        imageExistsCache.clear();
+        await loadMediaTypes();
+        await loadSmartCollections();
+        await loadAutocompleteData();
+        if (currentView !== 'catalog') {
+            switchView('catalog');
+        }
+        clearFilters();
+        showNotification(`Restored ${result.items} items and ${result.images} images`, 'is-success');
     } catch (error) {
-        console.error('Error permanently deleting media:', error);
-        showNotification('Error deleting item', 'is-danger');
+        // Nothing was changed if the archive couldn't be restored
+        console.error('Error restoring archive:', error);
+        showNotification(`Error restoring archive: ${getErrorMessage(error)}`, 'is-danger');
     }
 }
 
 // ============================================================================
-// Filters
+// Import Wizard
 // ============================================================================
 
-function getFilterOptions() {
-    return {
-        search: document.getElementById('searchInput').value.trim() || undefined,
-        type: document.getElementById('typeFilter').value || undefined,
-        minRating: document.getElementById('ratingFilter').value ? parseFloat(document.getElementById('ratingFilter').value) : undefined,
-        brand: document.getElementById('brandFilter').value || undefined,
-        system: document.getElementById('systemFilter').value || undefined,
+/**
+ * Read a file and show it in the import wizard
+ * Nothing is imported until "Import" is clicked.
+ * @param {string} filePath - Path to the file
+ * @param {string} format - 'json', 'csv', 'xlsx' or 'ods'
+ */
+async function openImportWizard(filePath, format) {
+    const data = SPREADSHEET_FORMATS.includes(format) ? filePath : await window.electronAPI.readFile(filePath);
+    const preview = await window.electronAPI.previewImport(data, format);
+    importWizard = {
+        data,
+        format,
+        fileName: getFileName(filePath),
+        sheet: preview.sheet || null,
+        columns: [],
+        rows: [],
+        fields: [],
+        mapping: {},
+        report: null,
+        resolutions: {},
+        reportFilter: 'all',
     };
+    
+    const source = preview.source ? ` (${preview.source} export)` : '';
+    document.getElementById('importWizardTitle').textContent = `Import ${importWizard.fileName}${source}`;
+    
+    // Spreadsheets can have several sheets; one is imported at a time
+    const sheetSelect = document.getElementById('importSheetSelect');
+    sheetSelect.innerHTML = '';
+    (preview.sheets || []).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        sheetSelect.appendChild(option);
+    });
+    sheetSelect.value = importWizard.sheet || '';
+    document.getElementById('importSheetField').style.display = SPREADSHEET_FORMATS.includes(format) && preview.sheets.length > 0 ? 'block' : 'none';
+    
+    const defaultType = document.getElementById('importDefaultType');
+    defaultType.innerHTML = '<option value="">None (rows need a type)</option>';
+    mediaTypes.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.key;
+        option.textContent = type.name;
+        defaultType.appendChild(option);
+    });
+    
+    showImportPreview(preview);
+    document.getElementById('importWizardModal').classList.add('is-active');
 }
 
-async function applyFilters() {
-    await loadMedia();
+/**
+ * Show a file (or sheet) read by previewImport in the import wizard
+ * @param {Object} preview - Result of previewImport
+ */
+function showImportPreview(preview) {
+    importWizard.columns = preview.columns;
+    importWizard.rows = preview.rows;
+    importWizard.fields = preview.fields;
+    importWizard.mapping = preview.mapping;
+    
+    // Problems with the whole file (e.g. a quote that is never closed) stop the import
+    const fileErrors = document.getElementById('importFileErrors');
+    const canImport = preview.errors.length === 0 && preview.rows.length > 0;
+    fileErrors.style.display = canImport ? 'none' : 'block';
+    fileErrors.innerHTML = '';
+    const messages = preview.errors.length > 0 ? preview.errors : ['The file has no rows to import'];
+    messages.forEach(message => {
+        const p = document.createElement('p');
+        p.textContent = message;
+        fileErrors.appendChild(p);
+    });
+    document.getElementById('importWizardContent').style.display = canImport ? 'block' : 'none';
+    document.getElementById('runImportBtn').disabled = !canImport;
+    document.getElementById('dryRunImportBtn').disabled = !canImport;
+    
+    // Files with an ID column were most likely exported from this catalog, and
+    // Goodreads or LibraryThing exports are imported again to pick up new books and ratings
+    let mode = 'insert';
+    if (Object.values(importWizard.mapping).includes('id')) {
+        mode = 'update_by_id';
+    } else if (preview.source) {
+        mode = 'update_by_isbn';
+    }
+    document.getElementById('importModeSelect').value = mode;
+    
+    renderImportMapping();
+    clearImportResults();
 }
 
-function clearFilters() {
-    document.getElementById('searchInput').value = '';
-    document.getElementById('typeFilter').value = '';
-    document.getElementById('ratingFilter').value = '';
-    document.getElementById('brandFilter').value = '';
-    document.getElementById('systemFilter').value = '';
-    applyFilters();
+/**
+ * Read another sheet of the spreadsheet being imported
+ */
+async function changeImportSheet() {
+    const sheet = document.getElementById('importSheetSelect').value;
+    try {
+        const preview = await window.electronAPI.previewImport(importWizard.data, importWizard.format, { sheet });
+        importWizard.sheet = sheet;
+        showImportPreview(preview);
+    } catch (error) {
+        console.error('Error reading sheet:', error);
+        showNotification(`Error reading the sheet: ${getErrorMessage(error)}`, 'is-danger');
+    }
 }
 
-// ============================================================================
-// Autocomplete
-// ============================================================================
+function closeImportWizard() {
+    document.getElementById('importWizardModal').classList.remove('is-active');
+    importWizard = null;
+}
 
-async function loadAutocompleteData() {
-    try {
-        const [brands, sizes, types] = await Promise.all([
-            window.electronAPI.getBrands(),
-            window.electronAPI.getSizes(),
-            window.electronAPI.getTypes(),
-        ]);
-        
-        // Populate brand datalist
-        const brandList = document.getElementById('brandList');
-        brandList.innerHTML = '';
-        brands.forEach(brand => {
-            const option = document.createElement('option');
-            option.value = brand;
-            brandList.appendChild(option);
-        });
+/**
+ * Show a value from the file as text (JSON files can hold lists and objects)
+ * @param {*} value - Value from previewImport
+ * @returns {string} - Text to show
+ */
+function formatImportValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return `[${value.length} value${value.length === 1 ? '' : 's'}]`;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function renderImportMapping() {
+    const body = document.getElementById('importMappingBody');
+    body.innerHTML = '';
+    
+    importWizard.columns.forEach((column, index) => {
+        const row = document.createElement('tr');
         
-        // Populate size datalist
-        const sizeList = document.getElementById('sizeList');
-        sizeList.innerHTML = '';
-        sizes.forEach(size => {
-            const option = document.createElement('option');
-            option.value = size;
-            sizeList.appendChild(option);
-        });
+        const nameCell = document.createElement('td');
+        nameCell.textContent = column;
+        row.appendChild(nameCell);
         
-        // Populate type filter
-        const typeFilter = document.getElementById('typeFilter');
-        const currentValue = typeFilter.value;
-        typeFilter.innerHTML = '<option value="">All Types</option>';
-        types.forEach(type => {
-            const option = document.createElement('option');
-            option.value = type;
-            option.textContent = formatType(type);
-            typeFilter.appendChild(option);
-        });
-        typeFilter.value = currentValue;
+        // First non-empty value, so the column is easy to recognize
+        const exampleCell = document.createElement('td');
+        exampleCell.className = 'import-example has-text-grey';
+        const example = importWizard.rows.map(r => r.values[index]).find(value => formatImportValue(value).trim() !== '');
+        exampleCell.textContent = formatImportValue(example);
+        exampleCell.title = exampleCell.textContent;
+        row.appendChild(exampleCell);
         
-        // Populate brand filter
-        const brandFilter = document.getElementById('brandFilter');
-        const currentBrandValue = brandFilter.value;
-        brandFilter.innerHTML = '<option value="">All Brands</option>';
-        brands.forEach(brand => {
+        const fieldCell = document.createElement('td');
+        const wrapper = document.createElement('div');
+        wrapper.className = 'select is-small';
+        const select = document.createElement('select');
+        select.dataset.column = column;
+        select.innerHTML = '<option value="">Don\'t import</option>';
+        importWizard.fields.forEach(field => {
             const option = document.createElement('option');
-            option.value = brand;
-            option.textContent = brand;
-            brandFilter.appendChild(option);
+            option.value = field.key;
+            option.textContent = field.label;
+            select.appendChild(option);
         });
-        brandFilter.value = currentBrandValue;
+        select.value = importWizard.mapping[column] || '';
+        wrapper.appendChild(select);
+        fieldCell.appendChild(wrapper);
+        row.appendChild(fieldCell);
         
-        // Populate system filter (get unique systems from current media)
-        const systemFilter = document.getElementById('systemFilter');
-        const currentSystemValue = systemFilter.value;
-        const systems = [...new Set(currentMedia.filter(m => m.system).map(m => m.system))].sort();
-        systemFilter.innerHTML = '<option value="">All Systems</option>';
-        systems.forEach(system => {
-            const option = document.createElement('option');
-            option.value = system;
-            option.textContent = system;
-            systemFilter.appendChild(option);
-        });
-        systemFilter.value = currentSystemValue;
-    } catch (error) {
-        console.error('Error loading autocomplete data:', error);
-    }
+        body.appendChild(row);
+    });
+    
+    renderImportPreview();
 }
 
-// ============================================================================
-// Conditional Fields
-// ============================================================================
+/**
+ * Use the field picked for a column; a field can only take one column, so any
+ * other column that was going into it is left out
+ */
+function changeImportMapping(e) {
+    const column = e.target.dataset.column;
+    if (column === undefined) {
+        return;
+    }
+    const field = e.target.value;
+    if (field) {
+        for (const [other, otherField] of Object.entries(importWizard.mapping)) {
+            if (other !== column && otherField === field) {
+                importWizard.mapping[other] = '';
+            }
+        }
+    }
+    importWizard.mapping[column] = field;
+    renderImportMapping();
+    clearImportResults();
+}
 
-function handleTypeChange() {
-    const type = document.getElementById('typeInput').value;
-    const brandField = document.getElementById('brandInput').closest('.column');
-    const sizeField = document.getElementById('sizeInput').closest('.column');
-    const systemField = document.getElementById('systemInput').closest('.column');
+/**
+ * Show the first rows of the file, with the field each column goes into
+ */
+function renderImportPreview() {
+    const table = document.getElementById('importPreviewTable');
+    table.innerHTML = '';
+    const fieldLabels = new Map(importWizard.fields.map(field => [field.key, field.label]));
     
-    // System field: show for video games
-    if (type === 'video_game') {
-        systemField.style.display = 'block';
-    } else {
-        systemField.style.display = 'none';
-        document.getElementById('systemInput').value = '';
-    }
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const rowHeader = document.createElement('th');
+    rowHeader.textContent = 'Row';
+    headRow.appendChild(rowHeader);
+    importWizard.columns.forEach(column => {
+        const th = document.createElement('th');
+        const field = importWizard.mapping[column];
+        th.textContent = column;
+        th.classList.toggle('has-text-grey-light', !field);
+        const target = document.createElement('p');
+        target.className = 'help';
+        target.textContent = field ? `→ ${fieldLabels.get(field) || field}` : 'not imported';
+        th.appendChild(target);
+        headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
     
-    // Size field: show for sneakers
-    if (type === 'sneakers') {
-        sizeField.style.display = 'block';
-    } else {
-        sizeField.style.display = 'none';
-        document.getElementById('sizeInput').value = '';
-    }
+    const body = document.createElement('tbody');
+    importWizard.rows.slice(0, IMPORT_PREVIEW_ROWS).forEach(row => {
+        const tr = document.createElement('tr');
+        const label = document.createElement('td');
+        label.className = 'has-text-grey';
+        label.textContent = row.label;
+        tr.appendChild(label);
+        importWizard.columns.forEach((column, index) => {
+            const td = document.createElement('td');
+            td.className = 'import-example';
+            td.classList.toggle('has-text-grey-light', !importWizard.mapping[column]);
+            td.textContent = formatImportValue(row.values[index]);
+            td.title = td.textContent;
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+    table.appendChild(body);
     
-    // Brand field: always visible but more relevant for some types
-    brandField.style.display = 'block';
+    const total = importWizard.rows.length;
+    document.getElementById('importPreviewCount').textContent = total > IMPORT_PREVIEW_ROWS
+        ? `(first ${IMPORT_PREVIEW_ROWS} of ${total} rows)`
+        : `(${total} row${total === 1 ? '' : 's'})`;
+    document.getElementById('runImportBtn').textContent = `Import ${total} Row${total === 1 ? '' : 's'}`;
 }
 
-// ============================================================================
-// Import/Export
-// ============================================================================
+/**
+ * Hide the last dry run's results (they are out of date once the mapping changes)
+ */
+function clearImportResults() {
+    if (importWizard) {
+        importWizard.report = null;
+        importWizard.resolutions = {};
+    }
+    document.getElementById('importResults').style.display = 'none';
+}
 
-async function exportData(format) {
+/**
+ * Check every row (dry run) or import the file with the chosen mapping
+ * @param {boolean} dryRun - True to only check the rows
+ */
+async function runImportWizard(dryRun) {
+    const button = document.getElementById(dryRun ? 'dryRunImportBtn' : 'runImportBtn');
+    const mode = document.getElementById('importModeSelect').value;
+    const options = {
+        mode,
+        dryRun,
+        defaultType: document.getElementById('importDefaultType').value || null,
+        resolutions: importWizard.resolutions,
+        sheet: importWizard.sheet,
+    };
+    
+    button.classList.add('is-loading');
     try {
-        const includeDeleted = confirm('Include deleted items in export?');
-        let data, filename, mimeType;
+        const result = await window.electronAPI.runImport(importWizard.data, importWizard.format, importWizard.mapping, options);
         
-        if (format === 'json') {
-            data = await window.electronAPI.exportJSON(includeDeleted);
-            filename = `media-catalog-${new Date().toISOString().split('T')[0]}.json`;
-            mimeType = 'application/json';
-        } else {
-            data = await window.electronAPI.exportCSV(includeDeleted);
-            filename = `media-catalog-${new Date().toISOString().split('T')[0]}.csv`;
-            mimeType = 'text/csv';
+        // The mapping itself is incomplete (e.g. no Title column)
+        if (result.rows.length === 0 && result.errors.length > 0) {
+            showNotification(result.errors[0], 'is-warning');
+            return;
         }
         
-        const filters = format === 'json' 
-            ? [{ name: 'JSON Files', extensions: ['json'] }]
-            : [{ name: 'CSV Files', extensions: ['csv'] }];
+        importWizard.report = { ...result, dryRun };
+        renderImportResults();
         
-        const filePath = await window.electronAPI.saveFile(filename, filters);
-        if (filePath) {
-            await window.electronAPI.writeFile(filePath, data);
-            showNotification(`Data exported successfully to ${filename}`, 'is-success');
+        if (!dryRun) {
+            await loadMedia();
+            await loadAutocompleteData();
+            const { counts } = result;
+            if (counts.error === 0 && counts.conflict === 0) {
+                showNotification(`Import finished: ${counts.created} added, ${counts.updated} updated`, 'is-success');
+                closeImportWizard();
+            } else {
+                showNotification(`Added ${counts.created} and updated ${counts.updated} items. ${counts.error + counts.conflict} rows were left out.`, 'is-warning');
+                // Adding the file again would duplicate the rows that were added. Other
+                // modes find them now, so conflicts can be resolved and imported again.
+                if (mode === 'insert') {
+                    document.getElementById('runImportBtn').disabled = true;
+                    document.getElementById('dryRunImportBtn').disabled = true;
+                }
+            }
         }
     } catch (error) {
-        console.error('Error exporting data:', error);
-        showNotification('Error exporting data', 'is-danger');
+        console.error('Error importing data:', error);
+        showNotification(getErrorMessage(error), 'is-danger');
+    } finally {
+        button.classList.remove('is-loading');
     }
 }
 
-async function importData(format) {
-    try {
-        const filters = format === 'json'
-            ? [{ name: 'JSON Files', extensions: ['json'] }]
-            : [{ name: 'CSV Files', extensions: ['csv'] }];
-        
-        const filePath = await window.electronAPI.openFile(filters);
-        if (!filePath) {
+function renderImportResults() {
+    const report = importWizard.report;
+    const { counts } = report;
+    
+    const parts = Object.entries(IMPORT_STATUSES)
+        .filter(([status]) => counts[status] > 0)
+        .map(([status, [label]]) => `${counts[status]} ${label.toLowerCase()}`);
+    let text = `${report.dryRun ? 'Dry run' : 'Import'}: ${parts.join(', ')}.`;
+    if (counts.conflict > 0) {
+        text += ' Choose which value to keep for each conflict, then import again (rows with conflicts are left alone until every one is chosen).';
+    } else if (report.dryRun) {
+        text += ' Nothing has been changed yet.';
+    }
+    const ok = counts.error === 0 && counts.conflict === 0;
+    const summary = document.getElementById('importResultSummary');
+    summary.innerHTML = `<span class="tag ${ok ? 'is-success' : 'is-warning'} mr-2">${ok ? 'OK' : 'Check'}</span>`;
+    summary.appendChild(document.createTextNode(text));
+    
+    // One tab per status that occurs, so long reports can be narrowed down
+    const filter = document.getElementById('importReportFilter');
+    const tabs = [['all', 'All', report.rows.length], ...Object.entries(IMPORT_STATUSES)
+        .filter(([status]) => counts[status] > 0)
+        .map(([status, [label]]) => [status, label, counts[status]])];
+    if (!tabs.some(([status]) => status === importWizard.reportFilter)) {
+        importWizard.reportFilter = 'all';
+    }
+    filter.innerHTML = '<ul></ul>';
+    tabs.forEach(([status, label, count]) => {
+        const li = document.createElement('li');
+        li.classList.toggle('is-active', status === importWizard.reportFilter);
+        const link = document.createElement('a');
+        link.dataset.status = status;
+        link.textContent = `${label} (${count})`;
+        li.appendChild(link);
+        filter.firstChild.appendChild(li);
+    });
+    
+    renderImportReportRows();
+    document.getElementById('importConflictActions').style.display = counts.conflict > 0 ? '' : 'none';
+    document.getElementById('importResults').style.display = 'block';
+}
+
+function renderImportReportRows() {
+    const body = document.getElementById('importReportBody');
+    body.innerHTML = '';
+    importWizard.report.rows.forEach((row, index) => {
+        if (importWizard.reportFilter !== 'all' && row.status !== importWizard.reportFilter) {
             return;
         }
+        const tr = document.createElement('tr');
         
-        const fileData = await window.electronAPI.readFile(filePath);
-        let result;
+        const labelCell = document.createElement('td');
+        labelCell.className = 'has-text-grey';
+        labelCell.textContent = row.label;
+        tr.appendChild(labelCell);
         
-        if (format === 'json') {
-            result = await window.electronAPI.importJSON(fileData);
-        } else {
-            result = await window.electronAPI.importCSV(fileData);
-        }
+        const titleCell = document.createElement('td');
+        titleCell.textContent = row.title;
+        tr.appendChild(titleCell);
         
-        if (result.errors && result.errors.length > 0) {
-            showNotification(`Imported ${result.success} items. ${result.errors.length} errors occurred.`, 'is-warning');
-            console.error('Import errors:', result.errors);
+        const statusCell = document.createElement('td');
+        const [label, tagClass] = IMPORT_STATUSES[row.status];
+        const tag = document.createElement('span');
+        tag.className = `tag ${tagClass}`;
+        tag.textContent = label;
+        statusCell.appendChild(tag);
+        tr.appendChild(statusCell);
+        
+        const detailsCell = document.createElement('td');
+        if (row.status === 'conflict') {
+            detailsCell.appendChild(createImportConflictChoices(row, index));
         } else {
-            showNotification(`Successfully imported ${result.success} items`, 'is-success');
+            detailsCell.textContent = row.message;
         }
+        tr.appendChild(detailsCell);
         
-        await loadMedia();
-        await loadAutocompleteData();
+        body.appendChild(tr);
+    });
+}
+
+/**
+ * Build a choice between the file's and the catalog's value for each conflicting field
+ * @param {Object} row - Report row with conflicts
+ * @param {number} index - Row index (keeps the radio button names unique)
+ * @returns {HTMLElement} - The choices
+ */
+function createImportConflictChoices(row, index) {
+    const chosen = importWizard.resolutions[row.label] || {};
+    const list = document.createElement('div');
+    row.conflicts.forEach(conflict => {
+        const field = document.createElement('div');
+        field.className = 'import-conflict';
+        
+        const name = document.createElement('strong');
+        name.textContent = conflict.label;
+        field.appendChild(name);
+        
+        [['file', 'File', conflict.incoming], ['database', 'Catalog', conflict.current]].forEach(([value, source, text]) => {
+            const option = document.createElement('label');
+            option.className = 'radio';
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `import-conflict-${index}-${conflict.field}`;
+            input.value = value;
+            input.checked = chosen[conflict.field] === value;
+            input.dataset.row = row.label;
+            input.dataset.field = conflict.field;
+            option.appendChild(input);
+            option.appendChild(document.createTextNode(` ${source}: `));
+            const valueText = document.createElement('span');
+            valueText.className = 'import-conflict-value';
+            valueText.textContent = formatImportValue(text);
+            valueText.title = valueText.textContent;
+            option.appendChild(valueText);
+            field.appendChild(option);
+        });
+        list.appendChild(field);
+    });
+    return list;
+}
+
+/**
+ * Remember the value picked for one conflicting field
+ */
+function resolveImportConflict(e) {
+    const { row, field } = e.target.dataset;
+    if (!row || !field) {
+        return;
+    }
+    importWizard.resolutions[row] = { ...importWizard.resolutions[row], [field]: e.target.value };
+}
+
+/**
+ * Pick the file's (or the catalog's) value for every conflict in the report
+ * @param {string} choice - 'file' or 'database'
+ */
+function resolveAllImportConflicts(choice) {
+    importWizard.report.rows
+        .filter(row => row.status === 'conflict')
+        .forEach(row => {
+            const chosen = { ...importWizard.resolutions[row.label] };
+            row.conflicts.forEach(conflict => {
+                chosen[conflict.field] = choice;
+            });
+            importWizard.resolutions[row.label] = chosen;
+        });
+    renderImportReportRows();
+}
+
+function filterImportReport(e) {
+    const link = e.target.closest('a[data-status]');
+    if (!link) {
+        return;
+    }
+    importWizard.reportFilter = link.dataset.status;
+    document.querySelectorAll('#importReportFilter li').forEach(li => {
+        li.classList.toggle('is-active', li.firstChild === link);
+    });
+    renderImportReportRows();
+}
+
+/**
+ * Save the last dry run's or import's report (every row and what happened to it) as a CSV file
+ */
+async function downloadImportReport() {
+    try {
+        const report = await window.electronAPI.formatImportReport(importWizard.report.rows);
+        const baseName = importWizard.fileName.replace(/\.[^.]+$/, '');
+        const filePath = await window.electronAPI.saveFile(`${baseName}-import-report.csv`, [{ name: 'CSV Files', extensions: ['csv'] }]);
+        if (filePath) {
+            await window.electronAPI.writeFile(filePath, report);
+            showNotification(`Report saved to ${getFileName(filePath)}`, 'is-success');
+        }
     } catch (error) {
-        console.error('Error importing data:', error);
-        showNotification('Error importing data', 'is-danger');
+        console.error('Error saving import report:', error);
+        showNotification('Error saving import report', 'is-danger');
     }
 }
 
@@ -925,17 +5550,107 @@ async function importData(format) {
 // ============================================================================
 
 function formatType(type) {
+    // Prefer the display name from the type registry
+    const mediaType = getMediaType(type);
+    if (mediaType) {
+        return mediaType.name;
+    }
     return type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
 }
 
+/**
+ * Build text with search matches wrapped in <mark> elements
+ * Uses text nodes (not innerHTML) so item data can never inject HTML
+ * @param {string} text - Text that may contain highlight markers
+ * @returns {DocumentFragment} - Nodes ready to append
+ */
+function createHighlightedText(text) {
+    const fragment = document.createDocumentFragment();
+    const parts = String(text).split(HIGHLIGHT_START);
+    
+    // parts[0] is plain text; every later part starts with a match that runs to HIGHLIGHT_END
+    fragment.appendChild(document.createTextNode(parts[0]));
+    for (const part of parts.slice(1)) {
+        const [matched, ...rest] = part.split(HIGHLIGHT_END);
+        const mark = document.createElement('mark');
+        mark.textContent = matched;
+        fragment.appendChild(mark);
+        fragment.appendChild(document.createTextNode(rest.join('')));
+    }
+    
+    return fragment;
+}
+
+/**
+ * Format a custom field value for display on a card
+ */
+function formatFieldValue(field, value) {
+    if (field.kind === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+    return String(value);
+}
+
+/**
+ * Turn a display name into a key (e.g. "Mint Mark" -> "mint_mark")
+ */
+function toKey(text) {
+    return text.toLowerCase().trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^[^a-z]+/, '')
+        .replace(/_+$/, '');
+}
+
+/**
+ * Get the last part of a file path (works for Windows and Unix paths)
+ * @param {string} filePath - Full path
+ * @returns {string} - File name
+ */
+function getFileName(filePath) {
+    return filePath.split(/[\\/]/).pop();
+}
+
+/**
+ * Format a number of bytes for display (e.g. "2.4 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size
+ */
+function formatFileSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Get a readable message from an error thrown by an IPC call
+ * Electron wraps errors from the main process as
+ * "Error invoking remote method 'x': Error: <message>"
+ */
+function getErrorMessage(error) {
+    const message = error && error.message ? error.message : String(error);
+    return message.replace(/^Error invoking remote method '[^']+': (\w*Error: )?/, '');
+}
+
+/**
+ * Show a message that disappears after a few seconds
+ * The message is added as text (not innerHTML) because it often contains item
+ * titles, type names or values from imported files.
+ */
 function showNotification(message, type = 'is-info') {
     const container = document.getElementById('notificationContainer');
     const notification = document.createElement('div');
     notification.className = `notification ${type} notification-item`;
-    notification.innerHTML = `
-        <button class="delete" onclick="this.parentElement.remove()"></button>
-        ${message}
-    `;
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'delete';
+    closeBtn.addEventListener('click', () => notification.remove());
+    notification.appendChild(closeBtn);
+    notification.appendChild(document.createTextNode(message));
     container.appendChild(notification);
     
     setTimeout(() => {